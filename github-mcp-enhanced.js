@@ -1,14 +1,31 @@
+// --stdio runs the server as a local MCP subprocess; stdout is reserved for JSON-RPC,
+// so console output is moved to stderr before anything (including dotenv) logs
+const stdioMode = process.argv.includes("--stdio");
+if (stdioMode) {
+  require("./lib/stdio-transport").redirectConsoleToStderr();
+}
+
 require("dotenv").config();
 
 const express = require("express");
+const crypto = require("crypto");
+const os = require("os");
+const path = require("path");
 const { validateToolParams, formatValidationErrors } = require("./mcp-tool-schemas");
 const github = require("./lib/github-client");
-const { setupMiddleware, isWriteTool, createWriteSecretValidator, createAuthMiddleware } = require("./lib/middleware");
-
-// Import tool handlers
-const readTools = require("./lib/tools/read-tools");
-const writeTools = require("./lib/tools/write-tools");
+const { getCacheKey, createEtagCache } = require("./lib/etag-cache");
+const { createArchiveCache, createGrepLimiter } = require("./lib/repo-archive");
+const { metrics } = require("./lib/metrics");
+const { logger, formatJsonRpcError } = require("./lib/logger");
+const { setupMiddleware, createWriteSecretValidator, createAuthMiddleware } = require("./lib/middleware");
+const { SUPPORTED_PROTOCOL_VERSIONS, acceptsEventStream, createSessionStore } = require("./lib/streamable-http");
+const { runStdioTransport } = require("./lib/stdio-transport");
+
+// Tool definitions (name, schema, handler, read/write, enablement) and PR helpers
+const { toolDefinitions, getToolDefinition, listTools } = require("./lib/tool-definitions");
 const prTools = require("./lib/tools/pr-tools");
+const resources = require("./lib/resources");
+const prompts = require("./lib/prompts");
 
 const app = express();
 
@@ -23,8 +40,9 @@ const config = {
   rateLimitMax: parseInt(process.env.RATE_LIMIT_MAX) || 1000,
 
   // Cache configuration
-  cacheTTL: parseInt(process.env.CACHE_TTL) || 5 * 60 * 1000, // 5 minutes
   cacheMaxSize: parseInt(process.env.CACHE_MAX_SIZE) || 1000,
+  cacheMaxBytes: parseInt(process.env.CACHE_MAX_BYTES) || 64 * 1024 * 1024, // 64MB of response bodies
+  cacheMaxEntryBytes: parseInt(process.env.CACHE_MAX_ENTRY_BYTES) || 1024 * 1024, // larger responses are not cached
 
   // Security configuration
   bodySizeLimit: process.env.BODY_SIZE_LIMIT || '10mb',
@@ -52,51 +70,124 @@ const config = {
   // PR update configuration (independent of PR creation)
   prUpdateEnabled: process.env.PR_UPDATE_ENABLED === 'true',
 
+  // PR review configuration (submit reviews, reply to and resolve review threads; uses PR_WHITELIST)
+  prReviewEnabled: process.env.PR_REVIEW_ENABLED === 'true',
+  prReviewRateLimitMax: parseInt(process.env.PR_REVIEW_RATE_LIMIT_MAX) || 30,
+  prReviewRateLimitWindow: parseInt(process.env.PR_REVIEW_RATE_LIMIT_WINDOW) || 60 * 60 * 1000, // 1 hour
+
   // PR merge configuration
   prMergeEnabled: process.env.PR_MERGE_ENABLED === 'true',
   prMergeRateLimitMax: parseInt(process.env.PR_MERGE_RATE_LIMIT_MAX) || 5,
-  prMergeRateLimitWindow: parseInt(process.env.PR_MERGE_RATE_LIMIT_WINDOW) || 60 * 60 * 1000 // 1 hour
+  prMergeRateLimitWindow: parseInt(process.env.PR_MERGE_RATE_LIMIT_WINDOW) || 60 * 60 * 1000, // 1 hour
+
+  // Issue write configuration (uses PR_WHITELIST)
+  issuesEnabled: process.env.ISSUES_ENABLED === 'true',
+  issueRateLimitMax: parseInt(process.env.ISSUE_RATE_LIMIT_MAX) || 20,
+  issueRateLimitWindow: parseInt(process.env.ISSUE_RATE_LIMIT_WINDOW) || 60 * 60 * 1000, // 1 hour
+
+  // Release write configuration (uses PR_WHITELIST)
+  releasesEnabled: process.env.RELEASES_ENABLED === 'true',
+  releaseRateLimitMax: parseInt(process.env.RELEASE_RATE_LIMIT_MAX) || 5,
+  releaseRateLimitWindow: parseInt(process.env.RELEASE_RATE_LIMIT_WINDOW) || 60 * 60 * 1000, // 1 hour
+
+  // Actions write configuration (uses PR_WHITELIST)
+  actionsEnabled: process.env.ACTIONS_ENABLED === 'true',
+  actionsRateLimitMax: parseInt(process.env.ACTIONS_RATE_LIMIT_MAX) || 10,
+  actionsRateLimitWindow: parseInt(process.env.ACTIONS_RATE_LIMIT_WINDOW) || 60 * 60 * 1000, // 1 hour
+
+  // Repositories listed by resources/list (any repo can still be read via resource templates)
+  resourceRepos: process.env.RESOURCE_REPOS ? process.env.RESOURCE_REPOS.split(',').map(r => r.trim()).filter(Boolean) : [],
+
+  // Directory of *.md.tpl prompt templates served via prompts/list and prompts/get
+  promptsDir: process.env.PROMPTS_DIR || path.join(__dirname, "templates", "prompts"),
+
+  // Streamable HTTP sessions expire after this much inactivity
+  mcpSessionTtl: parseInt(process.env.MCP_SESSION_TTL) || 60 * 60 * 1000, // 1 hour
+  // At this many live sessions, initialize evicts the least recently used one
+  mcpMaxSessions: parseInt(process.env.MCP_MAX_SESSIONS) || 1000,
+
+  // grep_repo tarball snapshots and search limits
+  grepCacheDir: process.env.GREP_CACHE_DIR || path.join(os.tmpdir(), "github-mcp-archives"),
+  grepCacheMaxBytes: parseInt(process.env.GREP_CACHE_MAX_BYTES) || 512 * 1024 * 1024, // 512MB on disk
+  grepMaxArchiveBytes: parseInt(process.env.GREP_MAX_ARCHIVE_BYTES) || 100 * 1024 * 1024, // 100MB download
+  grepMaxExtractedBytes: parseInt(process.env.GREP_MAX_EXTRACTED_BYTES) || 512 * 1024 * 1024, // 512MB unpacked
+  grepTimeout: parseInt(process.env.GREP_TIMEOUT) || 30 * 1000, // download + search
+  grepMaxConcurrent: parseInt(process.env.GREP_MAX_CONCURRENT) || 2,
+
+  // wait_for_checks polls with backoff from CHECKS_POLL_INTERVAL up to CHECKS_POLL_MAX_INTERVAL
+  checksPollInterval: parseInt(process.env.CHECKS_POLL_INTERVAL) || 5 * 1000,
+  checksPollMaxInterval: parseInt(process.env.CHECKS_POLL_MAX_INTERVAL) || 30 * 1000,
+
+  // get_job_log downloads logs up to this size
+  jobLogMaxBytes: parseInt(process.env.JOB_LOG_MAX_BYTES) || 20 * 1024 * 1024 // 20MB
 };
 
 // Validate required configuration
 const githubToken = process.env.GITHUB_PAT || process.env.GITHUB_TOKEN;
 if (!githubToken) {
-  console.error("❌ Please set GITHUB_PAT environment variable.");
+  logger.error("Please set GITHUB_PAT environment variable");
   process.exit(1);
 }
 
-console.log("📋 Server Configuration:");
-console.log(`   • Port: ${config.port}`);
-console.log(`   • Cache TTL: ${config.cacheTTL / 1000}s`);
-console.log(`   • Rate Limit: ${config.rateLimitMax} requests per ${config.rateLimitWindow / 60000} minutes`);
-if (config.prEnabled) {
-  console.log(`   • PR Creation: ENABLED`);
-  console.log(`   • PR Whitelist: ${config.prWhitelist.length > 0 ? config.prWhitelist.join(', ') : 'None (disabled)'}`);
-  console.log(`   • PR Rate Limit: ${config.prRateLimitMax} per ${config.prRateLimitWindow / 60000} minutes`);
-}
-if (config.prMergeEnabled) {
-  console.log(`   • PR Merge: ENABLED`);
-  console.log(`   • PR Merge Rate Limit: ${config.prMergeRateLimitMax} per ${config.prMergeRateLimitWindow / 60000} minutes`);
-}
-console.log("");
+// Log level and the values to scrub from every log record
+logger.configure({
+  level: config.logLevel,
+  secrets: [githubToken, config.mcpWriteSecret, config.mcpAuthToken]
+});
 
-// Setup all middleware (security, rate limiting, CORS, JSON parsing)
+logger.info("Server Configuration", {
+  port: config.port,
+  log_level: config.logLevel,
+  cache_max_size: config.cacheMaxSize,
+  cache_max_bytes: config.cacheMaxBytes,
+  rate_limit: `${config.rateLimitMax} requests per ${config.rateLimitWindow / 60000} minutes`,
+  pr_creation: config.prEnabled ? {
+    whitelist: config.prWhitelist,
+    rate_limit: `${config.prRateLimitMax} per ${config.prRateLimitWindow / 60000} minutes`
+  } : false,
+  pr_merge: config.prMergeEnabled ? {
+    rate_limit: `${config.prMergeRateLimitMax} per ${config.prMergeRateLimitWindow / 60000} minutes`
+  } : false,
+  pr_reviews: config.prReviewEnabled ? {
+    rate_limit: `${config.prReviewRateLimitMax} per ${config.prReviewRateLimitWindow / 60000} minutes`
+  } : false,
+  issue_writes: config.issuesEnabled ? {
+    rate_limit: `${config.issueRateLimitMax} per ${config.issueRateLimitWindow / 60000} minutes`
+  } : false,
+  release_writes: config.releasesEnabled ? {
+    rate_limit: `${config.releaseRateLimitMax} per ${config.releaseRateLimitWindow / 60000} minutes`
+  } : false,
+  actions_writes: config.actionsEnabled ? {
+    rate_limit: `${config.actionsRateLimitMax} per ${config.actionsRateLimitWindow / 60000} minutes`
+  } : false
+});
+
+// Setup all middleware (request IDs, security, rate limiting, CORS, JSON parsing)
 setupMiddleware(app, config);
 
 // Create middleware instances with config
 const validateWriteSecret = createWriteSecretValidator(config);
 const authRequired = createAuthMiddleware(config);
 
-// Simple in-memory cache with configurable TTL
-const cache = new Map();
+// Conditional-request (ETag) cache for GitHub GET responses
+const etagCache = createEtagCache({
+  maxSize: config.cacheMaxSize,
+  maxBytes: config.cacheMaxBytes,
+  maxEntryBytes: config.cacheMaxEntryBytes
+});
+const archiveCache = createArchiveCache({ dir: config.grepCacheDir, maxBytes: config.grepCacheMaxBytes });
+const grepLimiter = createGrepLimiter({ maxConcurrent: config.grepMaxConcurrent });
 
 // PR rate limiting tracker
 const prRateLimiter = new Map();
 const prMergeRateLimiter = new Map();
+const prReviewRateLimiter = new Map();
+const issueRateLimiter = new Map();
+const releaseRateLimiter = new Map();
+const actionsRateLimiter = new Map();
 
 // Audit logging for PR operations
 const fs = require('fs').promises;
-const path = require('path');
 
 async function auditLog(action, data) {
   if (!config.prAuditLog) return;
@@ -114,44 +205,12 @@ async function auditLog(action, data) {
       'utf8'
     );
   } catch (error) {
-    console.error('Failed to write audit log:', error.message);
+    logger.error("Failed to write audit log", { action, error: error.message });
   }
 }
 
-// Cache cleanup to prevent memory leaks
-setInterval(() => {
-  if (cache.size > config.cacheMaxSize) {
-    // Remove oldest entries if cache is too large
-    const entries = Array.from(cache.entries());
-    const toDelete = entries.slice(0, Math.floor(cache.size * 0.2)); // Remove 20%
-    toDelete.forEach(([key]) => cache.delete(key));
-    console.log(`🧹 Cache cleanup: removed ${toDelete.length} entries`);
-  }
-}, 60000); // Check every minute
-
 // GitHub API client is now imported from lib/github-client.js
 
-// Cache helper functions
-function getCacheKey(url, params = {}) {
-  return `${url}:${JSON.stringify(params)}`;
-}
-
-function getCachedData(key) {
-  const cached = cache.get(key);
-  if (cached && Date.now() < cached.expiry) {
-    return cached.data;
-  }
-  cache.delete(key);
-  return null;
-}
-
-function setCachedData(key, data) {
-  cache.set(key, {
-    data,
-    expiry: Date.now() + config.cacheTTL
-  });
-}
-
 // Input validation functions
 function assert(condition, message = "Assertion failed") {
   if (!condition) {
@@ -262,6 +321,7 @@ function checkPRRateLimit(identifier) {
   }
 
   if (entry.count >= config.prRateLimitMax) {
+    metrics.rateLimitRejections.inc({ limiter: "pr" });
     return false;
   }
 
@@ -293,6 +353,7 @@ function checkRateLimitCustom(windowMs, maxCount, limiterMap, keyPrefix, identif
   }
 
   if (entry.count >= maxCount) {
+    metrics.rateLimitRejections.inc({ limiter: keyPrefix });
     return false;
   }
 
@@ -306,9 +367,36 @@ function checkRateLimitCustom(windowMs, maxCount, limiterMap, keyPrefix, identif
 // - Write tools: lib/tools/write-tools.js
 // - PR tools: lib/tools/pr-tools.js
 
-// Helper: Create JSON-RPC error response with HTTP 200 to prevent transport errors
-function jsonRpcError(res, id, code, message, data = {}) {
-  return res.status(200).json({
+// Helper: Log the one-line jsonrpc_error record promised by ERROR_CODES.md.
+// The tool arguments and error, when given, add repo/pr/sha/state to the line.
+function logJsonRpcError(code, message, { tool, args, error } = {}) {
+  const toolArgs = args && typeof args === "object" ? args : {};
+  logger.error(formatJsonRpcError({
+    tool,
+    code,
+    repo: toolArgs.repo,
+    pr: toolArgs.prNumber ?? toolArgs.issueNumber,
+    sha: toolArgs.sha,
+    state: error?.mergeableState,
+    message
+  }), { event: "jsonrpc_error", code, tool });
+}
+
+// Helper: Log an incoming JSON-RPC message (arguments only at debug level, redacted)
+function logRpcRequest(msg, message) {
+  logger.info(msg, {
+    jsonrpc_id: message.id,
+    method: message.method,
+    tool: message.params?.name,
+    ...(logger.isLevelEnabled("debug") && { arguments: message.params?.arguments })
+  });
+}
+
+// Helper: Build a JSON-RPC error message (and log it)
+function jsonRpcErrorMessage(id, code, message, data = {}, logFields = {}) {
+  logJsonRpcError(code, message, { tool: data.tool || data.method, ...logFields });
+
+  return {
     jsonrpc: "2.0",
     id,
     error: {
@@ -319,25 +407,46 @@ function jsonRpcError(res, id, code, message, data = {}) {
         timestamp: new Date().toISOString()
       }
     }
-  });
+  };
+}
+
+// Helper: Create JSON-RPC error response with HTTP 200 to prevent transport errors
+function jsonRpcError(res, id, code, message, data = {}, logFields = {}) {
+  return res.status(200).json(jsonRpcErrorMessage(id, code, message, data, logFields));
+}
+
+// Helper: Record a tool call, labelling names outside the tool registry "unknown"
+// so client-supplied names cannot create unbounded metric series
+function recordToolCall(name, startedAt, errorCode) {
+  metrics.recordToolCall(getToolDefinition(name) ? name : "unknown", startedAt, errorCode);
+}
+
+// Helper: Classify tool errors to JSON-RPC codes (HTTP 200 always)
+function classifyToolError(name, errMsg) {
+  const msg = String(errMsg || "").toLowerCase();
+  // Specific merge semantics
+  if (name === "merge_pull_request") {
+    if (msg.includes("head sha mismatch")) return -32006; // stale SHA guard
+    if (msg.includes("pr not mergeable")) return -32005;   // dirty/protections
+  }
+  // Existing families
+  if (msg.includes("status code 403") || msg.includes("permission denied")) return -32001;
+  if (msg.includes("status code 404") || msg.includes("not found")) return -32002;
+  if (msg.includes("status code 422") || msg.includes("validation")) return -32003;
+  if (msg.includes("rate limit")) return -32004;
+  return -32603; // internal
 }
 
 // Enhanced GitHub API wrapper with caching
+// GET responses are cached with their ETag/Last-Modified and always revalidated:
+// a 304 serves the stored body, so data stays fresh and 304s don't use rate limit.
 async function githubRequest(endpoint, params = {}, headers = {}, method = 'GET') {
-  const cacheKey = getCacheKey(endpoint, { params, headers, method });
-
-  // Disable caching to ensure fresh data
-  // ChatGPT needs real-time data, not cached responses
-  // if (method === 'GET') {
-  //   const cached = getCachedData(cacheKey);
-  //   if (cached) {
-  //     console.log(`📦 Cache hit for ${endpoint}`);
-  //     return cached;
-  //   }
-  // }
+  const accept = headers.Accept || github.defaults.headers.Accept;
+  const cacheKey = method === 'GET' ? getCacheKey(method, endpoint, params, accept) : null;
+  const cached = cacheKey ? etagCache.get(cacheKey) : undefined;
 
   try {
-    console.log(`🌐 ${method} ${endpoint}`);
+    logger.debug("GitHub request", { method, endpoint });
     const config = {};
 
     if (method === 'GET') {
@@ -347,6 +456,11 @@ async function githubRequest(endpoint, params = {}, headers = {}, method = 'GET'
       config.data = params;
     }
 
+    if (cached) {
+      headers = { ...etagCache.conditionalHeaders(cached), ...headers };
+      config.validateStatus = (status) => (status >= 200 && status < 300) || status === 304;
+    }
+
     if (Object.keys(headers).length > 0) {
       config.headers = headers;
     }
@@ -358,18 +472,49 @@ async function githubRequest(endpoint, params = {}, headers = {}, method = 'GET'
       url: endpoint
     });
 
-    // Disable caching to ensure fresh data
-    // if (method === 'GET') {
-    //   setCachedData(cacheKey, response.data);
-    // }
+    if (response.status === 304) {
+      logger.debug("GitHub cache revalidated", { endpoint });
+      metrics.cacheLookups.inc({ result: "hit" });
+      return cached.data;
+    }
+
+    if (cacheKey) {
+      metrics.cacheLookups.inc({ result: "miss" });
+      const contentLength = parseInt(response.headers['content-length']);
+      etagCache.set(cacheKey, {
+        data: response.data,
+        etag: response.headers.etag,
+        lastModified: response.headers['last-modified'],
+        size: Number.isNaN(contentLength) ? undefined : contentLength
+      });
+    }
 
     return response.data;
   } catch (error) {
     const status = error?.response?.status;
     if (status && !error.statusCode) error.statusCode = status; // normalize for callers
-    console.error(`❌ GitHub API error for ${method} ${endpoint}:`, status, error.message);
+    logger.warn("GitHub API error", { method, endpoint, status, error: error.message });
+    throw error;
+  }
+}
+
+// GitHub GraphQL wrapper. GraphQL reports most failures as 200 responses with
+// an errors array; they are thrown with messages classifyToolError understands.
+const GRAPHQL_ERROR_PREFIXES = {
+  NOT_FOUND: "Not found",
+  FORBIDDEN: "Permission denied",
+  RATE_LIMITED: "GitHub rate limit exceeded (graphql)"
+};
+
+async function githubGraphql(query, variables = {}) {
+  const response = await githubRequest('/graphql', { query, variables }, {}, 'POST');
+  if (response.errors && response.errors.length > 0) {
+    const prefix = GRAPHQL_ERROR_PREFIXES[response.errors[0].type] || "GitHub GraphQL error";
+    const error = new Error(`${prefix}: ${response.errors.map(e => e.message).join("; ")}`);
+    error.graphqlErrors = response.errors;
     throw error;
   }
+  return response.data;
 }
 
 // ============================================================================
@@ -384,6 +529,10 @@ const toolContext = {
   config,
   github,
   githubRequest,
+  githubGraphql,
+  archiveCache,
+  grepLimiter,
+  logger,
   // Validation functions
   assert,
   safeString,
@@ -399,615 +548,146 @@ const toolContext = {
   checkRateLimitCustom,
   // Audit logging
   auditLog,
+  // GitHub API quota (lib/rate-limit-governor.js via lib/github-client.js)
+  getRateLimitSnapshot: github.getRateLimitSnapshot,
+  recordRateLimitResources: github.recordRateLimitResources,
   // Helpers from prTools
   getChecksSummary: prTools.getChecksSummary,
   waitForMergeable: prTools.waitForMergeable,
   // Maps for rate limiting
   prRateLimiter,
-  prMergeRateLimiter
+  prMergeRateLimiter,
+  prReviewRateLimiter,
+  issueRateLimiter,
+  releaseRateLimiter,
+  actionsRateLimiter
 };
 
-// Wrap tool handlers to inject dependencies
+// Wrap tool handlers to inject dependencies; per-call extras (e.g. reportProgress)
+// are merged over the shared context
 function wrapToolHandler(handler) {
-  return async (args) => handler(args, toolContext);
+  return async (args, extras = {}) => handler(args, { ...toolContext, ...extras });
 }
 
-// Register read tools from lib/tools/read-tools.js
-toolRegistry.set("search", wrapToolHandler(readTools.handleSearch));
-toolRegistry.set("fetch", wrapToolHandler(readTools.handleFetch));
-toolRegistry.set("list_directory", wrapToolHandler(readTools.handleListDirectory));
-toolRegistry.set("read_file", wrapToolHandler(readTools.handleReadFile));
-toolRegistry.set("get_tree", wrapToolHandler(readTools.handleGetTree));
-toolRegistry.set("get_commits", wrapToolHandler(readTools.handleGetCommits));
-toolRegistry.set("get_branches", wrapToolHandler(readTools.handleGetBranches));
-
-// Register write tools from lib/tools/write-tools.js (only if enabled)
-if (config.prEnabled && config.prWhitelist.length > 0) {
-  toolRegistry.set("create_pull_request", wrapToolHandler(writeTools.handleCreatePullRequest));
-  toolRegistry.set("create_branch", wrapToolHandler(writeTools.handleCreateBranch));
-  toolRegistry.set("commit_files", wrapToolHandler(writeTools.handleCommitFiles));
+// Register every enabled tool from lib/tool-definitions.js
+for (const definition of toolDefinitions) {
+  if (definition.enabled(config)) {
+    toolRegistry.set(definition.name, wrapToolHandler(definition.handler));
+  }
 }
 
-// Register PR tools from lib/tools/pr-tools.js
-toolRegistry.set("list_pull_requests", wrapToolHandler(prTools.handleListPullRequests));
-toolRegistry.set("search_pull_requests", wrapToolHandler(prTools.handleSearchPullRequests));
-toolRegistry.set("get_pull_request", wrapToolHandler(prTools.handleGetPullRequest));
-toolRegistry.set("update_pull_request", wrapToolHandler(prTools.handleUpdatePullRequest));
-toolRegistry.set("merge_pull_request", wrapToolHandler(prTools.handleMergePullRequest));
-toolRegistry.set("get_pr_mergeability", wrapToolHandler(prTools.handleGetPRMergeability));
-toolRegistry.set("get_checks_for_sha", wrapToolHandler(prTools.handleGetChecksForSha));
+logger.info("Tool registry initialized", { tools: toolRegistry.size });
+
+// Prompt templates from templates/prompts/ (loaded once at startup)
+const promptTemplates = prompts.loadPromptTemplates(config.promptsDir);
+logger.info("Prompt templates loaded", { prompts: promptTemplates.size, dir: config.promptsDir });
+
+// Resource and prompt handlers from lib/resources.js and lib/prompts.js (share the tool context)
+const capabilityHandlers = new Map([
+  ["resources/list", resources.handleListResources],
+  ["resources/templates/list", resources.handleListResourceTemplates],
+  ["resources/read", resources.handleReadResource],
+  ["prompts/list", () => prompts.handleListPrompts(promptTemplates)],
+  ["prompts/get", (params, context) => prompts.handleGetPrompt(promptTemplates, params, context)]
+]);
 
-console.log(`✅ Tool registry initialized with ${toolRegistry.size} tools`);
+// Errors raised by resource/prompt handlers for bad client input
+const INVALID_PARAMS_ERROR = /^(Invalid resource URI|Unknown prompt|Invalid prompt arguments)/;
+
+// Handle resources/* and prompts/* methods, returning a JSON-RPC result or error message
+async function handleCapabilityRequest(id, method, params) {
+  try {
+    const result = await capabilityHandlers.get(method)(params || {}, toolContext);
+    return {
+      jsonrpc: "2.0",
+      id,
+      result
+    };
+  } catch (error) {
+    const code = INVALID_PARAMS_ERROR.test(error.message)
+      ? -32602
+      : classifyToolError(null, error.message);
+    return jsonRpcErrorMessage(id, code, error.message, { method });
+  }
+}
 
 // ============================================================================
 // MCP Request Handlers
 // ============================================================================
 
-// Shared MCP handler function
-const mcpHandler = async (req, res) => {
-  const safeReq = JSON.parse(JSON.stringify(req.body || {}));
-  if (safeReq?.params?.arguments?.body) {
-    safeReq.params.arguments.body = `[${String(safeReq.params.arguments.body).length} chars]`;
-  }
-  console.log("📨 MCP Request:", JSON.stringify(safeReq, null, 2));
+// Helper: Build a tool's reportProgress(progress, total, message) callback.
+// Sends notifications/progress when the caller asked for progress (params._meta.progressToken)
+// and the transport can deliver notifications; otherwise it does nothing.
+function createProgressReporter(params, notify) {
+  const progressToken = params?._meta?.progressToken;
+  if (progressToken === undefined || !notify) return () => {};
+  return (progress, total, text) => notify({
+    jsonrpc: "2.0",
+    method: "notifications/progress",
+    params: {
+      progressToken,
+      progress,
+      ...(total !== undefined && { total }),
+      ...(text && { message: text })
+    }
+  });
+}
 
+// Process one JSON-RPC message and return the response message.
+// Transport-independent: used by the JSON and SSE modes of /mcp and by stdio.
+// notify(message) sends a notification ahead of the response (SSE and stdio only).
+// signal is aborted when the client disconnects before the response is sent.
+async function processMcpMessage(message, { hasWriteAccess, notify, signal }) {
   try {
-    const { jsonrpc, method, params, id } = req.body;
+    const { method, params, id } = message;
 
     // Handle initialize method
     if (method === "initialize") {
-      return res.status(200).json({
+      return {
         jsonrpc: "2.0",
         id,
         result: {
           protocolVersion: "2025-06-18",
           capabilities: {
             tools: {},
-            resources: {}
+            resources: {},
+            prompts: {}
           },
           serverInfo: {
             name: "github-mcp-enhanced",
             version: "2.0.0"
           }
         }
-      });
+      };
     }
 
     // Handle initialized notification
     if (method === "notifications/initialized") {
-      return res.status(200).json({
+      return {
         jsonrpc: "2.0",
         result: "ok"
-      });
+      };
     }
 
-    // List all available tools
+    // List enabled tools; write tools only when the secret is provided in the path
     if (method === "tools/list") {
-      const result = {
+      return {
         jsonrpc: "2.0",
         id,
         result: {
-          tools: [
-            {
-              name: "search",
-              description: "Search GitHub repositories",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  query: {
-                    type: "string",
-                    description: "Search query for GitHub"
-                  }
-                },
-                required: ["query"]
-              }
-            },
-            {
-              name: "fetch",
-              description: "Fetch repository metadata and README",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository name (owner/repo)"
-                  }
-                },
-                required: ["repo"]
-              }
-            },
-            {
-              name: "list_directory",
-              description: "List contents of a directory in a repository",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository (owner/repo)"
-                  },
-                  path: {
-                    type: "string",
-                    description: "Directory path (e.g., 'src/components')"
-                  },
-                  branch: {
-                    type: "string",
-                    description: "Branch name"
-                  },
-                  ref: {
-                    type: "string",
-                    description: "Branch, tag, or commit SHA (alternative to branch)"
-                  }
-                },
-                required: ["repo"]
-              }
-            },
-            {
-              name: "read_file",
-              description: "Read contents of a specific file",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository (owner/repo)"
-                  },
-                  path: {
-                    type: "string",
-                    description: "File path (e.g., 'src/index.js')"
-                  },
-                  branch: {
-                    type: "string",
-                    description: "Branch name"
-                  },
-                  ref: {
-                    type: "string",
-                    description: "Branch, tag, or commit SHA (alternative to branch)"
-                  }
-                },
-                required: ["repo", "path"]
-              }
-            },
-            {
-              name: "get_tree",
-              description: "Get the full repository tree structure",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository (owner/repo)"
-                  },
-                  branch: {
-                    type: "string",
-                    description: "Branch name"
-                  },
-                  ref: {
-                    type: "string",
-                    description: "Branch, tag, or commit SHA (alternative to branch)"
-                  }
-                },
-                required: ["repo"]
-              }
-            },
-            {
-              name: "get_commits",
-              description: "Get recent commits for a repository",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository (owner/repo)"
-                  },
-                  path: {
-                    type: "string",
-                    description: "Optional path to filter commits"
-                  },
-                  branch: {
-                    type: "string",
-                    description: "Branch name"
-                  },
-                  ref: {
-                    type: "string",
-                    description: "Branch, tag, or commit SHA (alternative to branch)"
-                  },
-                  limit: {
-                    type: "number",
-                    description: "Number of commits to return (default: 10)"
-                  }
-                },
-                required: ["repo"]
-              }
-            },
-            {
-              name: "get_branches",
-              description: "List all branches in a repository",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository (owner/repo)"
-                  }
-                },
-                required: ["repo"]
-              }
-            },
-            {
-              name: "list_pull_requests",
-              description: "List pull requests in a repository",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository (owner/repo)"
-                  },
-                  state: {
-                    type: "string",
-                    description: "Filter by state: open, closed, all (default: open)"
-                  },
-                  base: {
-                    type: "string",
-                    description: "Filter by base branch"
-                  },
-                  head: {
-                    type: "string",
-                    description: "Filter by head branch"
-                  },
-                  limit: {
-                    type: "number",
-                    description: "Max results (default 30)"
-                  },
-                  page: {
-                    type: "number",
-                    description: "Page number (default 1)"
-                  }
-                },
-                required: ["repo"]
-              }
-            },
-            {
-              name: "search_pull_requests",
-              description: "Search for pull requests using GitHub's search API",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  query: {
-                    type: "string",
-                    description: "Search query (automatically prepends is:pr)"
-                  },
-                  repo: {
-                    type: "string",
-                    description: "Optional: limit to specific repo (owner/name format)"
-                  },
-                  limit: {
-                    type: "number",
-                    description: "Max results (default 30)"
-                  }
-                },
-                required: ["query"]
-              }
-            },
-            {
-              name: "get_pull_request",
-              description: "Get detailed information about a specific pull request",
-              inputSchema: {
-                type: "object",
-                properties: {
-                  repo: {
-                    type: "string",
-                    description: "Repository (owner/repo)"
-                  },
-                  prNumber: {
-                    type: "number",
-                    description: "Pull request number"
-                  },
-                  includeCommits: {
-                    type: "boolean",
-                    description: "Include commit list (default false)"
-                  },
-                  includeFiles: {
-                    type: "boolean",
-                    description: "Include changed files (default false)"
-                  },
-                  includeReviews: {
-                    type: "boolean",
-                    description: "Include reviews (default false)"
-                  }
-                },
-                required: ["repo", "prNumber"]
-              }
-            }
-          ]
+          tools: listTools(config, { includeWrite: hasWriteAccess })
         }
       };
-
-      // Add PR-related tools if enabled
-      if (config.prEnabled) {
-        const prTools = [
-          {
-            name: "create_pull_request",
-            description: "Create a pull request in a repository. Automatically checks for existing PRs to prevent duplicates. Can optionally create the head branch if missing and commit files before creating the PR",
-            inputSchema: {
-              type: "object",
-              properties: {
-                repo: {
-                  type: "string",
-                  description: "Repository in format owner/repo (e.g., 'octocat/hello-world')"
-                },
-                title: {
-                  type: "string",
-                  description: "Title of the pull request"
-                },
-                body: {
-                  type: "string",
-                  description: "Description/body of the pull request"
-                },
-                head: {
-                  type: "string",
-                  description: "The branch containing your changes (e.g., 'feature-branch')"
-                },
-                base: {
-                  type: "string",
-                  description: "The branch you want to merge into (default: repository's default branch)"
-                },
-                draft: {
-                  type: "boolean",
-                  description: "Create as draft PR (default: false)"
-                },
-                create_branch_if_missing: {
-                  type: "boolean",
-                  description: "Create the head branch if it doesn't exist (default: false)"
-                },
-                files: {
-                  type: "array",
-                  description: "Optional files to commit to the branch before creating PR",
-                  items: {
-                    type: "object",
-                    properties: {
-                      path: {
-                        type: "string",
-                        description: "File path relative to repo root"
-                      },
-                      content: {
-                        type: "string",
-                        description: "File content"
-                      },
-                      encoding: {
-                        type: "string",
-                        enum: ["utf8", "base64"],
-                        description: "Content encoding (default: utf8)"
-                      }
-                    },
-                    required: ["path", "content"]
-                  }
-                },
-                commit_message: {
-                  type: "string",
-                  description: "Commit message if files are provided (default: 'Add files for PR: [title]')"
-                }
-              },
-              required: ["repo", "title", "head"]
-            }
-          },
-          {
-            name: "create_branch",
-            description: "Create a new branch in a repository from an existing branch or commit. Returns success if branch already exists (idempotent)",
-            inputSchema: {
-              type: "object",
-              properties: {
-                repo: {
-                  type: "string",
-                  description: "Repository in format owner/repo (e.g., 'octocat/hello-world')"
-                },
-                branch: {
-                  type: "string",
-                  description: "Name for the new branch (e.g., 'feat/new-feature')"
-                },
-                from: {
-                  type: "string",
-                  description: "Source branch or commit SHA to branch from (defaults to repository's default branch)"
-                }
-              },
-              required: ["repo", "branch"]
-            }
-          },
-          {
-            name: "commit_files",
-            description: "Commit files to a branch in a repository",
-            inputSchema: {
-              type: "object",
-              properties: {
-                repo: {
-                  type: "string",
-                  description: "Repository in format owner/repo (e.g., 'octocat/hello-world')"
-                },
-                branch: {
-                  type: "string",
-                  description: "Branch to commit to"
-                },
-                message: {
-                  type: "string",
-                  description: "Commit message"
-                },
-                files: {
-                  type: "array",
-                  description: "Array of files to commit",
-                  items: {
-                    type: "object",
-                    properties: {
-                      path: {
-                        type: "string",
-                        description: "File path in repository"
-                      },
-                      content: {
-                        type: "string",
-                        description: "File content (base64 encoded if binary)"
-                      },
-                      encoding: {
-                        type: "string",
-                        description: "Content encoding: 'utf8' (default) or 'base64'",
-                        enum: ["utf8", "base64"]
-                      }
-                    },
-                    required: ["path", "content"]
-                  }
-                }
-              },
-              required: ["repo", "branch", "message", "files"]
-            }
-          }
-        ];
-
-        // Extend PR tools with update and, if enabled, merge
-        prTools.push({
-          name: "update_pull_request",
-          description: "Update a pull request: flip draft (ready-for-review), edit title/body/base/state, optionally add reviewers",
-          inputSchema: {
-            type: "object",
-            properties: {
-              repo: { type: "string", description: "Repository (owner/repo)" },
-              prNumber: { type: "number", description: "Pull request number" },
-              title: { type: "string", description: "New title" },
-              body: { type: "string", description: "New body/description" },
-              state: { type: "string", description: "PR state: open|closed" },
-              draft: { type: "boolean", description: "Set draft state (false to mark ready for review)" },
-              base: { type: "string", description: "Change base branch" },
-              maintainer_can_modify: { type: "boolean", description: "Allow maintainers to modify" },
-              reviewers: {
-                type: "array",
-                description: "Logins to request review from",
-                items: { type: "string" }
-              }
-            },
-            required: ["repo", "prNumber"]
-          }
-        });
-
-        if (config.prMergeEnabled) {
-          prTools.push({
-            name: "merge_pull_request",
-            description: "Merge a pull request after verifying mergeability and branch protections. Does not bypass protections.",
-            inputSchema: {
-              type: "object",
-              properties: {
-                repo: { type: "string", description: "Repository (owner/repo)" },
-                prNumber: { type: "number", description: "Pull request number" },
-                merge_method: { type: "string", enum: ["merge","squash","rebase"], description: "Merge strategy (default: squash)" },
-                commit_title: { type: "string", description: "Optional merge commit title" },
-                commit_message: { type: "string", description: "Optional merge commit message" },
-                sha: { type: "string", description: "Head SHA guard for safety (required to prevent race conditions)" },
-                delete_branch: { type: "boolean", description: "Delete head branch after successful merge (default: false)" }
-              },
-              required: ["repo", "prNumber", "sha"]
-            }
-          });
-        }
-
-        result.result.tools.push(...prTools);
-      }
-
-      // If PR creation is disabled, expose update/merge tools individually when enabled
-      if (!config.prEnabled) {
-        if (config.prMergeEnabled) {
-          result.result.tools.push({
-            name: "merge_pull_request",
-            description: "Merge a pull request if mergeable. Respects protections, flags, whitelist, and rate limits.",
-            inputSchema: {
-              type: "object",
-              properties: {
-                repo: { type: "string", description: "owner/name" },
-                prNumber: { type: "integer" },
-                merge_method: { type: "string", enum: ["merge","squash","rebase"], default: "squash" },
-                sha: { type: "string", description: "Head SHA guard for safety (required)" },
-                commit_title: { type: "string", maxLength: 256 },
-                commit_message: { type: "string", maxLength: 5000 },
-                delete_branch: { type: "boolean", default: false }
-              },
-              required: ["repo", "prNumber", "sha"]
-            }
-          });
-        }
-        if (config.prUpdateEnabled) {
-          result.result.tools.push({
-            name: "update_pull_request",
-            description: "Update PR metadata or reviewers.",
-            inputSchema: {
-              type: "object",
-              properties: {
-                repo: { type: "string" },
-                prNumber: { type: "integer" },
-                title: { type: "string", maxLength: 256 },
-                body: { type: "string", maxLength: 5000 },
-                state: { type: "string", enum: ["open","closed"] },
-                draft: { type: "boolean" },
-                base: { type: "string" },
-                maintainer_can_modify: { type: "boolean" },
-                reviewers: { type: "array", items: { type: "string" } }
-              },
-              required: ["repo","prNumber"]
-            }
-          });
-        }
-      }
-
-      // Read helpers are always exposed
-      result.result.tools.push(
-        {
-          name: "get_pr_mergeability",
-          description: "Fetch PR mergeability, state, and checks summary.",
-          inputSchema: {
-            type: "object",
-            properties: {
-              repo: { type: "string", description: "owner/name" },
-              prNumber: { type: "integer", description: "Pull request number" }
-            },
-            required: ["repo", "prNumber"]
-          }
-        },
-        {
-          name: "get_checks_for_sha",
-          description: "Get combined statuses and check runs for a commit SHA.",
-          inputSchema: {
-            type: "object",
-            properties: {
-              repo: { type: "string", description: "owner/name" },
-              sha: { type: "string", description: "Commit SHA (at least 7 characters)" }
-            },
-            required: ["repo", "sha"]
-          }
-        }
-      );
-
-      // Filter write tools if secret not provided in path
-      const hasWriteAccess = req.params.secret && req.params.secret === config.mcpWriteSecret;
-      if (!hasWriteAccess) {
-        result.result.tools = result.result.tools.filter(tool => !isWriteTool(tool.name));
-      }
-
-      return res.json(result);
     }
 
-    // Helper to classify tool errors to JSON-RPC codes (HTTP 200 always)
-    function classifyToolError(name, errMsg) {
-      const msg = String(errMsg || "").toLowerCase();
-      // Specific merge semantics
-      if (name === "merge_pull_request") {
-        if (msg.includes("head sha mismatch")) return -32006; // stale SHA guard
-        if (msg.includes("pr not mergeable")) return -32005;   // dirty/protections
-      }
-      // Existing families
-      if (msg.includes("status code 403") || msg.includes("permission denied")) return -32001;
-      if (msg.includes("status code 404") || msg.includes("not found")) return -32002;
-      if (msg.includes("status code 422") || msg.includes("validation")) return -32003;
-      if (msg.includes("rate limit")) return -32004;
-      return -32603; // internal
+    // Resources (github:// repository files and trees) and prompts
+    if (capabilityHandlers.has(method)) {
+      return handleCapabilityRequest(id, method, params);
     }
 
     // Handle tool calls
     if (method === "tools/call") {
+      const startedAt = process.hrtime.bigint();
       try {
         const { name, arguments: args } = params;
 
@@ -1015,11 +695,11 @@ const mcpHandler = async (req, res) => {
         const validation = validateToolParams(name, args || {});
         if (!validation.valid) {
           const errorMessage = formatValidationErrors(validation.errors);
-          console.error(`❌ Schema validation failed for tool "${name}":`, errorMessage);
-          return jsonRpcError(res, id, -32602, errorMessage, {
+          recordToolCall(name, startedAt, -32602);
+          return jsonRpcErrorMessage(id, -32602, errorMessage, {
             tool: name,
             validation_errors: validation.errors
-          });
+          }, { args });
         }
 
         // Use tool registry for cleaner code organization
@@ -1027,41 +707,146 @@ const mcpHandler = async (req, res) => {
 
         if (!toolHandler) {
           // Return HTTP 200 with JSON-RPC error (not 404) to prevent transport failures
-          return jsonRpcError(res, id, -32601, `Unknown tool: ${name}`, { tool: name });
+          const errorMessage = getToolDefinition(name) ? `Tool disabled: ${name}` : `Unknown tool: ${name}`;
+          recordToolCall(name, startedAt, -32601);
+          return jsonRpcErrorMessage(id, -32601, errorMessage, { tool: name }, { args });
         }
 
         // Execute tool handler and return result
-        const result = await toolHandler(args);
+        const result = await toolHandler(args, { reportProgress: createProgressReporter(params, notify), signal });
+        recordToolCall(name, startedAt);
 
-        return res.status(200).json({
+        return {
           jsonrpc: "2.0",
           id,
           result
-        });
+        };
 
       } catch (error) {
-        console.error("❌ Tool execution error:", error.message);
         const code = classifyToolError(params?.name, error.message);
-        return res.status(200).json({
-          jsonrpc: "2.0",
-          id,
-          error: {
-            code,
-            message: `Invalid params: ${error.message}`,
-            data: { tool: params?.name, timestamp: new Date().toISOString() }
-          }
-        });
+        recordToolCall(params?.name, startedAt, code);
+        return jsonRpcErrorMessage(id, code, `Invalid params: ${error.message}`, {
+          tool: params?.name,
+          ...(error.rateLimit && { rate_limit: error.rateLimit })
+        }, { args: params?.arguments, error });
       }
     }
 
     // Unknown method - return HTTP 200 with JSON-RPC error
-    return jsonRpcError(res, id, -32601, `Method not found: ${method}`, { method });
+    return jsonRpcErrorMessage(id, -32601, `Method not found: ${method}`, { method });
 
   } catch (error) {
-    console.error("❌ Error:", error.message);
     // Return HTTP 200 with JSON-RPC error to prevent transport failures
-    return jsonRpcError(res, req.body?.id || null, -32603, `Internal error: ${error.message}`, {});
+    return jsonRpcErrorMessage(message?.id || null, -32603, `Internal error: ${error.message}`, {});
+  }
+}
+
+// Streamable HTTP sessions (Mcp-Session-Id), see lib/streamable-http.js
+const sessions = createSessionStore({ ttlMs: config.mcpSessionTtl, maxSessions: config.mcpMaxSessions });
+setInterval(() => sessions.sweep(), 60 * 1000).unref();
+
+// Helper: Reject a request at the transport level (non-200 status, JSON-RPC error body)
+function transportError(res, status, id, message) {
+  return res.status(status).json(jsonRpcErrorMessage(id ?? null, -32600, message, {}));
+}
+
+// Helper: Resolve the session named by the Mcp-Session-Id header.
+// Returns the session, undefined when no header was sent and none is required,
+// or null after replying 400 (missing but required) or 404 (unknown or expired).
+function requireSession(req, res, { required }) {
+  const sessionId = req.get("Mcp-Session-Id");
+  if (!sessionId) {
+    if (required) transportError(res, 400, req.body?.id, "Bad Request: Mcp-Session-Id header is required");
+    return required ? null : undefined;
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session) {
+    // 404 tells the client to start a new session with initialize
+    transportError(res, 404, req.body?.id, "Session not found: send a new initialize request");
+    return null;
+  }
+  return session;
+}
+
+// POST /mcp: JSON-RPC messages. Answers with JSON, or with an SSE stream when the
+// client accepts text/event-stream. Sessions are optional so plain JSON clients keep working.
+const mcpHandler = async (req, res) => {
+  const message = req.body || {};
+  logRpcRequest("MCP request", message);
+
+  const protocolVersion = req.get("MCP-Protocol-Version");
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    return transportError(res, 400, message.id, `Unsupported MCP-Protocol-Version: ${protocolVersion}`);
   }
+
+  let session;
+  if (message.method === "initialize") {
+    session = sessions.create();
+    res.set("Mcp-Session-Id", session.id);
+  } else {
+    session = requireSession(req, res, { required: false });
+    if (session === null) return;
+  }
+
+  const hasWriteAccess = !!req.params.secret && req.params.secret === config.mcpWriteSecret;
+
+  // Long-running tools (wait_for_checks) stop when the client goes away before the response
+  const disconnected = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) disconnected.abort();
+  });
+
+  // Notifications and client responses carry no id: acknowledge with 202 in session mode
+  if (message.id === undefined) {
+    const response = await processMcpMessage(message, { hasWriteAccess });
+    return session ? res.status(202).end() : res.status(200).json(response);
+  }
+
+  if (acceptsEventStream(req)) {
+    const stream = sessions.openStream(res, session || null);
+    const response = await processMcpMessage(message, {
+      hasWriteAccess,
+      notify: (notification) => sessions.sendEvent(stream, notification),
+      signal: disconnected.signal
+    });
+    sessions.sendEvent(stream, response);
+    sessions.closeStream(stream);
+    return;
+  }
+
+  return res.status(200).json(await processMcpMessage(message, { hasWriteAccess, signal: disconnected.signal }));
+};
+
+// GET /mcp: standalone SSE stream for server-initiated messages, or resumption
+// of an interrupted stream with Last-Event-ID
+const mcpStreamHandler = (req, res) => {
+  if (!acceptsEventStream(req)) {
+    return transportError(res, 406, null, "Not Acceptable: GET requires Accept: text/event-stream");
+  }
+
+  const session = requireSession(req, res, { required: true });
+  if (!session) return;
+
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId) {
+    if (!sessions.resumeStream(session, lastEventId, res)) {
+      return transportError(res, 400, null, `Unknown Last-Event-ID: ${lastEventId}`);
+    }
+    return;
+  }
+
+  sessions.openStream(res, session, { standalone: true });
+};
+
+// DELETE /mcp: terminate the session
+const mcpDeleteHandler = (req, res) => {
+  const session = requireSession(req, res, { required: true });
+  if (!session) return;
+
+  sessions.remove(session.id);
+  logger.info("MCP session terminated", { session_id: session.id });
+  return res.status(204).end();
 };
 
 // MCP endpoint routing
@@ -1069,6 +854,10 @@ const mcpHandler = async (req, res) => {
 // /mcp/:secret for write operations (when MCP_WRITE_SECRET is configured)
 app.post("/mcp", authRequired, validateWriteSecret, mcpHandler);
 app.post("/mcp/:secret", authRequired, validateWriteSecret, mcpHandler);
+app.get("/mcp", authRequired, mcpStreamHandler);
+app.get("/mcp/:secret", authRequired, mcpStreamHandler);
+app.delete("/mcp", authRequired, mcpDeleteHandler);
+app.delete("/mcp/:secret", authRequired, mcpDeleteHandler);
 
 // Enhanced health check
 app.get("/health", (req, res) => {
@@ -1082,13 +871,20 @@ app.get("/health", (req, res) => {
       version: "2.0.0",
       capabilities: {
         tools: Array.from(toolRegistry.keys()),
-        cache_enabled: cache.size >= 0,
+        cache_enabled: true,
+        cache_entries: etagCache.size,
+        cache_bytes: etagCache.bytes,
+        github_rate_limit: github.getRateLimitSnapshot(),
         github_token: !!config.githubToken
       },
       config: {
         prEnabled: config.prEnabled,
         prMergeEnabled: config.prMergeEnabled,
         prUpdateEnabled: config.prUpdateEnabled,
+        prReviewEnabled: config.prReviewEnabled,
+        issuesEnabled: config.issuesEnabled,
+        releasesEnabled: config.releasesEnabled,
+        actionsEnabled: config.actionsEnabled,
         prWhitelist: config.prWhitelist
       }
     };
@@ -1103,6 +899,12 @@ app.get("/health", (req, res) => {
   }
 });
 
+// Prometheus metrics (tool calls, GitHub API traffic, cache, write rate limiters)
+app.get("/metrics", (req, res) => {
+  res.set("Content-Type", "text/plain; version=0.0.4; charset=utf-8");
+  res.status(200).send(metrics.registry.render());
+});
+
 // Version endpoint with commit info
 app.get("/version", (req, res) => {
   const startTime = process.hrtime.bigint();
@@ -1159,16 +961,16 @@ app.get("/sse", (req, res) => {
     // Clean up on client disconnect
     req.on("close", () => {
       clearInterval(interval);
-      console.log("🔌 SSE client disconnected");
+      logger.info("SSE client disconnected");
     });
 
     req.on("error", (error) => {
-      console.error("❌ SSE connection error:", error.message);
+      logger.warn("SSE connection error", { error: error.message });
       clearInterval(interval);
     });
 
   } catch (error) {
-    console.error("❌ SSE setup error:", error.message);
+    logger.error("SSE setup error", { error: error.message });
     if (!res.headersSent) {
       res.status(500).json({
         error: "SSE connection failed",
@@ -1179,12 +981,9 @@ app.get("/sse", (req, res) => {
 });
 
 // SSE endpoint for MCP messages - streamlined handler
-app.post("/sse", async (req, res) => {
-  const safeReq = JSON.parse(JSON.stringify(req.body || {}));
-  if (safeReq?.params?.arguments?.body) {
-    safeReq.params.arguments.body = `[${String(safeReq.params.arguments.body).length} chars]`;
-  }
-  console.log("📨 SSE MCP Request:", JSON.stringify(safeReq, null, 2));
+// Write tools are refused here: the write secret is only accepted on /mcp/<SECRET>
+app.post("/sse", validateWriteSecret, async (req, res) => {
+  logRpcRequest("SSE MCP request", req.body || {});
 
   try {
     // Validate JSON-RPC request structure
@@ -1210,7 +1009,8 @@ app.post("/sse", async (req, res) => {
           protocolVersion: "2025-06-18",
           capabilities: {
             tools: {},
-            resources: {}
+            resources: {},
+            prompts: {}
           },
           serverInfo: {
             name: "github-mcp-enhanced",
@@ -1228,55 +1028,49 @@ app.post("/sse", async (req, res) => {
       });
     }
 
-    // List all available tools
+    // List enabled read tools (the SSE endpoint has no write secret path)
     if (method === "tools/list") {
       return res.status(200).json({
         jsonrpc: "2.0",
         id,
         result: {
-          tools: Array.from(toolRegistry.keys()).map(name => ({
-            name,
-            description: `GitHub tool: ${name}`,
-            inputSchema: { type: "object" }
-          }))
+          tools: listTools(config)
         }
       });
     }
 
-    // Helper to classify tool errors to JSON-RPC codes (HTTP 200 always)
-    function classifyToolError(name, errMsg) {
-      const msg = String(errMsg || "").toLowerCase();
-      if (name === "merge_pull_request") {
-        if (msg.includes("head sha mismatch")) return -32006;
-        if (msg.includes("pr not mergeable")) return -32005;
-      }
-      if (msg.includes("status code 403") || msg.includes("permission denied")) return -32001;
-      if (msg.includes("status code 404") || msg.includes("not found")) return -32002;
-      if (msg.includes("status code 422") || msg.includes("validation")) return -32003;
-      if (msg.includes("rate limit")) return -32004;
-      return -32603;
+    // Resources (github:// repository files and trees) and prompts
+    if (capabilityHandlers.has(method)) {
+      return res.status(200).json(await handleCapabilityRequest(id, method, params));
     }
 
     // Handle tool calls using registry
     if (method === "tools/call") {
       const { name, arguments: args } = params;
+      const startedAt = process.hrtime.bigint();
+
+      // Validate tool parameters with the same JSON Schema as /mcp
+      const validation = validateToolParams(name, args || {});
+      if (!validation.valid) {
+        recordToolCall(name, startedAt, -32602);
+        return jsonRpcError(res, id, -32602, formatValidationErrors(validation.errors), {
+          tool: name,
+          validation_errors: validation.errors
+        }, { args });
+      }
+
       const toolHandler = toolRegistry.get(name);
 
       if (!toolHandler) {
-        return res.status(200).json({
-          jsonrpc: "2.0",
-          id,
-          error: {
-            code: -32601,
-            message: `Unknown tool: ${name}`,
-            data: { tool: name, timestamp: new Date().toISOString() }
-          }
-        });
+        recordToolCall(name, startedAt, -32601);
+        const errorMessage = getToolDefinition(name) ? `Tool disabled: ${name}` : `Unknown tool: ${name}`;
+        return jsonRpcError(res, id, -32601, errorMessage, { tool: name }, { args });
       }
 
       // Execute tool and return result
       try {
         const result = await toolHandler(args);
+        recordToolCall(name, startedAt);
         return res.status(200).json({
           jsonrpc: "2.0",
           id,
@@ -1284,28 +1078,19 @@ app.post("/sse", async (req, res) => {
         });
       } catch (toolError) {
         // GitHub API errors should be returned as proper JSON-RPC errors, not 500s
-        console.error(`❌ Tool '${name}' error:`, toolError.message);
-
         // Classify to JSON-RPC error code (HTTP 200)
         const errorCode = classifyToolError(name, toolError.message);
-        const statusCode = 200;
+        recordToolCall(name, startedAt, errorCode);
 
-        return res.status(statusCode).json({
-          jsonrpc: "2.0",
-          id,
-          error: {
-            code: errorCode,
-            message: toolError.message,
-            data: {
-              tool: name,
-              timestamp: new Date().toISOString()
-            }
-          }
-        });
+        return jsonRpcError(res, id, errorCode, toolError.message, {
+          tool: name,
+          ...(toolError.rateLimit && { rate_limit: toolError.rateLimit })
+        }, { args, error: toolError });
       }
     }
 
     // Unknown method
+    logJsonRpcError(-32601, `Method not found: ${method}`, { tool: method });
     return res.status(501).json({
       jsonrpc: "2.0",
       id,
@@ -1316,7 +1101,7 @@ app.post("/sse", async (req, res) => {
     });
 
   } catch (error) {
-    console.error("❌ SSE Error:", error.message);
+    logJsonRpcError(-32603, `Internal error: ${error.message}`, { error });
     return res.status(500).json({
       jsonrpc: "2.0",
       id: req.body?.id || null,
@@ -1329,53 +1114,54 @@ app.post("/sse", async (req, res) => {
 });
 
 // Only start server if not being required as a module
-if (require.main === module) {
+if (require.main === module && stdioMode) {
+  // Local subprocess: the user owns the process and its PAT, so write tools are
+  // available without the path secret (still gated by their feature flags and whitelist)
+  logger.info("GitHub MCP Enhanced v2.0 running on stdio");
+  runStdioTransport({
+    processMessage: (message, { notify }) => logger.withContext({ request_id: crypto.randomUUID() }, () => {
+      logRpcRequest("MCP request", message);
+      return processMcpMessage(message, { hasWriteAccess: true, notify });
+    })
+  }).then(() => process.exit(0));
+} else if (require.main === module) {
   const port = process.env.PORT || 8788;
   app.listen(port, () => {
-    console.log("═══════════════════════════════════════════");
-    console.log("✅ GitHub MCP Enhanced v2.0 Running");
-    console.log(`📍 URL: http://localhost:${port}/mcp`);
-    console.log(`📍 SSE: http://localhost:${port}/sse`);
-    console.log("═══════════════════════════════════════════");
-    console.log("");
-    console.log("🚀 Enhanced Tools Available:");
-    console.log("  • search - Search repositories");
-    console.log("  • fetch - Get repo metadata");
-    console.log("  • list_directory - Browse folders");
-    console.log("  • read_file - Read file contents");
-    console.log("  • get_tree - Full repo structure");
-    console.log("  • get_commits - Commit history");
-    console.log("  • get_branches - List branches");
-    console.log("");
+    logger.info("GitHub MCP Enhanced v2.0 running", {
+      url: `http://localhost:${port}/mcp`,
+      sse: `http://localhost:${port}/sse`,
+      metrics: `http://localhost:${port}/metrics`,
+      tools: Array.from(toolRegistry.keys())
+    });
   }).on('error', (err) => {
     if (err.code === 'EADDRINUSE') {
-      console.error(`❌ Port ${port} is already in use. Please close the other process or use a different port.`);
+      logger.error(`Port ${port} is already in use. Please close the other process or use a different port.`);
       process.exit(1);
     } else {
-      console.error('❌ Server error:', err);
+      logger.error("Server error", { error: err.message });
     }
   });
 }
 
 // Add global error handlers
 process.on('uncaughtException', (error) => {
-  console.error('❌ Uncaught Exception:', error);
+  logger.error("Uncaught exception", { error: error.message, stack: error.stack });
   // Don't exit - try to recover
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('❌ Unhandled Rejection at:', promise, 'reason:', reason);
+  logger.error("Unhandled rejection", { error: reason instanceof Error ? reason.message : String(reason) });
   // Don't exit - try to recover
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('⚠️ SIGTERM received, shutting down gracefully...');
+  logger.info("SIGTERM received, shutting down gracefully");
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
-  console.log('\n⚠️ SIGINT received, shutting down gracefully...');
+  logger.info("SIGINT received, shutting down gracefully");
   process.exit(0);
 });
 
@@ -0,0 +1,142 @@
+/**
+ * ETag Cache Module
+ *
+ * Conditional-request cache for GitHub GET responses. Entries hold the
+ * response body with its ETag / Last-Modified validators; every lookup is
+ * revalidated with If-None-Match / If-Modified-Since, so data is never
+ * stale and 304 responses do not count against the GitHub rate limit.
+ *
+ * Entries are keyed on method + URL + query params + Accept header and
+ * evicted least-recently-used once maxSize entries or maxBytes are reached.
+ * Responses larger than maxEntryBytes (e.g. large git blobs) are not cached.
+ *
+ * @module lib/etag-cache
+ */
+
+/**
+ * Build a cache key for a request
+ * @param {string} method - HTTP method
+ * @param {string} url - Endpoint path
+ * @param {Object} [params={}] - Query parameters (order-insensitive)
+ * @param {string} [accept=""] - Accept header (raw vs JSON responses differ)
+ * @returns {string} Cache key
+ */
+function getCacheKey(method, url, params = {}, accept = "") {
+  const query = Object.keys(params)
+    .filter(key => params[key] !== undefined)
+    .sort()
+    .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(String(params[key]))}`)
+    .join("&");
+  return `${method.toUpperCase()} ${url}?${query} accept=${accept}`;
+}
+
+/**
+ * Estimate the memory held by a response body
+ * @param {*} data - Response body (string, Buffer or parsed JSON)
+ * @returns {number} Size in bytes
+ */
+function estimateSize(data) {
+  if (Buffer.isBuffer(data)) return data.length;
+  if (typeof data === "string") return Buffer.byteLength(data, "utf8");
+  return Buffer.byteLength(JSON.stringify(data) ?? "", "utf8");
+}
+
+/**
+ * Create an LRU cache of validated GitHub responses
+ * @param {Object} options
+ * @param {number} options.maxSize - Maximum number of entries
+ * @param {number} [options.maxBytes=Infinity] - Total size budget for cached bodies
+ * @param {number} [options.maxEntryBytes=maxBytes] - Bodies larger than this are not cached
+ * @returns {Object} Cache with get/set/clear, size and bytes
+ */
+function createEtagCache({ maxSize, maxBytes = Infinity, maxEntryBytes = maxBytes }) {
+  const entries = new Map();
+  let totalBytes = 0;
+
+  /**
+   * Remove an entry and release its bytes
+   * @param {string} key - Cache key
+   */
+  function evict(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.size;
+    entries.delete(key);
+  }
+
+  /**
+   * Look up an entry and mark it most recently used
+   * @param {string} key - Cache key
+   * @returns {Object|undefined} Entry {data, etag, lastModified}
+   */
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Store a response if it has a validator
+   * @param {string} key - Cache key
+   * @param {Object} response - Response parts
+   * @param {*} response.data - Response body
+   * @param {string} [response.etag] - ETag header
+   * @param {string} [response.lastModified] - Last-Modified header
+   * @param {number} [response.size] - Body size in bytes (e.g. Content-Length); estimated if omitted
+   * @returns {boolean} True if stored
+   */
+  function set(key, { data, etag, lastModified, size }) {
+    if (!etag && !lastModified) return false;
+
+    // A known oversized body is skipped before it is serialized to measure it
+    if (size !== undefined && size > maxEntryBytes) {
+      evict(key);
+      return false;
+    }
+    const bytes = estimateSize(data);
+    evict(key);
+    if (bytes > maxEntryBytes) return false;
+
+    entries.set(key, { data, etag, lastModified, size: bytes });
+    totalBytes += bytes;
+    while (entries.size > maxSize || totalBytes > maxBytes) {
+      evict(entries.keys().next().value);
+    }
+    return true;
+  }
+
+  /**
+   * Conditional headers for revalidating an entry
+   * @param {Object} entry - Cache entry
+   * @returns {Object} If-None-Match / If-Modified-Since headers
+   */
+  function conditionalHeaders(entry) {
+    const headers = {};
+    if (entry.etag) headers["If-None-Match"] = entry.etag;
+    if (entry.lastModified) headers["If-Modified-Since"] = entry.lastModified;
+    return headers;
+  }
+
+  return {
+    get,
+    set,
+    conditionalHeaders,
+    clear: () => {
+      entries.clear();
+      totalBytes = 0;
+    },
+    get size() {
+      return entries.size;
+    },
+    get bytes() {
+      return totalBytes;
+    }
+  };
+}
+
+module.exports = {
+  getCacheKey,
+  createEtagCache
+};
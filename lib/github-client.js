@@ -4,6 +4,8 @@
  * Provides a configured axios instance with:
  * - Authentication via GitHub PAT
  * - Exponential backoff retry logic (1s → 2s → 4s)
+ * - Rate limit governor: quota tracking, throttling and secondary limit handling
+ * - Request and retry metrics (lib/metrics.js)
  * - Standard GitHub API headers
  * - Timeout configuration
  *
@@ -12,6 +14,9 @@
 
 const axios = require("axios");
 const axiosRetry = require("axios-retry").default;
+const { createRateLimitGovernor, resourceForUrl, tokenKey } = require("./rate-limit-governor");
+const { metrics, endpointTemplate } = require("./metrics");
+const { logger } = require("./logger");
 
 /**
  * Configuration for GitHub API client
@@ -19,7 +24,10 @@ const axiosRetry = require("axios-retry").default;
 const config = {
   githubToken: process.env.GITHUB_PAT || process.env.GITHUB_TOKEN || "",
   githubApiTimeout: parseInt(process.env.GITHUB_API_TIMEOUT || "30000", 10),
-  githubRetryAttempts: parseInt(process.env.GITHUB_RETRY_ATTEMPTS || "3", 10)
+  githubRetryAttempts: parseInt(process.env.GITHUB_RETRY_ATTEMPTS || "3", 10),
+  rateLimitLowWatermark: parseInt(process.env.GITHUB_RATE_LIMIT_LOW_WATERMARK || "100", 10),
+  rateLimitMaxDelay: parseInt(process.env.GITHUB_RATE_LIMIT_MAX_DELAY || "10000", 10),
+  rateLimitMaxWait: parseInt(process.env.GITHUB_RATE_LIMIT_MAX_WAIT || "60000", 10)
 };
 
 /**
@@ -35,24 +43,115 @@ const github = axios.create({
   }
 });
 
+/**
+ * Rate limit governor shared by all requests made with this client
+ */
+const rateLimitGovernor = createRateLimitGovernor({
+  lowWatermark: config.rateLimitLowWatermark,
+  maxDelayMs: config.rateLimitMaxDelay,
+  maxWaitMs: config.rateLimitMaxWait
+});
+
+/**
+ * Token fingerprint for the configured PAT (quota is tracked per token)
+ */
+const defaultTokenKey = tokenKey(github.defaults.headers.Authorization);
+
+/**
+ * Current quota for the configured PAT
+ * @returns {Object} Quota per resource and throttling state
+ */
+function getRateLimitSnapshot() {
+  return rateLimitGovernor.snapshot(defaultTokenKey);
+}
+
+/**
+ * Record quota for the configured PAT from a GET /rate_limit body
+ * @param {Object} resources - body.resources
+ */
+function recordRateLimitResources(resources) {
+  rateLimitGovernor.recordRateLimitBody(defaultTokenKey, resources);
+}
+
+/**
+ * Count a completed GitHub API request (every attempt, so retries are included)
+ * @param {Object} requestConfig - Axios request config
+ * @param {number|string} status - HTTP status, or "error" when no response was received
+ */
+function recordRequestMetric(requestConfig, status) {
+  metrics.githubRequests.inc({
+    method: String(requestConfig.method || "get").toUpperCase(),
+    endpoint: endpointTemplate(requestConfig.url),
+    status
+  });
+}
+
+/**
+ * Rate limit interceptors (registered before axios-retry so limits are
+ * recorded before retry decisions are made)
+ * - Request: wait or fail according to remaining quota
+ * - Response: record X-RateLimit-* headers
+ * - Error: record 403/429 rate limits and rewrite them as rate limit errors
+ */
+github.interceptors.request.use(async (requestConfig) => {
+  // GET /rate_limit is free and must keep working when the quota is exhausted
+  if (requestConfig.url === "/rate_limit") return requestConfig;
+  requestConfig.rateLimitKey = tokenKey(requestConfig.headers?.Authorization || github.defaults.headers.Authorization);
+  requestConfig.rateLimitResource = resourceForUrl(requestConfig.url);
+  await rateLimitGovernor.beforeRequest(requestConfig.rateLimitKey, requestConfig.rateLimitResource);
+  return requestConfig;
+});
+
+github.interceptors.response.use(
+  (response) => {
+    recordRequestMetric(response.config, response.status);
+    if (!response.config.rateLimitKey) return response;
+    rateLimitGovernor.recordHeaders(response.config.rateLimitKey, response.config.rateLimitResource, response.headers);
+    return response;
+  },
+  (error) => {
+    if (error.config) recordRequestMetric(error.config, error.response?.status || "error");
+    if (error.config?.rateLimitKey && error.response) {
+      error.rateLimitInfo = rateLimitGovernor.recordError(error.config.rateLimitKey, error.config.rateLimitResource, error);
+    }
+    return Promise.reject(error);
+  }
+);
+
 /**
  * Configure axios-retry with exponential backoff
  * - Retries on network errors and 5xx status codes
+ * - Retries secondary rate limits when Retry-After is short (the delay honours Retry-After)
+ * - Never retries responses rejected for exceeding maxContentLength
  * - Exponential delay: 1s → 2s → 4s
- * - Logs retry attempts for debugging
+ * - Logs and counts retry attempts
  */
 axiosRetry(github, {
   retries: config.githubRetryAttempts,
   retryDelay: axiosRetry.exponentialDelay,
   retryCondition: (error) => {
+    // Retry secondary rate limits that clear soon; primary limits wait for the reset
+    if (error.rateLimitInfo) {
+      return error.rateLimitInfo.secondary && error.rateLimitInfo.retryAfterMs <= config.rateLimitMaxWait;
+    }
+    // Responses over a request's maxContentLength (archive downloads) won't shrink on retry
+    if (/maxContentLength/.test(error.message)) return false;
     // Retry on network errors or 5xx status codes
     return axiosRetry.isNetworkOrIdempotentRequestError(error) ||
            (error.response && error.response.status >= 500 && error.response.status <= 599);
   },
   onRetry: (retryCount, error, requestConfig) => {
-    console.log(`🔄 Retrying GitHub API request (attempt ${retryCount}/${config.githubRetryAttempts}): ${error.message}`);
+    metrics.githubRetries.inc({ endpoint: endpointTemplate(requestConfig.url) });
+    logger.warn("Retrying GitHub API request", {
+      attempt: retryCount,
+      max_attempts: config.githubRetryAttempts,
+      endpoint: requestConfig.url,
+      error: error.message
+    });
   },
   shouldResetTimeout: true
 });
 
 module.exports = github;
+module.exports.getRateLimitSnapshot = getRateLimitSnapshot;
+module.exports.recordRateLimitResources = recordRateLimitResources;
@@ -0,0 +1,193 @@
+/**
+ * Logger Module
+ *
+ * One-line JSON log records with level filtering and per-request
+ * correlation IDs:
+ *
+ *   {"time":"...","level":"info","msg":"GitHub request","request_id":"...","method":"GET",...}
+ *
+ * - Levels: debug < info < warn < error (LOG_LEVEL, default info)
+ * - Correlation: fields set with withContext() (request_id for HTTP requests
+ *   and stdio messages) are added to every record logged inside the callback,
+ *   including from async work it starts
+ * - Redaction: tokens, secrets and authorization values become "[REDACTED]";
+ *   file contents and PR/issue bodies are replaced by their length
+ * - Output: debug/info via console.log, warn/error via console.error, so
+ *   stdio mode (console redirected to stderr) keeps stdout protocol-only
+ *
+ * @module lib/logger
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Numeric severity per level
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+/**
+ * Keys whose values are never logged
+ */
+const SENSITIVE_KEY = /token|secret|password|passwd|authorization|cookie|api[-_]?key|^pat$/i;
+
+/**
+ * Keys holding file contents or free text, logged as their length only
+ */
+const CONTENT_KEY = /^(content|contents|body|patch|diff|text|encoded)$/i;
+
+/**
+ * GitHub tokens and bearer credentials embedded in strings
+ */
+const TOKEN_PATTERN = /\b(gh[pousr]_[A-Za-z0-9]{20,}|github_pat_[A-Za-z0-9_]{20,})\b|\bBearer\s+[^\s"']+/g;
+
+const REDACTED = "[REDACTED]";
+
+/**
+ * Format the jsonrpc_error line documented in ERROR_CODES.md
+ * @param {Object} fields
+ * @param {string} [fields.tool] - Tool name (or method for non-tool errors)
+ * @param {number} fields.code - JSON-RPC error code
+ * @param {string} [fields.repo] - owner/repo
+ * @param {number|string} [fields.pr] - PR or issue number
+ * @param {string} [fields.sha] - Commit SHA
+ * @param {string} [fields.state] - PR mergeable_state
+ * @param {string} fields.message - Error message
+ * @returns {string} jsonrpc_error line
+ */
+function formatJsonRpcError({ tool, code, repo, pr, sha, state, message }) {
+  const value = (field) => (field === undefined || field === null || field === "" ? "-" : String(field));
+  const msg = String(message || "").replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\r?\n/g, " ");
+  return `jsonrpc_error tool=${value(tool)} code=${code} repo=${value(repo)} pr=${value(pr)} sha=${value(sha)} state=${value(state)} msg="${msg}"`;
+}
+
+/**
+ * Create a logger
+ * @param {Object} [options]
+ * @param {string} [options.level="info"] - Minimum level to emit
+ * @param {string[]} [options.secrets=[]] - Exact values to scrub from every string
+ * @param {Function} [options.write] - (line, level) => void; defaults to console.log/console.error
+ * @returns {Object} Logger
+ */
+function createLogger({ level = "info", secrets = [], write } = {}) {
+  const storage = new AsyncLocalStorage();
+  let minimum = LEVELS[level] ?? LEVELS.info;
+  // Very short values would scrub ordinary words; the path secret is masked separately in access logs
+  const usableSecrets = (values) => values.filter(value => typeof value === "string" && value.length >= 8);
+  let secretValues = usableSecrets(secrets);
+
+  const output = write || ((line, recordLevel) => {
+    if (LEVELS[recordLevel] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  });
+
+  /**
+   * Scrub tokens and configured secrets from a string
+   * @param {string} value - Text
+   * @returns {string} Scrubbed text
+   */
+  function scrub(value) {
+    let text = value.replace(TOKEN_PATTERN, REDACTED);
+    for (const secret of secretValues) {
+      text = text.split(secret).join(REDACTED);
+    }
+    return text;
+  }
+
+  /**
+   * Copy a value with sensitive fields removed
+   * @param {*} value - Value to log
+   * @param {string} [key] - Property name the value was found under
+   * @param {number} [depth=0] - Nesting depth (deep objects are truncated)
+   * @returns {*} Redacted copy
+   */
+  function redact(value, key, depth = 0) {
+    if (key && SENSITIVE_KEY.test(key)) return REDACTED;
+    if (key && CONTENT_KEY.test(key) && value !== null && value !== undefined && typeof value !== "number" && typeof value !== "boolean") {
+      const length = typeof value === "string" ? value.length : JSON.stringify(value)?.length || 0;
+      return `[${length} chars]`;
+    }
+    if (typeof value === "string") return scrub(value);
+    if (value instanceof Error) return { message: scrub(value.message), ...(value.statusCode && { status: value.statusCode }) };
+    if (value === null || typeof value !== "object") return value;
+    if (depth >= 5) return "[Object]";
+    if (Array.isArray(value)) return value.map(item => redact(item, undefined, depth + 1));
+
+    const copy = {};
+    for (const [name, item] of Object.entries(value)) {
+      copy[name] = redact(item, name, depth + 1);
+    }
+    return copy;
+  }
+
+  /**
+   * Emit a record if its level is enabled
+   * @param {string} recordLevel - Level name
+   * @param {string} msg - Message
+   * @param {Object} [fields] - Extra fields
+   */
+  function log(recordLevel, msg, fields = {}) {
+    if (LEVELS[recordLevel] < minimum) return;
+    const record = {
+      time: new Date().toISOString(),
+      level: recordLevel,
+      msg: scrub(String(msg)),
+      ...storage.getStore(),
+      ...redact(fields)
+    };
+    output(JSON.stringify(record), recordLevel);
+  }
+
+  return {
+    debug: (msg, fields) => log("debug", msg, fields),
+    info: (msg, fields) => log("info", msg, fields),
+    warn: (msg, fields) => log("warn", msg, fields),
+    error: (msg, fields) => log("error", msg, fields),
+    redact: (value) => redact(value),
+
+    /**
+     * Run a function with fields added to every record it logs
+     * @param {Object} fields - Context fields (e.g. request_id)
+     * @param {Function} fn - Callback
+     * @returns {*} The callback's return value
+     */
+    withContext(fields, fn) {
+      return storage.run({ ...storage.getStore(), ...fields }, fn);
+    },
+
+    /**
+     * Change the minimum level and the secrets to scrub
+     * @param {Object} options
+     * @param {string} [options.level] - Minimum level
+     * @param {string[]} [options.secrets] - Exact values to scrub
+     */
+    configure({ level: newLevel, secrets: newSecrets } = {}) {
+      if (newLevel !== undefined) minimum = LEVELS[newLevel] ?? LEVELS.info;
+      if (newSecrets !== undefined) secretValues = usableSecrets(newSecrets);
+    },
+
+    /**
+     * Check whether a level is enabled
+     * @param {string} recordLevel - Level name
+     * @returns {boolean} True if records at this level are emitted
+     */
+    isLevelEnabled: (recordLevel) => LEVELS[recordLevel] >= minimum
+  };
+}
+
+/**
+ * Logger shared by the server, the GitHub client and the tools
+ */
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || "info",
+  secrets: [process.env.GITHUB_PAT, process.env.GITHUB_TOKEN, process.env.MCP_WRITE_SECRET, process.env.MCP_AUTH_TOKEN]
+});
+
+module.exports = {
+  LEVELS,
+  formatJsonRpcError,
+  createLogger,
+  logger
+};
@@ -0,0 +1,326 @@
+/**
+ * Metrics Module
+ *
+ * Minimal Prometheus registry (counters, histograms, gauges) rendered in the
+ * text exposition format for GET /metrics, plus the server's metrics:
+ * - mcp_tool_calls_total / mcp_tool_call_duration_seconds / mcp_tool_errors_total
+ *   per tool (errors by JSON-RPC code)
+ * - github_api_requests_total by method, endpoint template and status
+ * - github_api_retries_total from the axios-retry onRetry hook
+ * - github_cache_lookups_total and github_cache_hit_ratio for the ETag cache
+ * - mcp_rate_limit_rejections_total for the PR/merge/issue write limiters
+ *
+ * The metrics object is shared by lib/github-client.js and the server so
+ * both record into the same registry.
+ *
+ * @module lib/metrics
+ */
+
+/**
+ * Default latency buckets in seconds (GitHub-backed tool calls take 0.05s-30s)
+ */
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+/**
+ * Escape a label value for the text exposition format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+/**
+ * Render a label set as {a="1",b="2"}
+ * @param {Object} labels - Label names and values
+ * @returns {string} Label string (empty when there are no labels)
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * Key a label set so series are stored once per combination
+ * @param {string[]} labelNames - Declared label names
+ * @param {Object} labels - Label values
+ * @returns {string} Series key
+ */
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map(name => String(labels[name] ?? "")));
+}
+
+/**
+ * Create an empty metrics registry
+ * @returns {Object} Registry with counter/histogram/gauge factories and render()
+ */
+function createMetricsRegistry() {
+  const metrics = [];
+
+  /**
+   * Labelled series storage shared by counters and histograms
+   * @param {string[]} labelNames - Declared label names
+   * @param {Function} init - Creates the value of a new series
+   * @returns {Object} Series map with lookup
+   */
+  function createSeries(labelNames, init) {
+    const series = new Map();
+    return {
+      series,
+      lookup(labels = {}) {
+        const key = seriesKey(labelNames, labels);
+        if (!series.has(key)) {
+          const values = {};
+          labelNames.forEach(name => { values[name] = labels[name] ?? ""; });
+          series.set(key, { labels: values, value: init() });
+        }
+        return series.get(key);
+      }
+    };
+  }
+
+  /**
+   * Register a counter
+   * @param {Object} options
+   * @param {string} options.name - Metric name (ending in _total)
+   * @param {string} options.help - HELP text
+   * @param {string[]} [options.labelNames=[]] - Label names
+   * @returns {Object} Counter with inc(labels, value) and get(labels)
+   */
+  function counter({ name, help, labelNames = [] }) {
+    const { series, lookup } = createSeries(labelNames, () => 0);
+    metrics.push({
+      render: () => [
+        `# HELP ${name} ${help}`,
+        `# TYPE ${name} counter`,
+        ...Array.from(series.values()).map(entry => `${name}${formatLabels(entry.labels)} ${entry.value}`)
+      ]
+    });
+    return {
+      inc(labels = {}, value = 1) {
+        lookup(labels).value += value;
+      },
+      get(labels = {}) {
+        return series.get(seriesKey(labelNames, labels))?.value || 0;
+      }
+    };
+  }
+
+  /**
+   * Register a histogram
+   * @param {Object} options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - HELP text
+   * @param {string[]} [options.labelNames=[]] - Label names
+   * @param {number[]} [options.buckets=DEFAULT_BUCKETS] - Upper bounds, ascending
+   * @returns {Object} Histogram with observe(labels, value)
+   */
+  function histogram({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) {
+    const { series, lookup } = createSeries(labelNames, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    metrics.push({
+      render: () => {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const { labels, value } of series.values()) {
+          // Bucket counts are stored per bucket and rendered cumulatively
+          let cumulative = 0;
+          buckets.forEach((bound, index) => {
+            cumulative += value.counts[index];
+            lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${cumulative}`);
+          });
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${value.count}`);
+          lines.push(`${name}_sum${formatLabels(labels)} ${value.sum}`);
+          lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+        }
+        return lines;
+      }
+    });
+    return {
+      observe(labels = {}, observed) {
+        const value = lookup(labels).value;
+        const index = buckets.findIndex(bound => observed <= bound);
+        if (index !== -1) value.counts[index] += 1;
+        value.sum += observed;
+        value.count += 1;
+      }
+    };
+  }
+
+  /**
+   * Register a gauge computed at scrape time
+   * @param {Object} options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - HELP text
+   * @param {Function} options.collect - Returns the current value
+   */
+  function gauge({ name, help, collect }) {
+    metrics.push({
+      render: () => [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${collect()}`]
+    });
+  }
+
+  /**
+   * Render all metrics in the Prometheus text exposition format
+   * @returns {string} Exposition text
+   */
+  function render() {
+    return metrics.flatMap(metric => metric.render()).join("\n") + "\n";
+  }
+
+  return {
+    counter,
+    histogram,
+    gauge,
+    render
+  };
+}
+
+/**
+ * Path segments followed by a single parameter segment, and the placeholder used
+ */
+const PARAMETER_SEGMENTS = {
+  pulls: "{number}",
+  issues: "{number}",
+  comments: "{comment_id}",
+  branches: "{branch}",
+  commits: "{ref}",
+  trees: "{sha}",
+  blobs: "{sha}",
+  compare: "{basehead}",
+  runs: "{run_id}",
+  jobs: "{job_id}",
+  workflows: "{workflow_id}",
+  releases: "{release_id}",
+  labels: "{name}",
+  users: "{username}",
+  orgs: "{org}"
+};
+
+/**
+ * Path segments whose remainder is a single slash-containing parameter
+ */
+const REST_SEGMENTS = {
+  contents: "{path}",
+  ref: "{ref}",
+  refs: "{ref}",
+  tarball: "{ref}",
+  zipball: "{ref}"
+};
+
+/**
+ * Reduce a GitHub API URL to its endpoint template so metric labels stay bounded
+ * (e.g. /repos/o/r/pulls/12/files -> /repos/{owner}/{repo}/pulls/{number}/files)
+ * @param {string} url - Request URL or path
+ * @returns {string} Endpoint template
+ */
+function endpointTemplate(url) {
+  const segments = String(url || "").replace(/^https?:\/\/[^/]+/, "").split("?")[0].split("/");
+
+  if (segments[1] === "repos" && segments.length >= 4) {
+    segments[2] = "{owner}";
+    segments[3] = "{repo}";
+  }
+
+  for (let i = segments[1] === "repos" ? 4 : 1; i < segments.length - 1; i++) {
+    const segment = segments[i];
+    if (REST_SEGMENTS[segment]) {
+      segments.splice(i + 1, segments.length, REST_SEGMENTS[segment]);
+      break;
+    }
+    // /pulls/comments/1 is a collection followed by another collection, not /pulls/{number}
+    const next = segments[i + 1];
+    if (PARAMETER_SEGMENTS[segment] && !PARAMETER_SEGMENTS[next] && !REST_SEGMENTS[next]) {
+      segments[i + 1] = PARAMETER_SEGMENTS[segment];
+      i++;
+    }
+  }
+
+  return segments
+    .map(segment => (/^\d+$/.test(segment) ? "{id}" : /^[0-9a-f]{40}$/i.test(segment) ? "{sha}" : segment))
+    .join("/");
+}
+
+/**
+ * Create the server's metrics on a new registry
+ * @returns {Object} Registry and named metrics
+ */
+function createServerMetrics() {
+  const registry = createMetricsRegistry();
+
+  const metrics = {
+    registry,
+    toolCalls: registry.counter({
+      name: "mcp_tool_calls_total",
+      help: "MCP tool calls by tool",
+      labelNames: ["tool"]
+    }),
+    toolDuration: registry.histogram({
+      name: "mcp_tool_call_duration_seconds",
+      help: "MCP tool call latency in seconds by tool",
+      labelNames: ["tool"]
+    }),
+    toolErrors: registry.counter({
+      name: "mcp_tool_errors_total",
+      help: "MCP tool call errors by tool and JSON-RPC error code",
+      labelNames: ["tool", "code"]
+    }),
+    githubRequests: registry.counter({
+      name: "github_api_requests_total",
+      help: "GitHub API requests (including retries) by method, endpoint template and HTTP status",
+      labelNames: ["method", "endpoint", "status"]
+    }),
+    githubRetries: registry.counter({
+      name: "github_api_retries_total",
+      help: "GitHub API request retries by endpoint template",
+      labelNames: ["endpoint"]
+    }),
+    cacheLookups: registry.counter({
+      name: "github_cache_lookups_total",
+      help: "ETag cache lookups for GitHub GET requests (hit = revalidated with 304)",
+      labelNames: ["result"]
+    }),
+    rateLimitRejections: registry.counter({
+      name: "mcp_rate_limit_rejections_total",
+      help: "Write operations rejected by the server's PR/merge/issue rate limiters",
+      labelNames: ["limiter"]
+    })
+  };
+
+  registry.gauge({
+    name: "github_cache_hit_ratio",
+    help: "Share of ETag cache lookups served from the cache",
+    collect: () => {
+      const hits = metrics.cacheLookups.get({ result: "hit" });
+      const total = hits + metrics.cacheLookups.get({ result: "miss" });
+      return total > 0 ? hits / total : 0;
+    }
+  });
+
+  /**
+   * Record a finished tool call
+   * @param {string} tool - Tool name
+   * @param {bigint} startedAt - process.hrtime.bigint() when the call started
+   * @param {number|null} [errorCode=null] - JSON-RPC error code if the call failed
+   */
+  metrics.recordToolCall = (tool, startedAt, errorCode = null) => {
+    const labels = { tool: tool || "unknown" };
+    metrics.toolCalls.inc(labels);
+    metrics.toolDuration.observe(labels, Number(process.hrtime.bigint() - startedAt) / 1e9);
+    if (errorCode !== null) {
+      metrics.toolErrors.inc({ ...labels, code: errorCode });
+    }
+  };
+
+  return metrics;
+}
+
+/**
+ * Metrics shared by the GitHub client and the server
+ */
+const metrics = createServerMetrics();
+
+module.exports = {
+  createMetricsRegistry,
+  createServerMetrics,
+  endpointTemplate,
+  metrics
+};
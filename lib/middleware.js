@@ -2,6 +2,7 @@
  * Middleware Module
  *
  * Express middleware for:
+ * - Request IDs and access logging
  * - Security (Helmet)
  * - Rate limiting
  * - CORS handling
@@ -11,9 +12,18 @@
  * @module lib/middleware
  */
 
+const crypto = require("crypto");
 const express = require("express");
 const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
+// Write classification comes from the tool registry so it cannot drift from tools/list
+const { isWriteTool } = require("./tool-definitions");
+const { logger } = require("./logger");
+
+/**
+ * Client-supplied request IDs are kept only if they look like IDs
+ */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,100}$/;
 
 /**
  * Initialize and configure all middleware
@@ -21,6 +31,30 @@ const rateLimit = require("express-rate-limit");
  * @param {Object} config - Application configuration object
  */
 function setupMiddleware(app, config) {
+  // Request ID (X-Request-Id, generated unless the client sent a usable one) and access log
+  app.use((req, res, next) => {
+    const incoming = req.get("X-Request-Id");
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    if (config.enableAccessLog) {
+      const startedAt = process.hrtime.bigint();
+      res.on("finish", () => {
+        logger.info("HTTP request", {
+          request_id: req.id,
+          method: req.method,
+          // The write secret is part of the /mcp/<SECRET> path
+          path: req.originalUrl.replace(/^\/mcp\/[^/?]+/, "/mcp/[REDACTED]"),
+          status: res.statusCode,
+          duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+          ip: req.ip,
+          user_agent: req.get("User-Agent")
+        });
+      });
+    }
+    next();
+  });
+
   // Security middleware
   app.use(helmet({
     contentSecurityPolicy: false, // Allow ChatGPT to embed content
@@ -51,7 +85,8 @@ function setupMiddleware(app, config) {
     }
 
     res.header("Access-Control-Allow-Methods", "GET, POST, PUT, PATCH, DELETE, OPTIONS");
-    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With");
+    res.header("Access-Control-Allow-Headers", "Content-Type, Authorization, X-Requested-With, Mcp-Session-Id, MCP-Protocol-Version, Last-Event-ID");
+    res.header("Access-Control-Expose-Headers", "Mcp-Session-Id, X-Request-Id");
     res.header("Access-Control-Max-Age", "86400"); // 24 hours
 
     if (req.method === "OPTIONS") {
@@ -62,26 +97,10 @@ function setupMiddleware(app, config) {
 
   // Parse JSON bodies with configurable size limit
   app.use(express.json({ limit: config.bodySizeLimit }));
-}
 
-/**
- * Helper function to check if a tool is a write operation
- * @param {string} toolName - Name of the MCP tool
- * @returns {boolean} True if tool performs write operations
- */
-function isWriteTool(toolName) {
-  const writeTools = [
-    "create_branch",
-    "commit_files",
-    "create_pull_request",
-    "update_pull_request",
-    "merge_pull_request",
-    "create_issue",
-    "update_issue",
-    "add_issue_comment",
-    "add_pull_request_review_comment"
-  ];
-  return writeTools.includes(toolName);
+  // Correlate every log record made while handling the request. Registered after the
+  // body parser, whose stream callbacks would otherwise run outside the context.
+  app.use((req, res, next) => logger.withContext({ request_id: req.id }, next));
 }
 
 /**
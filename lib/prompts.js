@@ -0,0 +1,239 @@
+/**
+ * Prompts Module
+ *
+ * MCP prompts (prompts/list, prompts/get) loaded from template files in
+ * templates/prompts/ (override with PROMPTS_DIR). Each *.md.tpl file starts
+ * with an HTML comment header:
+ *
+ *   <!--
+ *   name: review_pr
+ *   description: Review a pull request
+ *   argument: repo | Repository in owner/repo format | required
+ *   argument: number | Pull request number | required
+ *   data: pull_request
+ *   -->
+ *
+ * The body uses ${placeholder} substitution like templates/CLAUDE.md.tpl.
+ * Placeholders are prompt arguments or live data sources, fetched through
+ * the existing tool handlers when the prompt is requested:
+ * - repository: fetch (repository metadata and README)
+ * - pull_request: get_pull_request with commits, files and reviews
+ * - mergeability: get_pr_mergeability (mergeable state, head SHA, checks)
+ *
+ * @module lib/prompts
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readTools = require("./tools/read-tools");
+const prTools = require("./tools/pr-tools");
+
+/**
+ * Live data sources available to prompt templates. Each receives the prompt
+ * arguments and tool context and returns the tool's JSON text.
+ */
+const DATA_SOURCES = {
+  repository: {
+    requires: ["repo"],
+    fetch: (args, context) => readTools.handleFetch({ repo: args.repo }, context)
+  },
+  pull_request: {
+    requires: ["repo", "number"],
+    fetch: (args, context) => prTools.handleGetPullRequest({
+      repo: args.repo,
+      prNumber: args.number,
+      include_commits: true,
+      include_files: true,
+      include_reviews: true
+    }, context)
+  },
+  mergeability: {
+    requires: ["repo", "number"],
+    fetch: (args, context) => prTools.handleGetPRMergeability({
+      repo: args.repo,
+      prNumber: args.number
+    }, context)
+  }
+};
+
+const HEADER_PATTERN = /^<!--\r?\n([\s\S]*?)\r?\n-->\r?\n?/;
+const PLACEHOLDER_PATTERN = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Parse a prompt template file
+ * @param {string} source - Template file contents
+ * @param {string} fileName - File name (for error messages)
+ * @returns {Object} Prompt definition {name, description, arguments, data, body}
+ * @throws {Error} If the header is missing or references unknown names
+ */
+function parsePromptTemplate(source, fileName) {
+  const header = HEADER_PATTERN.exec(source);
+  if (!header) {
+    throw new Error(`Prompt template ${fileName} is missing its <!-- ... --> header`);
+  }
+
+  const prompt = { name: "", description: "", arguments: [], data: [], body: source.slice(header[0].length) };
+
+  for (const line of header[1].split(/\r?\n/)) {
+    const separator = line.indexOf(":");
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+
+    if (key === "name") {
+      prompt.name = value;
+    } else if (key === "description") {
+      prompt.description = value;
+    } else if (key === "argument") {
+      const [name, description = "", flag = ""] = value.split("|").map(part => part.trim());
+      prompt.arguments.push({ name, description, required: flag === "required" });
+    } else if (key === "data") {
+      prompt.data = value.split(",").map(source => source.trim()).filter(Boolean);
+    }
+  }
+
+  if (!/^[a-z][a-z0-9_]*$/.test(prompt.name)) {
+    throw new Error(`Prompt template ${fileName} has an invalid name: '${prompt.name}'`);
+  }
+
+  const argumentNames = prompt.arguments.map(arg => arg.name);
+  for (const source of prompt.data) {
+    const dataSource = DATA_SOURCES[source];
+    if (!dataSource) {
+      throw new Error(`Prompt template ${fileName} uses unknown data source '${source}'`);
+    }
+    const missing = dataSource.requires.filter(name => !argumentNames.includes(name));
+    if (missing.length > 0) {
+      throw new Error(`Prompt template ${fileName} needs argument(s) ${missing.join(", ")} for data source '${source}'`);
+    }
+  }
+
+  for (const [, placeholder] of prompt.body.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!argumentNames.includes(placeholder) && !prompt.data.includes(placeholder)) {
+      throw new Error(`Prompt template ${fileName} references undeclared placeholder '\${${placeholder}}'`);
+    }
+  }
+
+  return prompt;
+}
+
+/**
+ * Load all *.md.tpl prompt templates from a directory
+ * @param {string} dir - Templates directory
+ * @returns {Map<string, Object>} Prompt definitions by name (empty if the directory is missing)
+ */
+function loadPromptTemplates(dir) {
+  const prompts = new Map();
+  if (!fs.existsSync(dir)) {
+    return prompts;
+  }
+
+  const files = fs.readdirSync(dir).filter(file => file.endsWith(".md.tpl")).sort();
+  for (const file of files) {
+    const prompt = parsePromptTemplate(fs.readFileSync(path.join(dir, file), "utf8"), file);
+    if (prompts.has(prompt.name)) {
+      throw new Error(`Duplicate prompt name '${prompt.name}' in ${file}`);
+    }
+    prompts.set(prompt.name, prompt);
+  }
+
+  return prompts;
+}
+
+/**
+ * Validate prompt arguments (MCP passes all prompt arguments as strings)
+ * @param {Object} prompt - Prompt definition
+ * @param {Object} args - Arguments from prompts/get
+ * @param {Object} context - Tool context (validateRepoFormat)
+ * @returns {Object} Normalized arguments
+ * @throws {Error} With an "Invalid prompt arguments" message
+ */
+function validatePromptArguments(prompt, args, { validateRepoFormat }) {
+  const values = {};
+
+  for (const arg of prompt.arguments) {
+    const raw = args[arg.name];
+    if (raw === undefined || raw === null || String(raw).trim() === "") {
+      if (arg.required) {
+        throw new Error(`Invalid prompt arguments: '${arg.name}' is required for prompt '${prompt.name}'`);
+      }
+      values[arg.name] = "";
+      continue;
+    }
+    values[arg.name] = String(raw).trim();
+  }
+
+  if (values.repo) {
+    try {
+      values.repo = validateRepoFormat(values.repo).join("/");
+    } catch (error) {
+      throw new Error(`Invalid prompt arguments: ${error.message}`);
+    }
+  }
+  if (values.number) {
+    values.number = values.number.replace(/^#/, "");
+    if (!/^[1-9][0-9]*$/.test(values.number)) {
+      throw new Error(`Invalid prompt arguments: 'number' must be a positive integer`);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * List available prompts
+ * @param {Map<string, Object>} prompts - Loaded prompt definitions
+ * @returns {Promise<Object>} prompts/list result
+ */
+async function handleListPrompts(prompts) {
+  return {
+    prompts: Array.from(prompts.values()).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description,
+      arguments: prompt.arguments
+    }))
+  };
+}
+
+/**
+ * Render a prompt with live data
+ * @param {Map<string, Object>} prompts - Loaded prompt definitions
+ * @param {Object} params - prompts/get params
+ * @param {string} params.name - Prompt name
+ * @param {Object} [params.arguments] - Prompt arguments
+ * @param {Object} context - Tool context
+ * @returns {Promise<Object>} prompts/get result
+ */
+async function handleGetPrompt(prompts, params, context) {
+  const prompt = prompts.get(params.name);
+  if (!prompt) {
+    throw new Error(`Unknown prompt: ${params.name}`);
+  }
+
+  const values = validatePromptArguments(prompt, params.arguments || {}, context);
+
+  const fetched = await Promise.all(prompt.data.map(source => DATA_SOURCES[source].fetch(values, context)));
+  prompt.data.forEach((source, index) => {
+    values[source] = JSON.stringify(JSON.parse(fetched[index].content[0].text), null, 2);
+  });
+
+  const text = prompt.body.replace(PLACEHOLDER_PATTERN, (match, name) => values[name]);
+
+  return {
+    description: prompt.description,
+    messages: [
+      {
+        role: "user",
+        content: { type: "text", text }
+      }
+    ]
+  };
+}
+
+module.exports = {
+  DATA_SOURCES,
+  parsePromptTemplate,
+  loadPromptTemplates,
+  handleListPrompts,
+  handleGetPrompt
+};
@@ -0,0 +1,240 @@
+/**
+ * Rate Limit Governor Module
+ *
+ * Tracks GitHub API quota per token and resource (core, search, code_search,
+ * graphql) from X-RateLimit-* response headers and throttles requests:
+ * - Quota low (remaining <= lowWatermark): requests are queued and spaced
+ *   out so the remaining quota lasts until the reset time
+ * - Quota exhausted: requests fail fast with a "rate limit exceeded" error
+ *   carrying the reset time (mapped to JSON-RPC -32004)
+ * - Secondary limits (429, or 403 with Retry-After): further requests wait
+ *   out Retry-After when it is short, otherwise fail fast
+ *
+ * @module lib/rate-limit-governor
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Derive the quota bucket a request counts against
+ * @param {string} url - Request URL or path
+ * @returns {string} GitHub rate limit resource name
+ */
+function resourceForUrl(url) {
+  const path = String(url || "").replace(/^https?:\/\/[^/]+/, "");
+  if (path.startsWith("/search/code")) return "code_search";
+  if (path.startsWith("/search/")) return "search";
+  if (path.startsWith("/graphql")) return "graphql";
+  return "core";
+}
+
+/**
+ * Fingerprint a token so state can be kept per token without storing it
+ * @param {string} authorization - Authorization header value
+ * @returns {string} Short token fingerprint
+ */
+function tokenKey(authorization) {
+  return crypto.createHash("sha256").update(String(authorization || "")).digest("hex").slice(0, 12);
+}
+
+/**
+ * Parse Retry-After (seconds or HTTP date) into milliseconds
+ * @param {string} value - Retry-After header value
+ * @returns {number|null} Delay in milliseconds, or null if absent
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Create a rate limit governor
+ * @param {Object} options
+ * @param {number} options.lowWatermark - Remaining quota at which throttling starts
+ * @param {number} options.maxDelayMs - Longest delay applied to a single throttled request
+ * @param {number} options.maxWaitMs - Longest Retry-After the governor waits out instead of failing
+ * @param {Function} [options.sleep] - Async sleep (injectable for tests)
+ * @returns {Object} Governor
+ */
+function createRateLimitGovernor({ lowWatermark, maxDelayMs, maxWaitMs, sleep }) {
+  const wait = sleep || ((ms) => new Promise(resolve => setTimeout(resolve, ms)));
+  // token fingerprint -> { buckets: Map<resource, bucket>, blockedUntil, queue }
+  const tokens = new Map();
+
+  function stateFor(key) {
+    if (!tokens.has(key)) {
+      tokens.set(key, { buckets: new Map(), blockedUntil: 0, queue: Promise.resolve() });
+    }
+    return tokens.get(key);
+  }
+
+  /**
+   * Build the error thrown when a request cannot be made
+   * @param {string} resource - Rate limit resource
+   * @param {number} resetMs - Epoch milliseconds when requests may resume
+   * @param {string} reason - Human-readable reason
+   * @returns {Error} Error with a rateLimit property
+   */
+  function rateLimitError(resource, resetMs, reason) {
+    const resetAt = new Date(resetMs).toISOString();
+    const retryAfterSeconds = Math.max(0, Math.ceil((resetMs - Date.now()) / 1000));
+    const error = new Error(`GitHub rate limit exceeded (${resource}): ${reason}. Resets at ${resetAt} (in ${retryAfterSeconds}s)`);
+    error.rateLimit = { resource, reset_at: resetAt, retry_after_seconds: retryAfterSeconds };
+    return error;
+  }
+
+  /**
+   * Wait (or fail) before sending a request
+   * @param {string} key - Token fingerprint
+   * @param {string} resource - Rate limit resource
+   * @returns {Promise<void>}
+   * @throws {Error} If the quota is exhausted or a long secondary limit is active
+   */
+  async function beforeRequest(key, resource) {
+    const state = stateFor(key);
+    const now = Date.now();
+
+    if (state.blockedUntil > now) {
+      const pause = state.blockedUntil - now;
+      if (pause > maxWaitMs) {
+        throw rateLimitError(resource, state.blockedUntil, "secondary rate limit");
+      }
+      await wait(pause);
+    }
+
+    const bucket = state.buckets.get(resource);
+    if (!bucket || bucket.reset * 1000 <= Date.now()) return;
+
+    if (bucket.remaining <= 0) {
+      throw rateLimitError(resource, bucket.reset * 1000, `0 of ${bucket.limit} requests remaining`);
+    }
+
+    // Count the request now so concurrent requests see the reduced quota
+    bucket.remaining -= 1;
+
+    if (bucket.remaining < lowWatermark) {
+      // Spread what is left over the time until reset, one request at a time
+      const delay = Math.min(maxDelayMs, Math.ceil((bucket.reset * 1000 - Date.now()) / (bucket.remaining + 1)));
+      const turn = state.queue.then(() => wait(delay));
+      state.queue = turn.catch(() => {});
+      await turn;
+    }
+  }
+
+  /**
+   * Record quota from response headers
+   * @param {string} key - Token fingerprint
+   * @param {string} resource - Resource inferred from the URL
+   * @param {Object} headers - Response headers (lower-cased)
+   */
+  function recordHeaders(key, resource, headers = {}) {
+    if (headers["x-ratelimit-remaining"] === undefined) return;
+    const state = stateFor(key);
+    state.buckets.set(headers["x-ratelimit-resource"] || resource, {
+      limit: parseInt(headers["x-ratelimit-limit"], 10),
+      remaining: parseInt(headers["x-ratelimit-remaining"], 10),
+      used: parseInt(headers["x-ratelimit-used"], 10) || 0,
+      reset: parseInt(headers["x-ratelimit-reset"], 10)
+    });
+  }
+
+  /**
+   * Record quota for all resources from a GET /rate_limit body
+   * @param {string} key - Token fingerprint
+   * @param {Object} resources - body.resources from GET /rate_limit
+   */
+  function recordRateLimitBody(key, resources = {}) {
+    const state = stateFor(key);
+    for (const [resource, quota] of Object.entries(resources)) {
+      state.buckets.set(resource, {
+        limit: quota.limit,
+        remaining: quota.remaining,
+        used: quota.used || 0,
+        reset: quota.reset
+      });
+    }
+  }
+
+  /**
+   * Inspect a failed response; converts rate limit failures into rate limit errors
+   * @param {string} key - Token fingerprint
+   * @param {string} resource - Resource inferred from the URL
+   * @param {Object} error - Axios error
+   * @returns {{secondary: boolean, retryAfterMs: number}|null} Limit details, or null if not a rate limit
+   */
+  function recordError(key, resource, error) {
+    const response = error.response;
+    if (!response || (response.status !== 403 && response.status !== 429)) return null;
+
+    const headers = response.headers || {};
+    recordHeaders(key, resource, headers);
+
+    const bucketResource = headers["x-ratelimit-resource"] || resource;
+    const retryAfterMs = parseRetryAfter(headers["retry-after"]);
+    const message = String(response.data?.message || "").toLowerCase();
+
+    // Primary limit: quota used up until the reset time
+    if (headers["x-ratelimit-remaining"] === "0") {
+      const resetMs = parseInt(headers["x-ratelimit-reset"], 10) * 1000;
+      const limitError = rateLimitError(bucketResource, resetMs, `0 of ${headers["x-ratelimit-limit"]} requests remaining`);
+      error.message = limitError.message;
+      error.rateLimit = limitError.rateLimit;
+      return { secondary: false, retryAfterMs: Math.max(0, resetMs - Date.now()) };
+    }
+
+    // Secondary limit: 429, Retry-After, or GitHub's "secondary rate limit" message
+    if (response.status === 429 || retryAfterMs !== null || message.includes("secondary rate limit")) {
+      const pause = retryAfterMs ?? 60 * 1000; // GitHub asks for at least a minute without Retry-After
+      const state = stateFor(key);
+      state.blockedUntil = Math.max(state.blockedUntil, Date.now() + pause);
+      const limitError = rateLimitError(bucketResource, state.blockedUntil, "secondary rate limit");
+      error.message = limitError.message;
+      error.rateLimit = limitError.rateLimit;
+      return { secondary: true, retryAfterMs: pause };
+    }
+
+    return null;
+  }
+
+  /**
+   * Current quota for a token
+   * @param {string} key - Token fingerprint
+   * @returns {Object} Quota per resource and throttling state
+   */
+  function snapshot(key) {
+    const state = stateFor(key);
+    const resources = {};
+    for (const [resource, bucket] of state.buckets) {
+      resources[resource] = {
+        limit: bucket.limit,
+        remaining: bucket.remaining,
+        used: bucket.used,
+        reset_at: new Date(bucket.reset * 1000).toISOString(),
+        throttled: bucket.remaining < lowWatermark && bucket.reset * 1000 > Date.now()
+      };
+    }
+    return {
+      resources,
+      secondary_limit_until: state.blockedUntil > Date.now() ? new Date(state.blockedUntil).toISOString() : null,
+      low_watermark: lowWatermark
+    };
+  }
+
+  return {
+    beforeRequest,
+    recordHeaders,
+    recordRateLimitBody,
+    recordError,
+    snapshot
+  };
+}
+
+module.exports = {
+  resourceForUrl,
+  tokenKey,
+  parseRetryAfter,
+  createRateLimitGovernor
+};
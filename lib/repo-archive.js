@@ -0,0 +1,381 @@
+/**
+ * Repository Archive Module
+ *
+ * Repository snapshots for grep_repo:
+ * - readTarEntries(): Unpack a gzipped GitHub tarball into { path, data } file entries
+ * - createArchiveCache(): Bounded on-disk cache of tarballs keyed by commit SHA,
+ *   evicting least-recently-used archives once the total size exceeds maxBytes
+ * - grepEntries(): Regex search over file entries with context lines and
+ *   limits on match count and time
+ * - grepArchive(): Unpack and search an archive in a worker thread that is
+ *   terminated at a hard deadline, so a backtracking pattern cannot block the
+ *   event loop
+ * - createGrepLimiter(): Cap on concurrent searches (each holds an archive
+ *   and its unpacked files in memory)
+ *
+ * Tarballs are keyed by commit SHA, so a cached snapshot never goes stale;
+ * branch refs are resolved to their current SHA before each search.
+ *
+ * @module lib/repo-archive
+ */
+
+const fs = require("fs/promises");
+const path = require("path");
+const zlib = require("zlib");
+const { promisify } = require("util");
+const { Worker, isMainThread, parentPort, workerData } = require("worker_threads");
+
+const gunzip = promisify(zlib.gunzip);
+
+const BLOCK_SIZE = 512;
+
+/**
+ * Files larger than this are not searched (generated or vendored data)
+ */
+const MAX_SEARCHED_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Lines are matched and returned up to this length (minified code has very long lines)
+ */
+const MAX_LINE_LENGTH = 1000;
+
+/**
+ * Read a NUL-terminated string field from a tar header
+ * @param {Buffer} header - 512-byte header block
+ * @param {number} offset - Field offset
+ * @param {number} length - Field length
+ * @returns {string} Field value
+ */
+function headerString(header, offset, length) {
+  const field = header.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.subarray(0, end === -1 ? length : end).toString("utf8");
+}
+
+/**
+ * Parse pax extended header records ("<length> <key>=<value>\n")
+ * @param {Buffer} data - Extended header contents
+ * @returns {Object} Key/value pairs
+ */
+function parsePaxHeaders(data) {
+  const values = {};
+  let offset = 0;
+  while (offset < data.length) {
+    const space = data.indexOf(0x20, offset);
+    if (space === -1) break;
+    const length = parseInt(data.subarray(offset, space).toString("utf8"), 10);
+    if (!length) break;
+    const record = data.subarray(space + 1, offset + length - 1).toString("utf8");
+    const equals = record.indexOf("=");
+    if (equals !== -1) values[record.slice(0, equals)] = record.slice(equals + 1);
+    offset += length;
+  }
+  return values;
+}
+
+/**
+ * Unpack a gzipped tarball into its regular files
+ *
+ * GitHub tarballs wrap everything in a single "<owner>-<repo>-<sha>/"
+ * directory, which is stripped from the returned paths.
+ * @param {Buffer} archive - Gzipped tarball
+ * @param {Object} [options]
+ * @param {number} [options.maxExtractedBytes] - Fail if the unpacked tar is larger than this
+ * @returns {Promise<Object[]>} Entries { path, data }
+ */
+async function readTarEntries(archive, { maxExtractedBytes } = {}) {
+  let tar;
+  try {
+    tar = await gunzip(archive, maxExtractedBytes ? { maxOutputLength: maxExtractedBytes } : {});
+  } catch (error) {
+    if (error.code === "ERR_BUFFER_TOO_LARGE") {
+      throw new Error(`Archive unpacks to more than ${maxExtractedBytes} bytes`);
+    }
+    throw new Error(`Archive is not a valid gzipped tarball: ${error.message}`);
+  }
+
+  const entries = [];
+  let nextPath = null;
+  let offset = 0;
+
+  while (offset + BLOCK_SIZE <= tar.length) {
+    const header = tar.subarray(offset, offset + BLOCK_SIZE);
+    // Two zero blocks end the archive; one is enough to stop
+    if (header.every(byte => byte === 0)) break;
+
+    const size = parseInt(headerString(header, 124, 12).trim() || "0", 8);
+    const type = String.fromCharCode(header[156] || 0x30);
+    const dataStart = offset + BLOCK_SIZE;
+    const data = tar.subarray(dataStart, dataStart + size);
+    offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+    if (type === "x") {
+      nextPath = parsePaxHeaders(data).path || nextPath;
+      continue;
+    }
+    if (type === "L") {
+      nextPath = headerString(data, 0, data.length);
+      continue;
+    }
+
+    let name = headerString(header, 0, 100);
+    const prefix = headerString(header, 257, 6).startsWith("ustar") ? headerString(header, 345, 155) : "";
+    if (prefix) name = `${prefix}/${name}`;
+    if (nextPath) name = nextPath;
+    nextPath = null;
+
+    // Regular files only (directories, links and global headers are skipped)
+    if (type !== "0" && type !== "\0" && type !== "7") continue;
+
+    const relative = name.split("/").slice(1).join("/");
+    if (relative) entries.push({ path: relative, data });
+  }
+
+  return entries;
+}
+
+/**
+ * Create a bounded on-disk cache of repository tarballs
+ * @param {Object} options
+ * @param {string} options.dir - Cache directory (created on first write)
+ * @param {number} options.maxBytes - Total size budget for cached archives
+ * @returns {Object} Cache with get(key) and set(key, buffer)
+ */
+function createArchiveCache({ dir, maxBytes }) {
+  const fileFor = (key) => path.join(dir, `${key.replace(/[^a-zA-Z0-9._-]/g, "_")}.tar.gz`);
+
+  /**
+   * Remove least-recently-used archives until the cache fits its budget
+   */
+  async function evict() {
+    const names = (await fs.readdir(dir)).filter(name => name.endsWith(".tar.gz"));
+    const files = [];
+    for (const name of names) {
+      const stat = await fs.stat(path.join(dir, name)).catch(() => null);
+      if (stat) files.push({ name, size: stat.size, mtime: stat.mtimeMs });
+    }
+
+    let total = files.reduce((sum, file) => sum + file.size, 0);
+    files.sort((a, b) => a.mtime - b.mtime);
+    for (const file of files) {
+      if (total <= maxBytes) break;
+      await fs.rm(path.join(dir, file.name), { force: true });
+      total -= file.size;
+    }
+  }
+
+  return {
+    /**
+     * Read a cached archive and mark it recently used
+     * @param {string} key - Cache key (owner/repo/sha)
+     * @returns {Promise<Buffer|null>} Archive, or null on a miss
+     */
+    async get(key) {
+      const file = fileFor(key);
+      try {
+        const data = await fs.readFile(file);
+        const now = new Date();
+        await fs.utimes(file, now, now).catch(() => {});
+        return data;
+      } catch {
+        return null;
+      }
+    },
+
+    /**
+     * Store an archive; archives larger than the whole budget are not cached
+     * @param {string} key - Cache key (owner/repo/sha)
+     * @param {Buffer} data - Archive
+     */
+    async set(key, data) {
+      if (data.length > maxBytes) return;
+      await fs.mkdir(dir, { recursive: true });
+      // Write then rename so concurrent readers never see a partial archive
+      const file = fileFor(key);
+      const temporary = `${file}.${process.pid}.${Date.now()}.tmp`;
+      await fs.writeFile(temporary, data);
+      await fs.rename(temporary, file);
+      await evict();
+    }
+  };
+}
+
+/**
+ * Convert a glob (*, **, ?) to a RegExp; globs without a slash match the file name
+ * @param {string} glob - Glob pattern (e.g. *.js, src/**\/*.ts)
+ * @returns {RegExp} Pattern tested against the full path
+ */
+function globToRegExp(glob) {
+  let source = "";
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === "*" && glob[i + 1] === "*") {
+      const slash = glob[i + 2] === "/";
+      source += slash ? "(?:.*/)?" : ".*";
+      i += slash ? 2 : 1;
+    } else if (char === "*") {
+      source += "[^/]*";
+    } else if (char === "?") {
+      source += "[^/]";
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(glob.includes("/") ? `^${source}$` : `(?:^|/)${source}$`);
+}
+
+/**
+ * Search file entries line by line
+ * @param {Object[]} entries - Entries { path, data }
+ * @param {RegExp} regex - Pattern (without the g flag)
+ * @param {Object} [options]
+ * @param {string} [options.pathPrefix] - Only search files under this directory
+ * @param {string} [options.include] - Only search files matching this glob
+ * @param {number} [options.contextLines=2] - Lines of context before and after each match
+ * @param {number} [options.maxMatches=100] - Stop after this many matches
+ * @param {number} [options.deadline=Infinity] - Date.now() value at which to stop searching
+ * @returns {Object} { matches, files_searched, files_skipped, truncated, stopped_reason }
+ */
+function grepEntries(entries, regex, { pathPrefix, include, contextLines = 2, maxMatches = 100, deadline = Infinity } = {}) {
+  const prefix = pathPrefix ? `${pathPrefix.replace(/\/+$/, "")}/` : "";
+  const includePattern = include ? globToRegExp(include) : null;
+  const clip = (line) => (line.length > MAX_LINE_LENGTH ? line.slice(0, MAX_LINE_LENGTH) : line);
+  const matches = [];
+  let filesSearched = 0;
+  let filesSkipped = 0;
+  let stoppedReason = null;
+
+  for (const entry of entries) {
+    if (prefix && !entry.path.startsWith(prefix) && entry.path !== pathPrefix) continue;
+    if (includePattern && !includePattern.test(entry.path)) continue;
+    if (Date.now() > deadline) {
+      stoppedReason = "time_limit";
+      break;
+    }
+    // Large and binary files are skipped, as git grep does for binaries
+    if (entry.data.length > MAX_SEARCHED_FILE_BYTES || entry.data.subarray(0, 8000).includes(0)) {
+      filesSkipped++;
+      continue;
+    }
+
+    filesSearched++;
+    const lines = entry.data.toString("utf8").split(/\r?\n/);
+    if (lines[lines.length - 1] === "") lines.pop();
+    for (let i = 0; i < lines.length; i++) {
+      if (i % 1000 === 999 && Date.now() > deadline) {
+        stoppedReason = "time_limit";
+        break;
+      }
+      if (!regex.test(clip(lines[i]))) continue;
+
+      matches.push({
+        path: entry.path,
+        line_number: i + 1,
+        line: clip(lines[i]),
+        before: lines.slice(Math.max(0, i - contextLines), i).map(clip),
+        after: lines.slice(i + 1, i + 1 + contextLines).map(clip)
+      });
+      if (matches.length >= maxMatches) {
+        stoppedReason = "max_matches";
+        break;
+      }
+    }
+    if (stoppedReason) break;
+  }
+
+  return {
+    matches,
+    files_searched: filesSearched,
+    files_skipped: filesSkipped,
+    truncated: stoppedReason !== null,
+    stopped_reason: stoppedReason
+  };
+}
+
+/**
+ * Unpack and search an archive in a worker thread
+ *
+ * grepEntries only checks its deadline between lines, so a pattern such as
+ * (a+)+$ can run for minutes on a single line; the worker is terminated at
+ * hardDeadline instead.
+ * @param {Buffer} archive - Gzipped tarball
+ * @param {string} pattern - Regular expression source
+ * @param {Object} options
+ * @param {string} [options.flags] - Regular expression flags
+ * @param {number} [options.maxExtractedBytes] - Fail if the unpacked tar is larger than this
+ * @param {number} options.hardDeadline - Date.now() value at which the worker is terminated
+ * @param {...*} options.grepOptions - pathPrefix, include, contextLines, maxMatches and deadline for grepEntries()
+ * @returns {Promise<Object>} grepEntries() result
+ */
+function grepArchive(archive, pattern, { flags = "", maxExtractedBytes, hardDeadline, ...grepOptions }) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(__filename, {
+      workerData: { grepArchive: true, archive, pattern, flags, maxExtractedBytes, grepOptions }
+    });
+    let settled = false;
+    const settle = (callback, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      callback(value);
+    };
+    const timer = setTimeout(() => {
+      settle(reject, new Error("Search did not finish within the time limit; simplify the regular expression or narrow the search with path or include"));
+      worker.terminate();
+    }, Math.max(hardDeadline - Date.now(), 0));
+
+    worker.once("message", message => {
+      if (message.error) settle(reject, new Error(message.error));
+      else settle(resolve, message.result);
+    });
+    worker.once("error", error => settle(reject, error));
+    worker.once("exit", code => settle(reject, new Error(`Search worker exited with code ${code}`)));
+  });
+}
+
+/**
+ * Create a cap on concurrent searches
+ * @param {Object} options
+ * @param {number} options.maxConcurrent - Searches allowed to run at once
+ * @returns {Object} Limiter with acquire() and active
+ */
+function createGrepLimiter({ maxConcurrent }) {
+  let active = 0;
+
+  return {
+    /**
+     * Take a slot if one is free
+     * @returns {Function|null} Release function, or null when all slots are taken
+     */
+    acquire() {
+      if (active >= maxConcurrent) return null;
+      active++;
+      let released = false;
+      return () => {
+        if (released) return;
+        released = true;
+        active--;
+      };
+    },
+    get active() {
+      return active;
+    }
+  };
+}
+
+module.exports = {
+  readTarEntries,
+  createArchiveCache,
+  globToRegExp,
+  grepEntries,
+  grepArchive,
+  createGrepLimiter
+};
+
+// Worker entry point for grepArchive()
+if (!isMainThread && workerData && workerData.grepArchive) {
+  const { archive, pattern, flags, maxExtractedBytes, grepOptions } = workerData;
+  readTarEntries(Buffer.from(archive.buffer, archive.byteOffset, archive.byteLength), { maxExtractedBytes })
+    .then(entries => parentPort.postMessage({ result: grepEntries(entries, new RegExp(pattern, flags), grepOptions) }))
+    .catch(error => parentPort.postMessage({ error: error.message }));
+}
@@ -0,0 +1,238 @@
+/**
+ * Resources Module
+ *
+ * MCP resources backed by repository contents:
+ * - github://{owner}/{repo}/blob/{ref}/{path}: File contents (text or base64 blob)
+ * - github://{owner}/{repo}/tree/{ref}: Recursive repository tree as JSON
+ *
+ * Handlers for resources/list, resources/templates/list and resources/read.
+ * Tree reads reuse get_tree's listing and file reads share read_file's blob
+ * fallback and binary detection, so resources and tools agree on content.
+ * Refs are used exactly as given: there is no main to master fallback.
+ *
+ * Refs containing slashes (e.g. feature/login) must be percent-encoded in the
+ * URI: github://owner/repo/blob/feature%2Flogin/src/app.js
+ *
+ * @module lib/resources
+ */
+
+const readTools = require("./tools/read-tools");
+
+/**
+ * Resource templates advertised via resources/templates/list
+ */
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: "github://{owner}/{repo}/blob/{ref}/{path}",
+    name: "Repository file",
+    description: "Contents of a file at a branch, tag, or commit SHA"
+  },
+  {
+    uriTemplate: "github://{owner}/{repo}/tree/{ref}",
+    name: "Repository tree",
+    description: "Recursive file tree at a branch, tag, or commit SHA",
+    mimeType: "application/json"
+  }
+];
+
+/**
+ * MIME types by file extension. Anything not listed here is served as text/plain,
+ * or application/octet-stream when its content is binary.
+ */
+const TEXT_MIME_TYPES = {
+  md: "text/markdown",
+  markdown: "text/markdown",
+  txt: "text/plain",
+  html: "text/html",
+  htm: "text/html",
+  css: "text/css",
+  csv: "text/csv",
+  js: "text/javascript",
+  mjs: "text/javascript",
+  cjs: "text/javascript",
+  jsx: "text/javascript",
+  ts: "text/x-typescript",
+  tsx: "text/x-typescript",
+  py: "text/x-python",
+  rb: "text/x-ruby",
+  go: "text/x-go",
+  rs: "text/x-rust",
+  java: "text/x-java",
+  c: "text/x-c",
+  h: "text/x-c",
+  cpp: "text/x-c++",
+  sh: "application/x-sh",
+  json: "application/json",
+  xml: "application/xml",
+  yml: "application/yaml",
+  yaml: "application/yaml",
+  toml: "application/toml",
+  svg: "image/svg+xml"
+};
+
+const BINARY_MIME_TYPES = {
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  ico: "image/x-icon",
+  bmp: "image/bmp",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  gz: "application/gzip",
+  tgz: "application/gzip",
+  tar: "application/x-tar",
+  jar: "application/java-archive",
+  wasm: "application/wasm",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  ttf: "font/ttf",
+  otf: "font/otf",
+  mp3: "audio/mpeg",
+  mp4: "video/mp4",
+  exe: "application/octet-stream",
+  dll: "application/octet-stream",
+  so: "application/octet-stream",
+  bin: "application/octet-stream"
+};
+
+/**
+ * Determine MIME type for a file path
+ * @param {string} path - File path
+ * @returns {{mimeType: string, binary: boolean}} MIME type and whether the extension is a binary format
+ */
+function getMimeType(path) {
+  const name = path.split("/").pop().toLowerCase();
+  const ext = name.includes(".") ? name.split(".").pop() : "";
+
+  if (BINARY_MIME_TYPES[ext]) {
+    return { mimeType: BINARY_MIME_TYPES[ext], binary: true };
+  }
+  return { mimeType: TEXT_MIME_TYPES[ext] || "text/plain", binary: false };
+}
+
+/**
+ * Parse a github:// resource URI
+ * @param {string} uri - Resource URI
+ * @returns {{owner: string, repo: string, kind: string, ref: string, path: string}} Parsed URI
+ * @throws {Error} If the URI does not match a resource template
+ */
+function parseResourceUri(uri) {
+  const match = /^github:\/\/([^/]+)\/([^/]+)\/(blob|tree)\/([^/]+)(?:\/(.*))?$/.exec(String(uri || ""));
+  if (!match) {
+    throw new Error(`Invalid resource URI: ${uri}`);
+  }
+
+  const [, owner, repo, kind, ref, path = ""] = match;
+  if (kind === "blob" && !path) {
+    throw new Error(`Invalid resource URI: ${uri} (file path required)`);
+  }
+  if (kind === "tree" && path) {
+    throw new Error(`Invalid resource URI: ${uri} (tree resources cover the whole repository)`);
+  }
+
+  let decodedRef;
+  let decodedPath;
+  try {
+    decodedRef = decodeURIComponent(ref);
+    decodedPath = path.split("/").map(decodeURIComponent).join("/");
+  } catch (error) {
+    throw new Error(`Invalid resource URI: ${uri} (malformed percent-encoding)`);
+  }
+
+  return { owner, repo, kind, ref: decodedRef, path: decodedPath };
+}
+
+/**
+ * List concrete resources: the default-branch tree of each configured repository
+ * @param {Object} params - resources/list params (cursor is ignored; no pagination)
+ * @param {Object} context - Tool context
+ * @returns {Promise<Object>} resources/list result
+ */
+async function handleListResources(params, { config, githubRequest }) {
+  const resources = [];
+
+  for (const fullName of config.resourceRepos) {
+    const repoInfo = await githubRequest(`/repos/${fullName}`);
+    const ref = repoInfo.default_branch || "main";
+    resources.push({
+      uri: `github://${fullName}/tree/${encodeURIComponent(ref)}`,
+      name: `${fullName} (${ref})`,
+      description: repoInfo.description || `File tree of ${fullName}`,
+      mimeType: "application/json"
+    });
+  }
+
+  return { resources };
+}
+
+/**
+ * List resource templates
+ * @returns {Promise<Object>} resources/templates/list result
+ */
+async function handleListResourceTemplates() {
+  return { resourceTemplates: RESOURCE_TEMPLATES };
+}
+
+/**
+ * Read a resource by URI
+ * @param {Object} params - resources/read params
+ * @param {string} params.uri - github:// resource URI
+ * @param {Object} context - Tool context
+ * @returns {Promise<Object>} resources/read result
+ */
+async function handleReadResource(params, context) {
+  const { githubRequest, validateRepoFormat, validatePath, validateBranch } = context;
+  const uri = params.uri;
+  const { owner, repo, kind, ref, path } = parseResourceUri(uri);
+
+  validateRepoFormat(`${owner}/${repo}`);
+  validateBranch(ref);
+
+  if (kind === "tree") {
+    // The commits endpoint resolves branches, tags and SHAs alike
+    const commit = await githubRequest(`/repos/${owner}/${repo}/commits/${encodeURIComponent(ref)}`);
+    const tree = await readTools.readTree(owner, repo, commit.commit.tree.sha, {}, githubRequest);
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify({ ref, sha: commit.sha, ...tree })
+        }
+      ]
+    };
+  }
+
+  validatePath(path);
+
+  // Resources carry the exact file bytes, not read_file's line-numbered pages
+  const { buffer } = await readTools.readFileContents(owner, repo, path, ref, githubRequest);
+  const extension = getMimeType(path);
+
+  // Known binary formats stay blobs even when a small sample happens to be valid UTF-8
+  if (extension.binary || readTools.isBinaryContent(buffer)) {
+    const mimeType = extension.binary ? extension.mimeType : "application/octet-stream";
+    return { contents: [{ uri, mimeType, blob: buffer.toString("base64") }] };
+  }
+
+  return {
+    contents: [
+      {
+        uri,
+        mimeType: extension.mimeType,
+        text: buffer.toString("utf8")
+      }
+    ]
+  };
+}
+
+module.exports = {
+  RESOURCE_TEMPLATES,
+  getMimeType,
+  parseResourceUri,
+  handleListResources,
+  handleListResourceTemplates,
+  handleReadResource
+};
@@ -0,0 +1,88 @@
+/**
+ * Stdio Transport Module
+ *
+ * Runs the MCP server as a local subprocess: newline-delimited JSON-RPC
+ * messages are read from stdin and responses written to stdout, one per
+ * line. stdout carries protocol messages only, so all logging must go to
+ * stderr (see redirectConsoleToStderr). Notifications sent while a request
+ * is being processed (e.g. progress) are written before its response.
+ *
+ * @module lib/stdio-transport
+ */
+
+const readline = require("readline");
+const { logger } = require("./logger");
+
+/**
+ * Route console.log/info/debug/warn to stderr so stdout stays protocol-only.
+ * Must run before anything logs (including dotenv).
+ */
+function redirectConsoleToStderr() {
+  const toStderr = (...args) => console.error(...args);
+  console.log = toStderr;
+  console.info = toStderr;
+  console.debug = toStderr;
+  console.warn = toStderr;
+}
+
+/**
+ * Serve JSON-RPC over newline-delimited stdio
+ * @param {Object} options
+ * @param {Function} options.processMessage - async (message, { notify }) => response message
+ * @param {Object} [options.input=process.stdin] - Readable stream
+ * @param {Object} [options.output=process.stdout] - Writable stream
+ * @returns {Promise<void>} Resolves when input closes and pending requests have been answered
+ */
+function runStdioTransport({ processMessage, input = process.stdin, output = process.stdout }) {
+  const pending = new Set();
+
+  const send = (message) => {
+    output.write(`${JSON.stringify(message)}\n`);
+  };
+
+  const handleLine = async (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      return send({ jsonrpc: "2.0", id: null, error: { code: -32700, message: `Parse error: ${error.message}` } });
+    }
+
+    if (!message || typeof message !== "object" || Array.isArray(message) || typeof message.method !== "string") {
+      // Responses to server requests are not used; anything else without a method is invalid
+      if (message && message.id !== undefined && (message.result !== undefined || message.error !== undefined)) return;
+      return send({ jsonrpc: "2.0", id: message?.id ?? null, error: { code: -32600, message: "Invalid JSON-RPC request" } });
+    }
+
+    const response = await processMessage(message, { notify: send });
+
+    // Notifications (no id) get no reply
+    if (message.id !== undefined) {
+      send(response);
+    }
+  };
+
+  return new Promise((resolve) => {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+
+    lines.on("line", (line) => {
+      const task = handleLine(line).catch((error) => {
+        logger.error("stdio error", { error: error.message });
+      });
+      pending.add(task);
+      task.finally(() => pending.delete(task));
+    });
+
+    lines.on("close", async () => {
+      await Promise.all(pending);
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  redirectConsoleToStderr,
+  runStdioTransport
+};
@@ -0,0 +1,286 @@
+/**
+ * Streamable HTTP Transport Module
+ *
+ * Session and SSE stream handling for the MCP Streamable HTTP transport
+ * (protocol revision 2025-06-18):
+ * - Session IDs issued on initialize and carried in the Mcp-Session-Id header
+ * - POST requests answered over an SSE stream when the client accepts
+ *   text/event-stream (notifications first, then the response)
+ * - GET opens a standalone SSE stream for server-initiated messages
+ * - Every event has an ID; GET with Last-Event-ID replays missed events
+ *   from the stream that was interrupted
+ * - DELETE terminates the session and closes its streams
+ *
+ * Clients that send neither Mcp-Session-Id nor Accept: text/event-stream
+ * keep getting plain JSON responses.
+ *
+ * @module lib/streamable-http
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Protocol versions accepted in the MCP-Protocol-Version header
+ */
+const SUPPORTED_PROTOCOL_VERSIONS = ["2025-06-18", "2025-03-26"];
+
+/**
+ * Check whether the client accepts SSE responses
+ * @param {Object} req - Express request
+ * @returns {boolean} True if Accept includes text/event-stream
+ */
+function acceptsEventStream(req) {
+  return String(req.headers.accept || "").includes("text/event-stream");
+}
+
+/**
+ * Create an in-memory session store
+ * @param {Object} options
+ * @param {number} options.ttlMs - Idle time after which a session expires
+ * @param {number} [options.maxSessions=1000] - Live sessions kept; creating one more evicts the least recently used
+ * @param {number} [options.maxEventsPerStream=100] - Events kept per stream for replay
+ * @param {number} [options.maxStreamsPerSession=20] - Finished streams kept per session for replay
+ * @param {number} [options.keepAliveMs=30000] - Interval between SSE keep-alive comments
+ * @returns {Object} Session store
+ */
+function createSessionStore({ ttlMs, maxSessions = 1000, maxEventsPerStream = 100, maxStreamsPerSession = 20, keepAliveMs = 30000 }) {
+  const sessions = new Map();
+
+  /**
+   * Create a new session
+   * At the session limit, expired sessions are swept first and then the least
+   * recently used session is evicted (its client gets 404 and re-initializes).
+   * @returns {Object} Session
+   */
+  function create() {
+    if (sessions.size >= maxSessions) sweep();
+    while (sessions.size >= maxSessions) {
+      let oldest = null;
+      for (const session of sessions.values()) {
+        if (!oldest || session.lastSeenAt < oldest.lastSeenAt) oldest = session;
+      }
+      remove(oldest.id);
+    }
+
+    const session = {
+      id: crypto.randomUUID(),
+      createdAt: Date.now(),
+      lastSeenAt: Date.now(),
+      streams: new Map(),
+      nextStreamId: 1,
+      standaloneStream: null
+    };
+    sessions.set(session.id, session);
+    return session;
+  }
+
+  /**
+   * Look up a live session and mark it as active
+   * @param {string} id - Session ID from the Mcp-Session-Id header
+   * @returns {Object|undefined} Session, or undefined if unknown or expired
+   */
+  function get(id) {
+    const session = sessions.get(id);
+    if (!session) return undefined;
+    if (Date.now() - session.lastSeenAt > ttlMs) {
+      remove(id);
+      return undefined;
+    }
+    session.lastSeenAt = Date.now();
+    return session;
+  }
+
+  /**
+   * Terminate a session and close its open streams
+   * @param {string} id - Session ID
+   * @returns {boolean} True if the session existed
+   */
+  function remove(id) {
+    const session = sessions.get(id);
+    if (!session) return false;
+    for (const stream of session.streams.values()) {
+      detach(stream);
+    }
+    sessions.delete(id);
+    return true;
+  }
+
+  /**
+   * Remove sessions idle for longer than the TTL
+   */
+  function sweep() {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (now - session.lastSeenAt > ttlMs) {
+        remove(id);
+      }
+    }
+  }
+
+  /**
+   * Write SSE headers and attach the response to a stream
+   * @param {Object} stream - Stream
+   * @param {Object} res - Express response
+   */
+  function attach(stream, res) {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        "Connection": "keep-alive",
+        "X-Accel-Buffering": "no" // Disable nginx buffering
+      });
+    }
+
+    stream.res = res;
+    stream.keepAlive = setInterval(() => {
+      if (!res.writableEnded) res.write(": ping\n\n");
+    }, keepAliveMs);
+    stream.keepAlive.unref();
+
+    res.on("close", () => {
+      // Client went away: keep buffered events so it can resume with Last-Event-ID
+      if (stream.res === res) detach(stream, false);
+    });
+  }
+
+  /**
+   * Detach the response from a stream, optionally ending it
+   * @param {Object} stream - Stream
+   * @param {boolean} [end=true] - End the HTTP response
+   */
+  function detach(stream, end = true) {
+    clearInterval(stream.keepAlive);
+    if (end && stream.res && !stream.res.writableEnded) {
+      stream.res.end();
+    }
+    stream.res = null;
+  }
+
+  /**
+   * Drop the oldest finished streams beyond the per-session limit
+   * @param {Object} session - Session
+   */
+  function pruneStreams(session) {
+    for (const [id, stream] of session.streams) {
+      if (session.streams.size <= maxStreamsPerSession) break;
+      if (stream.done) session.streams.delete(id);
+    }
+  }
+
+  /**
+   * Open an SSE stream on a response
+   * @param {Object} res - Express response
+   * @param {Object|null} session - Session (null for sessionless streams, which cannot be resumed)
+   * @param {Object} [options]
+   * @param {boolean} [options.standalone=false] - GET stream for server-initiated messages
+   * @returns {Object} Stream
+   */
+  function openStream(res, session, { standalone = false } = {}) {
+    const stream = {
+      id: session ? String(session.nextStreamId++) : "0",
+      seq: 0,
+      events: [],
+      res: null,
+      keepAlive: null,
+      done: false
+    };
+
+    if (session) {
+      if (standalone) {
+        if (session.standaloneStream) closeStream(session.standaloneStream);
+        session.standaloneStream = stream;
+      }
+      session.streams.set(stream.id, stream);
+      pruneStreams(session);
+    }
+
+    attach(stream, res);
+    return stream;
+  }
+
+  /**
+   * Send a JSON-RPC message as an SSE event
+   * @param {Object} stream - Stream
+   * @param {Object} message - JSON-RPC message
+   */
+  function sendEvent(stream, message) {
+    const event = { id: `${stream.id}-${++stream.seq}`, data: JSON.stringify(message) };
+    stream.events.push(event);
+    if (stream.events.length > maxEventsPerStream) stream.events.shift();
+
+    if (stream.res && !stream.res.writableEnded) {
+      stream.res.write(`id: ${event.id}\nevent: message\ndata: ${event.data}\n\n`);
+    }
+  }
+
+  /**
+   * Mark a stream finished and end its response
+   * @param {Object} stream - Stream
+   */
+  function closeStream(stream) {
+    stream.done = true;
+    detach(stream);
+  }
+
+  /**
+   * Resume a stream after Last-Event-ID: replay later events, then keep
+   * streaming if the stream is still open
+   * @param {Object} session - Session
+   * @param {string} lastEventId - Last-Event-ID header value
+   * @param {Object} res - Express response
+   * @returns {boolean} False if the event ID does not belong to this session
+   */
+  function resumeStream(session, lastEventId, res) {
+    const [streamId, seqText] = String(lastEventId).split("-");
+    const stream = session.streams.get(streamId);
+    const lastSeq = parseInt(seqText, 10);
+    if (!stream || isNaN(lastSeq)) return false;
+
+    // Only one connection per stream: a resumed stream replaces the old one
+    if (stream.res) detach(stream);
+    attach(stream, res);
+
+    for (const event of stream.events) {
+      if (parseInt(event.id.split("-")[1], 10) > lastSeq) {
+        res.write(`id: ${event.id}\nevent: message\ndata: ${event.data}\n\n`);
+      }
+    }
+
+    if (stream.done) detach(stream);
+    return true;
+  }
+
+  /**
+   * Send a server-initiated message on the session's standalone GET stream
+   * @param {Object} session - Session
+   * @param {Object} message - JSON-RPC notification or request
+   * @returns {boolean} False if the session has no standalone stream
+   */
+  function notify(session, message) {
+    if (!session.standaloneStream) return false;
+    sendEvent(session.standaloneStream, message);
+    return true;
+  }
+
+  return {
+    create,
+    get,
+    remove,
+    sweep,
+    openStream,
+    sendEvent,
+    closeStream,
+    resumeStream,
+    notify,
+    get size() {
+      return sessions.size;
+    }
+  };
+}
+
+module.exports = {
+  SUPPORTED_PROTOCOL_VERSIONS,
+  acceptsEventStream,
+  createSessionStore
+};
@@ -0,0 +1,507 @@
+/**
+ * Tool Definitions Module
+ *
+ * Single registry of every MCP tool the server knows about. Each definition
+ * holds:
+ * - name: Tool name used in tools/call
+ * - description: Human-readable description for tools/list
+ * - schema: AJV schema from mcp-tool-schemas.js (also served as inputSchema)
+ * - handler: Tool handler from lib/tools/
+ * - access: 'read' or 'write' (write tools require the /mcp/<SECRET> path)
+ * - enabled: Predicate over server config deciding whether the tool is exposed
+ *
+ * tools/list, parameter validation and write classification are all derived
+ * from this list.
+ *
+ * @module lib/tool-definitions
+ */
+
+const { schemas } = require("../mcp-tool-schemas");
+const readTools = require("./tools/read-tools");
+const writeTools = require("./tools/write-tools");
+const prTools = require("./tools/pr-tools");
+const issueTools = require("./tools/issue-tools");
+const releaseTools = require("./tools/release-tools");
+const reviewTools = require("./tools/review-tools");
+const actionsTools = require("./tools/actions-tools");
+
+// Enablement predicates shared by several tools
+const always = () => true;
+const prCreationEnabled = (config) => config.prEnabled && config.prWhitelist.length > 0;
+const prUpdateEnabled = (config) => config.prUpdateEnabled;
+const prMergeEnabled = (config) => config.prMergeEnabled;
+const prReviewEnabled = (config) => config.prReviewEnabled;
+const issuesEnabled = (config) => config.issuesEnabled;
+const releasesEnabled = (config) => config.releasesEnabled;
+const actionsEnabled = (config) => config.actionsEnabled;
+
+/**
+ * All tool definitions, in tools/list order
+ */
+const toolDefinitions = [
+  // Read tools (lib/tools/read-tools.js)
+  {
+    name: "search",
+    description: "Search GitHub repositories",
+    handler: readTools.handleSearch,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "search_code",
+    description: "Search code in a repository, path or language and return matching files with text fragments",
+    handler: readTools.handleSearchCode,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "fetch",
+    description: "Fetch repository metadata and README",
+    handler: readTools.handleFetch,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "list_directory",
+    description: "List contents of a directory in a repository",
+    handler: readTools.handleListDirectory,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "read_file",
+    description: "Read a file, or a numbered line range of it, with its size, SHA and line count",
+    handler: readTools.handleReadFile,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_tree",
+    description: "Get the repository tree, filtered by path prefix, glob, depth or type, with optional directory sizes",
+    handler: readTools.handleGetTree,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "grep_repo",
+    description: "Regex search over a snapshot of any branch, tag or SHA, with context lines",
+    handler: readTools.handleGrepRepo,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_commits",
+    description: "Get recent commits for a repository",
+    handler: readTools.handleGetCommits,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_commit",
+    description: "Get a single commit: full message, author/committer, parents, verification, stats, changed files and optional patches",
+    handler: readTools.handleGetCommit,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "compare_refs",
+    description: "Compare two refs (branches, tags or SHAs): ahead/behind counts, commits, changed files and optional patches",
+    handler: readTools.handleCompareRefs,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_file_history",
+    description: "List the commits that changed a file across renames, with per-commit additions/deletions, optional patches and the PR behind each change",
+    handler: readTools.handleGetFileHistory,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_blame",
+    description: "Show who last changed each line of a file (commit, author, date and pull request), optionally for a line range",
+    handler: readTools.handleGetBlame,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_branches",
+    description: "List all branches in a repository",
+    handler: readTools.handleGetBranches,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_rate_limit",
+    description: "Show remaining GitHub API quota per resource (core, search, graphql) with reset times and whether requests are being throttled",
+    handler: readTools.handleGetRateLimit,
+    access: "read",
+    enabled: always
+  },
+
+  // PR read tools (lib/tools/pr-tools.js)
+  {
+    name: "list_pull_requests",
+    description: "List pull requests in a repository",
+    handler: prTools.handleListPullRequests,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "search_pull_requests",
+    description: "Search for pull requests using GitHub's search API",
+    handler: prTools.handleSearchPullRequests,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_pull_request",
+    description: "Get detailed information about a specific pull request",
+    handler: prTools.handleGetPullRequest,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_pull_request_diff",
+    description: "Get a pull request's patches for every changed file (paged, optionally filtered by path glob), split into numbered hunks with the line ranges review comments can target. Files whose patch GitHub omitted as too large are marked.",
+    handler: prTools.handleGetPullRequestDiff,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_pr_mergeability",
+    description: "Fetch PR mergeability, state, and checks summary.",
+    handler: prTools.handleGetPRMergeability,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_checks_for_sha",
+    description: "Get combined statuses and check runs for a commit SHA, with the IDs of failing check runs (pass an Actions check run ID to get_job_log).",
+    handler: prTools.handleGetChecksForSha,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "wait_for_checks",
+    description: "Wait until the checks on a commit SHA settle (polling with backoff, with progress notifications), then summarize passed, failed and pending checks. Waits for the named checks, or for those required by branch protection",
+    handler: prTools.handleWaitForChecks,
+    access: "read",
+    enabled: always
+  },
+
+  // Issue read tools (lib/tools/issue-tools.js)
+  {
+    name: "list_issues",
+    description: "List issues in a repository (pull requests excluded) with state, label, assignee and milestone filters",
+    handler: issueTools.handleListIssues,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_issue",
+    description: "Get an issue with its comment thread and timeline events",
+    handler: issueTools.handleGetIssue,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "search_issues",
+    description: "Search issues using GitHub issue-search qualifiers (label:, author:, assignee:, milestone:, no:assignee, ...)",
+    handler: issueTools.handleSearchIssues,
+    access: "read",
+    enabled: always
+  },
+
+  // Release read tools (lib/tools/release-tools.js)
+  {
+    name: "list_releases",
+    description: "List releases in a repository, newest first",
+    handler: releaseTools.handleListReleases,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_release",
+    description: "Get a release by tag or ID (or the latest release) with its notes and assets",
+    handler: releaseTools.handleGetRelease,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "list_tags",
+    description: "List tags in a repository with the commits they point to",
+    handler: releaseTools.handleListTags,
+    access: "read",
+    enabled: always
+  },
+
+  // Actions read tools (lib/tools/actions-tools.js)
+  {
+    name: "list_workflow_runs",
+    description: "List GitHub Actions workflow runs, newest first, filtered by workflow, branch, event, status or commit",
+    handler: actionsTools.handleListWorkflowRuns,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_workflow_run",
+    description: "Get a GitHub Actions workflow run with its jobs and their steps, including which jobs and steps failed",
+    handler: actionsTools.handleGetWorkflowRun,
+    access: "read",
+    enabled: always
+  },
+  {
+    name: "get_job_log",
+    description: "Get excerpts of a GitHub Actions job log: the lines around the first error and the tail. For Actions checks, the check run ID is the job ID",
+    handler: actionsTools.handleGetJobLog,
+    access: "read",
+    enabled: always
+  },
+  // Write tools (lib/tools/write-tools.js)
+  {
+    name: "create_pull_request",
+    description: "Create a pull request in a repository. Automatically checks for existing PRs to prevent duplicates. Can optionally create the head branch if missing and commit files before creating the PR",
+    handler: writeTools.handleCreatePullRequest,
+    access: "write",
+    enabled: prCreationEnabled
+  },
+  {
+    name: "create_branch",
+    description: "Create a new branch in a repository from an existing branch or commit. Returns success if branch already exists (idempotent)",
+    handler: writeTools.handleCreateBranch,
+    access: "write",
+    enabled: prCreationEnabled
+  },
+  {
+    name: "commit_files",
+    description: "Commit files to a branch in a repository",
+    handler: writeTools.handleCommitFiles,
+    access: "write",
+    enabled: prCreationEnabled
+  },
+
+  // PR write tools (lib/tools/pr-tools.js)
+  {
+    name: "update_pull_request",
+    description: "Update a pull request: flip draft (ready-for-review), edit title/body/base/state, optionally add reviewers",
+    handler: prTools.handleUpdatePullRequest,
+    access: "write",
+    enabled: prUpdateEnabled
+  },
+  {
+    name: "merge_pull_request",
+    description: "Merge a pull request after verifying mergeability and branch protections. Does not bypass protections. Requires the head sha as a safety guard.",
+    handler: prTools.handleMergePullRequest,
+    access: "write",
+    enabled: prMergeEnabled
+  },
+
+  // PR review write tools (lib/tools/review-tools.js)
+  {
+    name: "submit_review",
+    description: "Submit a pull request review (APPROVE, REQUEST_CHANGES or COMMENT) with a batch of inline comments anchored by path and line/side, including multi-line ranges and suggestion blocks",
+    handler: reviewTools.handleSubmitReview,
+    access: "write",
+    enabled: prReviewEnabled
+  },
+  {
+    name: "reply_to_review_comment",
+    description: "Reply to an inline pull request review comment in its thread",
+    handler: reviewTools.handleReplyToReviewComment,
+    access: "write",
+    enabled: prReviewEnabled
+  },
+  {
+    name: "resolve_review_thread",
+    description: "Resolve or unresolve a pull request review thread, by thread ID or by the ID of any comment in it",
+    handler: reviewTools.handleResolveReviewThread,
+    access: "write",
+    enabled: prReviewEnabled
+  },
+
+  // Issue write tools (lib/tools/issue-tools.js)
+  {
+    name: "create_issue",
+    description: "Open a new issue with optional labels, assignees and milestone",
+    handler: issueTools.handleCreateIssue,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "update_issue",
+    description: "Edit an issue's title, body, state, labels, assignees or milestone. Labels and assignees replace the current sets.",
+    handler: issueTools.handleUpdateIssue,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "add_issue_comment",
+    description: "Comment on an issue or pull request conversation",
+    handler: issueTools.handleAddIssueComment,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "close_issue",
+    description: "Close an issue as completed or not planned, optionally posting a closing comment",
+    handler: issueTools.handleCloseIssue,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "lock_issue",
+    description: "Lock an issue conversation",
+    handler: issueTools.handleLockIssue,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "unlock_issue",
+    description: "Unlock an issue conversation",
+    handler: issueTools.handleUnlockIssue,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "add_issue_labels",
+    description: "Add labels to an issue, keeping existing ones",
+    handler: issueTools.handleAddIssueLabels,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "remove_issue_labels",
+    description: "Remove labels from an issue",
+    handler: issueTools.handleRemoveIssueLabels,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "add_issue_assignees",
+    description: "Assign users to an issue, keeping existing assignees",
+    handler: issueTools.handleAddIssueAssignees,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  {
+    name: "remove_issue_assignees",
+    description: "Remove assignees from an issue",
+    handler: issueTools.handleRemoveIssueAssignees,
+    access: "write",
+    enabled: issuesEnabled
+  },
+  // Release write tools (lib/tools/release-tools.js)
+  {
+    name: "create_release",
+    description: "Create a release for a tag (draft by default; the tag is created from target_commitish if missing)",
+    handler: releaseTools.handleCreateRelease,
+    access: "write",
+    enabled: releasesEnabled
+  },
+  {
+    name: "create_tag",
+    description: "Create a lightweight tag, or an annotated tag when a message is given, at a commit",
+    handler: releaseTools.handleCreateTag,
+    access: "write",
+    enabled: releasesEnabled
+  },
+
+  // Actions write tools (lib/tools/actions-tools.js)
+  {
+    name: "rerun_workflow",
+    description: "Re-run a GitHub Actions workflow run (all jobs, or only failed jobs) or a single job",
+    handler: actionsTools.handleRerunWorkflow,
+    access: "write",
+    enabled: actionsEnabled
+  },
+  {
+    name: "cancel_workflow_run",
+    description: "Cancel a queued or in-progress GitHub Actions workflow run",
+    handler: actionsTools.handleCancelWorkflowRun,
+    access: "write",
+    enabled: actionsEnabled
+  },
+  {
+    name: "dispatch_workflow",
+    description: "Trigger a GitHub Actions workflow that has a workflow_dispatch trigger, on a branch or tag, with inputs",
+    handler: actionsTools.handleDispatchWorkflow,
+    access: "write",
+    enabled: actionsEnabled
+  }
+].map(definition => ({ ...definition, schema: schemas[definition.name] }));
+
+// Every tool must have a schema, otherwise it could never pass validation
+for (const definition of toolDefinitions) {
+  if (!definition.schema) {
+    throw new Error(`Tool definition '${definition.name}' has no schema in mcp-tool-schemas.js`);
+  }
+}
+
+const definitionsByName = new Map(toolDefinitions.map(definition => [definition.name, definition]));
+
+/**
+ * Look up a tool definition by name
+ * @param {string} name - Tool name
+ * @returns {Object|undefined} Tool definition
+ */
+function getToolDefinition(name) {
+  return definitionsByName.get(name);
+}
+
+/**
+ * Check whether a tool performs write operations
+ * @param {string} name - Tool name
+ * @returns {boolean} True if the tool is registered as a write tool
+ */
+function isWriteTool(name) {
+  const definition = definitionsByName.get(name);
+  return !!definition && definition.access === "write";
+}
+
+/**
+ * Check whether a tool is enabled for the given server configuration
+ * @param {string} name - Tool name
+ * @param {Object} config - Server configuration
+ * @returns {boolean} True if the tool exists and is enabled
+ */
+function isToolEnabled(name, config) {
+  const definition = definitionsByName.get(name);
+  return !!definition && definition.enabled(config);
+}
+
+/**
+ * Convert an AJV schema into an MCP inputSchema (drops AJV-only keys)
+ * @param {Object} schema - AJV schema
+ * @returns {Object} JSON Schema suitable for tools/list
+ */
+function toInputSchema(schema) {
+  const { $id, ...inputSchema } = schema;
+  return inputSchema;
+}
+
+/**
+ * Build the tools/list payload for a request
+ * @param {Object} config - Server configuration
+ * @param {Object} [options]
+ * @param {boolean} [options.includeWrite=false] - Include write tools (caller holds the write secret)
+ * @returns {Array<Object>} MCP tool descriptors
+ */
+function listTools(config, { includeWrite = false } = {}) {
+  return toolDefinitions
+    .filter(definition => definition.enabled(config))
+    .filter(definition => includeWrite || definition.access !== "write")
+    .map(definition => ({
+      name: definition.name,
+      description: definition.description,
+      inputSchema: toInputSchema(definition.schema)
+    }));
+}
+
+module.exports = {
+  toolDefinitions,
+  getToolDefinition,
+  isWriteTool,
+  isToolEnabled,
+  listTools
+};
@@ -0,0 +1,581 @@
+/**
+ * Actions Tools Module
+ *
+ * Tool handlers for GitHub Actions read operations:
+ * - list_workflow_runs: List workflow runs, filtered by workflow, branch, event or status
+ * - get_workflow_run: Get a run with its jobs and steps
+ * - get_job_log: Excerpts of a job log (the tail and the lines around the first error)
+ *
+ * Tool handlers for GitHub Actions write operations:
+ * - rerun_workflow: Re-run a whole run, only its failed jobs, or a single job
+ * - cancel_workflow_run: Cancel (or force-cancel) a queued or running run
+ * - dispatch_workflow: Trigger a workflow_dispatch workflow with inputs
+ *
+ * Write handlers are gated by ACTIONS_ENABLED, the repository whitelist and a
+ * per-repository rate limit, and every attempt is written to the audit log.
+ *
+ * For check runs created by GitHub Actions, the check run ID reported by
+ * get_checks_for_sha is the job ID accepted by get_job_log.
+ *
+ * @module lib/tools/actions-tools
+ */
+
+/**
+ * Longest log line returned (minified output and progress bars can be very long)
+ */
+const MAX_LOG_LINE_LENGTH = 1000;
+
+/**
+ * Lines that look like the start of a failure: Actions error annotations,
+ * compiler/test runner errors, npm errors, Python tracebacks and Go panics
+ */
+const ERROR_LINE_PATTERN = /##\[error\]|\b[Ee]rror(?: [A-Z]+\d+)?:|\bERROR\b|\bFAIL(?:ED)?\b|\bfatal:|npm ERR!|Traceback \(most recent call last\)|\bpanic:|\w+Exception:/;
+
+/**
+ * The closing annotation of every failed step; only reported when nothing more specific matched
+ */
+const EXIT_CODE_PATTERN = /Process completed with exit code \d+/;
+
+/**
+ * Terminal colour codes (most tools colour their output on CI runners)
+ */
+const ANSI_COLOR_PATTERN = /\u001b\[[0-9;]*m/g;
+
+/**
+ * Timestamp prefix GitHub adds to every log line
+ */
+const LOG_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z /;
+
+/**
+ * Helper: Map GitHub errors to messages classifyToolError understands
+ * @param {Error} error - GitHub API error
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [what] - Run, job or workflow description for not-found errors
+ * @param {string} [permission='actions:read'] - Token permission the operation needs
+ * @returns {Error} Error to throw
+ */
+function toActionsError(error, owner, repo, what, permission = 'actions:read') {
+  const status = error.statusCode || error.response?.status;
+  const githubMessage = error.response?.data?.message;
+  // Expired logs are 410 Gone
+  if (status === 404 || status === 410) {
+    return new Error(what
+      ? `${what} not found in ${owner}/${repo}`
+      : `Repository ${owner}/${repo} not found or inaccessible`);
+  }
+  // Rate limit 403s keep their rate limit message (JSON-RPC -32004)
+  if (status === 403 && !error.rateLimit) {
+    return new Error(`Permission denied. Ensure the GitHub token has '${permission}' permission for ${owner}/${repo}`);
+  }
+  // e.g. a workflow without a workflow_dispatch trigger, or unknown inputs
+  if (status === 422) {
+    return new Error(`GitHub validation failed: ${githubMessage || error.message}`);
+  }
+  // e.g. cancelling a run that already completed
+  if (status === 409) {
+    return new Error(`${what || 'Workflow run'} is in the wrong state: ${githubMessage || error.message}`);
+  }
+  return error;
+}
+
+/**
+ * Helper: Enforce feature flag and whitelist for Actions writes
+ * @param {Object} args - Tool arguments containing repo
+ * @param {Object} context - Tool context
+ * @returns {Array<string>} [owner, repo]
+ */
+function assertActionsWriteAllowed(args, { config, validateRepoFormat, assert, isRepoWhitelisted }) {
+  assert(config.actionsEnabled, 'Actions write operations are disabled');
+
+  const [owner, repo] = validateRepoFormat(args.repo);
+
+  assert(
+    isRepoWhitelisted(owner, repo),
+    `Repository ${owner}/${repo} is not whitelisted for Actions operations`
+  );
+
+  return [owner, repo];
+}
+
+/**
+ * Helper: Take an Actions write from the per-repository rate limit.
+ * Called once the arguments are validated, so malformed calls don't use up the budget.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} context - Tool context
+ */
+function assertActionsRateLimit(owner, repo, { config, assert, checkRateLimitCustom, actionsRateLimiter }) {
+  assert(
+    checkRateLimitCustom(
+      config.actionsRateLimitWindow,
+      config.actionsRateLimitMax,
+      actionsRateLimiter,
+      'actions',
+      `${owner}/${repo}`
+    ),
+    `Actions rate limit exceeded for ${owner}/${repo}. Max ${config.actionsRateLimitMax} operations per ${config.actionsRateLimitWindow / 60000} minutes`
+  );
+}
+
+/**
+ * Helper: Reduce a GitHub workflow run payload to the fields returned by Actions tools
+ * @param {Object} run - GitHub workflow run object
+ * @returns {Object} Run summary
+ */
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    name: run.name,
+    title: run.display_title || null,
+    workflow_id: run.workflow_id,
+    run_number: run.run_number,
+    attempt: run.run_attempt,
+    event: run.event,
+    status: run.status,
+    conclusion: run.conclusion,
+    branch: run.head_branch,
+    head_sha: run.head_sha,
+    actor: run.actor ? run.actor.login : null,
+    created_at: run.created_at,
+    updated_at: run.updated_at,
+    url: run.html_url
+  };
+}
+
+/**
+ * Helper: Reduce a GitHub job payload to its status and steps
+ * @param {Object} job - GitHub workflow job object
+ * @returns {Object} Job summary
+ */
+function summarizeJob(job) {
+  const steps = job.steps || [];
+  const failedStep = steps.find(step => step.conclusion === "failure");
+  return {
+    id: job.id,
+    name: job.name,
+    status: job.status,
+    conclusion: job.conclusion,
+    started_at: job.started_at,
+    completed_at: job.completed_at,
+    runner: job.runner_name || null,
+    failed_step: failedStep ? failedStep.name : null,
+    url: job.html_url,
+    steps: steps.map(step => ({
+      number: step.number,
+      name: step.name,
+      status: step.status,
+      conclusion: step.conclusion
+    }))
+  };
+}
+
+/**
+ * List workflow runs, newest first
+ * @param {Object} args - List arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} [args.workflow] - Workflow ID or file name (e.g. ci.yml)
+ * @param {string} [args.branch] - Only runs for this branch
+ * @param {string} [args.event] - Only runs triggered by this event (push, pull_request, ...)
+ * @param {string} [args.status] - Status or conclusion (e.g. in_progress, failure)
+ * @param {string} [args.head_sha] - Only runs for this commit
+ * @param {number} [args.per_page=30] - Results per page
+ * @param {number} [args.page=1] - Page number
+ * @returns {Promise<Object>} MCP response with runs
+ */
+async function handleListWorkflowRuns(args, { validateRepoFormat, validateBranch, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const params = {
+    per_page: args.per_page || 30,
+    page: args.page || 1
+  };
+  if (args.branch) params.branch = validateBranch(args.branch);
+  if (args.event) params.event = args.event;
+  if (args.status) params.status = args.status;
+  if (args.head_sha) params.head_sha = args.head_sha;
+
+  const endpoint = args.workflow
+    ? `/repos/${owner}/${repo}/actions/workflows/${encodeURIComponent(args.workflow)}/runs`
+    : `/repos/${owner}/${repo}/actions/runs`;
+
+  try {
+    const response = await githubRequest(endpoint, params);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            total_count: response.total_count,
+            runs: (response.workflow_runs || []).map(summarizeRun),
+            page: params.page,
+            per_page: params.per_page,
+            has_more: params.page * params.per_page < response.total_count
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    throw toActionsError(error, owner, repo, args.workflow ? `Workflow ${args.workflow}` : undefined);
+  }
+}
+
+/**
+ * Get a workflow run with the jobs of its latest attempt and their steps
+ * @param {Object} args - Run arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.run_id - Workflow run ID
+ * @returns {Promise<Object>} MCP response with the run and its jobs
+ */
+async function handleGetWorkflowRun(args, { validateRepoFormat, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+
+  try {
+    const run = await githubRequest(`/repos/${owner}/${repo}/actions/runs/${args.run_id}`);
+    const jobs = await githubRequest(`/repos/${owner}/${repo}/actions/runs/${args.run_id}/jobs`, {
+      filter: "latest",
+      per_page: 100
+    });
+    const summaries = (jobs.jobs || []).map(summarizeJob);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            ...summarizeRun(run),
+            run_started_at: run.run_started_at || null,
+            jobs: summaries,
+            total_jobs: jobs.total_count,
+            jobs_truncated: summaries.length < jobs.total_count,
+            failed_jobs: summaries
+              .filter(job => ["failure", "timed_out", "cancelled"].includes(job.conclusion))
+              .map(job => job.id)
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    throw toActionsError(error, owner, repo, `Workflow run ${args.run_id}`);
+  }
+}
+
+/**
+ * Helper: Number a slice of log lines ("n\tline", 1-based)
+ * @param {string[]} lines - All log lines
+ * @param {number} start - First line index (0-based)
+ * @param {number} end - Index after the last line
+ * @returns {Object} { start_line, end_line, content }
+ */
+function logExcerpt(lines, start, end) {
+  return {
+    start_line: start + 1,
+    end_line: end,
+    content: lines.slice(start, end).map((line, index) => `${start + index + 1}\t${line}`).join("\n")
+  };
+}
+
+/**
+ * Get excerpts of a job log: the lines around the first error and the tail
+ *
+ * The log is downloaded (GitHub redirects to short-lived blob storage) up to
+ * config.jobLogMaxBytes. Colour codes are stripped, and so are timestamps
+ * unless requested.
+ * @param {Object} args - Log arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.job_id - Job ID (the check run ID for Actions checks)
+ * @param {number} [args.tail_lines=100] - Lines returned from the end of the log
+ * @param {number} [args.context_lines=20] - Lines returned before and after the first error
+ * @param {boolean} [args.timestamps=false] - Keep the timestamp prefix of each line
+ * @returns {Promise<Object>} MCP response with log excerpts
+ */
+async function handleGetJobLog(args, { validateRepoFormat, githubRequest, github, config }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const tailLines = args.tail_lines ?? 100;
+  const contextLines = args.context_lines ?? 20;
+
+  let job;
+  try {
+    job = await githubRequest(`/repos/${owner}/${repo}/actions/jobs/${args.job_id}`);
+  } catch (error) {
+    throw toActionsError(error, owner, repo, `Job ${args.job_id}`);
+  }
+
+  const summary = summarizeJob(job);
+  delete summary.steps;
+
+  // Logs are only published once the job finishes
+  if (job.status !== "completed") {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            job: summary,
+            available: false,
+            reason: `Job is ${job.status}; its log is available once it completes`
+          })
+        }
+      ]
+    };
+  }
+
+  let data;
+  try {
+    // Downloaded with the client directly: logs bypass the ETag cache
+    const response = await github.get(`/repos/${owner}/${repo}/actions/jobs/${args.job_id}/logs`, {
+      responseType: "arraybuffer",
+      maxContentLength: config.jobLogMaxBytes
+    });
+    data = Buffer.from(response.data);
+  } catch (error) {
+    if (/maxContentLength/.test(error.message)) {
+      throw new Error(`Log for job ${args.job_id} exceeds ${config.jobLogMaxBytes} bytes; open it on GitHub: ${job.html_url}`);
+    }
+    throw toActionsError(error, owner, repo, `Log for job ${args.job_id} (logs expire after the retention period)`);
+  }
+
+  const lines = data.toString("utf8")
+    .replace(/^\uFEFF/, "")
+    .split(/\r?\n/)
+    .map(line => {
+      let clean = line.replace(ANSI_COLOR_PATTERN, "");
+      if (!args.timestamps) clean = clean.replace(LOG_TIMESTAMP_PATTERN, "");
+      return clean.length > MAX_LOG_LINE_LENGTH ? clean.slice(0, MAX_LOG_LINE_LENGTH) : clean;
+    });
+  if (lines[lines.length - 1] === "") lines.pop();
+
+  let errorIndex = lines.findIndex(line => ERROR_LINE_PATTERN.test(line) && !EXIT_CODE_PATTERN.test(line));
+  if (errorIndex === -1) errorIndex = lines.findIndex(line => ERROR_LINE_PATTERN.test(line));
+
+  const firstError = errorIndex === -1 ? null : {
+    line_number: errorIndex + 1,
+    line: lines[errorIndex],
+    ...logExcerpt(lines, Math.max(0, errorIndex - contextLines), Math.min(lines.length, errorIndex + contextLines + 1))
+  };
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          job: summary,
+          available: true,
+          bytes: data.length,
+          total_lines: lines.length,
+          first_error: firstError,
+          tail: lines.length > 0 ? logExcerpt(lines, Math.max(0, lines.length - tailLines), lines.length) : null
+        })
+      }
+    ]
+  };
+}
+
+/**
+ * Re-run a workflow run (all jobs or only the failed ones) or a single job
+ * @param {Object} args - Re-run arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} [args.run_id] - Workflow run ID
+ * @param {number} [args.job_id] - Job ID (re-runs this job and the jobs that depend on it)
+ * @param {boolean} [args.failed_only=false] - Re-run only failed jobs of the run (and their dependents)
+ * @param {boolean} [args.enable_debug_logging=false] - Re-run with runner and step debug logging
+ * @returns {Promise<Object>} MCP response with re-run status
+ */
+async function handleRerunWorkflow(args, context) {
+  const { assert, githubRequest, auditLog } = context;
+  const [owner, repo] = assertActionsWriteAllowed(args, context);
+  assert(Boolean(args.run_id) !== Boolean(args.job_id), 'Exactly one of run_id or job_id is required');
+  assert(!(args.job_id && args.failed_only), 'failed_only applies to run_id, not job_id');
+
+  let endpoint;
+  let scope;
+  if (args.job_id) {
+    endpoint = `/repos/${owner}/${repo}/actions/jobs/${args.job_id}/rerun`;
+    scope = 'job';
+  } else {
+    endpoint = `/repos/${owner}/${repo}/actions/runs/${args.run_id}/${args.failed_only ? 'rerun-failed-jobs' : 'rerun'}`;
+    scope = args.failed_only ? 'failed_jobs' : 'all_jobs';
+  }
+  const target = args.job_id ? `Job ${args.job_id}` : `Workflow run ${args.run_id}`;
+  assertActionsRateLimit(owner, repo, context);
+
+  await auditLog('WORKFLOW_RERUN_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    runId: args.run_id || null,
+    jobId: args.job_id || null,
+    scope
+  });
+
+  try {
+    await githubRequest(endpoint, { enable_debug_logging: args.enable_debug_logging === true }, {}, 'POST');
+
+    await auditLog('WORKFLOW_RERUN', {
+      repo: `${owner}/${repo}`,
+      runId: args.run_id || null,
+      jobId: args.job_id || null,
+      scope
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            run_id: args.run_id || null,
+            job_id: args.job_id || null,
+            scope,
+            message: `${target} re-run requested; follow it with get_workflow_run`
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('WORKFLOW_RERUN_FAILED', {
+      repo: `${owner}/${repo}`,
+      runId: args.run_id || null,
+      jobId: args.job_id || null,
+      error: error.message
+    });
+    throw toActionsError(error, owner, repo, target, 'actions:write');
+  }
+}
+
+/**
+ * Cancel a queued or in-progress workflow run
+ * @param {Object} args - Cancel arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.run_id - Workflow run ID
+ * @param {boolean} [args.force=false] - Force-cancel, bypassing always() conditions
+ * @returns {Promise<Object>} MCP response with cancel status
+ */
+async function handleCancelWorkflowRun(args, context) {
+  const { githubRequest, auditLog } = context;
+  const [owner, repo] = assertActionsWriteAllowed(args, context);
+  const force = args.force === true;
+  assertActionsRateLimit(owner, repo, context);
+
+  await auditLog('WORKFLOW_CANCEL_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    runId: args.run_id,
+    force
+  });
+
+  try {
+    await githubRequest(
+      `/repos/${owner}/${repo}/actions/runs/${args.run_id}/${force ? 'force-cancel' : 'cancel'}`,
+      {},
+      {},
+      'POST'
+    );
+
+    await auditLog('WORKFLOW_CANCELLED', {
+      repo: `${owner}/${repo}`,
+      runId: args.run_id,
+      force
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            run_id: args.run_id,
+            force,
+            message: `Cancellation of workflow run ${args.run_id} requested`
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('WORKFLOW_CANCEL_FAILED', {
+      repo: `${owner}/${repo}`,
+      runId: args.run_id,
+      error: error.message
+    });
+    throw toActionsError(error, owner, repo, `Workflow run ${args.run_id}`, 'actions:write');
+  }
+}
+
+/**
+ * Trigger a workflow that has a workflow_dispatch trigger
+ * @param {Object} args - Dispatch arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.workflow - Workflow ID or file name (e.g. deploy.yml)
+ * @param {string} [args.ref] - Branch or tag to run on (default branch if omitted)
+ * @param {Object} [args.inputs] - Workflow inputs (strings, numbers or booleans)
+ * @returns {Promise<Object>} MCP response with dispatch status
+ */
+async function handleDispatchWorkflow(args, context) {
+  const { validateBranch, githubRequest, auditLog } = context;
+  const [owner, repo] = assertActionsWriteAllowed(args, context);
+
+  let ref = args.ref;
+  if (!ref) {
+    const repoInfo = await githubRequest(`/repos/${owner}/${repo}`);
+    ref = repoInfo.default_branch || 'main';
+  }
+  ref = validateBranch(ref);
+
+  // workflow_dispatch inputs are always strings on the GitHub side
+  const inputs = {};
+  for (const [name, value] of Object.entries(args.inputs || {})) {
+    inputs[name] = String(value);
+  }
+  assertActionsRateLimit(owner, repo, context);
+
+  await auditLog('WORKFLOW_DISPATCH_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    workflow: args.workflow,
+    ref,
+    inputs: Object.keys(inputs)
+  });
+
+  try {
+    await githubRequest(
+      `/repos/${owner}/${repo}/actions/workflows/${encodeURIComponent(args.workflow)}/dispatches`,
+      { ref, inputs },
+      {},
+      'POST'
+    );
+
+    await auditLog('WORKFLOW_DISPATCHED', {
+      repo: `${owner}/${repo}`,
+      workflow: args.workflow,
+      ref
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            workflow: args.workflow,
+            ref,
+            inputs,
+            message: `Workflow ${args.workflow} dispatched on ${ref}; find the run with list_workflow_runs (event: workflow_dispatch)`
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('WORKFLOW_DISPATCH_FAILED', {
+      repo: `${owner}/${repo}`,
+      workflow: args.workflow,
+      ref,
+      error: error.message
+    });
+    throw toActionsError(error, owner, repo, `Workflow ${args.workflow}`, 'actions:write');
+  }
+}
+
+module.exports = {
+  handleListWorkflowRuns,
+  handleGetWorkflowRun,
+  handleGetJobLog,
+  handleRerunWorkflow,
+  handleCancelWorkflowRun,
+  handleDispatchWorkflow
+};
@@ -0,0 +1,1031 @@
+/**
+ * Issue Tools Module
+ *
+ * Tool handlers for GitHub issue read operations:
+ * - list_issues: List issues with state/label/assignee/milestone filters
+ * - get_issue: Get an issue with its comment thread and timeline events
+ * - search_issues: Search issues using GitHub issue-search qualifiers
+ *
+ * Tool handlers for GitHub issue write operations:
+ * - create_issue: Open a new issue
+ * - update_issue: Edit issue title, body, state, labels, assignees, milestone
+ * - add_issue_comment: Comment on an issue (or pull request conversation)
+ * - close_issue: Close an issue with a reason and optional closing comment
+ * - lock_issue / unlock_issue: Lock or unlock an issue conversation
+ * - add_issue_labels / remove_issue_labels: Manage issue labels
+ * - add_issue_assignees / remove_issue_assignees: Manage issue assignees
+ *
+ * Write handlers are gated by ISSUES_ENABLED, the repository whitelist and a
+ * per-repository rate limit, and every attempt is written to the audit log.
+ *
+ * @module lib/tools/issue-tools
+ */
+
+/**
+ * Helper: Enforce feature flag and whitelist for issue writes
+ * @param {Object} args - Tool arguments containing repo
+ * @param {Object} context - Tool context
+ * @returns {Array<string>} [owner, repo]
+ */
+function assertIssueWriteAllowed(args, { config, validateRepoFormat, assert, isRepoWhitelisted }) {
+  assert(config.issuesEnabled, 'Issue write operations are disabled');
+
+  const [owner, repo] = validateRepoFormat(args.repo);
+
+  assert(
+    isRepoWhitelisted(owner, repo),
+    `Repository ${owner}/${repo} is not whitelisted for issue operations`
+  );
+
+  return [owner, repo];
+}
+
+/**
+ * Helper: Take an issue write from the per-repository rate limit.
+ * Called once the arguments are validated, so malformed calls don't use up the budget.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} context - Tool context
+ */
+function assertIssueRateLimit(owner, repo, { config, assert, checkRateLimitCustom, issueRateLimiter }) {
+  assert(
+    checkRateLimitCustom(
+      config.issueRateLimitWindow,
+      config.issueRateLimitMax,
+      issueRateLimiter,
+      'issue',
+      `${owner}/${repo}`
+    ),
+    `Issue rate limit exceeded for ${owner}/${repo}. Max ${config.issueRateLimitMax} operations per ${config.issueRateLimitWindow / 60000} minutes`
+  );
+}
+
+/**
+ * Helper: Parse and validate an issue number argument
+ * @param {*} value - Raw issueNumber argument
+ * @param {Function} assert - Assertion helper
+ * @returns {number} Issue number
+ */
+function parseIssueNumber(value, assert) {
+  const issueNumber = parseInt(value);
+  assert(!isNaN(issueNumber) && issueNumber > 0, 'Valid issueNumber required');
+  return issueNumber;
+}
+
+/**
+ * Helper: Validate a list of GitHub logins or label names
+ * @param {Array<string>} values - Values to validate
+ * @param {string} field - Field name for error messages
+ * @param {Object} context - Tool context with safeString and assert
+ * @returns {Array<string>} Sanitized values
+ */
+function validateNameList(values, field, { safeString, assert }) {
+  assert(Array.isArray(values) && values.length > 0, `${field} must be a non-empty array`);
+  return values.map((value, idx) => {
+    const safe = safeString(value, 100).trim();
+    assert(safe.length > 0, `${field}[${idx}] must be a non-empty string`);
+    return safe;
+  });
+}
+
+/**
+ * Helper: Map GitHub errors on issue endpoints to actionable messages
+ * @param {Error} error - Error thrown by githubRequest
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} [issueNumber] - Issue number, when the call targeted one
+ * @returns {Error} Error with a helpful message
+ */
+function toIssueError(error, owner, repo, issueNumber) {
+  if (error.statusCode === 404) {
+    return new Error(issueNumber
+      ? `Issue #${issueNumber} not found in ${owner}/${repo}`
+      : `Repository ${owner}/${repo} not found or inaccessible`);
+  }
+  if (error.statusCode === 410) {
+    return new Error(`Issues are disabled for ${owner}/${repo} (not found)`);
+  }
+  // Rate limit 403s keep their rate limit message (JSON-RPC -32004)
+  if (error.statusCode === 403 && !error.rateLimit) {
+    return new Error(`Permission denied. Ensure the GitHub token has 'issues:write' permission for ${owner}/${repo}`);
+  }
+  if (error.statusCode === 422) {
+    return new Error(`GitHub validation failed: ${error.response?.data?.message || error.message}`);
+  }
+  return error;
+}
+
+/**
+ * Helper: Reduce a GitHub issue payload to the fields returned by issue tools
+ * @param {Object} issue - GitHub issue object
+ * @returns {Object} Issue summary
+ */
+function summarizeIssue(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    state_reason: issue.state_reason || null,
+    locked: issue.locked,
+    url: issue.html_url,
+    labels: (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)),
+    assignees: (issue.assignees || []).map(a => a.login),
+    milestone: issue.milestone ? issue.milestone.number : null,
+    updated_at: issue.updated_at
+  };
+}
+
+/**
+ * List issues in a repository
+ * Pull requests returned by the issues endpoint are filtered out
+ * @param {Object} args - Issue listing arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} [args.state='open'] - Issue state: open, closed, all
+ * @param {Array<string>} [args.labels] - Only issues carrying all of these labels
+ * @param {string} [args.assignee] - Login, "none" or "*"
+ * @param {string} [args.creator] - Filter by issue author
+ * @param {string} [args.mentioned] - Filter by mentioned login
+ * @param {string|number} [args.milestone] - Milestone number, "none" or "*"
+ * @param {string} [args.since] - Only issues updated at or after this ISO 8601 timestamp
+ * @param {string} [args.sort] - Sort by: created, updated, comments
+ * @param {string} [args.direction] - Sort direction: asc, desc
+ * @param {number} [args.limit=30] - Max results per page
+ * @param {number} [args.page=1] - Page number
+ * @returns {Promise<Object>} MCP response with issue list
+ */
+async function handleListIssues(args, { validateRepoFormat, safeString, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+
+  const params = {
+    per_page: args.limit || args.per_page || 30,
+    page: args.page || 1
+  };
+
+  if (args.state) params.state = args.state; // open, closed, all
+  if (Array.isArray(args.labels) && args.labels.length > 0) {
+    params.labels = args.labels.map(l => safeString(l, 100)).join(',');
+  }
+  if (args.assignee) params.assignee = safeString(args.assignee, 100);
+  if (args.creator) params.creator = safeString(args.creator, 100);
+  if (args.mentioned) params.mentioned = safeString(args.mentioned, 100);
+  if (args.milestone !== undefined) params.milestone = String(args.milestone);
+  if (args.since) params.since = args.since;
+  if (args.sort) params.sort = args.sort; // created, updated, comments
+  if (args.direction) params.direction = args.direction; // asc, desc
+
+  try {
+    const response = await githubRequest(`/repos/${owner}/${repo}/issues`, params);
+
+    const issues = response
+      .filter(issue => !issue.pull_request)
+      .map(issue => ({
+        number: issue.number,
+        title: issue.title,
+        state: issue.state,
+        state_reason: issue.state_reason || null,
+        url: issue.html_url,
+        author: issue.user ? issue.user.login : null,
+        labels: (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)),
+        assignees: (issue.assignees || []).map(a => a.login),
+        milestone: issue.milestone ? issue.milestone.title : null,
+        comments: issue.comments,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at
+      }));
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            repository: `${owner}/${repo}`,
+            issues,
+            page: params.page,
+            per_page: params.per_page,
+            // A full page from GitHub means there may be more, even if PRs were filtered out
+            has_more: response.length === params.per_page
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    throw toIssueError(error, owner, repo);
+  }
+}
+
+/**
+ * Helper: Reduce a timeline event to the fields useful for understanding issue history
+ * @param {Object} event - GitHub timeline event
+ * @returns {Object} Event summary
+ */
+function summarizeTimelineEvent(event) {
+  const summary = {
+    event: event.event,
+    actor: event.actor ? event.actor.login : (event.user ? event.user.login : null),
+    created_at: event.created_at || (event.author ? event.author.date : null)
+  };
+
+  if (event.label) summary.label = event.label.name;
+  if (event.assignee) summary.assignee = event.assignee.login;
+  if (event.milestone) summary.milestone = event.milestone.title;
+  if (event.rename) summary.rename = { from: event.rename.from, to: event.rename.to };
+  if (event.state_reason) summary.state_reason = event.state_reason;
+  if (event.commit_id) summary.commit_id = event.commit_id;
+  if (event.event === 'committed' && event.sha) summary.commit_id = event.sha;
+  if (event.source && event.source.issue) {
+    summary.source = {
+      number: event.source.issue.number,
+      title: event.source.issue.title,
+      repository: event.source.issue.repository ? event.source.issue.repository.full_name : null,
+      is_pull_request: !!event.source.issue.pull_request
+    };
+  }
+
+  return summary;
+}
+
+/**
+ * Read the most recent timeline events of an issue
+ *
+ * GitHub returns the timeline oldest first, so the last page (from the Link
+ * header) is read first and earlier pages are added until there are enough.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} issueNumber - Issue number
+ * @param {number} limit - Events to return
+ * @param {Object} context - Tool context (github client and githubRequest)
+ * @returns {Promise<Object[]>} Raw timeline events, oldest first, without comments
+ */
+async function fetchRecentTimeline(owner, repo, issueNumber, limit, { github, githubRequest }) {
+  const endpoint = `/repos/${owner}/${repo}/issues/${issueNumber}/timeline`;
+
+  let firstPage;
+  try {
+    // Read with the client directly: githubRequest does not return headers
+    firstPage = await github.get(endpoint, { params: { per_page: 100, page: 1 } });
+  } catch (error) {
+    if (error.response && !error.statusCode) error.statusCode = error.response.status;
+    throw error;
+  }
+
+  const last = /[?&]page=(\d+)[^>]*>;\s*rel="last"/.exec(firstPage.headers.link || "");
+  let page = last ? parseInt(last[1], 10) : 1;
+  let events = [];
+  while (page >= 1 && events.length < limit) {
+    const pageEvents = page === 1 ? firstPage.data : await githubRequest(endpoint, { per_page: 100, page });
+    // Comments are already returned in full by get_issue
+    events = pageEvents.filter(event => event.event !== 'commented').concat(events);
+    page--;
+  }
+
+  return events.slice(-limit);
+}
+
+/**
+ * Get an issue with its comment thread and timeline events
+ * @param {Object} args - Issue query arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {boolean} [args.include_comments=true] - Include the comment thread
+ * @param {boolean} [args.include_timeline=true] - Include timeline events
+ * @param {number} [args.comments_limit=50] - Comments per page
+ * @param {number} [args.comments_page=1] - Comment page, oldest first
+ * @param {number} [args.timeline_limit=100] - Max timeline events to return (most recent)
+ * @returns {Promise<Object>} MCP response with issue details
+ */
+async function handleGetIssue(args, { validateRepoFormat, assert, github, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  const includeComments = args.include_comments !== false;
+  const includeTimeline = args.include_timeline !== false;
+  const commentsLimit = Math.min(Math.max(parseInt(args.comments_limit) || 50, 1), 100);
+  const commentsPage = Math.max(parseInt(args.comments_page) || 1, 1);
+  const timelineLimit = Math.min(Math.max(parseInt(args.timeline_limit) || 100, 1), 100);
+
+  try {
+    const issue = await githubRequest(`/repos/${owner}/${repo}/issues/${issueNumber}`);
+
+    let comments = null;
+    if (includeComments && issue.comments > 0) {
+      const commentsResponse = await githubRequest(`/repos/${owner}/${repo}/issues/${issueNumber}/comments`, {
+        per_page: commentsLimit,
+        page: commentsPage
+      });
+      comments = commentsResponse.map(c => ({
+        id: c.id,
+        author: c.user ? c.user.login : null,
+        author_association: c.author_association,
+        created_at: c.created_at,
+        updated_at: c.updated_at,
+        body: c.body,
+        url: c.html_url
+      }));
+    } else if (includeComments) {
+      comments = [];
+    }
+
+    let timeline = null;
+    if (includeTimeline) {
+      const events = await fetchRecentTimeline(owner, repo, issueNumber, timelineLimit, { github, githubRequest });
+      timeline = events.map(summarizeTimelineEvent);
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            number: issue.number,
+            title: issue.title,
+            body: issue.body,
+            state: issue.state,
+            state_reason: issue.state_reason || null,
+            locked: issue.locked,
+            active_lock_reason: issue.active_lock_reason || null,
+            url: issue.html_url,
+            author: issue.user ? issue.user.login : null,
+            labels: (issue.labels || []).map(l => (typeof l === 'string' ? l : l.name)),
+            assignees: (issue.assignees || []).map(a => a.login),
+            milestone: issue.milestone ? issue.milestone.title : null,
+            is_pull_request: !!issue.pull_request,
+            created_at: issue.created_at,
+            updated_at: issue.updated_at,
+            closed_at: issue.closed_at,
+            closed_by: issue.closed_by ? issue.closed_by.login : null,
+            total_comments: issue.comments,
+            ...(comments && {
+              comment_details: comments,
+              comments_page: commentsPage,
+              comments_has_more: issue.comments > commentsPage * commentsLimit
+            }),
+            ...(timeline && { timeline })
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Search issues using GitHub's search API
+ * Qualifiers such as label:, author:, assignee:, milestone:, no:assignee and
+ * ranges like created:>2025-01-01 are passed through
+ * @param {Object} args - Search arguments
+ * @param {string} args.query - Search query (is:issue automatically prepended)
+ * @param {string} [args.repo] - Optional: limit to specific repo
+ * @param {string} [args.sort] - Sort by: comments, reactions, created, updated
+ * @param {string} [args.order] - Sort order: asc, desc
+ * @param {number} [args.limit=30] - Max results
+ * @param {number} [args.page=1] - Page number
+ * @returns {Promise<Object>} MCP response with search results
+ */
+async function handleSearchIssues(args, { assert, validateRepoFormat, githubRequest }) {
+  // Range qualifiers (created:>2025-01-01, comments:>10) need < and >, so only
+  // control characters are replaced; githubRequest URL-encodes the rest
+  const query = typeof args.query === 'string' ? args.query.replace(/[\u0000-\u001f\u007f]/g, ' ').trim() : '';
+  assert(query.length > 0, 'Search query cannot be empty');
+  assert(query.length <= 500, 'Search query must be 500 characters or fewer');
+
+  let issueQuery = /\bis:(issue|pr|pull-request)\b|\btype:(issue|pr)\b/.test(query) ? query : `is:issue ${query}`;
+  if (args.repo && !/\brepo:/.test(issueQuery)) {
+    const [owner, repo] = validateRepoFormat(args.repo);
+    issueQuery = `${issueQuery} repo:${owner}/${repo}`;
+  }
+
+  const params = {
+    q: issueQuery,
+    per_page: args.limit || 30,
+    page: args.page || 1
+  };
+
+  if (args.sort) params.sort = args.sort; // comments, reactions, created, updated
+  if (args.order) params.order = args.order; // asc, desc
+
+  try {
+    const response = await githubRequest('/search/issues', params);
+
+    const issues = response.items.map(issue => ({
+      number: issue.number,
+      title: issue.title,
+      repository: issue.repository_url.replace('https://api.github.com/repos/', ''),
+      state: issue.state,
+      is_pull_request: !!issue.pull_request,
+      url: issue.html_url,
+      author: issue.user ? issue.user.login : null,
+      labels: issue.labels.map(l => l.name),
+      assignees: (issue.assignees || []).map(a => a.login),
+      comments: issue.comments,
+      created_at: issue.created_at,
+      updated_at: issue.updated_at
+    }));
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            query: issueQuery,
+            total_count: response.total_count,
+            incomplete_results: response.incomplete_results,
+            issues,
+            page: params.page,
+            per_page: params.per_page
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    if (error.statusCode === 422) {
+      throw new Error(`Invalid search query: ${query}. Check GitHub search syntax.`);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Create a new issue in a repository
+ * @param {Object} args - Issue creation arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.title - Issue title
+ * @param {string} [args.body] - Issue description
+ * @param {Array<string>} [args.labels] - Labels to apply
+ * @param {Array<string>} [args.assignees] - Logins to assign
+ * @param {number} [args.milestone] - Milestone number
+ * @returns {Promise<Object>} MCP response with issue details
+ */
+async function handleCreateIssue(args, context) {
+  const { validateTitle, validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+
+  const issueData = {
+    title: validateTitle(args.title),
+    body: validateBody(args.body)
+  };
+  if (args.labels) issueData.labels = validateNameList(args.labels, 'labels', context);
+  if (args.assignees) issueData.assignees = validateNameList(args.assignees, 'assignees', context);
+  if (args.milestone) issueData.milestone = args.milestone;
+  assertIssueRateLimit(owner, repo, context);
+
+  await auditLog('ISSUE_CREATE_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    title: issueData.title,
+    bodyLength: issueData.body.length,
+    labels: issueData.labels || [],
+    assignees: issueData.assignees || []
+  });
+
+  try {
+    const issue = await githubRequest(`/repos/${owner}/${repo}/issues`, issueData, {}, 'POST');
+
+    await auditLog('ISSUE_CREATED', {
+      repo: `${owner}/${repo}`,
+      issueNumber: issue.number,
+      issueUrl: issue.html_url
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issue: summarizeIssue(issue)
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_CREATE_FAILED', {
+      repo: `${owner}/${repo}`,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo);
+  }
+}
+
+/**
+ * Update an existing issue
+ * Labels and assignees, when given, replace the current sets
+ * @param {Object} args - Issue update arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {string} [args.title] - New title
+ * @param {string} [args.body] - New description
+ * @param {string} [args.state] - New state: open, closed
+ * @param {string} [args.state_reason] - Reason for state change: completed, not_planned, reopened
+ * @param {Array<string>} [args.labels] - Replacement label set
+ * @param {Array<string>} [args.assignees] - Replacement assignee set
+ * @param {number|null} [args.milestone] - Milestone number, or null to clear
+ * @returns {Promise<Object>} MCP response with updated issue
+ */
+async function handleUpdateIssue(args, context) {
+  const { assert, validateTitle, validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+
+  const patch = {};
+  if (args.title) patch.title = validateTitle(args.title);
+  if (typeof args.body === 'string') patch.body = validateBody(args.body);
+  if (args.state) patch.state = args.state;
+  if (args.state_reason) patch.state_reason = args.state_reason;
+  if (Array.isArray(args.labels)) {
+    patch.labels = args.labels.length > 0 ? validateNameList(args.labels, 'labels', context) : [];
+  }
+  if (Array.isArray(args.assignees)) {
+    patch.assignees = args.assignees.length > 0 ? validateNameList(args.assignees, 'assignees', context) : [];
+  }
+  if (args.milestone !== undefined) patch.milestone = args.milestone;
+
+  assert(Object.keys(patch).length > 0, 'No fields to update');
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    const issue = await githubRequest(
+      `/repos/${owner}/${repo}/issues/${issueNumber}`,
+      patch,
+      {},
+      'PATCH'
+    );
+
+    await auditLog('ISSUE_UPDATED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      fields: Object.keys(patch)
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issue: summarizeIssue(issue)
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_UPDATE_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Add a comment to an issue or pull request conversation
+ * @param {Object} args - Comment arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue or pull request number
+ * @param {string} args.body - Comment body
+ * @returns {Promise<Object>} MCP response with comment details
+ */
+async function handleAddIssueComment(args, context) {
+  const { assert, validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  const body = validateBody(args.body);
+  assert(body.length > 0, 'Comment body is required');
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    const comment = await githubRequest(
+      `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
+      { body },
+      {},
+      'POST'
+    );
+
+    await auditLog('ISSUE_COMMENT_ADDED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      commentId: comment.id,
+      bodyLength: body.length
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            comment: {
+              id: comment.id,
+              url: comment.html_url,
+              created_at: comment.created_at
+            }
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_COMMENT_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Close an issue, optionally leaving a closing comment first
+ * @param {Object} args - Close arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {string} [args.state_reason='completed'] - completed or not_planned
+ * @param {string} [args.comment] - Comment to post before closing
+ * @returns {Promise<Object>} MCP response with closed issue
+ */
+async function handleCloseIssue(args, context) {
+  const { assert, validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  const stateReason = args.state_reason || 'completed';
+  assert(['completed', 'not_planned'].includes(stateReason), 'Invalid state_reason');
+  const closingComment = args.comment ? validateBody(args.comment) : null;
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    let commentId = null;
+    if (args.comment) {
+      const comment = await githubRequest(
+        `/repos/${owner}/${repo}/issues/${issueNumber}/comments`,
+        { body: closingComment },
+        {},
+        'POST'
+      );
+      commentId = comment.id;
+    }
+
+    const issue = await githubRequest(
+      `/repos/${owner}/${repo}/issues/${issueNumber}`,
+      { state: 'closed', state_reason: stateReason },
+      {},
+      'PATCH'
+    );
+
+    await auditLog('ISSUE_CLOSED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      stateReason,
+      commentId
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            comment_id: commentId,
+            issue: summarizeIssue(issue)
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_CLOSE_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Lock an issue conversation
+ * @param {Object} args - Lock arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {string} [args.lock_reason] - off-topic, too heated, resolved, spam
+ * @returns {Promise<Object>} MCP response with lock status
+ */
+async function handleLockIssue(args, context) {
+  const { assert, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+
+  const body = {};
+  if (args.lock_reason) body.lock_reason = args.lock_reason;
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    await githubRequest(`/repos/${owner}/${repo}/issues/${issueNumber}/lock`, body, {}, 'PUT');
+
+    await auditLog('ISSUE_LOCKED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      lockReason: args.lock_reason || null
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issueNumber,
+            locked: true,
+            lock_reason: args.lock_reason || null
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_LOCK_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Unlock an issue conversation
+ * @param {Object} args - Unlock arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @returns {Promise<Object>} MCP response with lock status
+ */
+async function handleUnlockIssue(args, context) {
+  const { assert, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    await githubRequest(`/repos/${owner}/${repo}/issues/${issueNumber}/lock`, {}, {}, 'DELETE');
+
+    await auditLog('ISSUE_UNLOCKED', {
+      repo: `${owner}/${repo}`,
+      issueNumber
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issueNumber,
+            locked: false
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_UNLOCK_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Add labels to an issue (existing labels are kept)
+ * @param {Object} args - Label arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {Array<string>} args.labels - Labels to add
+ * @returns {Promise<Object>} MCP response with the resulting label set
+ */
+async function handleAddIssueLabels(args, context) {
+  const { assert, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  const labels = validateNameList(args.labels, 'labels', context);
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    const response = await githubRequest(
+      `/repos/${owner}/${repo}/issues/${issueNumber}/labels`,
+      { labels },
+      {},
+      'POST'
+    );
+
+    await auditLog('ISSUE_LABELS_ADDED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      labels
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issueNumber,
+            labels: response.map(l => l.name)
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_LABELS_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Remove labels from an issue
+ * Labels that are not present on the issue are reported but not treated as errors
+ * @param {Object} args - Label arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {Array<string>} args.labels - Labels to remove
+ * @returns {Promise<Object>} MCP response with removed and missing labels
+ */
+async function handleRemoveIssueLabels(args, context) {
+  const { assert, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  const labels = validateNameList(args.labels, 'labels', context);
+  assertIssueRateLimit(owner, repo, context);
+
+  const removed = [];
+  const missing = [];
+
+  try {
+    for (const label of labels) {
+      try {
+        await githubRequest(
+          `/repos/${owner}/${repo}/issues/${issueNumber}/labels/${encodeURIComponent(label)}`,
+          {},
+          {},
+          'DELETE'
+        );
+        removed.push(label);
+      } catch (labelError) {
+        if (labelError.statusCode !== 404) throw labelError;
+        missing.push(label);
+      }
+    }
+
+    await auditLog('ISSUE_LABELS_REMOVED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      removed,
+      missing
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issueNumber,
+            removed,
+            missing
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_LABELS_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Add assignees to an issue (existing assignees are kept)
+ * @param {Object} args - Assignee arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {Array<string>} args.assignees - Logins to assign
+ * @returns {Promise<Object>} MCP response with the resulting assignee set
+ */
+async function handleAddIssueAssignees(args, context) {
+  const { assert, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  const assignees = validateNameList(args.assignees, 'assignees', context);
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    const issue = await githubRequest(
+      `/repos/${owner}/${repo}/issues/${issueNumber}/assignees`,
+      { assignees },
+      {},
+      'POST'
+    );
+
+    // GitHub silently drops logins that cannot be assigned
+    const assigned = (issue.assignees || []).map(a => a.login);
+    const ignored = assignees.filter(login => !assigned.some(a => a.toLowerCase() === login.toLowerCase()));
+
+    await auditLog('ISSUE_ASSIGNEES_ADDED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      assignees,
+      ignored
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issueNumber,
+            assignees: assigned,
+            ignored
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_ASSIGNEES_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+/**
+ * Remove assignees from an issue
+ * @param {Object} args - Assignee arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.issueNumber - Issue number
+ * @param {Array<string>} args.assignees - Logins to unassign
+ * @returns {Promise<Object>} MCP response with the resulting assignee set
+ */
+async function handleRemoveIssueAssignees(args, context) {
+  const { assert, githubRequest, auditLog } = context;
+  const [owner, repo] = assertIssueWriteAllowed(args, context);
+  const issueNumber = parseIssueNumber(args.issueNumber, assert);
+  const assignees = validateNameList(args.assignees, 'assignees', context);
+  assertIssueRateLimit(owner, repo, context);
+
+  try {
+    const issue = await githubRequest(
+      `/repos/${owner}/${repo}/issues/${issueNumber}/assignees`,
+      { assignees },
+      {},
+      'DELETE'
+    );
+
+    await auditLog('ISSUE_ASSIGNEES_REMOVED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      assignees
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            issueNumber,
+            assignees: (issue.assignees || []).map(a => a.login)
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('ISSUE_ASSIGNEES_FAILED', {
+      repo: `${owner}/${repo}`,
+      issueNumber,
+      error: error.message
+    });
+    throw toIssueError(error, owner, repo, issueNumber);
+  }
+}
+
+module.exports = {
+  handleListIssues,
+  handleGetIssue,
+  handleSearchIssues,
+  handleCreateIssue,
+  handleUpdateIssue,
+  handleAddIssueComment,
+  handleCloseIssue,
+  handleLockIssue,
+  handleUnlockIssue,
+  handleAddIssueLabels,
+  handleRemoveIssueLabels,
+  handleAddIssueAssignees,
+  handleRemoveIssueAssignees
+};
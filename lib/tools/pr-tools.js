@@ -5,14 +5,18 @@
  * - list_pull_requests: List PRs in a repository
  * - search_pull_requests: Search PRs using GitHub search API
  * - get_pull_request: Get detailed PR information
+ * - get_pull_request_diff: Get per-file patches split into numbered hunks
  * - update_pull_request: Update PR metadata, state, and reviewers
  * - merge_pull_request: Merge a PR with safety checks
  * - get_pr_mergeability: Check if a PR is mergeable
  * - get_checks_for_sha: Get CI/CD checks for a commit
+ * - wait_for_checks: Poll a commit's checks until they settle or a timeout passes
  *
  * @module lib/tools/pr-tools
  */
 
+const { globToRegExp } = require("../repo-archive");
+
 /**
  * Helper: Get combined status and checks summary for a commit SHA
  * @param {string} owner - Repository owner
@@ -323,6 +327,155 @@ async function handleGetPullRequest(args, { validateRepoFormat, assert, githubRe
   }
 }
 
+/**
+ * GitHub lists at most 3000 files for a pull request (30 pages of 100)
+ */
+const MAX_PR_FILE_PAGES = 30;
+
+/**
+ * Unified diff hunk header: @@ -old_start[,old_lines] +new_start[,new_lines] @@ [section]
+ */
+const HUNK_HEADER_PATTERN = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@ ?(.*)$/;
+
+/**
+ * Helper: Split a file patch into numbered hunks
+ *
+ * Review comments on the RIGHT side can target lines new_start through
+ * new_start + new_lines - 1, and on the LEFT side old_start through
+ * old_start + old_lines - 1.
+ * @param {string} patch - Unified diff for one file (as returned by GitHub)
+ * @param {boolean} [includePatch=true] - Include each hunk's diff text
+ * @returns {Object[]} Hunks { index, header, section, old_start, old_lines, new_start, new_lines, patch }
+ */
+function parseHunks(patch, includePatch = true) {
+  const hunks = [];
+  let current = null;
+
+  for (const line of patch.split("\n")) {
+    const match = HUNK_HEADER_PATTERN.exec(line);
+    if (match) {
+      current = {
+        index: hunks.length + 1,
+        header: line,
+        section: match[5] || null,
+        old_start: parseInt(match[1], 10),
+        old_lines: match[2] === undefined ? 1 : parseInt(match[2], 10),
+        new_start: parseInt(match[3], 10),
+        new_lines: match[4] === undefined ? 1 : parseInt(match[4], 10),
+        lines: [line]
+      };
+      hunks.push(current);
+    } else if (current) {
+      current.lines.push(line);
+    }
+  }
+
+  return hunks.map(({ lines, ...hunk }) => (includePatch ? { ...hunk, patch: lines.join("\n") } : hunk));
+}
+
+/**
+ * Get the diff of a pull request, file by file, with each patch split into numbered hunks
+ *
+ * Files are paged after the glob filter is applied, so every page is full
+ * until the matching files run out. GitHub omits the patch for binary files
+ * and for diffs it considers too large; those files are marked with
+ * patch_omitted instead of hunks.
+ * @param {Object} args - Diff arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.prNumber - Pull request number
+ * @param {string} [args.glob] - Only include files whose path (or previous path) matches this glob
+ * @param {number} [args.page=1] - Page of matching files
+ * @param {number} [args.per_page=30] - Files per page
+ * @param {number} [args.max_total_patch_bytes=60000] - Patch budget for the page (later files get hunk headers only)
+ * @returns {Promise<Object>} MCP response with files and hunks
+ */
+async function handleGetPullRequestDiff(args, { validateRepoFormat, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const prNumber = args.prNumber;
+  const page = args.page || 1;
+  const perPage = args.per_page || 30;
+  const includePattern = args.glob ? globToRegExp(args.glob) : null;
+  let patchBudget = args.max_total_patch_bytes || 60000;
+
+  try {
+    const pr = await githubRequest(`/repos/${owner}/${repo}/pulls/${prNumber}`);
+
+    // Fetch just enough pages of files to fill the requested page and tell whether more follow
+    const needed = page * perPage + 1;
+    const matched = [];
+    for (let githubPage = 1; githubPage <= MAX_PR_FILE_PAGES && matched.length < needed; githubPage++) {
+      const filesResponse = await githubRequest(`/repos/${owner}/${repo}/pulls/${prNumber}/files`, {
+        per_page: 100,
+        page: githubPage
+      });
+      matched.push(...filesResponse.filter(file => !includePattern
+        || includePattern.test(file.filename)
+        || (file.previous_filename && includePattern.test(file.previous_filename))));
+      if (filesResponse.length < 100) break;
+    }
+
+    const files = matched.slice((page - 1) * perPage, page * perPage).map(file => {
+      const entry = {
+        filename: file.filename,
+        status: file.status,
+        additions: file.additions,
+        deletions: file.deletions,
+        changes: file.changes
+      };
+      if (file.previous_filename) entry.previous_filename = file.previous_filename;
+
+      if (file.patch === undefined) {
+        // A file with changed lines but no patch was cut by GitHub's diff size limit;
+        // without changed lines it is binary, empty, or a pure rename
+        if (file.changes > 0) {
+          entry.patch_omitted = "too_large";
+          entry.url = `${pr.html_url}/files`;
+        } else if (file.status !== "renamed") {
+          entry.patch_omitted = "unavailable";
+        }
+        entry.hunks = [];
+        return entry;
+      }
+
+      const size = Buffer.byteLength(file.patch, "utf8");
+      if (size > patchBudget) {
+        // Once the page budget is spent, later files keep their hunk headers for navigation
+        entry.patch_omitted = "budget";
+        entry.hunks = parseHunks(file.patch, false);
+        patchBudget = 0;
+      } else {
+        entry.hunks = parseHunks(file.patch);
+        patchBudget -= size;
+      }
+      return entry;
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            number: pr.number,
+            base_sha: pr.base.sha,
+            head_sha: pr.head.sha,
+            changed_files: pr.changed_files,
+            glob: args.glob || null,
+            files,
+            page,
+            per_page: perPage,
+            has_more: matched.length > page * perPage
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    if (error.statusCode === 404) {
+      throw new Error(`Pull request #${prNumber} not found in ${owner}/${repo}`);
+    }
+    throw error;
+  }
+}
+
 /**
  * Update a pull request's metadata, state, and reviewers
  * @param {Object} args - Update arguments
@@ -480,7 +633,9 @@ async function handleMergePullRequest(args, { config, validateRepoFormat, safeSt
       mergeable_state: pr.mergeable_state,
       reason: 'mergeable status still computing'
     });
-    throw new Error('PR mergeable status is still being computed by GitHub. Please try again in a few moments.');
+    const error = new Error('PR mergeable status is still being computed by GitHub. Please try again in a few moments.');
+    error.mergeableState = pr.mergeable_state; // logged in the jsonrpc_error line
+    throw error;
   }
 
   // Check if mergeable
@@ -492,7 +647,9 @@ async function handleMergePullRequest(args, { config, validateRepoFormat, safeSt
       mergeable_state: pr.mergeable_state,
       checks
     });
-    throw new Error(`PR not mergeable: ${pr.mergeable_state}. ${checks.message}`);
+    const error = new Error(`PR not mergeable: ${pr.mergeable_state}. ${checks.message}`);
+    error.mergeableState = pr.mergeable_state; // logged in the jsonrpc_error line
+    throw error;
   }
 
   const body = { merge_method: mergeMethod };
@@ -598,7 +755,7 @@ async function handleGetPRMergeability(args, { validateRepoFormat, assert, githu
  * @param {Object} args - Checks query arguments
  * @param {string} args.repo - Repository in format owner/repo
  * @param {string} args.sha - Commit SHA (minimum 7 characters)
- * @returns {Promise<Object>} MCP response with checks and statuses
+ * @returns {Promise<Object>} MCP response with checks, statuses and failing check run IDs
  */
 async function handleGetChecksForSha(args, { validateRepoFormat, safeString, assert, githubRequest }) {
   const [owner, repo] = validateRepoFormat(args.repo);
@@ -614,7 +771,8 @@ async function handleGetChecksForSha(args, { validateRepoFormat, safeString, ass
   );
 
   const failingStatuses = (status.statuses || []).filter(s => s.state !== 'success').map(s => s.context);
-  const failingChecks = (checks.check_runs || []).filter(c => ['failure','timed_out','cancelled','action_required'].includes(c.conclusion)).map(c => c.name);
+  const failingRuns = (checks.check_runs || []).filter(c => ['failure','timed_out','cancelled','action_required'].includes(c.conclusion));
+  const failingChecks = failingRuns.map(c => c.name);
 
   return {
     content: [
@@ -626,6 +784,14 @@ async function handleGetChecksForSha(args, { validateRepoFormat, safeString, ass
           total_statuses: (status.statuses || []).length,
           total_checks: (checks.check_runs || []).length,
           failing: [...failingStatuses, ...failingChecks],
+          // For GitHub Actions checks the check run ID is the job ID (get_job_log)
+          failing_check_runs: failingRuns.map(c => ({
+            id: c.id,
+            name: c.name,
+            conclusion: c.conclusion,
+            app: c.app ? c.app.slug : null,
+            url: c.html_url
+          })),
           details_url: status.repository?.html_url ? `${status.repository.html_url}/commit/${sha}/checks` : undefined
         })
       }
@@ -633,14 +799,233 @@ async function handleGetChecksForSha(args, { validateRepoFormat, safeString, ass
   };
 }
 
+/**
+ * Check run conclusions that count as failed (everything else completed counts as passed)
+ */
+const FAILED_CHECK_CONCLUSIONS = ['failure', 'timed_out', 'cancelled', 'action_required', 'startup_failure', 'stale'];
+
+/**
+ * Helper: Required status check names for a branch, from classic branch
+ * protection and repository rulesets
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} branch - Branch name
+ * @param {Function} githubRequest - GitHub API wrapper
+ * @returns {Promise<string[]>} Required check names (empty when nothing is required)
+ */
+async function getRequiredCheckNames(owner, repo, branch, githubRequest) {
+  const names = new Set();
+
+  // The branch endpoint shows protection settings with read access
+  const branchInfo = await githubRequest(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+  const classic = branchInfo.protection?.required_status_checks;
+  for (const context of classic?.contexts || []) names.add(context);
+  for (const check of classic?.checks || []) names.add(check.context);
+
+  try {
+    const rules = await githubRequest(`/repos/${owner}/${repo}/rules/branches/${encodeURIComponent(branch)}`);
+    for (const rule of rules) {
+      if (rule.type !== 'required_status_checks') continue;
+      for (const check of rule.parameters?.required_status_checks || []) names.add(check.context);
+    }
+  } catch (error) {
+    // Rulesets are unavailable on some plans and to some tokens; classic protection still applies
+    if (error.statusCode !== 403 && error.statusCode !== 404) throw error;
+  }
+
+  return [...names];
+}
+
+/**
+ * Check run pages (100 each) read per poll
+ */
+const MAX_CHECK_RUN_PAGES = 10;
+
+/**
+ * Helper: Wait between polls, waking early when the request is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Aborted when the client goes away
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Helper: Current state of every status and check run on a commit, by name
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} sha - Commit SHA
+ * @param {Function} githubRequest - GitHub API wrapper
+ * @returns {Promise<Map<string, Object>>} { name, state: passed|failed|pending, conclusion, id, url } by name
+ */
+async function getCheckStates(owner, repo, sha, githubRequest) {
+  const status = await githubRequest(`/repos/${owner}/${repo}/commits/${sha}/status`);
+  const checkRuns = [];
+  for (let page = 1; page <= MAX_CHECK_RUN_PAGES; page++) {
+    const checks = await githubRequest(
+      `/repos/${owner}/${repo}/commits/${sha}/check-runs`,
+      { per_page: 100, page },
+      { Accept: 'application/vnd.github+json' },
+      'GET'
+    );
+    const runs = checks.check_runs || [];
+    checkRuns.push(...runs);
+    if (runs.length < 100 || checkRuns.length >= checks.total_count) break;
+  }
+
+  const states = new Map();
+  for (const s of status.statuses || []) {
+    states.set(s.context, {
+      name: s.context,
+      state: s.state === 'success' ? 'passed' : s.state === 'pending' ? 'pending' : 'failed',
+      conclusion: s.state,
+      id: null,
+      url: s.target_url || null
+    });
+  }
+  for (const c of checkRuns) {
+    states.set(c.name, {
+      name: c.name,
+      state: c.status !== 'completed' ? 'pending' : FAILED_CHECK_CONCLUSIONS.includes(c.conclusion) ? 'failed' : 'passed',
+      conclusion: c.conclusion || c.status,
+      id: c.id,
+      url: c.html_url || null
+    });
+  }
+  return states;
+}
+
+/**
+ * Wait until the checks on a commit settle, polling with backoff
+ *
+ * Only the required checks are considered: those named in check_names, or
+ * else those required by the branch's protection rules (all reported checks
+ * when the branch requires none). When nothing is required and the commit
+ * has no checks, it returns right away with conclusion no_checks. Polls are
+ * ETag-revalidated, so unchanged results do not use GitHub rate limit. Each
+ * poll is reported as an MCP progress notification when the client sent a
+ * progress token, and polling stops if the client disconnects.
+ * @param {Object} args - Wait arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.sha - Commit SHA
+ * @param {string[]} [args.check_names] - Checks to wait for (default: required by branch protection)
+ * @param {string} [args.branch] - Branch whose protection rules apply (default branch if omitted)
+ * @param {number} [args.timeout_seconds=300] - Give up and report pending checks after this long
+ * @param {boolean} [args.fail_fast=true] - Return as soon as a required check fails
+ * @returns {Promise<Object>} MCP response with passed, failed and pending checks
+ */
+async function handleWaitForChecks(args, { config, validateRepoFormat, validateBranch, githubRequest, logger, reportProgress = () => {}, signal }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const sha = args.sha;
+  const timeoutMs = (args.timeout_seconds || 300) * 1000;
+  const failFast = args.fail_fast !== false;
+  const startedAt = Date.now();
+  const deadline = startedAt + timeoutMs;
+
+  let required = args.check_names || [];
+  let requiredSource = required.length > 0 ? 'argument' : 'none';
+  let branch = null;
+  if (required.length === 0) {
+    branch = args.branch;
+    if (!branch) {
+      const repoInfo = await githubRequest(`/repos/${owner}/${repo}`);
+      branch = repoInfo.default_branch || 'main';
+    }
+    branch = validateBranch(branch);
+    required = await getRequiredCheckNames(owner, repo, branch, githubRequest);
+    if (required.length > 0) requiredSource = 'branch_protection';
+  }
+
+  let interval = config.checksPollInterval;
+  let polls = 0;
+  let settled = false;
+  let noChecks = false;
+  let relevant;
+
+  for (;;) {
+    if (signal?.aborted) {
+      logger.info("wait_for_checks stopped: client disconnected", { repo: `${owner}/${repo}`, sha, polls });
+      throw new Error(`wait_for_checks for ${sha} was cancelled because the client disconnected`);
+    }
+
+    const states = await getCheckStates(owner, repo, sha, githubRequest);
+    polls++;
+
+    // Required checks that have not reported yet count as pending
+    relevant = required.length > 0
+      ? required.map(name => states.get(name) || { name, state: 'missing' })
+      : [...states.values()];
+    const failedCount = relevant.filter(check => check.state === 'failed').length;
+    const pendingCount = relevant.filter(check => check.state === 'pending' || check.state === 'missing').length;
+    settled = (relevant.length > 0 && pendingCount === 0) || (failFast && failedCount > 0);
+    // Nothing required and nothing reported: there is nothing to wait on
+    noChecks = required.length === 0 && relevant.length === 0;
+
+    reportProgress(
+      Date.now() - startedAt,
+      timeoutMs,
+      `${relevant.length - failedCount - pendingCount} passed, ${failedCount} failed, ${pendingCount} pending`
+    );
+
+    if (settled || noChecks || Date.now() >= deadline) break;
+    await sleep(Math.min(interval, deadline - Date.now()), signal);
+    interval = Math.min(interval * 1.5, config.checksPollMaxInterval);
+  }
+
+  const failed = relevant.filter(check => check.state === 'failed');
+  const pending = relevant.filter(check => check.state === 'pending');
+  const missing = relevant.filter(check => check.state === 'missing');
+
+  let conclusion = 'success';
+  if (failed.length > 0) conclusion = 'failure';
+  else if (noChecks) conclusion = 'no_checks';
+  else if (!settled) conclusion = 'pending';
+
+  return {
+    content: [
+      {
+        type: 'text',
+        text: JSON.stringify({
+          sha,
+          conclusion,
+          timed_out: !settled && !noChecks,
+          elapsed_ms: Date.now() - startedAt,
+          polls,
+          required_checks: required,
+          required_source: requiredSource,
+          branch,
+          passed: relevant.filter(check => check.state === 'passed').map(check => check.name),
+          // For GitHub Actions checks the check run ID is the job ID (get_job_log)
+          failed: failed.map(check => ({ name: check.name, conclusion: check.conclusion, id: check.id, url: check.url })),
+          pending: pending.map(check => check.name),
+          missing: missing.map(check => check.name)
+        })
+      }
+    ]
+  };
+}
+
 module.exports = {
   getChecksSummary,
   waitForMergeable,
   handleListPullRequests,
   handleSearchPullRequests,
   handleGetPullRequest,
+  handleGetPullRequestDiff,
   handleUpdatePullRequest,
   handleMergePullRequest,
   handleGetPRMergeability,
-  handleGetChecksForSha
+  handleGetChecksForSha,
+  handleWaitForChecks
 };
@@ -3,16 +3,26 @@
  *
  * Tool handlers for GitHub read operations:
  * - search: Search GitHub repositories
+ * - search_code: Search code within a repo, path or language
  * - fetch: Fetch repository metadata and README
  * - list_directory: List contents of a directory
- * - read_file: Read file contents
- * - get_tree: Get full repository tree structure
+ * - read_file: Read file contents or a numbered line range
+ * - get_tree: Get repository tree structure, with filters and size rollups
+ * - grep_repo: Regex search over a tarball snapshot of any ref
  * - get_commits: Get recent commits for a repository
+ * - compare_refs: Compare two refs (ahead/behind, commits, changed files, patches)
+ * - get_commit: Get a single commit with its changed files and patches
+ * - get_file_history: List the commits that changed a file, following renames
+ * - get_blame: Attribute file lines to commits and pull requests
  * - get_branches: List all branches in a repository
+ * - get_rate_limit: Show remaining GitHub API quota
  *
  * @module lib/tools/read-tools
  */
 
+const { isUtf8 } = require("buffer");
+const { grepArchive, globToRegExp } = require("../repo-archive");
+
 /**
  * Search GitHub repositories
  * @param {Object} args - Search arguments
@@ -45,6 +55,131 @@ async function handleSearch(args, { safeString, assert, githubRequest }) {
   };
 }
 
+/**
+ * GitHub code search only serves the first 1000 results of a query
+ */
+const CODE_SEARCH_RESULT_LIMIT = 1000;
+
+/**
+ * Format a search qualifier, quoting values that contain whitespace
+ * @param {string} name - Qualifier name (e.g. path)
+ * @param {string} value - Qualifier value
+ * @returns {string} Qualifier (e.g. language:"Jupyter Notebook")
+ */
+function searchQualifier(name, value) {
+  return /\s/.test(value) ? `${name}:"${value.replace(/"/g, "")}"` : `${name}:${value}`;
+}
+
+/**
+ * Search code with GitHub's code search, scoped to a repo, path or language
+ *
+ * Results include the matched text fragments. When code search cannot serve
+ * the repository (not indexed, inaccessible, or search temporarily down) the
+ * tool returns available: false with the reason instead of failing.
+ * @param {Object} args - Search arguments
+ * @param {string} args.query - Search terms (GitHub code search syntax)
+ * @param {string} [args.repo] - Limit to repository in format owner/repo
+ * @param {string} [args.path] - Limit to files under this path
+ * @param {string} [args.language] - Limit to a language (e.g. javascript)
+ * @param {string} [args.extension] - Limit to a file extension (e.g. ts)
+ * @param {number} [args.page=1] - Page number
+ * @param {number} [args.per_page=30] - Results per page
+ * @returns {Promise<Object>} MCP response with matching files and fragments
+ */
+async function handleSearchCode(args, { safeString, assert, validateRepoFormat, validatePath, githubRequest }) {
+  const terms = safeString(args.query, 256);
+  assert(terms.length > 0, 'Search query cannot be empty');
+
+  const qualifiers = [];
+  if (args.repo && !/\brepo:/.test(terms)) {
+    const [owner, repo] = validateRepoFormat(args.repo);
+    qualifiers.push(`repo:${owner}/${repo}`);
+  }
+  if (args.path) qualifiers.push(searchQualifier("path", validatePath(args.path)));
+  if (args.language) qualifiers.push(searchQualifier("language", safeString(args.language, 50)));
+  if (args.extension) qualifiers.push(searchQualifier("extension", safeString(args.extension, 20).replace(/^\./, "")));
+
+  const query = [terms, ...qualifiers].join(" ");
+  const page = args.page || 1;
+  const perPage = args.per_page || 30;
+
+  let response;
+  try {
+    // The text-match media type adds the matched fragments to each result
+    response = await githubRequest("/search/code", { q: query, page, per_page: perPage }, {
+      Accept: "application/vnd.github.text-match+json"
+    });
+  } catch (error) {
+    const details = (error.response?.data?.errors || []).map(e => e.message || "").join(" ");
+    const status = error.statusCode;
+    let reason = null;
+    if (status === 422 && /cannot be searched/i.test(details)) {
+      reason = "GitHub code search cannot search this repository (it may not be indexed, may be a fork, or may be inaccessible to this token)";
+    } else if ((status === 503 || status === 504) && !error.rateLimit) {
+      reason = "GitHub code search is temporarily unavailable";
+    }
+
+    if (!reason) {
+      if (status === 422) {
+        throw new Error(`Invalid search query: ${query}. GitHub validation failed: ${details || error.message}`);
+      }
+      throw error;
+    }
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            query,
+            available: false,
+            reason,
+            suggestion: "Search the repository with grep_repo, or browse it with get_tree and read_file",
+            total_count: 0,
+            results: [],
+            page,
+            per_page: perPage,
+            next_page: null
+          })
+        }
+      ]
+    };
+  }
+
+  const results = (response.items || []).map(item => ({
+    path: item.path,
+    repository: item.repository?.full_name,
+    sha: item.sha,
+    url: item.html_url,
+    matches: (item.text_matches || [])
+      .filter(match => match.property === "content")
+      .map(match => ({
+        fragment: match.fragment,
+        highlights: (match.matches || []).map(highlight => highlight.text)
+      }))
+  }));
+
+  const reachable = Math.min(response.total_count || 0, CODE_SEARCH_RESULT_LIMIT);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          query,
+          available: true,
+          total_count: response.total_count,
+          incomplete_results: response.incomplete_results,
+          results,
+          page,
+          per_page: perPage,
+          next_page: page * perPage < reachable ? page + 1 : null
+        })
+      }
+    ]
+  };
+}
+
 /**
  * Fetch repository metadata and README
  * @param {Object} args - Fetch arguments
@@ -162,20 +297,77 @@ async function handleListDirectory(args, { validateRepoFormat, validatePath, val
   }
 }
 
+/**
+ * Files up to this size are returned whole when no line range is requested
+ */
+const MAX_INLINE_FILE_BYTES = 1024 * 1024;
+
+/**
+ * Numbered lines returned by a single read_file call
+ */
+const MAX_LINES_PER_READ = 2000;
+
+/**
+ * Read a file's bytes via the contents API, falling back to the git blob
+ * API for files over 1MB (the contents API omits their content)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} path - File path
+ * @param {string} ref - Branch, tag, or commit SHA
+ * @param {Function} githubRequest - GitHub API wrapper
+ * @returns {Promise<Object>} { buffer, sha, size }
+ */
+async function readFileContents(owner, repo, path, ref, githubRequest) {
+  const file = await githubRequest(`/repos/${owner}/${repo}/contents/${path}`, { ref });
+  if (Array.isArray(file) || file.type !== "file") {
+    throw new Error(`${path} is not a file`);
+  }
+
+  let encoded = file.encoding === "base64" ? file.content : "";
+  if (!encoded && file.size !== 0) {
+    const blob = await githubRequest(`/repos/${owner}/${repo}/git/blobs/${file.sha}`);
+    encoded = blob.content || "";
+  }
+
+  const buffer = Buffer.from(encoded.replace(/\n/g, ""), "base64");
+  return { buffer, sha: file.sha, size: file.size ?? buffer.length };
+}
+
+/**
+ * Detect binary content: a NUL byte near the start (as git does) or invalid UTF-8
+ * @param {Buffer} buffer - File contents
+ * @returns {boolean} True if the file should not be shown as text
+ */
+function isBinaryContent(buffer) {
+  return buffer.subarray(0, 8000).includes(0) || !isUtf8(buffer);
+}
+
 /**
  * Read contents of a specific file
+ *
+ * Small files are returned whole. Line ranges (or files over 1MB) return
+ * numbered lines, at most 2000 per call, with next_start_line for paging.
+ * Binary files are described instead of returned.
  * @param {Object} args - File reading arguments
  * @param {string} args.repo - Repository in format owner/repo
  * @param {string} args.path - File path
  * @param {string} [args.branch] - Branch name
  * @param {string} [args.ref] - Branch, tag, or commit SHA
- * @returns {Promise<Object>} MCP response with file contents
+ * @param {number} [args.start_line] - First line to return (1-based)
+ * @param {number} [args.end_line] - Last line to return (inclusive)
+ * @returns {Promise<Object>} MCP response with file contents, size, SHA and line count
  */
-async function handleReadFile(args, { validateRepoFormat, validatePath, validateBranch, assert, githubRequest }) {
+async function handleReadFile(args, { validateRepoFormat, validatePath, validateBranch, assert, githubRequest, logger }) {
   const [owner, repo] = validateRepoFormat(args.repo);
   const path = validatePath(args.path);
   assert(path.length > 0, 'File path cannot be empty');
 
+  const ranged = args.start_line !== undefined || args.end_line !== undefined;
+  const startLine = args.start_line ?? 1;
+  if (args.end_line !== undefined && args.end_line < startLine) {
+    throw new Error(`Validation failed: end_line (${args.end_line}) must not be before start_line (${startLine})`);
+  }
+
   // Get actual default branch if not specified
   let branch = args.branch || args.ref;
   if (!branch) {
@@ -184,86 +376,178 @@ async function handleReadFile(args, { validateRepoFormat, validatePath, validate
   }
   const validatedBranch = validateBranch(branch);
 
-  // Enhanced logging for debugging
-  console.log(`📖 read_file called:
-    repo: ${owner}/${repo}
-    path: ${path}
-    requested branch/ref: ${branch || 'none'}
-    validated branch: ${validatedBranch}
-    args: ${JSON.stringify(args)}`);
+  logger.debug("read_file", { repo: `${owner}/${repo}`, path, branch: validatedBranch, start_line: args.start_line, end_line: args.end_line });
 
+  let file;
+  let resolvedBranch = validatedBranch;
   try {
-    const response = await githubRequest(`/repos/${owner}/${repo}/contents/${path}`, {
-      ref: validatedBranch
-    }, {
-      Accept: "application/vnd.github.raw"
-    });
+    file = await readFileContents(owner, repo, path, validatedBranch, githubRequest);
+  } catch (error) {
+    logger.debug("read_file failed", { repo: `${owner}/${repo}`, path, branch: validatedBranch, error: error.message });
 
-    console.log(`✅ read_file successful for branch: ${validatedBranch}`);
+    // Only try master fallback if we explicitly requested main and it failed
+    // This prevents silent fallback when a specific branch is requested
+    if (validatedBranch !== "main" || error.statusCode !== 404) {
+      // For any other branch or error, throw the original error
+      throw error;
+    }
+    logger.info("read_file trying master branch fallback", { repo: `${owner}/${repo}`, path });
+    file = await readFileContents(owner, repo, path, "master", githubRequest);
+    resolvedBranch = "master";
+  }
 
+  const result = {
+    path,
+    branch: resolvedBranch,
+    sha: file.sha,
+    size: file.size,
+    url: `https://github.com/${owner}/${repo}/blob/${resolvedBranch}/${path}`
+  };
+
+  if (isBinaryContent(file.buffer)) {
     return {
       content: [
         {
           type: "text",
           text: JSON.stringify({
-            path: path,
-            content: response,
-            url: `https://github.com/${owner}/${repo}/blob/${validatedBranch}/${path}`,
-            branch: validatedBranch
+            ...result,
+            binary: true,
+            content: null,
+            message: `Binary file (${file.size} bytes) not shown`
           })
         }
       ]
     };
-  } catch (error) {
-    console.log(`❌ read_file failed for branch ${validatedBranch}: ${error.message}`);
+  }
 
-    // Only try master fallback if we explicitly requested main and it failed
-    // This prevents silent fallback when a specific branch is requested
-    if (validatedBranch === "main" && error.statusCode === 404) {
-      console.log(`🔄 Trying master branch fallback...`);
-      try {
-        const response = await githubRequest(`/repos/${owner}/${repo}/contents/${path}`, {
-          ref: "master"
-        }, {
-          Accept: "application/vnd.github.raw"
-        });
+  const text = file.buffer.toString("utf8");
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === "") lines.pop();
+  result.binary = false;
+  result.total_lines = lines.length;
 
-        console.log(`✅ read_file successful with master fallback`);
-
-        return {
-          content: [
-            {
-              type: "text",
-              text: JSON.stringify({
-                path: path,
-                content: response,
-                url: `https://github.com/${owner}/${repo}/blob/master/${path}`,
-                branch: "master"
-              })
-            }
-          ]
-        };
-      } catch (masterError) {
-        console.log(`❌ Master fallback also failed: ${masterError.message}`);
-        throw masterError;
+  if (!ranged && file.size <= MAX_INLINE_FILE_BYTES) {
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({ ...result, content: text, numbered: false })
+        }
+      ]
+    };
+  }
+
+  if (lines.length > 0 && startLine > lines.length) {
+    throw new Error(`Validation failed: start_line (${startLine}) is past the end of the file (${lines.length} lines)`);
+  }
+
+  const lastRequested = Math.min(args.end_line ?? lines.length, lines.length);
+  const endLine = Math.min(lastRequested, startLine + MAX_LINES_PER_READ - 1);
+  const selected = lines.slice(startLine - 1, endLine);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          ...result,
+          content: selected.map((line, index) => `${startLine + index}\t${line}`).join("\n"),
+          numbered: true,
+          start_line: selected.length > 0 ? startLine : null,
+          end_line: selected.length > 0 ? endLine : null,
+          truncated: endLine < lastRequested,
+          next_start_line: endLine < lines.length ? endLine + 1 : null
+        })
       }
+    ]
+  };
+}
+
+/**
+ * Subtree requests allowed when walking a tree GitHub truncated
+ */
+const MAX_SUBTREE_REQUESTS = 300;
+
+/**
+ * Walk a tree one level at a time (used when the recursive listing is truncated)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} rootSha - Root tree SHA
+ * @param {Function} shouldDescend - (dirPath) => whether to list the directory's children
+ * @param {Function} githubRequest - GitHub API wrapper
+ * @returns {Promise<Object>} { entries, complete, requests }
+ */
+async function walkTree(owner, repo, rootSha, shouldDescend, githubRequest) {
+  const entries = [];
+  const queue = [{ sha: rootSha, dir: "" }];
+  let complete = true;
+  let requests = 0;
+
+  while (queue.length > 0) {
+    if (requests >= MAX_SUBTREE_REQUESTS) {
+      complete = false;
+      break;
     }
+    const { sha, dir } = queue.shift();
+    const response = await githubRequest(`/repos/${owner}/${repo}/git/trees/${sha}`);
+    requests++;
+    if (response.truncated) complete = false;
 
-    // For any other branch or error, throw the original error
-    throw error;
+    for (const item of response.tree) {
+      const entry = { ...item, path: dir ? `${dir}/${item.path}` : item.path };
+      entries.push(entry);
+      if (item.type === "tree" && shouldDescend(entry.path)) {
+        queue.push({ sha: item.sha, dir: entry.path });
+      }
+    }
   }
+
+  return { entries, complete, requests };
 }
 
 /**
- * Get the full repository tree structure
+ * Sum file counts and sizes per directory
+ * @param {Object[]} blobs - File entries { path, size }
+ * @param {Set<string>} directories - Directory paths to report
+ * @returns {Object[]} Rollups { path, files, bytes } in path order
+ */
+function directorySizes(blobs, directories) {
+  const totals = new Map(Array.from(directories, dir => [dir, { path: dir, files: 0, bytes: 0 }]));
+  for (const blob of blobs) {
+    const segments = blob.path.split("/");
+    for (let i = 1; i < segments.length; i++) {
+      const total = totals.get(segments.slice(0, i).join("/"));
+      if (total) {
+        total.files++;
+        total.bytes += blob.size || 0;
+      }
+    }
+  }
+  return Array.from(totals.values()).sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Get the repository tree structure
+ *
+ * Entries can be narrowed by path prefix, glob, exclude globs, depth and
+ * type. When GitHub truncates the recursive listing the tree is walked one
+ * directory at a time instead, skipping directories the filters rule out.
  * @param {Object} args - Tree arguments
  * @param {string} args.repo - Repository in format owner/repo
  * @param {string} [args.branch] - Branch name
  * @param {string} [args.ref] - Branch, tag, or commit SHA
+ * @param {string} [args.path_prefix] - Only list entries under this directory
+ * @param {string} [args.glob] - Only list entries matching this glob (e.g. *.ts)
+ * @param {string[]} [args.exclude] - Skip entries matching any of these globs, and their contents
+ * @param {number} [args.max_depth] - Levels below the root (or path_prefix) to list
+ * @param {string} [args.type] - Only list blobs, trees or commits (submodules)
+ * @param {boolean} [args.include_sizes=false] - Add per-directory file counts and byte totals
+ * @param {number} [args.max_entries=5000] - Maximum entries to return
  * @returns {Promise<Object>} MCP response with repository tree
  */
-async function handleGetTree(args, { validateRepoFormat, validateBranch, githubRequest }) {
+async function handleGetTree(args, { validateRepoFormat, validatePath, validateBranch, githubRequest }) {
   const [owner, repo] = validateRepoFormat(args.repo);
+  const prefix = args.path_prefix ? validatePath(args.path_prefix) : "";
 
   // Get actual default branch if not specified
   let branch = args.branch || args.ref;
@@ -273,62 +557,246 @@ async function handleGetTree(args, { validateRepoFormat, validateBranch, githubR
   }
   const validatedBranch = validateBranch(branch);
 
+  let resolvedBranch = validatedBranch;
+  let branchResponse;
   try {
     // Get the branch to find the tree SHA
-    const branchResponse = await githubRequest(`/repos/${owner}/${repo}/branches/${validatedBranch}`);
-    const treeSha = branchResponse.commit.commit.tree.sha;
+    branchResponse = await githubRequest(`/repos/${owner}/${repo}/branches/${validatedBranch}`);
+  } catch (error) {
+    // Try with master branch if main fails
+    if (branch !== "main") throw error;
+    branchResponse = await githubRequest(`/repos/${owner}/${repo}/branches/master`);
+    resolvedBranch = "master";
+  }
+  const treeSha = branchResponse.commit.commit.tree.sha;
+
+  const result = {
+    branch: resolvedBranch,
+    ...await readTree(owner, repo, treeSha, { ...args, path_prefix: prefix }, githubRequest)
+  };
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(result)
+      }
+    ]
+  };
+}
+
+/**
+ * List a git tree with get_tree's filters
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} treeSha - Root tree SHA
+ * @param {Object} args - get_tree filters (path_prefix, glob, exclude, max_depth, type, include_sizes, max_entries)
+ * @param {Function} githubRequest - GitHub API wrapper
+ * @returns {Promise<Object>} { tree, total_entries, truncated, truncated_reason, fallback?, directories? }
+ */
+async function readTree(owner, repo, treeSha, args, githubRequest) {
+  const prefix = args.path_prefix ? args.path_prefix.replace(/\/+$/, "") : "";
+  const includePattern = args.glob ? globToRegExp(args.glob) : null;
+  const excludePatterns = (args.exclude || []).map(globToRegExp);
+  const maxEntries = args.max_entries || 5000;
 
-    // Get the tree recursively
-    const treeResponse = await githubRequest(`/repos/${owner}/${repo}/git/trees/${treeSha}`, {
-      recursive: 1
+  const relativeDepth = (path) => (prefix ? path.slice(prefix.length + 1) : path).split("/").length;
+  const underPrefix = (path) => !prefix || path.startsWith(`${prefix}/`);
+  // Exclude globs also drop everything inside an excluded directory
+  const excluded = (path) => {
+    const segments = path.split("/");
+    return segments.some((_, i) => {
+      const ancestor = segments.slice(0, i + 1).join("/");
+      return excludePatterns.some(pattern => pattern.test(ancestor));
     });
+  };
 
-    const tree = treeResponse.tree.map(item => ({
-      path: item.path,
-      type: item.type,
-      size: item.size
-    }));
+  // Get the tree recursively
+  const treeResponse = await githubRequest(`/repos/${owner}/${repo}/git/trees/${treeSha}`, {
+    recursive: 1
+  });
 
-    return {
-      content: [
-        {
-          type: "text",
-          text: JSON.stringify({
-            branch: branch,
-            tree: tree
-          })
-        }
-      ]
+  let items = treeResponse.tree;
+  let githubTruncated = false;
+  let subtreeRequests = 0;
+  if (treeResponse.truncated) {
+    // Only descend into directories on the way to (or inside) the prefix and within max_depth
+    const shouldDescend = (dir) => {
+      if (prefix && !underPrefix(dir)) return `${prefix}/`.startsWith(`${dir}/`);
+      if (excluded(dir)) return false;
+      return !args.max_depth || dir === prefix || relativeDepth(dir) < args.max_depth;
     };
+    const walk = await walkTree(owner, repo, treeSha, shouldDescend, githubRequest);
+    items = walk.entries;
+    githubTruncated = !walk.complete;
+    subtreeRequests = walk.requests;
+  }
+
+  const inScope = items.filter(item => underPrefix(item.path) && !excluded(item.path));
+  const matching = inScope.filter(item =>
+    (!args.max_depth || relativeDepth(item.path) <= args.max_depth) &&
+    (!args.type || item.type === args.type) &&
+    (!includePattern || includePattern.test(item.path))
+  );
+
+  const tree = matching.slice(0, maxEntries).map(item => ({
+    path: item.path,
+    type: item.type,
+    size: item.size
+  }));
+
+  const result = {
+    tree,
+    total_entries: matching.length,
+    truncated: githubTruncated || matching.length > maxEntries,
+    truncated_reason: githubTruncated ? "github_limit" : matching.length > maxEntries ? "max_entries" : null
+  };
+  if (treeResponse.truncated) {
+    result.fallback = { strategy: "subtree_walk", requests: subtreeRequests };
+  }
+  if (args.include_sizes) {
+    const directories = new Set(tree.filter(item => item.type === "tree").map(item => item.path));
+    if (prefix) directories.add(prefix);
+    // Rollups count every file in scope, including files below max_depth or outside glob/type
+    result.directories = directorySizes(inScope.filter(item => item.type === "blob"), directories);
+  }
+
+  return result;
+}
+
+/**
+ * Time a grep worker gets past GREP_TIMEOUT to stop on its own and return
+ * partial results before it is terminated
+ */
+const GREP_WORKER_GRACE_MS = 1000;
+
+/**
+ * Search a repository snapshot with a regular expression
+ *
+ * Downloads the tarball for any branch, tag or SHA (unlike GitHub code search,
+ * which only indexes default branches) into a bounded disk cache keyed by
+ * commit SHA, then greps it locally. Refs resolve like get_tree: the default
+ * branch when none is given, falling back from main to master.
+ *
+ * GREP_TIMEOUT is a wall-clock limit on download plus search. The search runs
+ * in a worker thread that is terminated shortly after it, and at most
+ * GREP_MAX_CONCURRENT searches run at once.
+ * @param {Object} args - Grep arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.pattern - JavaScript regular expression
+ * @param {string} [args.branch] - Branch name
+ * @param {string} [args.ref] - Branch, tag, or commit SHA
+ * @param {string} [args.path] - Only search files under this directory
+ * @param {string} [args.include] - Only search files matching this glob (e.g. *.js)
+ * @param {boolean} [args.case_insensitive=false] - Ignore case
+ * @param {number} [args.context_lines=2] - Context lines before and after each match
+ * @param {number} [args.max_matches=100] - Stop after this many matches
+ * @returns {Promise<Object>} MCP response with matches and search statistics
+ */
+async function handleGrepRepo(args, { validateRepoFormat, validatePath, validateBranch, githubRequest, github, archiveCache, grepLimiter, config, logger }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const pathPrefix = args.path ? validatePath(args.path) : "";
+
+  const flags = args.case_insensitive ? "i" : "";
+  try {
+    new RegExp(args.pattern, flags);
   } catch (error) {
-    // Try with master branch if main fails
-    if (branch === "main") {
-      const branchResponse = await githubRequest(`/repos/${owner}/${repo}/branches/master`);
-      const treeSha = branchResponse.commit.commit.tree.sha;
-      const treeResponse = await githubRequest(`/repos/${owner}/${repo}/git/trees/${treeSha}`, {
-        recursive: 1
-      });
+    throw new Error(`Validation failed: invalid regular expression: ${error.message}`);
+  }
 
-      const tree = treeResponse.tree.map(item => ({
-        path: item.path,
-        type: item.type,
-        size: item.size
-      }));
+  const deadline = Date.now() + config.grepTimeout;
 
-      return {
-        content: [
-          {
-            type: "text",
-            text: JSON.stringify({
-              branch: "master",
-              tree: tree
-            })
-          }
-        ]
-      };
+  // Get actual default branch if not specified
+  let ref = args.branch || args.ref;
+  if (!ref) {
+    const repoInfo = await githubRequest(`/repos/${owner}/${repo}`);
+    ref = repoInfo.default_branch || 'main';
+  }
+  ref = validateBranch(ref);
+
+  // The sha media type returns the commit SHA as plain text
+  const resolveSha = (candidate) => githubRequest(`/repos/${owner}/${repo}/commits/${encodeURIComponent(candidate)}`, {}, {
+    Accept: "application/vnd.github.sha"
+  });
+  let sha;
+  try {
+    sha = await resolveSha(ref);
+  } catch (error) {
+    if (ref !== "main" || error.statusCode !== 404) throw error;
+    sha = await resolveSha("master");
+    ref = "master";
+  }
+  sha = String(sha).trim();
+
+  // Each search holds its archive and unpacked files in memory until it finishes
+  const release = grepLimiter.acquire();
+  if (!release) {
+    throw new Error(`grep_repo rate limit exceeded: ${config.grepMaxConcurrent} searches already running. Try again shortly`);
+  }
+
+  let archive;
+  let cached;
+  let result;
+  try {
+    const cacheKey = `${owner}/${repo}/${sha}`;
+    archive = await archiveCache.get(cacheKey);
+    cached = archive !== null;
+
+    if (!archive) {
+      try {
+        // Downloaded with the client directly: archives bypass the ETag cache.
+        // The signal bounds the whole transfer; axios' timeout only covers idle sockets.
+        const response = await github.get(`/repos/${owner}/${repo}/tarball/${sha}`, {
+          responseType: "arraybuffer",
+          maxContentLength: config.grepMaxArchiveBytes,
+          signal: AbortSignal.timeout(Math.max(deadline - Date.now(), 1))
+        });
+        archive = Buffer.from(response.data);
+      } catch (error) {
+        if (/maxContentLength/.test(error.message)) {
+          throw new Error(`Archive for ${owner}/${repo}@${sha} exceeds ${config.grepMaxArchiveBytes} bytes; use search_code or read_file instead`);
+        }
+        if (error.code === "ERR_CANCELED" || error.code === "ECONNABORTED") {
+          throw new Error(`Downloading the archive for ${owner}/${repo}@${sha} timed out after ${config.grepTimeout}ms`);
+        }
+        throw error;
+      }
+
+      await archiveCache.set(cacheKey, archive).catch(error => {
+        logger.warn("grep_repo could not cache archive", { repo: `${owner}/${repo}`, sha, error: error.message });
+      });
     }
-    throw error;
+
+    result = await grepArchive(archive, args.pattern, {
+      flags,
+      maxExtractedBytes: config.grepMaxExtractedBytes,
+      pathPrefix,
+      include: args.include,
+      contextLines: args.context_lines ?? 2,
+      maxMatches: args.max_matches || 100,
+      deadline,
+      hardDeadline: deadline + GREP_WORKER_GRACE_MS
+    });
+  } finally {
+    release();
   }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          repo: `${owner}/${repo}`,
+          ref,
+          sha,
+          pattern: args.pattern,
+          cached,
+          archive_bytes: archive.length,
+          ...result
+        })
+      }
+    ]
+  };
 }
 
 /**
@@ -373,6 +841,496 @@ async function handleGetCommits(args, { validateRepoFormat, validatePath, github
   };
 }
 
+/**
+ * Cut a patch to a byte budget, keeping whole diff lines
+ * @param {string} patch - Unified diff
+ * @param {number} maxBytes - Byte budget
+ * @returns {string} Patch no longer than maxBytes
+ */
+function truncatePatch(patch, maxBytes) {
+  const cut = Buffer.from(patch, "utf8").subarray(0, maxBytes).toString("utf8");
+  const lastNewline = cut.lastIndexOf("\n");
+  return lastNewline > 0 ? cut.slice(0, lastNewline) : cut;
+}
+
+/**
+ * Summarize changed files from the compare or commit endpoints, optionally with patches
+ * @param {Object[]} files - GitHub file entries
+ * @param {Object} options
+ * @param {boolean} [options.includePatches=false] - Include unified patches
+ * @param {number} options.maxPatchBytes - Patch budget per file (longer patches are truncated)
+ * @param {number} options.maxTotalPatchBytes - Patch budget for all files (later patches are omitted)
+ * @returns {Object[]} File summaries
+ */
+function summarizeChangedFiles(files, { includePatches = false, maxPatchBytes, maxTotalPatchBytes }) {
+  let patchBudget = maxTotalPatchBytes;
+
+  return (files || []).map(file => {
+    const entry = {
+      filename: file.filename,
+      status: file.status,
+      additions: file.additions,
+      deletions: file.deletions,
+      changes: file.changes
+    };
+    if (file.previous_filename) entry.previous_filename = file.previous_filename;
+
+    if (includePatches) {
+      if (file.patch === undefined) {
+        // GitHub omits patches for binary and very large files
+        entry.patch_omitted = "unavailable";
+      } else {
+        const truncated = Buffer.byteLength(file.patch, "utf8") > maxPatchBytes;
+        const patch = truncated ? truncatePatch(file.patch, maxPatchBytes) : file.patch;
+        const size = Buffer.byteLength(patch, "utf8");
+        if (size > patchBudget) {
+          // Once the total budget is spent, remaining patches are left out
+          entry.patch_omitted = "budget";
+          patchBudget = 0;
+        } else {
+          entry.patch = patch;
+          if (truncated) entry.patch_truncated = true;
+          patchBudget -= size;
+        }
+      }
+    }
+    return entry;
+  });
+}
+
+/**
+ * Compare two refs (branches, tags or SHAs) with GitHub's compare endpoint
+ * @param {Object} args - Compare arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.base - Base ref
+ * @param {string} args.head - Head ref (owner:branch for forks)
+ * @param {boolean} [args.include_patches=false] - Include unified patches per file
+ * @param {number} [args.max_patch_bytes=4000] - Patch budget per file
+ * @param {number} [args.max_total_patch_bytes=40000] - Patch budget for the whole response
+ * @param {number} [args.max_commits=50] - Commits to list (oldest first)
+ * @returns {Promise<Object>} MCP response with ahead/behind counts, commits and files
+ */
+async function handleCompareRefs(args, { validateRepoFormat, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const maxCommits = Math.min(Math.max(parseInt(args.max_commits) || 50, 1), 250);
+
+  const basehead = `${encodeURIComponent(args.base)}...${encodeURIComponent(args.head)}`;
+  const response = await githubRequest(`/repos/${owner}/${repo}/compare/${basehead}`, {
+    per_page: maxCommits
+  });
+
+  const commits = (response.commits || []).slice(0, maxCommits).map(commit => ({
+    sha: commit.sha,
+    message: commit.commit.message.split('\n')[0],
+    author: commit.commit.author?.name,
+    date: commit.commit.author?.date,
+    url: commit.html_url
+  }));
+
+  const files = summarizeChangedFiles(response.files, {
+    includePatches: args.include_patches,
+    maxPatchBytes: parseInt(args.max_patch_bytes) || 4000,
+    maxTotalPatchBytes: parseInt(args.max_total_patch_bytes) || 40000
+  });
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          base: args.base,
+          head: args.head,
+          status: response.status,
+          ahead_by: response.ahead_by,
+          behind_by: response.behind_by,
+          total_commits: response.total_commits,
+          merge_base_sha: response.merge_base_commit?.sha,
+          commits,
+          commits_truncated: response.total_commits > commits.length,
+          files,
+          // The compare endpoint lists at most 300 files
+          files_truncated: files.length >= 300,
+          totals: {
+            changed_files: files.length,
+            additions: files.reduce((sum, file) => sum + (file.additions || 0), 0),
+            deletions: files.reduce((sum, file) => sum + (file.deletions || 0), 0)
+          },
+          url: response.html_url
+        })
+      }
+    ]
+  };
+}
+
+/**
+ * Get a single commit with full message, metadata and changed files
+ * Commits touching many files are paginated: each page repeats the commit
+ * details and lists the next per_page files.
+ * @param {Object} args - Commit arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.ref - Commit SHA (full or abbreviated), branch or tag
+ * @param {boolean} [args.include_patches=false] - Include unified patches per file
+ * @param {number} [args.max_patch_bytes=4000] - Patch budget per file
+ * @param {number} [args.max_total_patch_bytes=40000] - Patch budget for the page
+ * @param {number} [args.page=1] - Page of changed files
+ * @param {number} [args.per_page=100] - Changed files per page (1-100)
+ * @returns {Promise<Object>} MCP response with the commit
+ */
+async function handleGetCommit(args, { validateRepoFormat, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const page = Math.max(parseInt(args.page) || 1, 1);
+  const perPage = Math.min(Math.max(parseInt(args.per_page) || 100, 1), 100);
+
+  const commit = await githubRequest(`/repos/${owner}/${repo}/commits/${encodeURIComponent(args.ref)}`, {
+    page,
+    per_page: perPage
+  });
+
+  const person = (gitPerson, account) => ({
+    name: gitPerson?.name,
+    email: gitPerson?.email,
+    date: gitPerson?.date,
+    login: account?.login || null
+  });
+
+  const files = summarizeChangedFiles(commit.files, {
+    includePatches: args.include_patches,
+    maxPatchBytes: parseInt(args.max_patch_bytes) || 4000,
+    maxTotalPatchBytes: parseInt(args.max_total_patch_bytes) || 40000
+  });
+
+  // A full page means there may be more files on the next one
+  const hasMoreFiles = files.length === perPage;
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          sha: commit.sha,
+          message: commit.commit.message,
+          author: person(commit.commit.author, commit.author),
+          committer: person(commit.commit.committer, commit.committer),
+          parents: (commit.parents || []).map(parent => parent.sha),
+          verification: {
+            verified: commit.commit.verification?.verified ?? false,
+            reason: commit.commit.verification?.reason || "unsigned"
+          },
+          stats: commit.stats,
+          files,
+          page,
+          per_page: perPage,
+          next_page: hasMoreFiles ? page + 1 : null,
+          url: commit.html_url
+        })
+      }
+    ]
+  };
+}
+
+/**
+ * Commit detail pages searched for the tracked file in very large commits
+ */
+const MAX_COMMIT_FILE_PAGES = 10;
+
+/**
+ * Find the pull request associated with each commit (one GraphQL request)
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string[]} shas - Commit SHAs
+ * @param {Function} githubGraphql - GitHub GraphQL wrapper
+ * @returns {Promise<Map<string, Object>>} SHA to { number, title, url } (merged PRs preferred)
+ */
+async function findCommitPullRequests(owner, repo, shas, githubGraphql) {
+  const pullRequests = new Map();
+  if (shas.length === 0) return pullRequests;
+
+  // SHAs come from the API and are plain hex, so they can be inlined as aliases
+  const fields = shas.map((sha, index) => `
+      c${index}: object(oid: "${sha}") {
+        ... on Commit { associatedPullRequests(first: 5) { nodes { number title url mergedAt } } }
+      }`).join("");
+  const data = await githubGraphql(`
+    query($owner: String!, $repo: String!) {
+      repository(owner: $owner, name: $repo) {${fields}
+      }
+    }
+  `, { owner, repo });
+
+  shas.forEach((sha, index) => {
+    const nodes = data.repository?.[`c${index}`]?.associatedPullRequests?.nodes || [];
+    const pr = nodes.find(node => node.mergedAt) || nodes[0];
+    if (pr) pullRequests.set(sha, { number: pr.number, title: pr.title, url: pr.url });
+  });
+  return pullRequests;
+}
+
+/**
+ * List the commits that changed a file, following renames
+ *
+ * Each entry carries that file's own additions/deletions (and optionally its
+ * patch) plus the pull request that introduced the commit. When a commit
+ * renamed the file, the history continues under the previous path from the
+ * commit's parent. Stopping at the limit returns next: { path, ref } to
+ * continue from. If the PR lookup fails, every pull_request is null and
+ * pull_requests_unavailable says why.
+ * @param {Object} args - History arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.path - File path
+ * @param {string} [args.branch] - Branch name
+ * @param {string} [args.ref] - Branch, tag, or commit SHA to start from
+ * @param {number} [args.limit=20] - Maximum commits to return
+ * @param {boolean} [args.follow_renames=true] - Continue under the previous path after a rename
+ * @param {boolean} [args.include_patches=false] - Include the file's patch per commit
+ * @param {number} [args.max_patch_bytes=4000] - Patch budget per commit
+ * @param {number} [args.max_total_patch_bytes=40000] - Patch budget for the whole response
+ * @returns {Promise<Object>} MCP response with the file's history
+ */
+async function handleGetFileHistory(args, { validateRepoFormat, validatePath, validateBranch, assert, githubRequest, githubGraphql, logger }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const path = validatePath(args.path);
+  assert(path.length > 0, 'File path cannot be empty');
+  const ref = args.branch || args.ref ? validateBranch(args.branch || args.ref) : undefined;
+  const limit = Math.min(Math.max(parseInt(args.limit) || 20, 1), 100);
+  const followRenames = args.follow_renames !== false;
+  const maxPatchBytes = parseInt(args.max_patch_bytes) || 4000;
+  let patchBudget = parseInt(args.max_total_patch_bytes) || 40000;
+
+  /**
+   * Find the tracked file in a commit, paging through very large commits
+   */
+  const findFileChange = async (sha, filePath) => {
+    for (let page = 1; page <= MAX_COMMIT_FILE_PAGES; page++) {
+      const commit = await githubRequest(`/repos/${owner}/${repo}/commits/${sha}`, { page, per_page: 100 });
+      const file = (commit.files || []).find(entry => entry.filename === filePath);
+      if (file || (commit.files || []).length < 100) return { commit, file };
+    }
+    return { commit: null, file: null };
+  };
+
+  const history = [];
+  const renames = [];
+  let segment = { path, ref };
+  let next = null;
+
+  while (segment && !next) {
+    const current = segment;
+    segment = null;
+
+    for (let page = 1; !segment && !next; page++) {
+      const params = { path: current.path, per_page: 100, page };
+      if (current.ref) params.sha = current.ref;
+      const commits = await githubRequest(`/repos/${owner}/${repo}/commits`, params);
+
+      for (const listed of commits) {
+        if (history.length >= limit) {
+          next = { path: current.path, ref: listed.sha };
+          break;
+        }
+
+        const { commit, file } = await findFileChange(listed.sha, current.path);
+        const change = file ? summarizeChangedFiles([file], {
+          includePatches: args.include_patches,
+          maxPatchBytes,
+          maxTotalPatchBytes: patchBudget
+        })[0] : null;
+        if (change?.patch) patchBudget -= Buffer.byteLength(change.patch, "utf8");
+
+        const entry = {
+          sha: listed.sha,
+          message: listed.commit.message.split('\n')[0],
+          author: {
+            name: listed.commit.author?.name,
+            login: listed.author?.login || null
+          },
+          date: listed.commit.author?.date,
+          path: current.path,
+          status: change?.status ?? null,
+          additions: change?.additions ?? null,
+          deletions: change?.deletions ?? null,
+          pull_request: null,
+          url: listed.html_url
+        };
+        if (change?.previous_filename) entry.previous_path = change.previous_filename;
+        for (const key of ["patch", "patch_truncated", "patch_omitted"]) {
+          if (change && change[key] !== undefined) entry[key] = change[key];
+        }
+        history.push(entry);
+
+        // Earlier history lives under the old name, starting from the rename's parent
+        const parent = commit?.parents?.[0]?.sha;
+        if (followRenames && change?.status === "renamed" && change.previous_filename && parent) {
+          renames.push({ sha: listed.sha, from: change.previous_filename, to: current.path });
+          segment = { path: change.previous_filename, ref: parent };
+          break;
+        }
+      }
+
+      if (commits.length < 100) break;
+    }
+  }
+
+  // The history is already complete; if the PR lookup fails, return it without PRs
+  let pullRequests = new Map();
+  let pullRequestsError = null;
+  try {
+    pullRequests = await findCommitPullRequests(owner, repo, history.map(entry => entry.sha), githubGraphql);
+  } catch (error) {
+    pullRequestsError = error.message;
+    logger.warn("get_file_history could not look up pull requests", { repo: `${owner}/${repo}`, path, error: error.message });
+  }
+  for (const entry of history) {
+    entry.pull_request = pullRequests.get(entry.sha) || null;
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          repo: `${owner}/${repo}`,
+          path,
+          ref: ref || null,
+          history,
+          renames,
+          next,
+          ...(pullRequestsError && { pull_requests_unavailable: pullRequestsError })
+        })
+      }
+    ]
+  };
+}
+
+/**
+ * GraphQL query for blame ranges with each commit's first associated PR
+ */
+const BLAME_QUERY = `
+  fragment BlameCommit on Commit {
+    oid
+    blame(path: $path) {
+      ranges {
+        startingLine
+        endingLine
+        age
+        commit {
+          oid
+          messageHeadline
+          committedDate
+          url
+          author { name email date user { login } }
+          associatedPullRequests(first: 1, orderBy: { field: CREATED_AT, direction: ASC }) {
+            nodes { number title url }
+          }
+        }
+      }
+    }
+  }
+
+  query($owner: String!, $repo: String!, $ref: String!, $path: String!) {
+    repository(owner: $owner, name: $repo) {
+      object(expression: $ref) {
+        ...BlameCommit
+        # Annotated tags resolve to a Tag object; peel it to the tagged commit
+        ... on Tag {
+          target { ...BlameCommit }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Attribute the lines of a file to the commits (and PRs) that last changed them
+ *
+ * Uses the GraphQL blame API. start_line/end_line use the same 1-based
+ * numbering as read_file, and ranges are clipped to them.
+ * @param {Object} args - Blame arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.path - File path
+ * @param {string} [args.branch] - Branch name
+ * @param {string} [args.ref] - Branch, tag, or commit SHA
+ * @param {number} [args.start_line] - First line to attribute
+ * @param {number} [args.end_line] - Last line to attribute (inclusive)
+ * @returns {Promise<Object>} MCP response with blame ranges
+ */
+async function handleGetBlame(args, { validateRepoFormat, validatePath, validateBranch, assert, githubRequest, githubGraphql }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const path = validatePath(args.path);
+  assert(path.length > 0, 'File path cannot be empty');
+
+  const startLine = args.start_line ?? 1;
+  const endLine = args.end_line ?? Infinity;
+  if (endLine < startLine) {
+    throw new Error(`Validation failed: end_line (${args.end_line}) must not be before start_line (${startLine})`);
+  }
+
+  // Get actual default branch if not specified
+  let ref = args.branch || args.ref;
+  if (!ref) {
+    const repoInfo = await githubRequest(`/repos/${owner}/${repo}`);
+    ref = repoInfo.default_branch || 'main';
+  }
+  ref = validateBranch(ref);
+
+  const data = await githubGraphql(BLAME_QUERY, { owner, repo, ref, path });
+  const object = data.repository?.object;
+  if (!object) {
+    throw new Error(`Ref ${ref} not found in ${owner}/${repo}`);
+  }
+  const commit = object.target || object;
+  if (!commit.oid) {
+    throw new Error(`Validation failed: ref ${ref} does not point to a commit in ${owner}/${repo}`);
+  }
+  if (!commit.blame) {
+    throw new Error(`File ${path} not found at ${ref} in ${owner}/${repo}`);
+  }
+
+  const ranges = commit.blame.ranges
+    .filter(range => range.endingLine >= startLine && range.startingLine <= endLine)
+    .map(range => {
+      const pr = range.commit.associatedPullRequests?.nodes?.[0];
+      const author = range.commit.author || {};
+      return {
+        start_line: Math.max(range.startingLine, startLine),
+        end_line: Math.min(range.endingLine, endLine),
+        sha: range.commit.oid,
+        summary: range.commit.messageHeadline,
+        author: {
+          name: author.name || null,
+          email: author.email || null,
+          login: author.user?.login || null
+        },
+        date: author.date || range.commit.committedDate,
+        // 1 (oldest) to 10 (newest), relative to the file's history
+        age: range.age,
+        pull_request: pr ? { number: pr.number, title: pr.title, url: pr.url } : null,
+        url: range.commit.url
+      };
+    });
+
+  if (ranges.length === 0 && commit.blame.ranges.length > 0) {
+    const totalLines = commit.blame.ranges[commit.blame.ranges.length - 1].endingLine;
+    throw new Error(`Validation failed: start_line (${startLine}) is past the end of the file (${totalLines} lines)`);
+  }
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify({
+          repo: `${owner}/${repo}`,
+          path,
+          ref,
+          sha: commit.oid,
+          ranges,
+          commits: new Set(ranges.map(range => range.sha)).size,
+          url: `https://github.com/${owner}/${repo}/blame/${commit.oid}/${path}`
+        })
+      }
+    ]
+  };
+}
+
 /**
  * List all branches in a repository
  * @param {Object} args - Branches arguments
@@ -405,12 +1363,41 @@ async function handleGetBranches(args, { validateRepoFormat, githubRequest }) {
   };
 }
 
+/**
+ * Show remaining GitHub API quota for the server's token
+ * GET /rate_limit does not count against the quota.
+ * @returns {Promise<Object>} MCP response with quota per resource and throttling state
+ */
+async function handleGetRateLimit(args, { githubRequest, getRateLimitSnapshot, recordRateLimitResources }) {
+  const response = await githubRequest("/rate_limit");
+  recordRateLimitResources(response.resources);
+
+  return {
+    content: [
+      {
+        type: "text",
+        text: JSON.stringify(getRateLimitSnapshot())
+      }
+    ]
+  };
+}
+
 module.exports = {
   handleSearch,
+  handleSearchCode,
   handleFetch,
   handleListDirectory,
   handleReadFile,
+  readFileContents,
+  isBinaryContent,
   handleGetTree,
+  readTree,
+  handleGrepRepo,
   handleGetCommits,
-  handleGetBranches
+  handleCompareRefs,
+  handleGetCommit,
+  handleGetFileHistory,
+  handleGetBlame,
+  handleGetBranches,
+  handleGetRateLimit
 };
@@ -0,0 +1,401 @@
+/**
+ * Release Tools Module
+ *
+ * Tool handlers for GitHub release and tag read operations:
+ * - list_releases: List releases, newest first
+ * - get_release: Get a release (by tag, ID, or the latest) with notes and assets
+ * - list_tags: List tags with their commit SHAs
+ *
+ * Tool handlers for GitHub release and tag write operations:
+ * - create_release: Create a release (draft by default)
+ * - create_tag: Create a lightweight or annotated tag
+ *
+ * Write handlers are gated by RELEASES_ENABLED, the repository whitelist and a
+ * per-repository rate limit, and every attempt is written to the audit log.
+ *
+ * @module lib/tools/release-tools
+ */
+
+/**
+ * Helper: Map GitHub errors to messages classifyToolError understands
+ * @param {Error} error - GitHub API error
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} [what] - Release or tag description for not-found errors
+ * @returns {Error} Error to throw
+ */
+function toReleaseError(error, owner, repo, what) {
+  if (error.statusCode === 404) {
+    return new Error(what
+      ? `${what} not found in ${owner}/${repo}`
+      : `Repository ${owner}/${repo} not found or inaccessible`);
+  }
+  // Rate limit 403s keep their rate limit message (JSON-RPC -32004)
+  if (error.statusCode === 403 && !error.rateLimit) {
+    return new Error(`Permission denied. Ensure the GitHub token has 'contents:write' permission for ${owner}/${repo}`);
+  }
+  if (error.statusCode === 422) {
+    const details = (error.response?.data?.errors || []).map(e => e.message || e.code).filter(Boolean).join("; ");
+    return new Error(`GitHub validation failed: ${details || error.response?.data?.message || error.message}`);
+  }
+  return error;
+}
+
+/**
+ * Helper: Enforce feature flag and whitelist for release writes
+ * @param {Object} args - Tool arguments containing repo
+ * @param {Object} context - Tool context
+ * @returns {Array<string>} [owner, repo]
+ */
+function assertReleaseWriteAllowed(args, { config, validateRepoFormat, assert, isRepoWhitelisted }) {
+  assert(config.releasesEnabled, 'Release write operations are disabled');
+
+  const [owner, repo] = validateRepoFormat(args.repo);
+
+  assert(
+    isRepoWhitelisted(owner, repo),
+    `Repository ${owner}/${repo} is not whitelisted for release operations`
+  );
+
+  return [owner, repo];
+}
+
+/**
+ * Helper: Take a release write from the per-repository rate limit.
+ * Called once the arguments are validated, so malformed calls don't use up the budget.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} context - Tool context
+ */
+function assertReleaseRateLimit(owner, repo, { config, assert, checkRateLimitCustom, releaseRateLimiter }) {
+  assert(
+    checkRateLimitCustom(
+      config.releaseRateLimitWindow,
+      config.releaseRateLimitMax,
+      releaseRateLimiter,
+      'release',
+      `${owner}/${repo}`
+    ),
+    `Release rate limit exceeded for ${owner}/${repo}. Max ${config.releaseRateLimitMax} operations per ${config.releaseRateLimitWindow / 60000} minutes`
+  );
+}
+
+/**
+ * Helper: Reduce a GitHub release payload to the fields returned by release tools
+ * @param {Object} release - GitHub release object
+ * @returns {Object} Release summary (without notes or assets)
+ */
+function summarizeRelease(release) {
+  return {
+    id: release.id,
+    tag_name: release.tag_name,
+    name: release.name || null,
+    draft: release.draft,
+    prerelease: release.prerelease,
+    target_commitish: release.target_commitish,
+    author: release.author ? release.author.login : null,
+    created_at: release.created_at,
+    published_at: release.published_at || null,
+    assets: (release.assets || []).length,
+    url: release.html_url
+  };
+}
+
+/**
+ * List releases (drafts are only visible with push access)
+ * @param {Object} args - List arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} [args.per_page=30] - Results per page
+ * @param {number} [args.page=1] - Page number
+ * @returns {Promise<Object>} MCP response with releases
+ */
+async function handleListReleases(args, { validateRepoFormat, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const params = {
+    per_page: args.per_page || 30,
+    page: args.page || 1
+  };
+
+  try {
+    const response = await githubRequest(`/repos/${owner}/${repo}/releases`, params);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            releases: response.map(summarizeRelease),
+            page: params.page,
+            per_page: params.per_page,
+            has_more: response.length === params.per_page
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    throw toReleaseError(error, owner, repo);
+  }
+}
+
+/**
+ * Get a release with its notes and assets
+ * Looks up by tag, then by release_id, and otherwise returns the latest
+ * published (non-draft, non-prerelease) release.
+ * @param {Object} args - Release arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} [args.tag] - Tag name (e.g. v2.3.0)
+ * @param {number} [args.release_id] - Release ID
+ * @returns {Promise<Object>} MCP response with the release
+ */
+async function handleGetRelease(args, { validateRepoFormat, validateBranch, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+
+  let endpoint = `/repos/${owner}/${repo}/releases/latest`;
+  let what = "Latest release";
+  if (args.tag) {
+    const tag = validateBranch(args.tag);
+    endpoint = `/repos/${owner}/${repo}/releases/tags/${encodeURIComponent(tag)}`;
+    what = `Release for tag ${tag}`;
+  } else if (args.release_id) {
+    endpoint = `/repos/${owner}/${repo}/releases/${args.release_id}`;
+    what = `Release ${args.release_id}`;
+  }
+
+  try {
+    const release = await githubRequest(endpoint);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            ...summarizeRelease(release),
+            body: release.body || "",
+            assets: (release.assets || []).map(asset => ({
+              id: asset.id,
+              name: asset.name,
+              label: asset.label || null,
+              content_type: asset.content_type,
+              size: asset.size,
+              download_count: asset.download_count,
+              updated_at: asset.updated_at,
+              url: asset.browser_download_url
+            })),
+            tarball_url: release.tarball_url,
+            zipball_url: release.zipball_url
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    throw toReleaseError(error, owner, repo, what);
+  }
+}
+
+/**
+ * List tags with the commits they point to
+ * @param {Object} args - List arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} [args.per_page=30] - Results per page
+ * @param {number} [args.page=1] - Page number
+ * @returns {Promise<Object>} MCP response with tags
+ */
+async function handleListTags(args, { validateRepoFormat, githubRequest }) {
+  const [owner, repo] = validateRepoFormat(args.repo);
+  const params = {
+    per_page: args.per_page || 30,
+    page: args.page || 1
+  };
+
+  try {
+    const response = await githubRequest(`/repos/${owner}/${repo}/tags`, params);
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            tags: response.map(tag => ({
+              name: tag.name,
+              sha: tag.commit ? tag.commit.sha : null,
+              url: `https://github.com/${owner}/${repo}/releases/tag/${encodeURIComponent(tag.name)}`
+            })),
+            page: params.page,
+            per_page: params.per_page,
+            has_more: response.length === params.per_page
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    throw toReleaseError(error, owner, repo);
+  }
+}
+
+/**
+ * Create a release. Releases are drafts unless draft: false is passed, so
+ * nothing is published (or notified) without an explicit request.
+ * @param {Object} args - Release arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.tag_name - Tag to release (created from target_commitish if missing)
+ * @param {string} [args.target_commitish] - Branch or SHA for a new tag (default branch if omitted)
+ * @param {string} [args.name] - Release title
+ * @param {string} [args.body] - Release notes
+ * @param {boolean} [args.draft=true] - Create as a draft
+ * @param {boolean} [args.prerelease=false] - Mark as a pre-release
+ * @param {boolean} [args.generate_release_notes=false] - Let GitHub generate notes from merged PRs
+ * @returns {Promise<Object>} MCP response with the created release
+ */
+async function handleCreateRelease(args, context) {
+  const { validateBranch, validateTitle, validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertReleaseWriteAllowed(args, context);
+
+  const releaseData = {
+    tag_name: validateBranch(args.tag_name),
+    draft: args.draft !== false,
+    prerelease: args.prerelease === true,
+    generate_release_notes: args.generate_release_notes === true
+  };
+  if (args.target_commitish) releaseData.target_commitish = validateBranch(args.target_commitish);
+  if (args.name) releaseData.name = validateTitle(args.name);
+  if (args.body) releaseData.body = validateBody(args.body);
+  assertReleaseRateLimit(owner, repo, context);
+
+  await auditLog('RELEASE_CREATE_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    tag: releaseData.tag_name,
+    target: releaseData.target_commitish || null,
+    draft: releaseData.draft,
+    prerelease: releaseData.prerelease
+  });
+
+  try {
+    const release = await githubRequest(`/repos/${owner}/${repo}/releases`, releaseData, {}, 'POST');
+
+    await auditLog('RELEASE_CREATED', {
+      repo: `${owner}/${repo}`,
+      tag: release.tag_name,
+      releaseId: release.id,
+      draft: release.draft,
+      releaseUrl: release.html_url
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            release: summarizeRelease(release),
+            message: release.draft
+              ? `Draft release for ${release.tag_name} created; publish it on GitHub when ready`
+              : `Release ${release.tag_name} published`
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('RELEASE_CREATE_FAILED', {
+      repo: `${owner}/${repo}`,
+      tag: releaseData.tag_name,
+      error: error.message
+    });
+    throw toReleaseError(error, owner, repo);
+  }
+}
+
+/**
+ * Create a tag pointing at a commit
+ * With a message the tag is annotated (a git tag object); otherwise it is lightweight.
+ * @param {Object} args - Tag arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} args.tag - Tag name
+ * @param {string} [args.sha] - Commit SHA to tag
+ * @param {string} [args.ref] - Branch or tag to resolve when sha is omitted (default branch if neither)
+ * @param {string} [args.message] - Annotation message
+ * @returns {Promise<Object>} MCP response with the created tag
+ */
+async function handleCreateTag(args, context) {
+  const { validateBranch, validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertReleaseWriteAllowed(args, context);
+  const tag = validateBranch(args.tag);
+  const message = args.message ? validateBody(args.message) : null;
+  assertReleaseRateLimit(owner, repo, context);
+
+  await auditLog('TAG_CREATE_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    tag,
+    sha: args.sha || null,
+    ref: args.ref || null,
+    annotated: Boolean(args.message)
+  });
+
+  try {
+    let sha = args.sha;
+    if (!sha) {
+      let ref = args.ref;
+      if (!ref) {
+        const repoInfo = await githubRequest(`/repos/${owner}/${repo}`);
+        ref = repoInfo.default_branch || 'main';
+      }
+      // The sha media type returns the commit SHA as plain text
+      sha = String(await githubRequest(`/repos/${owner}/${repo}/commits/${encodeURIComponent(validateBranch(ref))}`, {}, {
+        Accept: "application/vnd.github.sha"
+      })).trim();
+    }
+
+    let refSha = sha;
+    if (args.message) {
+      const tagObject = await githubRequest(`/repos/${owner}/${repo}/git/tags`, {
+        tag,
+        message,
+        object: sha,
+        type: 'commit'
+      }, {}, 'POST');
+      refSha = tagObject.sha;
+    }
+
+    await githubRequest(`/repos/${owner}/${repo}/git/refs`, {
+      ref: `refs/tags/${tag}`,
+      sha: refSha
+    }, {}, 'POST');
+
+    await auditLog('TAG_CREATED', {
+      repo: `${owner}/${repo}`,
+      tag,
+      sha,
+      annotated: Boolean(args.message)
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            tag,
+            sha,
+            annotated: Boolean(args.message),
+            tag_object_sha: args.message ? refSha : null,
+            url: `https://github.com/${owner}/${repo}/releases/tag/${encodeURIComponent(tag)}`
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('TAG_CREATE_FAILED', {
+      repo: `${owner}/${repo}`,
+      tag,
+      error: error.message
+    });
+    throw toReleaseError(error, owner, repo, args.sha ? `Commit ${args.sha}` : `Ref ${args.ref || 'default branch'}`);
+  }
+}
+
+module.exports = {
+  handleListReleases,
+  handleGetRelease,
+  handleListTags,
+  handleCreateRelease,
+  handleCreateTag
+};
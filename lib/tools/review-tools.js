@@ -0,0 +1,455 @@
+/**
+ * Review Tools Module
+ *
+ * Tool handlers for GitHub pull request review write operations:
+ * - submit_review: Approve, request changes or comment, with a batch of inline comments
+ * - reply_to_review_comment: Reply in an existing review comment thread
+ * - resolve_review_thread: Resolve (or unresolve) a review thread via GraphQL
+ *
+ * Write handlers are gated by PR_REVIEW_ENABLED, the repository whitelist and
+ * a per-repository rate limit, and every attempt is written to the audit log.
+ *
+ * @module lib/tools/review-tools
+ */
+
+/**
+ * Helper: Enforce feature flag and whitelist for review writes
+ * @param {Object} args - Tool arguments containing repo
+ * @param {Object} context - Tool context
+ * @returns {Array<string>} [owner, repo]
+ */
+function assertReviewWriteAllowed(args, { config, validateRepoFormat, assert, isRepoWhitelisted }) {
+  assert(config.prReviewEnabled, 'PR review operations are disabled');
+
+  const [owner, repo] = validateRepoFormat(args.repo);
+
+  assert(
+    isRepoWhitelisted(owner, repo),
+    `Repository ${owner}/${repo} is not whitelisted for PR review operations`
+  );
+
+  return [owner, repo];
+}
+
+/**
+ * Helper: Take a review write from the per-repository rate limit.
+ * Called once the arguments are validated, so malformed calls don't use up the budget.
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {Object} context - Tool context
+ */
+function assertReviewRateLimit(owner, repo, { config, assert, checkRateLimitCustom, prReviewRateLimiter }) {
+  assert(
+    checkRateLimitCustom(
+      config.prReviewRateLimitWindow,
+      config.prReviewRateLimitMax,
+      prReviewRateLimiter,
+      'review',
+      `${owner}/${repo}`
+    ),
+    `PR review rate limit exceeded for ${owner}/${repo}. Max ${config.prReviewRateLimitMax} operations per ${config.prReviewRateLimitWindow / 60000} minutes`
+  );
+}
+
+/**
+ * Helper: Map GitHub errors to messages classifyToolError understands
+ * @param {Error} error - GitHub API error
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {string} what - Pull request or comment description for not-found errors
+ * @returns {Error} Error to throw
+ */
+function toReviewError(error, owner, repo, what) {
+  if (error.statusCode === 404) {
+    return new Error(`${what} not found in ${owner}/${repo}`);
+  }
+  // Rate limit 403s keep their rate limit message (JSON-RPC -32004)
+  if (error.statusCode === 403 && !error.rateLimit) {
+    return new Error(`Permission denied. Ensure the GitHub token has 'pull_requests:write' permission for ${owner}/${repo}`);
+  }
+  if (error.statusCode === 422) {
+    // e.g. "Line could not be resolved" for inline comments outside the diff,
+    // or "Can not approve your own pull request"
+    const data = error.response?.data || {};
+    const details = [data.message, ...(data.errors || []).map(e => (typeof e === 'string' ? e : e.message || e.code))]
+      .filter(Boolean)
+      .join('; ');
+    return new Error(`GitHub validation failed: ${details || error.message}`);
+  }
+  return error;
+}
+
+/**
+ * Helper: Build the review API comment for an inline comment argument
+ *
+ * Comments are anchored by file path and line (on the RIGHT/new side by
+ * default). start_line turns the comment into a multi-line range, and a
+ * suggestion is appended as a ```suggestion block replacing those lines.
+ * @param {Object} comment - Inline comment argument
+ * @param {Object} context - Tool context (validatePath, validateBody, assert)
+ * @returns {Object} Comment for POST /pulls/{n}/reviews
+ */
+function buildReviewComment(comment, { validatePath, validateBody, assert }) {
+  const side = comment.side || 'RIGHT';
+  const startSide = comment.start_side || side;
+  const path = validatePath(comment.path);
+
+  if (comment.start_line !== undefined) {
+    assert(
+      startSide !== side || comment.start_line < comment.line,
+      `Comment on ${path}: start_line (${comment.start_line}) must be before line (${comment.line})`
+    );
+  }
+
+  let body = validateBody(comment.body);
+  if (comment.suggestion !== undefined) {
+    // Suggestions replace lines of the new version of the file
+    assert(side === 'RIGHT' && startSide === 'RIGHT', `Comment on ${path}: suggestions apply to the RIGHT side only`);
+    // Suggested code is only length-checked: validateBody strips < and >, which would corrupt code such as "=>"
+    assert(
+      typeof comment.suggestion === 'string' && comment.suggestion.length <= 10000,
+      `Comment on ${path}: suggestion must not exceed 10,000 characters`
+    );
+    // The fence must be longer than any backtick run in the code, or a ``` line would close it early
+    const longestRun = Math.max(0, ...(comment.suggestion.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    // An empty block deletes the lines; "\n\n" would replace them with a blank line
+    const block = comment.suggestion === '' ? `${fence}suggestion\n${fence}` : `${fence}suggestion\n${comment.suggestion}\n${fence}`;
+    body = `${body}${body ? '\n\n' : ''}${block}`;
+  }
+  assert(body.length > 0, `Comment on ${path}: body or suggestion is required`);
+
+  const reviewComment = { path, line: comment.line, side, body };
+  if (comment.start_line !== undefined) {
+    reviewComment.start_line = comment.start_line;
+    reviewComment.start_side = startSide;
+  }
+  return reviewComment;
+}
+
+/**
+ * Submit a pull request review with optional inline comments
+ * @param {Object} args - Review arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.prNumber - Pull request number
+ * @param {string} args.event - APPROVE, REQUEST_CHANGES or COMMENT
+ * @param {string} [args.body] - Review summary (required for REQUEST_CHANGES, and for COMMENT without inline comments)
+ * @param {string} [args.commit_id] - Commit the review applies to (default: the PR head)
+ * @param {Array<Object>} [args.comments] - Inline comments { path, line, side, start_line, start_side, body, suggestion }
+ * @returns {Promise<Object>} MCP response with the submitted review
+ */
+async function handleSubmitReview(args, context) {
+  const { assert, validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertReviewWriteAllowed(args, context);
+  const prNumber = args.prNumber;
+  const event = args.event;
+  const comments = (args.comments || []).map(comment => buildReviewComment(comment, context));
+
+  assert(
+    args.body || event === 'APPROVE' || (event === 'COMMENT' && comments.length > 0),
+    `A review body is required for ${event}${event === 'COMMENT' ? ' without inline comments' : ''}`
+  );
+
+  const reviewData = { event };
+  if (args.body) reviewData.body = validateBody(args.body);
+  if (args.commit_id) reviewData.commit_id = args.commit_id;
+  if (comments.length > 0) reviewData.comments = comments;
+  assertReviewRateLimit(owner, repo, context);
+
+  await auditLog('REVIEW_SUBMIT_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    prNumber,
+    event,
+    comments: comments.length,
+    commitId: args.commit_id || null
+  });
+
+  try {
+    const review = await githubRequest(`/repos/${owner}/${repo}/pulls/${prNumber}/reviews`, reviewData, {}, 'POST');
+
+    await auditLog('REVIEW_SUBMITTED', {
+      repo: `${owner}/${repo}`,
+      prNumber,
+      event,
+      reviewId: review.id,
+      comments: comments.length
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            review: {
+              id: review.id,
+              state: review.state,
+              commit_id: review.commit_id,
+              submitted_at: review.submitted_at,
+              url: review.html_url
+            },
+            comments: comments.length
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('REVIEW_SUBMIT_FAILED', {
+      repo: `${owner}/${repo}`,
+      prNumber,
+      event,
+      error: error.message
+    });
+    throw toReviewError(error, owner, repo, `Pull request #${prNumber}`);
+  }
+}
+
+/**
+ * Reply to an inline review comment (replies join the comment's thread)
+ * @param {Object} args - Reply arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {number} args.prNumber - Pull request number
+ * @param {number} args.comment_id - Review comment to reply to
+ * @param {string} args.body - Reply text
+ * @returns {Promise<Object>} MCP response with the reply
+ */
+async function handleReplyToReviewComment(args, context) {
+  const { validateBody, githubRequest, auditLog } = context;
+  const [owner, repo] = assertReviewWriteAllowed(args, context);
+  const prNumber = args.prNumber;
+  const body = validateBody(args.body);
+  assertReviewRateLimit(owner, repo, context);
+
+  await auditLog('REVIEW_REPLY_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    prNumber,
+    commentId: args.comment_id
+  });
+
+  try {
+    const reply = await githubRequest(
+      `/repos/${owner}/${repo}/pulls/${prNumber}/comments/${args.comment_id}/replies`,
+      { body },
+      {},
+      'POST'
+    );
+
+    await auditLog('REVIEW_REPLIED', {
+      repo: `${owner}/${repo}`,
+      prNumber,
+      commentId: args.comment_id,
+      replyId: reply.id
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            comment: {
+              id: reply.id,
+              in_reply_to_id: reply.in_reply_to_id,
+              path: reply.path,
+              line: reply.line ?? null,
+              url: reply.html_url
+            }
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('REVIEW_REPLY_FAILED', {
+      repo: `${owner}/${repo}`,
+      prNumber,
+      commentId: args.comment_id,
+      error: error.message
+    });
+    throw toReviewError(error, owner, repo, `Review comment ${args.comment_id} on pull request #${prNumber}`);
+  }
+}
+
+/**
+ * Review threads searched when resolving by comment ID
+ */
+const REVIEW_THREADS_QUERY = `
+  query($owner: String!, $repo: String!, $number: Int!, $cursor: String) {
+    repository(owner: $owner, name: $repo) {
+      pullRequest(number: $number) {
+        reviewThreads(first: 100, after: $cursor) {
+          pageInfo { hasNextPage endCursor }
+          nodes {
+            id
+            comments(first: 100) { nodes { databaseId } }
+          }
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Maximum review thread pages (100 threads each) searched for a comment
+ */
+const MAX_REVIEW_THREAD_PAGES = 5;
+
+/**
+ * Helper: Find the review thread containing a REST review comment ID
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} prNumber - Pull request number
+ * @param {number} commentId - Review comment ID (REST databaseId)
+ * @param {Function} githubGraphql - GitHub GraphQL wrapper
+ * @returns {Promise<string|null>} Thread node ID, or null if no thread contains the comment
+ */
+async function findReviewThreadId(owner, repo, prNumber, commentId, githubGraphql) {
+  let cursor = null;
+  for (let page = 0; page < MAX_REVIEW_THREAD_PAGES; page++) {
+    const data = await githubGraphql(REVIEW_THREADS_QUERY, { owner, repo, number: prNumber, cursor });
+    const pullRequest = data.repository?.pullRequest;
+    if (!pullRequest) {
+      throw new Error(`Pull request #${prNumber} not found in ${owner}/${repo}`);
+    }
+
+    const threads = pullRequest.reviewThreads;
+    const thread = threads.nodes.find(node => node.comments.nodes.some(comment => comment.databaseId === commentId));
+    if (thread) return thread.id;
+    if (!threads.pageInfo.hasNextPage) return null;
+    cursor = threads.pageInfo.endCursor;
+  }
+  return null;
+}
+
+/**
+ * Repository and pull request that own a review thread node
+ */
+const REVIEW_THREAD_OWNER_QUERY = `
+  query($threadId: ID!) {
+    node(id: $threadId) {
+      ... on PullRequestReviewThread {
+        repository { nameWithOwner }
+        pullRequest { number }
+      }
+    }
+  }
+`;
+
+/**
+ * Helper: Check that a review thread node ID belongs to the given repository
+ * (and pull request, when one is given). Thread IDs are global, so without
+ * this check a thread in any repository the token can reach could be changed
+ * under a whitelisted repository name.
+ * @param {string} threadId - Review thread node ID
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} [prNumber] - Pull request number
+ * @param {Object} context - Tool context (assert, githubGraphql)
+ */
+async function assertThreadInRepository(threadId, owner, repo, prNumber, { assert, githubGraphql }) {
+  const data = await githubGraphql(REVIEW_THREAD_OWNER_QUERY, { threadId });
+  const thread = data.node;
+  if (!thread || !thread.repository) {
+    throw new Error(`Review thread ${threadId} not found in ${owner}/${repo}`);
+  }
+
+  assert(
+    thread.repository.nameWithOwner.toLowerCase() === `${owner}/${repo}`.toLowerCase(),
+    `Review thread ${threadId} does not belong to ${owner}/${repo}`
+  );
+  assert(
+    !prNumber || thread.pullRequest.number === prNumber,
+    `Review thread ${threadId} does not belong to pull request #${prNumber} in ${owner}/${repo}`
+  );
+}
+
+/**
+ * Resolve or unresolve a review thread
+ * @param {Object} args - Resolve arguments
+ * @param {string} args.repo - Repository in format owner/repo
+ * @param {string} [args.thread_id] - Review thread node ID (PRRT_...)
+ * @param {number} [args.prNumber] - Pull request number (required with comment_id; checked against thread_id)
+ * @param {number} [args.comment_id] - Any review comment in the thread (with prNumber)
+ * @param {boolean} [args.unresolve=false] - Mark the thread unresolved instead
+ * @returns {Promise<Object>} MCP response with the thread state
+ */
+async function handleResolveReviewThread(args, context) {
+  const { assert, githubGraphql, auditLog } = context;
+  const [owner, repo] = assertReviewWriteAllowed(args, context);
+  assert(
+    Boolean(args.thread_id) !== Boolean(args.comment_id),
+    'Exactly one of thread_id or comment_id is required'
+  );
+  assert(!args.comment_id || args.prNumber, 'prNumber is required with comment_id');
+  const action = args.unresolve ? 'unresolve' : 'resolve';
+  assertReviewRateLimit(owner, repo, context);
+
+  await auditLog('REVIEW_THREAD_ATTEMPT', {
+    repo: `${owner}/${repo}`,
+    operation: action,
+    threadId: args.thread_id || null,
+    prNumber: args.prNumber || null,
+    commentId: args.comment_id || null
+  });
+
+  try {
+    let threadId = args.thread_id;
+    if (threadId) {
+      await assertThreadInRepository(threadId, owner, repo, args.prNumber, context);
+    } else {
+      threadId = await findReviewThreadId(owner, repo, args.prNumber, args.comment_id, githubGraphql);
+      if (!threadId) {
+        throw new Error(`Review thread for comment ${args.comment_id} not found on pull request #${args.prNumber} in ${owner}/${repo}`);
+      }
+    }
+
+    const mutation = args.unresolve ? 'unresolveReviewThread' : 'resolveReviewThread';
+    const data = await githubGraphql(`
+      mutation($threadId: ID!) {
+        ${mutation}(input: { threadId: $threadId }) {
+          thread { id isResolved path line resolvedBy { login } }
+        }
+      }
+    `, { threadId });
+    const thread = data[mutation].thread;
+
+    await auditLog('REVIEW_THREAD_UPDATED', {
+      repo: `${owner}/${repo}`,
+      operation: action,
+      threadId: thread.id,
+      isResolved: thread.isResolved
+    });
+
+    return {
+      content: [
+        {
+          type: "text",
+          text: JSON.stringify({
+            success: true,
+            thread: {
+              id: thread.id,
+              resolved: thread.isResolved,
+              resolved_by: thread.resolvedBy ? thread.resolvedBy.login : null,
+              path: thread.path,
+              line: thread.line
+            }
+          })
+        }
+      ]
+    };
+  } catch (error) {
+    await auditLog('REVIEW_THREAD_FAILED', {
+      repo: `${owner}/${repo}`,
+      operation: action,
+      threadId: args.thread_id || null,
+      commentId: args.comment_id || null,
+      error: error.message
+    });
+    throw error;
+  }
+}
+
+module.exports = {
+  handleSubmitReview,
+  handleReplyToReviewComment,
+  handleResolveReviewThread
+};
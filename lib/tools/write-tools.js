@@ -24,7 +24,7 @@
  * @param {string} [args.commit_message] - Commit message for files
  * @returns {Promise<Object>} MCP response with PR details
  */
-async function handleCreatePullRequest(args, { config, validateRepoFormat, validateTitle, validateBody, validateBranch, validateFiles, assert, isRepoWhitelisted, checkPRRateLimit, githubRequest, auditLog }) {
+async function handleCreatePullRequest(args, { config, validateRepoFormat, validateTitle, validateBody, validateBranch, validateFiles, assert, isRepoWhitelisted, checkPRRateLimit, githubRequest, auditLog, logger }) {
   // Validate PR creation is enabled
   assert(config.prEnabled, 'PR creation is disabled');
 
@@ -59,14 +59,14 @@ async function handleCreatePullRequest(args, { config, validateRepoFormat, valid
   // Always check for existing open PRs first to avoid duplicates
   // Use parameter object for proper URL encoding of branch names with slashes
   try {
-    console.log(`🔍 Checking for existing PRs: head=${owner}:${head}, base=${base}, state=open`);
+    logger.debug("Checking for existing PRs", { repo: `${owner}/${repo}`, head, base });
     const existingPRs = await githubRequest(`/repos/${owner}/${repo}/pulls`, {
       head: `${owner}:${head}`,
       base: base,
       state: 'open'
     });
 
-    console.log(`✅ PR check completed: found ${existingPRs.length} existing PR(s)`);
+    logger.debug("PR check completed", { repo: `${owner}/${repo}`, head, existing: existingPRs.length });
 
     if (existingPRs && existingPRs.length > 0) {
       const existingPR = existingPRs[0];
@@ -114,12 +114,12 @@ async function handleCreatePullRequest(args, { config, validateRepoFormat, valid
     if (prCheckError.statusCode === 404) {
       throw new Error(`Repository ${owner}/${repo} not found or inaccessible`);
     }
-    if (prCheckError.statusCode === 403) {
+    if (prCheckError.statusCode === 403 && !prCheckError.rateLimit) {
       throw new Error(`Permission denied to check PRs in ${owner}/${repo}. Ensure token has 'pull_request:read' scope.`);
     }
 
     // Non-fatal errors (network, timeout, etc) - warn but allow proceeding
-    console.warn(`⚠️ Could not verify existing PRs (${prCheckError.message}). Proceeding with creation attempt - may result in 422 if PR exists.`);
+    logger.warn("Could not verify existing PRs; proceeding with creation attempt (may result in 422 if PR exists)", { repo: `${owner}/${repo}`, head, error: prCheckError.message });
     // Continue with PR creation
   }
 
@@ -156,7 +156,7 @@ async function handleCreatePullRequest(args, { config, validateRepoFormat, valid
     } catch (headError) {
       if (headError.message.includes('404') && args.create_branch_if_missing === true) {
         // Create the branch from base
-        console.log(`🔄 Head branch '${head}' not found, creating from '${base}'...`);
+        logger.info("Head branch not found, creating it", { repo: `${owner}/${repo}`, head, from: base });
 
         // Import handleCreateBranch dynamically to avoid circular dependencies
         const { handleCreateBranch } = require('./write-tools');
@@ -165,13 +165,13 @@ async function handleCreatePullRequest(args, { config, validateRepoFormat, valid
             repo: args.repo,
             branch: head,
             from: base
-          }, { config, validateRepoFormat, validateBranch, assert, isRepoWhitelisted, githubRequest, auditLog });
+          }, { config, validateRepoFormat, validateBranch, assert, isRepoWhitelisted, githubRequest, auditLog, logger });
 
           const branchResponse = JSON.parse(branchResult.content[0].text);
           if (branchResponse.success) {
             headExists = true;
             branchCreated = true;
-            console.log(`✅ Branch '${head}' created successfully`);
+            logger.info("Branch created", { repo: `${owner}/${repo}`, branch: head });
           }
         } catch (createError) {
           throw new Error(`Failed to create branch '${head}': ${createError.message}`);
@@ -189,7 +189,7 @@ async function handleCreatePullRequest(args, { config, validateRepoFormat, valid
         throw new Error(`Cannot commit files: branch '${head}' does not exist`);
       }
 
-      console.log(`📝 Committing ${args.files.length} file(s) to branch '${head}'...`);
+      logger.info("Committing files", { repo: `${owner}/${repo}`, branch: head, files: args.files.length });
 
       // Import handleCommitFiles dynamically
       const { handleCommitFiles } = require('./write-tools');
@@ -199,11 +199,11 @@ async function handleCreatePullRequest(args, { config, validateRepoFormat, valid
           branch: head,
           files: args.files,
           message: args.commit_message || `Add files for PR: ${title}`
-        }, { config, validateRepoFormat, validateBranch, validateFiles, assert, isRepoWhitelisted, githubRequest, auditLog });
+        }, { config, validateRepoFormat, validateBranch, validateFiles, assert, isRepoWhitelisted, githubRequest, auditLog, logger });
 
         const commitResponse = JSON.parse(commitResult.content[0].text);
         if (commitResponse.success) {
-          console.log(`✅ Files committed successfully: ${commitResponse.sha}`);
+          logger.info("Files committed", { repo: `${owner}/${repo}`, branch: head, sha: commitResponse.sha });
         }
       } catch (commitError) {
         // If branch was just created, we might want to clean it up
@@ -291,7 +291,7 @@ async function handleCreatePullRequest(args, { config, validateRepoFormat, valid
  * @param {string} [args.from] - Source branch or commit SHA to branch from
  * @returns {Promise<Object>} MCP response with branch details
  */
-async function handleCreateBranch(args, { config, validateRepoFormat, validateBranch, assert, isRepoWhitelisted, githubRequest, auditLog }) {
+async function handleCreateBranch(args, { config, validateRepoFormat, validateBranch, assert, isRepoWhitelisted, githubRequest, auditLog, logger }) {
   const [owner, repo] = validateRepoFormat(args.repo);
   const branchName = validateBranch(args.branch);
   assert(branchName, 'Branch name is required');
@@ -348,7 +348,7 @@ async function handleCreateBranch(args, { config, validateRepoFormat, validateBr
         const encodedDefaultBranch = encodeURIComponent(defaultBranch);
         const defaultBranchData = await githubRequest(`/repos/${owner}/${repo}/git/refs/heads/${encodedDefaultBranch}`);
         baseSha = defaultBranchData.object.sha;
-        console.log(`⚠️ Base branch '${baseBranch}' not found, using default branch '${defaultBranch}' instead`);
+        logger.warn("Base branch not found, using default branch", { repo: `${owner}/${repo}`, base: baseBranch, default_branch: defaultBranch });
       } else {
         throw error;
       }
@@ -19,6 +19,39 @@ addFormats(ajv);
 const ownerRepoPattern = '^[a-zA-Z0-9._-]+/[a-zA-Z0-9._-]+$';
 const branchNamePattern = '^[a-zA-Z0-9._/-]+$';
 const shaPattern = '^[a-f0-9]{7,40}$';
+const loginPattern = '^[a-zA-Z0-9-]+$';
+const refPattern = '^[a-zA-Z0-9._/-]+$';
+
+// Shared property definitions for issue tools
+const issueNumberProperty = {
+  type: 'integer',
+  minimum: 1,
+  description: 'Issue number'
+};
+
+const labelsProperty = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 20,
+  items: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 50
+  },
+  description: 'Label names'
+};
+
+const assigneesProperty = {
+  type: 'array',
+  minItems: 1,
+  maxItems: 10,
+  items: {
+    type: 'string',
+    pattern: loginPattern,
+    maxLength: 39
+  },
+  description: 'GitHub logins'
+};
 
 // ============================================================================
 // READ TOOLS SCHEMAS
@@ -53,6 +86,57 @@ const searchSchema = {
   additionalProperties: false
 };
 
+const searchCodeSchema = {
+  $id: 'search_code',
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      description: 'Search terms (GitHub code search syntax, e.g. "function handleSearch")'
+    },
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Optional: limit to repository in format owner/repo'
+    },
+    path: {
+      type: 'string',
+      maxLength: 500,
+      description: 'Optional: limit to files under this path (no .. or leading /)'
+    },
+    language: {
+      type: 'string',
+      pattern: '^[a-zA-Z0-9+#. -]+$',
+      maxLength: 50,
+      description: 'Optional: limit to a language (e.g. javascript, "C#")'
+    },
+    extension: {
+      type: 'string',
+      pattern: '^\\.?[a-zA-Z0-9_-]+$',
+      maxLength: 20,
+      description: 'Optional: limit to a file extension (e.g. ts)'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 1,
+      description: 'Page number'
+    },
+    per_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Results per page'
+    }
+  },
+  additionalProperties: false
+};
+
 const fetchSchema = {
   $id: 'fetch',
   type: 'object',
@@ -123,6 +207,16 @@ const readFileSchema = {
       type: 'string',
       maxLength: 100,
       description: 'Git ref (branch, tag, or commit SHA)'
+    },
+    start_line: {
+      type: 'integer',
+      minimum: 1,
+      description: 'First line to return (1-based); returns numbered lines'
+    },
+    end_line: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Last line to return (inclusive); at most 2000 lines per call'
     }
   },
   additionalProperties: false
@@ -148,6 +242,112 @@ const getTreeSchema = {
       type: 'string',
       maxLength: 100,
       description: 'Git ref'
+    },
+    path_prefix: {
+      type: 'string',
+      maxLength: 500,
+      description: 'Only list entries under this directory (no .. or leading /)'
+    },
+    glob: {
+      type: 'string',
+      pattern: '^[^\\s]+$',
+      maxLength: 200,
+      description: 'Only list entries matching this glob (e.g. *.ts, src/**/*.test.js)'
+    },
+    exclude: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'string',
+        pattern: '^[^\\s]+$',
+        maxLength: 200
+      },
+      description: 'Skip entries matching any of these globs, and everything inside matching directories (e.g. node_modules)'
+    },
+    max_depth: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 50,
+      description: 'Levels below the root (or path_prefix) to list; 1 lists direct children only'
+    },
+    type: {
+      type: 'string',
+      enum: ['blob', 'tree', 'commit'],
+      description: 'Only list files (blob), directories (tree) or submodules (commit)'
+    },
+    include_sizes: {
+      type: 'boolean',
+      default: false,
+      description: 'Add file counts and byte totals per listed directory'
+    },
+    max_entries: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 20000,
+      default: 5000,
+      description: 'Maximum entries to return (truncated is set when more match)'
+    }
+  },
+  additionalProperties: false
+};
+
+const grepRepoSchema = {
+  $id: 'grep_repo',
+  type: 'object',
+  required: ['repo', 'pattern'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    pattern: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 500,
+      description: 'JavaScript regular expression matched against each line'
+    },
+    branch: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Branch name'
+    },
+    ref: {
+      type: 'string',
+      pattern: refPattern,
+      maxLength: 100,
+      description: 'Git ref (branch, tag, or commit SHA)'
+    },
+    path: {
+      type: 'string',
+      maxLength: 500,
+      description: 'Only search files under this directory (no .. or leading /)'
+    },
+    include: {
+      type: 'string',
+      pattern: '^[^\\s]+$',
+      maxLength: 200,
+      description: 'Only search files matching this glob (e.g. *.js, src/**/*.ts)'
+    },
+    case_insensitive: {
+      type: 'boolean',
+      default: false,
+      description: 'Ignore case'
+    },
+    context_lines: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 10,
+      default: 2,
+      description: 'Lines of context before and after each match'
+    },
+    max_matches: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 1000,
+      default: 100,
+      description: 'Stop after this many matches'
     }
   },
   additionalProperties: false
@@ -207,6 +407,215 @@ const getCommitsSchema = {
   additionalProperties: false
 };
 
+const getCommitSchema = {
+  $id: 'get_commit',
+  type: 'object',
+  required: ['repo', 'ref'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    ref: {
+      type: 'string',
+      pattern: refPattern,
+      maxLength: 255,
+      description: 'Commit SHA (full or abbreviated), branch, or tag'
+    },
+    include_patches: {
+      type: 'boolean',
+      default: false,
+      description: 'Include unified diff patches per file'
+    },
+    max_patch_bytes: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 100000,
+      default: 4000,
+      description: 'Patch size budget per file (longer patches are truncated)'
+    },
+    max_total_patch_bytes: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 500000,
+      default: 40000,
+      description: 'Patch size budget for all files on the page (later patches are omitted)'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      default: 1,
+      description: 'Page of changed files (for commits touching many files)'
+    },
+    per_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 100,
+      description: 'Changed files per page'
+    }
+  },
+  additionalProperties: false
+};
+
+const compareRefsSchema = {
+  $id: 'compare_refs',
+  type: 'object',
+  required: ['repo', 'base', 'head'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    base: {
+      type: 'string',
+      pattern: refPattern,
+      maxLength: 255,
+      description: 'Base ref (branch, tag, or commit SHA)'
+    },
+    head: {
+      type: 'string',
+      pattern: '^([a-zA-Z0-9-]+:)?[a-zA-Z0-9._/-]+$',
+      maxLength: 255,
+      description: 'Head ref (branch, tag, or commit SHA); use owner:branch for a fork'
+    },
+    include_patches: {
+      type: 'boolean',
+      default: false,
+      description: 'Include unified diff patches per file'
+    },
+    max_patch_bytes: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 100000,
+      default: 4000,
+      description: 'Patch size budget per file (longer patches are truncated)'
+    },
+    max_total_patch_bytes: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 500000,
+      default: 40000,
+      description: 'Patch size budget for all files (later patches are omitted)'
+    },
+    max_commits: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 250,
+      default: 50,
+      description: 'Number of commits to list, oldest first'
+    }
+  },
+  additionalProperties: false
+};
+
+const getFileHistorySchema = {
+  $id: 'get_file_history',
+  type: 'object',
+  required: ['repo', 'path'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    path: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 500,
+      description: 'Path to file (no .. or leading /)'
+    },
+    branch: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Branch name'
+    },
+    ref: {
+      type: 'string',
+      pattern: refPattern,
+      maxLength: 100,
+      description: 'Git ref (branch, tag, or commit SHA) to start from'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 20,
+      description: 'Maximum commits to return'
+    },
+    follow_renames: {
+      type: 'boolean',
+      default: true,
+      description: 'Continue under the previous path when a commit renamed the file'
+    },
+    include_patches: {
+      type: 'boolean',
+      default: false,
+      description: "Include the file's unified patch for each commit"
+    },
+    max_patch_bytes: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 100000,
+      default: 4000,
+      description: 'Patch budget per commit (longer patches are truncated)'
+    },
+    max_total_patch_bytes: {
+      type: 'integer',
+      minimum: 100,
+      maximum: 500000,
+      default: 40000,
+      description: 'Patch budget for the whole response (later patches are omitted)'
+    }
+  },
+  additionalProperties: false
+};
+
+const getBlameSchema = {
+  $id: 'get_blame',
+  type: 'object',
+  required: ['repo', 'path'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    path: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 500,
+      description: 'Path to file (no .. or leading /)'
+    },
+    branch: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Branch name'
+    },
+    ref: {
+      type: 'string',
+      pattern: refPattern,
+      maxLength: 100,
+      description: 'Git ref (branch, tag, or commit SHA)'
+    },
+    start_line: {
+      type: 'integer',
+      minimum: 1,
+      description: 'First line to attribute (1-based, as in read_file)'
+    },
+    end_line: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Last line to attribute (inclusive)'
+    }
+  },
+  additionalProperties: false
+};
+
 const getBranchesSchema = {
   $id: 'get_branches',
   type: 'object',
@@ -233,6 +642,13 @@ const getBranchesSchema = {
   additionalProperties: false
 };
 
+const getRateLimitSchema = {
+  $id: 'get_rate_limit',
+  type: 'object',
+  properties: {},
+  additionalProperties: false
+};
+
 const listPullRequestsSchema = {
   $id: 'list_pull_requests',
   type: 'object',
@@ -331,10 +747,100 @@ const getChecksForShaSchema = {
   additionalProperties: false
 };
 
-const getPullRequestSchema = {
-  $id: 'get_pull_request',
+const waitForChecksSchema = {
+  $id: 'wait_for_checks',
   type: 'object',
-  required: ['repo', 'prNumber'],
+  required: ['repo', 'sha'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    sha: {
+      type: 'string',
+      pattern: shaPattern,
+      description: 'Commit SHA whose checks to wait for'
+    },
+    check_names: {
+      type: 'array',
+      items: { type: 'string', minLength: 1, maxLength: 255 },
+      minItems: 1,
+      maxItems: 50,
+      uniqueItems: true,
+      description: 'Check or status names to wait for (default: required by branch protection, else all reported checks)'
+    },
+    branch: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 255,
+      description: 'Branch whose protection rules name the required checks, e.g. the PR base (default branch if omitted)'
+    },
+    timeout_seconds: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 900,
+      default: 300,
+      description: 'Stop waiting after this many seconds and report what is still pending'
+    },
+    fail_fast: {
+      type: 'boolean',
+      default: true,
+      description: 'Return as soon as a required check fails'
+    }
+  },
+  additionalProperties: false
+};
+
+const getPullRequestDiffSchema = {
+  $id: 'get_pull_request_diff',
+  type: 'object',
+  required: ['repo', 'prNumber'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    prNumber: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Pull request number'
+    },
+    glob: {
+      type: 'string',
+      pattern: '^[^\\s]+$',
+      maxLength: 200,
+      description: 'Only include files matching this glob (e.g. *.ts, src/**/*.test.js); renamed files also match on their previous path'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      default: 1,
+      description: 'Page of matching files'
+    },
+    per_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Files per page'
+    },
+    max_total_patch_bytes: {
+      type: 'integer',
+      minimum: 1000,
+      maximum: 500000,
+      default: 60000,
+      description: 'Patch size budget for the page (later files get hunk headers without patches)'
+    }
+  },
+  additionalProperties: false
+};
+
+const getPullRequestSchema = {
+  $id: 'get_pull_request',
+  type: 'object',
+  required: ['repo', 'prNumber'],
   properties: {
     repo: {
       type: 'string',
@@ -380,328 +886,1320 @@ const getPullRequestSchema = {
   additionalProperties: false
 };
 
-const searchPullRequestsSchema = {
-  $id: 'search_pull_requests',
+const searchPullRequestsSchema = {
+  $id: 'search_pull_requests',
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 500,
+      description: 'Search query (automatically prepends is:pr)'
+    },
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Optional: limit to specific repo'
+    },
+    sort: {
+      type: 'string',
+      enum: ['comments', 'reactions', 'created', 'updated'],
+      description: 'Sort field'
+    },
+    order: {
+      type: 'string',
+      enum: ['asc', 'desc'],
+      description: 'Sort order'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Max results'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 1,
+      description: 'Page number'
+    }
+  },
+  additionalProperties: false
+};
+
+const listIssuesSchema = {
+  $id: 'list_issues',
+  type: 'object',
+  required: ['repo'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    state: {
+      type: 'string',
+      enum: ['open', 'closed', 'all'],
+      default: 'open',
+      description: 'Issue state filter'
+    },
+    labels: {
+      ...labelsProperty,
+      description: 'Only issues carrying all of these labels'
+    },
+    assignee: {
+      type: 'string',
+      pattern: '^([a-zA-Z0-9-]+|\\*)$',
+      maxLength: 39,
+      description: 'Assignee login, "none" for unassigned or "*" for any'
+    },
+    creator: {
+      type: 'string',
+      pattern: loginPattern,
+      maxLength: 39,
+      description: 'Filter by issue author'
+    },
+    mentioned: {
+      type: 'string',
+      pattern: loginPattern,
+      maxLength: 39,
+      description: 'Filter by mentioned user'
+    },
+    milestone: {
+      oneOf: [
+        { type: 'integer', minimum: 1 },
+        { type: 'string', enum: ['none', '*'] }
+      ],
+      description: 'Milestone number, "none" or "*"'
+    },
+    since: {
+      type: 'string',
+      format: 'date-time',
+      description: 'Only issues updated at or after this ISO 8601 timestamp'
+    },
+    sort: {
+      type: 'string',
+      enum: ['created', 'updated', 'comments'],
+      description: 'Sort issues by field'
+    },
+    direction: {
+      type: 'string',
+      enum: ['asc', 'desc'],
+      description: 'Sort direction'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Max results (alias for per_page)'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 1
+    },
+    per_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30
+    }
+  },
+  additionalProperties: false
+};
+
+const getIssueSchema = {
+  $id: 'get_issue',
+  type: 'object',
+  required: ['repo', 'issueNumber'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    issueNumber: issueNumberProperty,
+    include_comments: {
+      type: 'boolean',
+      default: true,
+      description: 'Include the comment thread'
+    },
+    include_timeline: {
+      type: 'boolean',
+      default: true,
+      description: 'Include timeline events (labels, assignments, cross-references, closes)'
+    },
+    comments_limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 50,
+      description: 'Comments per page'
+    },
+    comments_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 1,
+      description: 'Comment page, oldest first'
+    },
+    timeline_limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 100,
+      description: 'Max timeline events (most recent)'
+    }
+  },
+  additionalProperties: false
+};
+
+const searchIssuesSchema = {
+  $id: 'search_issues',
+  type: 'object',
+  required: ['query'],
+  properties: {
+    query: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 500,
+      description: 'Search query with GitHub qualifiers (automatically prepends is:issue)'
+    },
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Optional: limit to specific repo'
+    },
+    sort: {
+      type: 'string',
+      enum: ['comments', 'reactions', 'created', 'updated'],
+      description: 'Sort field'
+    },
+    order: {
+      type: 'string',
+      enum: ['asc', 'desc'],
+      description: 'Sort order'
+    },
+    limit: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Max results'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 1,
+      description: 'Page number'
+    }
+  },
+  additionalProperties: false
+};
+
+const createBranchSchema = {
+  $id: 'create_branch',
+  type: 'object',
+  required: ['repo', 'branch'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    branch: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Name for the new branch'
+    },
+    from: {
+      type: 'string',
+      maxLength: 100,
+      description: 'Source branch or commit SHA (defaults to default branch)'
+    }
+  },
+  additionalProperties: false
+};
+
+const listReleasesSchema = {
+  $id: 'list_releases',
+  type: 'object',
+  required: ['repo'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    per_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Results per page'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      default: 1,
+      description: 'Page number'
+    }
+  },
+  additionalProperties: false
+};
+
+const getReleaseSchema = {
+  $id: 'get_release',
+  type: 'object',
+  required: ['repo'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    tag: {
+      type: 'string',
+      pattern: refPattern,
+      maxLength: 100,
+      description: 'Tag name (e.g. v2.3.0); omit tag and release_id for the latest release'
+    },
+    release_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Release ID'
+    }
+  },
+  additionalProperties: false
+};
+
+const listTagsSchema = {
+  $id: 'list_tags',
+  type: 'object',
+  required: ['repo'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    per_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Results per page'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      default: 1,
+      description: 'Page number'
+    }
+  },
+  additionalProperties: false
+};
+
+const listWorkflowRunsSchema = {
+  $id: 'list_workflow_runs',
+  type: 'object',
+  required: ['repo'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    workflow: {
+      type: 'string',
+      pattern: '^([0-9]+|[a-zA-Z0-9._-]+\\.ya?ml)$',
+      description: 'Workflow ID or file name (e.g. ci.yml); all workflows if omitted'
+    },
+    branch: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 255,
+      description: 'Only runs for this branch'
+    },
+    event: {
+      type: 'string',
+      pattern: '^[a-z_]+$',
+      description: 'Only runs triggered by this event (e.g. push, pull_request, schedule)'
+    },
+    status: {
+      type: 'string',
+      enum: ['completed', 'action_required', 'cancelled', 'failure', 'neutral', 'skipped', 'stale', 'success', 'timed_out', 'in_progress', 'queued', 'requested', 'waiting', 'pending'],
+      description: 'Only runs with this status or conclusion'
+    },
+    head_sha: {
+      type: 'string',
+      pattern: '^[a-f0-9]{40}$',
+      description: 'Only runs for this commit (full SHA)'
+    },
+    per_page: {
+      type: 'integer',
+      minimum: 1,
+      maximum: 100,
+      default: 30,
+      description: 'Results per page'
+    },
+    page: {
+      type: 'integer',
+      minimum: 1,
+      default: 1,
+      description: 'Page number'
+    }
+  },
+  additionalProperties: false
+};
+
+const getWorkflowRunSchema = {
+  $id: 'get_workflow_run',
+  type: 'object',
+  required: ['repo', 'run_id'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    run_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Workflow run ID (from list_workflow_runs)'
+    }
+  },
+  additionalProperties: false
+};
+
+const getJobLogSchema = {
+  $id: 'get_job_log',
+  type: 'object',
+  required: ['repo', 'job_id'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    job_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Job ID (from get_workflow_run, or the check run ID of an Actions check)'
+    },
+    tail_lines: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 500,
+      default: 100,
+      description: 'Lines returned from the end of the log'
+    },
+    context_lines: {
+      type: 'integer',
+      minimum: 0,
+      maximum: 100,
+      default: 20,
+      description: 'Lines returned before and after the first error'
+    },
+    timestamps: {
+      type: 'boolean',
+      default: false,
+      description: 'Keep the timestamp at the start of each line'
+    }
+  },
+  additionalProperties: false
+};
+
+// ============================================================================
+// WRITE TOOLS SCHEMAS
+// ============================================================================
+
+const createPullRequestSchema = {
+  $id: 'create_pull_request',
+  type: 'object',
+  required: ['repo', 'title', 'head'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    title: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      description: 'PR title'
+    },
+    body: {
+      type: 'string',
+      maxLength: 10000,
+      description: 'PR description'
+    },
+    head: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Source branch name'
+    },
+    base: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Target branch name (defaults to default branch)'
+    },
+    draft: {
+      type: 'boolean',
+      default: false,
+      description: 'Create as draft PR'
+    },
+    create_branch_if_missing: {
+      type: 'boolean',
+      default: false,
+      description: 'Create the head branch if it doesn\'t exist'
+    },
+    files: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 500,
+            description: 'File path'
+          },
+          content: {
+            type: 'string',
+            description: 'File content'
+          },
+          encoding: {
+            type: 'string',
+            enum: ['utf8', 'base64'],
+            default: 'utf8',
+            description: 'Content encoding'
+          }
+        },
+        additionalProperties: false
+      },
+      description: 'Optional files to commit to the branch before creating PR'
+    },
+    commit_message: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      description: 'Commit message if files are provided'
+    }
+  },
+  additionalProperties: false
+};
+
+const updatePullRequestSchema = {
+  $id: 'update_pull_request',
+  type: 'object',
+  required: ['repo', 'prNumber'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    prNumber: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Pull request number'
+    },
+    title: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      description: 'New PR title'
+    },
+    body: {
+      type: 'string',
+      maxLength: 10000,
+      description: 'New PR description'
+    },
+    state: {
+      type: 'string',
+      enum: ['open', 'closed'],
+      description: 'New PR state'
+    },
+    draft: {
+      type: 'boolean',
+      description: 'Update draft status (false marks ready for review)'
+    },
+    base: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Change base branch'
+    },
+    maintainer_can_modify: {
+      type: 'boolean',
+      description: 'Allow maintainers to modify the head branch'
+    },
+    reviewers: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 15,
+      items: {
+        type: 'string',
+        pattern: loginPattern,
+        maxLength: 39
+      },
+      description: 'Logins to request review from'
+    }
+  },
+  additionalProperties: false
+};
+
+const mergePullRequestSchema = {
+  $id: 'merge_pull_request',
+  type: 'object',
+  required: ['repo', 'prNumber'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    prNumber: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Pull request number'
+    },
+    merge_method: {
+      type: 'string',
+      enum: ['merge', 'squash', 'rebase'],
+      default: 'squash',
+      description: 'Merge method'
+    },
+    commit_title: {
+      type: 'string',
+      maxLength: 256,
+      description: 'Merge commit title'
+    },
+    commit_message: {
+      type: 'string',
+      maxLength: 10000,
+      description: 'Merge commit message'
+    },
+    sha: {
+      type: 'string',
+      pattern: shaPattern,
+      description: 'Head SHA guard for safety (required by the merge handler to prevent race conditions)'
+    },
+    delete_branch: {
+      type: 'boolean',
+      default: false,
+      description: 'Delete source branch after merge'
+    }
+  },
+  additionalProperties: false
+};
+
+const submitReviewSchema = {
+  $id: 'submit_review',
+  type: 'object',
+  required: ['repo', 'prNumber', 'event'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    prNumber: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Pull request number'
+    },
+    event: {
+      type: 'string',
+      enum: ['APPROVE', 'REQUEST_CHANGES', 'COMMENT'],
+      description: 'Review action'
+    },
+    body: {
+      type: 'string',
+      maxLength: 10000,
+      description: 'Review summary (required for REQUEST_CHANGES, and for COMMENT without inline comments)'
+    },
+    commit_id: {
+      type: 'string',
+      pattern: '^[a-f0-9]{40}$',
+      description: 'Commit the review applies to (default: the PR head); line numbers refer to this version'
+    },
+    comments: {
+      type: 'array',
+      maxItems: 50,
+      items: {
+        type: 'object',
+        required: ['path', 'line'],
+        properties: {
+          path: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 500,
+            description: 'File path in the pull request'
+          },
+          line: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Line to comment on (last line of a range); must be part of the diff'
+          },
+          side: {
+            type: 'string',
+            enum: ['LEFT', 'RIGHT'],
+            default: 'RIGHT',
+            description: 'RIGHT for the new version (added or context lines), LEFT for deleted lines'
+          },
+          start_line: {
+            type: 'integer',
+            minimum: 1,
+            description: 'First line of a multi-line comment'
+          },
+          start_side: {
+            type: 'string',
+            enum: ['LEFT', 'RIGHT'],
+            description: 'Side of start_line (defaults to side)'
+          },
+          body: {
+            type: 'string',
+            maxLength: 10000,
+            description: 'Comment text'
+          },
+          suggestion: {
+            type: 'string',
+            maxLength: 10000,
+            description: 'Replacement for the commented line(s), added as a suggestion block (empty string suggests deleting them)'
+          }
+        },
+        additionalProperties: false
+      },
+      description: 'Inline comments anchored by path and line'
+    }
+  },
+  additionalProperties: false
+};
+
+const replyToReviewCommentSchema = {
+  $id: 'reply_to_review_comment',
+  type: 'object',
+  required: ['repo', 'prNumber', 'comment_id', 'body'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    prNumber: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Pull request number'
+    },
+    comment_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Review comment to reply to'
+    },
+    body: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 10000,
+      description: 'Reply text'
+    }
+  },
+  additionalProperties: false
+};
+
+const resolveReviewThreadSchema = {
+  $id: 'resolve_review_thread',
+  type: 'object',
+  required: ['repo'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    thread_id: {
+      type: 'string',
+      pattern: '^PRRT_[a-zA-Z0-9_-]+$',
+      maxLength: 100,
+      description: 'Review thread node ID (exactly one of thread_id or comment_id)'
+    },
+    prNumber: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Pull request number (required with comment_id; with thread_id, the thread must belong to it)'
+    },
+    comment_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'ID of any review comment in the thread'
+    },
+    unresolve: {
+      type: 'boolean',
+      default: false,
+      description: 'Mark the thread unresolved instead'
+    }
+  },
+  additionalProperties: false
+};
+
+const commitFilesSchema = {
+  $id: 'commit_files',
+  type: 'object',
+  required: ['repo', 'branch', 'message', 'files'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    branch: {
+      type: 'string',
+      pattern: branchNamePattern,
+      maxLength: 100,
+      description: 'Branch name'
+    },
+    message: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      description: 'Commit message'
+    },
+    files: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['path', 'content'],
+        properties: {
+          path: {
+            type: 'string',
+            minLength: 1,
+            maxLength: 500,
+            description: 'File path'
+          },
+          content: {
+            type: 'string',
+            description: 'File content'
+          },
+          encoding: {
+            type: 'string',
+            enum: ['utf8', 'base64'],
+            default: 'utf8',
+            description: 'Content encoding'
+          }
+        },
+        additionalProperties: false
+      },
+      description: 'Files to commit'
+    }
+  },
+  additionalProperties: false
+};
+
+const createIssueSchema = {
+  $id: 'create_issue',
+  type: 'object',
+  required: ['repo', 'title'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    title: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      description: 'Issue title'
+    },
+    body: {
+      type: 'string',
+      maxLength: 10000,
+      description: 'Issue description'
+    },
+    labels: labelsProperty,
+    assignees: assigneesProperty,
+    milestone: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Milestone number'
+    }
+  },
+  additionalProperties: false
+};
+
+const updateIssueSchema = {
+  $id: 'update_issue',
+  type: 'object',
+  required: ['repo', 'issueNumber'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    issueNumber: issueNumberProperty,
+    title: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 256,
+      description: 'New issue title'
+    },
+    body: {
+      type: 'string',
+      maxLength: 10000,
+      description: 'New issue description'
+    },
+    state: {
+      type: 'string',
+      enum: ['open', 'closed'],
+      description: 'New issue state'
+    },
+    state_reason: {
+      type: 'string',
+      enum: ['completed', 'not_planned', 'reopened'],
+      description: 'Reason for the state change'
+    },
+    labels: {
+      ...labelsProperty,
+      minItems: 0,
+      description: 'Replacement label set (empty array clears labels)'
+    },
+    assignees: {
+      ...assigneesProperty,
+      minItems: 0,
+      description: 'Replacement assignee set (empty array clears assignees)'
+    },
+    milestone: {
+      type: ['integer', 'null'],
+      minimum: 1,
+      description: 'Milestone number (null clears the milestone)'
+    }
+  },
+  additionalProperties: false
+};
+
+const addIssueCommentSchema = {
+  $id: 'add_issue_comment',
+  type: 'object',
+  required: ['repo', 'issueNumber', 'body'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    issueNumber: {
+      ...issueNumberProperty,
+      description: 'Issue or pull request number'
+    },
+    body: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 10000,
+      description: 'Comment body (markdown)'
+    }
+  },
+  additionalProperties: false
+};
+
+const closeIssueSchema = {
+  $id: 'close_issue',
+  type: 'object',
+  required: ['repo', 'issueNumber'],
+  properties: {
+    repo: {
+      type: 'string',
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
+    },
+    issueNumber: issueNumberProperty,
+    state_reason: {
+      type: 'string',
+      enum: ['completed', 'not_planned'],
+      default: 'completed',
+      description: 'Reason for closing'
+    },
+    comment: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 10000,
+      description: 'Optional comment to post before closing'
+    }
+  },
+  additionalProperties: false
+};
+
+const lockIssueSchema = {
+  $id: 'lock_issue',
   type: 'object',
-  required: ['query'],
+  required: ['repo', 'issueNumber'],
   properties: {
-    query: {
-      type: 'string',
-      minLength: 1,
-      maxLength: 500,
-      description: 'Search query (automatically prepends is:pr)'
-    },
     repo: {
       type: 'string',
       pattern: ownerRepoPattern,
-      description: 'Optional: limit to specific repo'
-    },
-    sort: {
-      type: 'string',
-      enum: ['comments', 'reactions', 'created', 'updated'],
-      description: 'Sort field'
+      description: 'Repository in format owner/repo'
     },
-    order: {
+    issueNumber: issueNumberProperty,
+    lock_reason: {
       type: 'string',
-      enum: ['asc', 'desc'],
-      description: 'Sort order'
-    },
-    limit: {
-      type: 'integer',
-      minimum: 1,
-      maximum: 100,
-      default: 30,
-      description: 'Max results'
-    },
-    page: {
-      type: 'integer',
-      minimum: 1,
-      maximum: 100,
-      default: 1,
-      description: 'Page number'
+      enum: ['off-topic', 'too heated', 'resolved', 'spam'],
+      description: 'Reason shown on the locked conversation'
     }
   },
   additionalProperties: false
 };
 
-const createBranchSchema = {
-  $id: 'create_branch',
+const unlockIssueSchema = {
+  $id: 'unlock_issue',
   type: 'object',
-  required: ['repo', 'branch'],
+  required: ['repo', 'issueNumber'],
   properties: {
     repo: {
       type: 'string',
       pattern: ownerRepoPattern,
       description: 'Repository in format owner/repo'
     },
-    branch: {
+    issueNumber: issueNumberProperty
+  },
+  additionalProperties: false
+};
+
+const issueLabelsSchema = (id, description) => ({
+  $id: id,
+  type: 'object',
+  required: ['repo', 'issueNumber', 'labels'],
+  properties: {
+    repo: {
       type: 'string',
-      pattern: branchNamePattern,
-      maxLength: 100,
-      description: 'Name for the new branch'
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
     },
-    from: {
-      type: 'string',
-      maxLength: 100,
-      description: 'Source branch or commit SHA (defaults to default branch)'
+    issueNumber: issueNumberProperty,
+    labels: {
+      ...labelsProperty,
+      description
     }
   },
   additionalProperties: false
-};
+});
 
-// ============================================================================
-// WRITE TOOLS SCHEMAS
-// ============================================================================
+const addIssueLabelsSchema = issueLabelsSchema('add_issue_labels', 'Labels to add');
+const removeIssueLabelsSchema = issueLabelsSchema('remove_issue_labels', 'Labels to remove');
 
-const createPullRequestSchema = {
-  $id: 'create_pull_request',
+const issueAssigneesSchema = (id, description) => ({
+  $id: id,
   type: 'object',
-  required: ['repo', 'title', 'head'],
+  required: ['repo', 'issueNumber', 'assignees'],
   properties: {
     repo: {
       type: 'string',
       pattern: ownerRepoPattern,
       description: 'Repository in format owner/repo'
     },
-    title: {
+    issueNumber: issueNumberProperty,
+    assignees: {
+      ...assigneesProperty,
+      description
+    }
+  },
+  additionalProperties: false
+});
+
+const addIssueAssigneesSchema = issueAssigneesSchema('add_issue_assignees', 'Logins to assign');
+const removeIssueAssigneesSchema = issueAssigneesSchema('remove_issue_assignees', 'Logins to unassign');
+
+const createReleaseSchema = {
+  $id: 'create_release',
+  type: 'object',
+  required: ['repo', 'tag_name'],
+  properties: {
+    repo: {
       type: 'string',
-      minLength: 1,
-      maxLength: 256,
-      description: 'PR title'
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
     },
-    body: {
+    tag_name: {
       type: 'string',
-      maxLength: 10000,
-      description: 'PR description'
+      pattern: refPattern,
+      maxLength: 100,
+      description: 'Tag to release (created from target_commitish if it does not exist)'
     },
-    head: {
+    target_commitish: {
       type: 'string',
-      pattern: branchNamePattern,
+      pattern: refPattern,
       maxLength: 100,
-      description: 'Source branch name'
+      description: 'Branch or commit SHA for a new tag (default branch if omitted)'
     },
-    base: {
+    name: {
       type: 'string',
-      pattern: branchNamePattern,
-      maxLength: 100,
-      description: 'Target branch name (defaults to default branch)'
+      minLength: 1,
+      maxLength: 256,
+      description: 'Release title'
+    },
+    body: {
+      type: 'string',
+      maxLength: 10000,
+      description: 'Release notes (markdown)'
     },
     draft: {
       type: 'boolean',
-      default: false,
-      description: 'Create as draft PR'
+      default: true,
+      description: 'Create as a draft (default true; pass false to publish)'
     },
-    create_branch_if_missing: {
+    prerelease: {
       type: 'boolean',
       default: false,
-      description: 'Create the head branch if it doesn\'t exist'
-    },
-    files: {
-      type: 'array',
-      minItems: 1,
-      maxItems: 20,
-      items: {
-        type: 'object',
-        required: ['path', 'content'],
-        properties: {
-          path: {
-            type: 'string',
-            minLength: 1,
-            maxLength: 500,
-            description: 'File path'
-          },
-          content: {
-            type: 'string',
-            description: 'File content'
-          },
-          encoding: {
-            type: 'string',
-            enum: ['utf8', 'base64'],
-            default: 'utf8',
-            description: 'Content encoding'
-          }
-        },
-        additionalProperties: false
-      },
-      description: 'Optional files to commit to the branch before creating PR'
+      description: 'Mark as a pre-release'
     },
-    commit_message: {
-      type: 'string',
-      minLength: 1,
-      maxLength: 256,
-      description: 'Commit message if files are provided'
+    generate_release_notes: {
+      type: 'boolean',
+      default: false,
+      description: 'Let GitHub generate notes from merged pull requests'
     }
   },
   additionalProperties: false
 };
 
-const updatePullRequestSchema = {
-  $id: 'update_pull_request',
+const createTagSchema = {
+  $id: 'create_tag',
   type: 'object',
-  required: ['repo', 'prNumber'],
+  required: ['repo', 'tag'],
   properties: {
     repo: {
       type: 'string',
       pattern: ownerRepoPattern,
       description: 'Repository in format owner/repo'
     },
-    prNumber: {
-      type: 'integer',
-      minimum: 1,
-      description: 'Pull request number'
-    },
-    title: {
+    tag: {
       type: 'string',
-      minLength: 1,
-      maxLength: 256,
-      description: 'New PR title'
+      pattern: refPattern,
+      maxLength: 100,
+      description: 'Tag name (e.g. v2.3.0)'
     },
-    body: {
+    sha: {
       type: 'string',
-      maxLength: 10000,
-      description: 'New PR description'
+      pattern: '^[a-f0-9]{40}$',
+      description: 'Full commit SHA to tag'
     },
-    state: {
+    ref: {
       type: 'string',
-      enum: ['open', 'closed'],
-      description: 'New PR state'
+      pattern: refPattern,
+      maxLength: 100,
+      description: 'Branch or tag to resolve when sha is omitted (default branch if neither is given)'
     },
-    draft: {
-      type: 'boolean',
-      description: 'Update draft status'
+    message: {
+      type: 'string',
+      minLength: 1,
+      maxLength: 10000,
+      description: 'Annotation message (creates an annotated tag)'
     }
   },
   additionalProperties: false
 };
 
-const mergePullRequestSchema = {
-  $id: 'merge_pull_request',
+const rerunWorkflowSchema = {
+  $id: 'rerun_workflow',
   type: 'object',
-  required: ['repo', 'prNumber'],
+  required: ['repo'],
   properties: {
     repo: {
       type: 'string',
       pattern: ownerRepoPattern,
       description: 'Repository in format owner/repo'
     },
-    prNumber: {
+    run_id: {
       type: 'integer',
       minimum: 1,
-      description: 'Pull request number'
+      description: 'Workflow run to re-run (exactly one of run_id or job_id)'
     },
-    merge_method: {
-      type: 'string',
-      enum: ['merge', 'squash', 'rebase'],
-      default: 'merge',
-      description: 'Merge method'
+    job_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Single job to re-run, with the jobs that depend on it (exactly one of run_id or job_id)'
     },
-    commit_title: {
-      type: 'string',
-      maxLength: 256,
-      description: 'Merge commit title'
+    failed_only: {
+      type: 'boolean',
+      default: false,
+      description: 'Re-run only the failed jobs of run_id (and their dependents)'
     },
-    commit_message: {
+    enable_debug_logging: {
+      type: 'boolean',
+      default: false,
+      description: 'Re-run with runner and step debug logging'
+    }
+  },
+  additionalProperties: false
+};
+
+const cancelWorkflowRunSchema = {
+  $id: 'cancel_workflow_run',
+  type: 'object',
+  required: ['repo', 'run_id'],
+  properties: {
+    repo: {
       type: 'string',
-      maxLength: 10000,
-      description: 'Merge commit message'
+      pattern: ownerRepoPattern,
+      description: 'Repository in format owner/repo'
     },
-    sha: {
-      type: 'string',
-      pattern: shaPattern,
-      description: 'HEAD SHA for safety check'
+    run_id: {
+      type: 'integer',
+      minimum: 1,
+      description: 'Workflow run ID'
     },
-    delete_branch: {
+    force: {
       type: 'boolean',
       default: false,
-      description: 'Delete source branch after merge'
+      description: 'Force-cancel, also stopping steps that run on always() conditions'
     }
   },
   additionalProperties: false
 };
 
-const commitFilesSchema = {
-  $id: 'commit_files',
+const dispatchWorkflowSchema = {
+  $id: 'dispatch_workflow',
   type: 'object',
-  required: ['repo', 'branch', 'message', 'files'],
+  required: ['repo', 'workflow'],
   properties: {
     repo: {
       type: 'string',
       pattern: ownerRepoPattern,
       description: 'Repository in format owner/repo'
     },
-    branch: {
+    workflow: {
       type: 'string',
-      pattern: branchNamePattern,
-      maxLength: 100,
-      description: 'Branch name'
+      pattern: '^([0-9]+|[a-zA-Z0-9._-]+\\.ya?ml)$',
+      description: 'Workflow ID or file name (e.g. deploy.yml)'
     },
-    message: {
+    ref: {
       type: 'string',
-      minLength: 1,
-      maxLength: 256,
-      description: 'Commit message'
-    },
-    files: {
-      type: 'array',
-      minItems: 1,
-      maxItems: 20,
-      items: {
-        type: 'object',
-        required: ['path', 'content'],
-        properties: {
-          path: {
-            type: 'string',
-            minLength: 1,
-            maxLength: 500,
-            description: 'File path'
-          },
-          content: {
-            type: 'string',
-            description: 'File content'
-          },
-          encoding: {
-            type: 'string',
-            enum: ['utf8', 'base64'],
-            default: 'utf8',
-            description: 'Content encoding'
-          }
-        },
-        additionalProperties: false
+      pattern: refPattern,
+      maxLength: 255,
+      description: 'Branch or tag to run the workflow on (default branch if omitted)'
+    },
+    inputs: {
+      type: 'object',
+      maxProperties: 25,
+      propertyNames: {
+        type: 'string',
+        pattern: '^[a-zA-Z_][a-zA-Z0-9_-]*$',
+        maxLength: 100
       },
-      description: 'Files to commit'
+      additionalProperties: {
+        oneOf: [
+          { type: 'string', maxLength: 10000 },
+          { type: 'number' },
+          { type: 'boolean' }
+        ]
+      },
+      description: 'Inputs declared by the workflow_dispatch trigger'
     }
   },
   additionalProperties: false
 };
 
 // ============================================================================
-// COMPILE SCHEMAS AND EXPORT VALIDATORS
+// SCHEMA MAP AND VALIDATORS
 // ============================================================================
 
-// Compile all schemas
-const validators = {
-  // Read tools
-  search: ajv.compile(searchSchema),
-  fetch: ajv.compile(fetchSchema),
-  list_directory: ajv.compile(listDirectorySchema),
-  read_file: ajv.compile(readFileSchema),
-  get_tree: ajv.compile(getTreeSchema),
-  get_commits: ajv.compile(getCommitsSchema),
-  get_branches: ajv.compile(getBranchesSchema),
-  list_pull_requests: ajv.compile(listPullRequestsSchema),
-  get_pr_mergeability: ajv.compile(getPrMergeabilitySchema),
-  get_checks_for_sha: ajv.compile(getChecksForShaSchema),
-  get_pull_request: ajv.compile(getPullRequestSchema),
-  search_pull_requests: ajv.compile(searchPullRequestsSchema),
-
-  // Write tools
-  create_branch: ajv.compile(createBranchSchema),
-  create_pull_request: ajv.compile(createPullRequestSchema),
-  update_pull_request: ajv.compile(updatePullRequestSchema),
-  merge_pull_request: ajv.compile(mergePullRequestSchema),
-  commit_files: ajv.compile(commitFilesSchema)
+// Schemas keyed by tool name; the tool registry (lib/tool-definitions.js)
+// attaches each one to its tool definition
+const schemas = {
+  search: searchSchema,
+  search_code: searchCodeSchema,
+  fetch: fetchSchema,
+  list_directory: listDirectorySchema,
+  read_file: readFileSchema,
+  get_tree: getTreeSchema,
+  grep_repo: grepRepoSchema,
+  get_commits: getCommitsSchema,
+  get_commit: getCommitSchema,
+  compare_refs: compareRefsSchema,
+  get_file_history: getFileHistorySchema,
+  get_blame: getBlameSchema,
+  get_branches: getBranchesSchema,
+  get_rate_limit: getRateLimitSchema,
+  list_releases: listReleasesSchema,
+  get_release: getReleaseSchema,
+  list_tags: listTagsSchema,
+  list_workflow_runs: listWorkflowRunsSchema,
+  get_workflow_run: getWorkflowRunSchema,
+  get_job_log: getJobLogSchema,
+  list_pull_requests: listPullRequestsSchema,
+  get_pr_mergeability: getPrMergeabilitySchema,
+  get_checks_for_sha: getChecksForShaSchema,
+  wait_for_checks: waitForChecksSchema,
+  get_pull_request: getPullRequestSchema,
+  get_pull_request_diff: getPullRequestDiffSchema,
+  search_pull_requests: searchPullRequestsSchema,
+  list_issues: listIssuesSchema,
+  get_issue: getIssueSchema,
+  search_issues: searchIssuesSchema,
+  create_branch: createBranchSchema,
+  create_pull_request: createPullRequestSchema,
+  update_pull_request: updatePullRequestSchema,
+  merge_pull_request: mergePullRequestSchema,
+  submit_review: submitReviewSchema,
+  reply_to_review_comment: replyToReviewCommentSchema,
+  resolve_review_thread: resolveReviewThreadSchema,
+  commit_files: commitFilesSchema,
+  create_issue: createIssueSchema,
+  update_issue: updateIssueSchema,
+  add_issue_comment: addIssueCommentSchema,
+  close_issue: closeIssueSchema,
+  lock_issue: lockIssueSchema,
+  unlock_issue: unlockIssueSchema,
+  add_issue_labels: addIssueLabelsSchema,
+  remove_issue_labels: removeIssueLabelsSchema,
+  add_issue_assignees: addIssueAssigneesSchema,
+  remove_issue_assignees: removeIssueAssigneesSchema,
+  create_release: createReleaseSchema,
+  create_tag: createTagSchema,
+  rerun_workflow: rerunWorkflowSchema,
+  cancel_workflow_run: cancelWorkflowRunSchema,
+  dispatch_workflow: dispatchWorkflowSchema
 };
 
+// Compiled validators, keyed by tool name (compiled on first use)
+const validators = new Map();
+
+/**
+ * Get the compiled validator for a registered tool
+ * @param {string} toolName - Name of the MCP tool
+ * @returns {Function|null} AJV validator, or null for unknown tools
+ */
+function getValidator(toolName) {
+  if (validators.has(toolName)) {
+    return validators.get(toolName);
+  }
+
+  // Required lazily: the registry imports the schemas from this module
+  const { getToolDefinition } = require('./lib/tool-definitions');
+  const definition = getToolDefinition(toolName);
+  if (!definition) {
+    return null;
+  }
+
+  const validator = ajv.compile(definition.schema);
+  validators.set(toolName, validator);
+  return validator;
+}
+
 /**
  * Validate tool parameters against JSON schema
  * @param {string} toolName - Name of the MCP tool
@@ -709,7 +2207,7 @@ const validators = {
  * @returns {{valid: boolean, errors: array|null}} Validation result
  */
 function validateToolParams(toolName, params) {
-  const validator = validators[toolName];
+  const validator = getValidator(toolName);
 
   if (!validator) {
     return {
@@ -759,27 +2257,8 @@ function formatValidationErrors(errors) {
 }
 
 module.exports = {
-  validators,
+  schemas,
+  getValidator,
   validateToolParams,
-  formatValidationErrors,
-  // Export schemas for testing
-  schemas: {
-    search: searchSchema,
-    fetch: fetchSchema,
-    list_directory: listDirectorySchema,
-    read_file: readFileSchema,
-    get_tree: getTreeSchema,
-    get_commits: getCommitsSchema,
-    get_branches: getBranchesSchema,
-    list_pull_requests: listPullRequestsSchema,
-    get_pr_mergeability: getPrMergeabilitySchema,
-    get_checks_for_sha: getChecksForShaSchema,
-    get_pull_request: getPullRequestSchema,
-    search_pull_requests: searchPullRequestsSchema,
-    create_branch: createBranchSchema,
-    create_pull_request: createPullRequestSchema,
-    update_pull_request: updatePullRequestSchema,
-    merge_pull_request: mergePullRequestSchema,
-    commit_files: commitFilesSchema
-  }
+  formatValidationErrors
 };
@@ -0,0 +1,22 @@
+<!--
+name: onboard_repo
+description: Get oriented in a repository, starting from its live metadata and README
+argument: repo | Repository in owner/repo format | required
+data: repository
+-->
+Onboard me to ${repo}.
+
+Repository metadata and README (fetched live from GitHub):
+
+```json
+${repository}
+```
+
+Walk me through the project:
+1. What it does and who it is for, in two or three sentences.
+2. Use `get_tree` to map the layout; name the entry points, main modules and where tests live.
+3. Use `read_file` on the package manifest and any CONTRIBUTING or setup docs to explain how to install, run and test it.
+4. Use `get_commits` and `list_pull_requests` to describe what is actively being worked on.
+5. Suggest three files to read first, with one line each on why.
+
+Only describe what you have read through the tools; say so when something is unclear.
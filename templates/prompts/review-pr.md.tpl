@@ -0,0 +1,23 @@
+<!--
+name: review_pr
+description: Review a pull request using its live title, description, commits, changed files and reviews
+argument: repo | Repository in owner/repo format | required
+argument: number | Pull request number | required
+data: pull_request
+-->
+Review pull request ${repo}#${number}.
+
+Current pull request data (fetched live from GitHub):
+
+```json
+${pull_request}
+```
+
+How to review:
+1. Summarize what the PR changes and why, based on the description and commits.
+2. Read the changed files with `read_file` (use the PR head branch as `branch`) before commenting on them. Do not guess at code you have not read.
+3. Check existing reviews so you do not repeat points already raised.
+4. Report findings grouped as **blocking**, **should fix** and **nits**, each with file path and line.
+5. End with a verdict: approve, request changes, or needs discussion.
+
+Do not merge or update the PR as part of the review.
@@ -0,0 +1,29 @@
+<!--
+name: safe_merge
+description: Prepare a safe merge of a pull request, checking mergeability, checks and the head SHA guard
+argument: repo | Repository in owner/repo format | required
+argument: number | Pull request number | required
+data: pull_request, mergeability
+-->
+Prepare a safe merge of ${repo}#${number}.
+
+Pull request (fetched live from GitHub):
+
+```json
+${pull_request}
+```
+
+Mergeability and checks:
+
+```json
+${mergeability}
+```
+
+Safe merge flow:
+1. Confirm the PR is open and not a draft. If it is a draft, stop and ask whether to mark it ready with `update_pull_request`.
+2. Confirm `mergeable` is true and `mergeable_state` is `clean`. If checks are failing or pending, list them and stop.
+3. Confirm there is at least one approving review and no outstanding requested changes.
+4. Re-run `get_pr_mergeability` immediately before merging and use its `head_sha` as `sha`. Never reuse a SHA from earlier in the conversation.
+5. Propose the `merge_pull_request` call (merge method, `sha`, `delete_branch`) and wait for my confirmation before making it.
+
+Merges never bypass branch protections. If the merge is refused, report the error instead of retrying.
@@ -0,0 +1,226 @@
+/**
+ * Integration tests for GitHub Actions tools
+ * Tests run listing, runs with jobs and steps, job log excerpts and size caps
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Actions Tools Integration', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const LOGS_HOST = 'https://pipelines.actions.githubusercontent.com';
+  const SHA = 'd'.repeat(40);
+
+  const callTool = (name, args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const run = (extra = {}) => ({
+    id: 101,
+    name: 'CI',
+    display_title: 'Fix login timeout',
+    workflow_id: 5,
+    run_number: 42,
+    run_attempt: 1,
+    event: 'push',
+    status: 'completed',
+    conclusion: 'failure',
+    head_branch: 'main',
+    head_sha: SHA,
+    actor: { login: 'octocat' },
+    created_at: '2025-03-01T10:00:00Z',
+    updated_at: '2025-03-01T10:05:00Z',
+    run_started_at: '2025-03-01T10:00:05Z',
+    html_url: 'https://github.com/owner/repo/actions/runs/101',
+    ...extra
+  });
+
+  const job = (extra = {}) => ({
+    id: 555,
+    name: 'test',
+    status: 'completed',
+    conclusion: 'failure',
+    started_at: '2025-03-01T10:01:00Z',
+    completed_at: '2025-03-01T10:04:00Z',
+    runner_name: 'GitHub Actions 2',
+    html_url: 'https://github.com/owner/repo/actions/runs/101/job/555',
+    steps: [
+      { number: 1, name: 'Checkout', status: 'completed', conclusion: 'success' },
+      { number: 2, name: 'Run tests', status: 'completed', conclusion: 'failure' }
+    ],
+    ...extra
+  });
+
+  const logLines = (count, overrides = {}) => Array.from({ length: count }, (_, i) =>
+    `2025-03-01T10:01:${String(i % 60).padStart(2, '0')}.1234567Z ${overrides[i + 1] || `line ${i + 1}`}`
+  ).join('\n') + '\n';
+
+  const serveLog = (body) => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/actions/jobs/555/logs')
+      .reply(302, '', { Location: `${LOGS_HOST}/logs/555?sig=abc` });
+    nock(LOGS_HOST)
+      .get('/logs/555').query({ sig: 'abc' })
+      .reply(200, body, { 'Content-Type': 'text/plain' });
+  };
+
+  beforeAll(() => {
+    process.env.JOB_LOG_MAX_BYTES = '5000';
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterAll(() => {
+    delete process.env.JOB_LOG_MAX_BYTES;
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  describe('list_workflow_runs', () => {
+    test('should list runs of a workflow with filters', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/actions/workflows/ci.yml/runs')
+        .query({ per_page: 1, page: 1, branch: 'main', status: 'failure' })
+        .reply(200, { total_count: 3, workflow_runs: [run()] });
+
+      const data = parseResult(await callTool('list_workflow_runs', {
+        repo: 'owner/repo', workflow: 'ci.yml', branch: 'main', status: 'failure', per_page: 1
+      }));
+
+      expect(data.total_count).toBe(3);
+      expect(data.has_more).toBe(true);
+      expect(data.runs[0]).toMatchObject({ id: 101, title: 'Fix login timeout', conclusion: 'failure', branch: 'main', actor: 'octocat' });
+    });
+
+    test('should map unknown workflows to not found', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/actions/workflows/missing.yml/runs').query(true)
+        .reply(404, { message: 'Not Found' });
+
+      const response = await callTool('list_workflow_runs', { repo: 'owner/repo', workflow: 'missing.yml' });
+
+      expect(response.body.error.code).toBe(-32002);
+      expect(response.body.error.message).toContain('Workflow missing.yml not found');
+    });
+  });
+
+  describe('get_workflow_run', () => {
+    test('should return jobs with steps and the failed jobs', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/actions/runs/101')
+        .reply(200, run())
+        .get('/repos/owner/repo/actions/runs/101/jobs').query({ filter: 'latest', per_page: 100 })
+        .reply(200, { total_count: 2, jobs: [job(), job({ id: 556, name: 'lint', conclusion: 'success', steps: [] })] });
+
+      const data = parseResult(await callTool('get_workflow_run', { repo: 'owner/repo', run_id: 101 }));
+
+      expect(data).toMatchObject({ id: 101, total_jobs: 2, jobs_truncated: false, failed_jobs: [555] });
+      expect(data.jobs[0]).toMatchObject({ name: 'test', failed_step: 'Run tests' });
+      expect(data.jobs[0].steps).toHaveLength(2);
+      expect(data.jobs[1].failed_step).toBeNull();
+    });
+
+    test('should reject non-numeric run IDs', async () => {
+      const response = await callTool('get_workflow_run', { repo: 'owner/repo', run_id: 'latest' });
+
+      expect(response.body.error.code).toBe(-32602);
+    });
+  });
+
+  describe('get_job_log', () => {
+    test('should return the lines around the first error and the tail', async () => {
+      nock(GITHUB_API).get('/repos/owner/repo/actions/jobs/555').reply(200, job());
+      serveLog(logLines(30, {
+        12: '\u001b[31mFAIL\u001b[39m tests/login.test.js',
+        29: '##[error]Process completed with exit code 1.'
+      }));
+
+      const data = parseResult(await callTool('get_job_log', { repo: 'owner/repo', job_id: 555, tail_lines: 3, context_lines: 2 }));
+
+      expect(data.available).toBe(true);
+      expect(data.total_lines).toBe(30);
+      expect(data.job).toMatchObject({ id: 555, failed_step: 'Run tests' });
+      expect(data.first_error).toEqual({
+        line_number: 12,
+        line: 'FAIL tests/login.test.js',
+        start_line: 10,
+        end_line: 14,
+        content: '10\tline 10\n11\tline 11\n12\tFAIL tests/login.test.js\n13\tline 13\n14\tline 14'
+      });
+      expect(data.tail).toEqual({
+        start_line: 28,
+        end_line: 30,
+        content: '28\tline 28\n29\t##[error]Process completed with exit code 1.\n30\tline 30'
+      });
+    });
+
+    test('should fall back to the exit code annotation and keep timestamps on request', async () => {
+      nock(GITHUB_API).get('/repos/owner/repo/actions/jobs/555').reply(200, job());
+      serveLog(logLines(5, { 4: '##[error]Process completed with exit code 2.' }));
+
+      const data = parseResult(await callTool('get_job_log', { repo: 'owner/repo', job_id: 555, context_lines: 0, timestamps: true }));
+
+      expect(data.first_error.line_number).toBe(4);
+      expect(data.first_error.line).toBe('2025-03-01T10:01:03.1234567Z ##[error]Process completed with exit code 2.');
+      expect(data.tail.start_line).toBe(1);
+    });
+
+    test('should report jobs that have not finished without downloading', async () => {
+      nock(GITHUB_API).get('/repos/owner/repo/actions/jobs/555').reply(200, job({ status: 'in_progress', conclusion: null }));
+
+      const data = parseResult(await callTool('get_job_log', { repo: 'owner/repo', job_id: 555 }));
+
+      expect(data.available).toBe(false);
+      expect(data.reason).toContain('in_progress');
+    });
+
+    test('should refuse logs over the size limit', async () => {
+      nock(GITHUB_API).get('/repos/owner/repo/actions/jobs/555').reply(200, job());
+      serveLog('x'.repeat(6000));
+
+      const response = await callTool('get_job_log', { repo: 'owner/repo', job_id: 555 });
+
+      expect(response.body.error.message).toContain('exceeds 5000 bytes');
+      expect(response.body.error.message).toContain('actions/runs/101/job/555');
+    });
+
+    test('should map expired logs to not found', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/actions/jobs/555').reply(200, job())
+        .get('/repos/owner/repo/actions/jobs/555/logs').reply(410, { message: 'Gone' });
+
+      const response = await callTool('get_job_log', { repo: 'owner/repo', job_id: 555 });
+
+      expect(response.body.error.code).toBe(-32002);
+      expect(response.body.error.message).toContain('Log for job 555');
+    });
+  });
+
+  describe('get_checks_for_sha', () => {
+    test('should include failing check run IDs for get_job_log', async () => {
+      nock(GITHUB_API)
+        .get(`/repos/owner/repo/commits/${SHA}/status`)
+        .reply(200, { state: 'failure', statuses: [] })
+        .get(`/repos/owner/repo/commits/${SHA}/check-runs`)
+        .reply(200, {
+          check_runs: [
+            { id: 555, name: 'test', conclusion: 'failure', app: { slug: 'github-actions' }, html_url: 'https://github.com/owner/repo/runs/555' },
+            { id: 556, name: 'lint', conclusion: 'success', app: { slug: 'github-actions' } }
+          ]
+        });
+
+      const data = parseResult(await callTool('get_checks_for_sha', { repo: 'owner/repo', sha: SHA }));
+
+      expect(data.failing).toEqual(['test']);
+      expect(data.failing_check_runs).toEqual([
+        { id: 555, name: 'test', conclusion: 'failure', app: 'github-actions', url: 'https://github.com/owner/repo/runs/555' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+/**
+ * Integration tests for GitHub Actions write tools
+ * Tests re-runs, cancellation and dispatch, gating (write secret, whitelist,
+ * rate limit) and audit logging
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Actions Write Tools Integration', () => {
+  let app;
+  let auditDir;
+  let auditLogPath;
+  const GITHUB_API = 'https://api.github.com';
+  const MCP_WRITE_SECRET = 'test_secret_123';
+
+  const callTool = (name, args, urlPath = `/mcp/${MCP_WRITE_SECRET}`) =>
+    request(app)
+      .post(urlPath)
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const auditEntries = () => fs.existsSync(auditLogPath)
+    ? fs.readFileSync(auditLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : [];
+
+  beforeAll(() => {
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'actions-audit-'));
+    auditLogPath = path.join(auditDir, 'audit.log');
+    process.env.MCP_WRITE_SECRET = MCP_WRITE_SECRET;
+    process.env.ACTIONS_ENABLED = 'true';
+    process.env.ACTIONS_RATE_LIMIT_MAX = '2';
+    // Each test uses its own repository so the per-repository rate limit stays out of the way
+    process.env.PR_WHITELIST = 'owner/*';
+    process.env.PR_AUDIT_LOG = auditLogPath;
+
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    fs.rmSync(auditLogPath, { force: true });
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+    fs.rmSync(auditDir, { recursive: true, force: true });
+    delete process.env.ACTIONS_ENABLED;
+    delete process.env.ACTIONS_RATE_LIMIT_MAX;
+    delete process.env.PR_WHITELIST;
+    delete process.env.PR_AUDIT_LOG;
+  });
+
+  describe('rerun_workflow', () => {
+    test('should re-run only failed jobs and audit the attempt', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/rerun-failed/actions/runs/101/rerun-failed-jobs', { enable_debug_logging: true })
+        .reply(201, {});
+
+      const data = parseResult(await callTool('rerun_workflow', {
+        repo: 'owner/rerun-failed', run_id: 101, failed_only: true, enable_debug_logging: true
+      }));
+
+      expect(data).toMatchObject({ success: true, run_id: 101, job_id: null, scope: 'failed_jobs' });
+      expect(auditEntries().map(e => e.action)).toEqual(['WORKFLOW_RERUN_ATTEMPT', 'WORKFLOW_RERUN']);
+    });
+
+    test('should re-run a whole run or a single job', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/rerun-all/actions/runs/101/rerun', { enable_debug_logging: false })
+        .reply(201, {})
+        .post('/repos/owner/rerun-all/actions/jobs/555/rerun')
+        .reply(201, {});
+
+      const run = parseResult(await callTool('rerun_workflow', { repo: 'owner/rerun-all', run_id: 101 }));
+      const job = parseResult(await callTool('rerun_workflow', { repo: 'owner/rerun-all', job_id: 555 }));
+
+      expect(run.scope).toBe('all_jobs');
+      expect(job).toMatchObject({ scope: 'job', job_id: 555 });
+    });
+
+    test('should require exactly one of run_id or job_id', async () => {
+      const response = await callTool('rerun_workflow', { repo: 'owner/rerun-both', run_id: 101, job_id: 555 });
+
+      expect(response.body.error.message).toContain('Exactly one of run_id or job_id');
+    });
+  });
+
+  describe('cancel_workflow_run', () => {
+    test('should force-cancel a run', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/cancel/actions/runs/101/force-cancel')
+        .reply(202, {});
+
+      const data = parseResult(await callTool('cancel_workflow_run', { repo: 'owner/cancel', run_id: 101, force: true }));
+
+      expect(data).toMatchObject({ success: true, run_id: 101, force: true });
+      expect(auditEntries().map(e => e.action)).toEqual(['WORKFLOW_CANCEL_ATTEMPT', 'WORKFLOW_CANCELLED']);
+    });
+
+    test('should report runs that already completed and audit the failure', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/cancel-done/actions/runs/101/cancel')
+        .reply(409, { message: 'Cannot cancel a workflow run that is completed.' });
+
+      const response = await callTool('cancel_workflow_run', { repo: 'owner/cancel-done', run_id: 101 });
+
+      expect(response.body.error.message).toContain('Cannot cancel a workflow run that is completed.');
+      expect(auditEntries().map(e => e.action)).toEqual(['WORKFLOW_CANCEL_ATTEMPT', 'WORKFLOW_CANCEL_FAILED']);
+    });
+  });
+
+  describe('dispatch_workflow', () => {
+    test('should dispatch on the default branch with inputs as strings', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/deploy')
+        .reply(200, { default_branch: 'trunk' })
+        .post('/repos/owner/deploy/actions/workflows/deploy.yml/dispatches', {
+          ref: 'trunk',
+          inputs: { environment: 'staging', dry_run: 'true', replicas: '3' }
+        })
+        .reply(204);
+
+      const data = parseResult(await callTool('dispatch_workflow', {
+        repo: 'owner/deploy',
+        workflow: 'deploy.yml',
+        inputs: { environment: 'staging', dry_run: true, replicas: 3 }
+      }));
+
+      expect(data).toMatchObject({ success: true, workflow: 'deploy.yml', ref: 'trunk' });
+      expect(auditEntries()[0]).toMatchObject({
+        action: 'WORKFLOW_DISPATCH_ATTEMPT',
+        repo: 'owner/deploy',
+        inputs: ['environment', 'dry_run', 'replicas']
+      });
+    });
+
+    test('should map workflows without a dispatch trigger to validation errors', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/no-dispatch/actions/workflows/ci.yml/dispatches')
+        .reply(422, { message: "Workflow does not have 'workflow_dispatch' trigger" });
+
+      const response = await callTool('dispatch_workflow', { repo: 'owner/no-dispatch', workflow: 'ci.yml', ref: 'main' });
+
+      expect(response.body.error.code).toBe(-32003);
+      expect(response.body.error.message).toContain("does not have 'workflow_dispatch' trigger");
+    });
+  });
+
+  describe('gating', () => {
+    test('should require write secret path', async () => {
+      const response = await callTool('cancel_workflow_run', { repo: 'owner/repo', run_id: 101 }, '/mcp');
+
+      expect(response.body.error.code).toBe(-32000);
+    });
+
+    test('should reject repositories outside the whitelist', async () => {
+      const response = await callTool('cancel_workflow_run', { repo: 'other/repo', run_id: 101 });
+
+      expect(response.body.error.message).toContain('not whitelisted for Actions operations');
+    });
+
+    test('should rate limit writes per repository', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/limited/actions/runs/101/cancel')
+        .times(2)
+        .reply(202, {});
+
+      await callTool('cancel_workflow_run', { repo: 'owner/limited', run_id: 101 });
+      await callTool('cancel_workflow_run', { repo: 'owner/limited', run_id: 101 });
+      const response = await callTool('cancel_workflow_run', { repo: 'owner/limited', run_id: 101 });
+
+      expect(response.body.error.code).toBe(-32004);
+      expect(response.body.error.message).toContain('Actions rate limit exceeded for owner/limited');
+    });
+
+    test('should not count calls with invalid arguments against the rate limit', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/invalid-args/actions/runs/101/rerun')
+        .times(2)
+        .reply(201, {});
+
+      for (let i = 0; i < 3; i++) {
+        const invalid = await callTool('rerun_workflow', { repo: 'owner/invalid-args', run_id: 101, job_id: 555 });
+        expect(invalid.body.error.message).toContain('Exactly one of run_id or job_id is required');
+      }
+
+      const first = await callTool('rerun_workflow', { repo: 'owner/invalid-args', run_id: 101 });
+      const second = await callTool('rerun_workflow', { repo: 'owner/invalid-args', run_id: 101 });
+
+      expect(parseResult(first).success).toBe(true);
+      expect(parseResult(second).success).toBe(true);
+    });
+
+    test('should list Actions write tools only on the write path', async () => {
+      const list = (urlPath) => request(app)
+        .post(urlPath)
+        .send({ jsonrpc: '2.0', id: 1, method: 'tools/list', params: {} })
+        .expect(200)
+        .then(response => response.body.result.tools.map(tool => tool.name));
+
+      expect(await list('/mcp')).not.toContain('dispatch_workflow');
+      expect(await list(`/mcp/${MCP_WRITE_SECRET}`)).toEqual(expect.arrayContaining(['rerun_workflow', 'cancel_workflow_run', 'dispatch_workflow']));
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Integration tests for the compare_refs tool
+ * Tests ahead/behind counts, commit and file summaries, and patch budgets
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('compare_refs tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'compare_refs', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const comparison = (files) => ({
+    status: 'ahead',
+    ahead_by: 2,
+    behind_by: 0,
+    total_commits: 2,
+    html_url: 'https://github.com/octo/repo/compare/main...feature/x',
+    merge_base_commit: { sha: 'a'.repeat(40) },
+    commits: [
+      { sha: 'b'.repeat(40), html_url: 'https://github.com/octo/repo/commit/b', commit: { message: 'Add feature\n\nDetails', author: { name: 'Octo', date: '2025-01-01T00:00:00Z' } } },
+      { sha: 'c'.repeat(40), html_url: 'https://github.com/octo/repo/commit/c', commit: { message: 'Fix tests', author: { name: 'Cat', date: '2025-01-02T00:00:00Z' } } }
+    ],
+    files
+  });
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should return ahead/behind counts, commits and file summary', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/compare/main...feature%2Fx')
+      .query({ per_page: 50 })
+      .reply(200, comparison([
+        { filename: 'src/a.js', status: 'modified', additions: 3, deletions: 1, changes: 4, patch: '@@ -1 +1 @@\n-a\n+b' },
+        { filename: 'src/c.js', previous_filename: 'src/b.js', status: 'renamed', additions: 0, deletions: 0, changes: 0 }
+      ]));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', base: 'main', head: 'feature/x' }));
+
+    expect(data).toMatchObject({
+      status: 'ahead',
+      ahead_by: 2,
+      behind_by: 0,
+      total_commits: 2,
+      merge_base_sha: 'a'.repeat(40),
+      commits_truncated: false,
+      files_truncated: false,
+      totals: { changed_files: 2, additions: 3, deletions: 1 }
+    });
+    expect(data.commits[0]).toEqual({
+      sha: 'b'.repeat(40),
+      message: 'Add feature',
+      author: 'Octo',
+      date: '2025-01-01T00:00:00Z',
+      url: 'https://github.com/octo/repo/commit/b'
+    });
+    expect(data.files[1]).toMatchObject({ filename: 'src/c.js', previous_filename: 'src/b.js', status: 'renamed' });
+    // Patches only when requested
+    expect(data.files[0].patch).toBeUndefined();
+  });
+
+  test('should truncate patches per file and stop at the total budget', async () => {
+    const longPatch = '@@ -1,200 +1,200 @@\n' + Array.from({ length: 200 }, (_, i) => `+line ${i}`).join('\n');
+
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/compare/v1.0.0...v1.1.0')
+      .query({ per_page: 50 })
+      .reply(200, comparison([
+        { filename: 'big.js', status: 'modified', additions: 200, deletions: 0, changes: 200, patch: longPatch },
+        { filename: 'small.js', status: 'modified', additions: 1, deletions: 0, changes: 1, patch: '@@ -0,0 +1 @@\n+x' },
+        { filename: 'image.png', status: 'added', additions: 0, deletions: 0, changes: 0 },
+        { filename: 'later.js', status: 'modified', additions: 1, deletions: 0, changes: 1, patch: '@@ -0,0 +1 @@\n+y' }
+      ]));
+
+    const data = parseResult(await callTool({
+      repo: 'octo/repo',
+      base: 'v1.0.0',
+      head: 'v1.1.0',
+      include_patches: true,
+      max_patch_bytes: 500,
+      max_total_patch_bytes: 520
+    }));
+
+    const [big, small, image, later] = data.files;
+    expect(big.patch_truncated).toBe(true);
+    expect(Buffer.byteLength(big.patch)).toBeLessThanOrEqual(500);
+    expect(big.patch.endsWith('\n')).toBe(false);
+    expect(longPatch.startsWith(big.patch)).toBe(true);
+    expect(small.patch).toBe('@@ -0,0 +1 @@\n+x');
+    expect(image.patch_omitted).toBe('unavailable');
+    expect(later.patch).toBeUndefined();
+    expect(later.patch_omitted).toBe('budget');
+  });
+
+  test('should map an unknown ref to not found', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/compare/main...nope')
+      .query({ per_page: 50 })
+      .reply(404, { message: 'Not Found' });
+
+    const response = await callTool({ repo: 'octo/repo', base: 'main', head: 'nope' });
+
+    expect(response.body.error.code).toBe(-32002);
+  });
+
+  test('should reject refs with invalid characters', async () => {
+    const response = await callTool({ repo: 'octo/repo', base: 'main', head: 'a b' });
+
+    expect(response.body.error.code).toBe(-32602);
+  });
+});
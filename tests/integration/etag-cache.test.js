@@ -0,0 +1,93 @@
+/**
+ * Integration tests for ETag conditional requests in githubRequest
+ * Tests If-None-Match revalidation, 304 handling and cache separation by Accept header
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('ETag Caching', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const callTool = (name, args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should revalidate with If-None-Match and serve cached body on 304', async () => {
+    const branches = [{ name: 'main', protected: true }];
+
+    nock(GITHUB_API)
+      .get('/repos/etag/repo/branches').query({ per_page: 100 })
+      .reply(200, branches, { ETag: '"branches-v1"' })
+      .get('/repos/etag/repo')
+      .reply(200, { default_branch: 'main' }, { ETag: '"repo-v1"' });
+
+    const first = parseResult(await callTool('get_branches', { repo: 'etag/repo' }));
+
+    const revalidation = nock(GITHUB_API)
+      .get('/repos/etag/repo/branches').query({ per_page: 100 })
+      .matchHeader('If-None-Match', '"branches-v1"')
+      .reply(304)
+      .get('/repos/etag/repo')
+      .matchHeader('If-None-Match', '"repo-v1"')
+      .reply(304);
+
+    const second = parseResult(await callTool('get_branches', { repo: 'etag/repo' }));
+
+    expect(revalidation.isDone()).toBe(true);
+    expect(second).toEqual(first);
+  });
+
+  test('should replace the cached body when the resource changed', async () => {
+    nock(GITHUB_API)
+      .get('/repos/etag/changed/branches').query({ per_page: 100 })
+      .reply(200, [{ name: 'main', protected: false }], { ETag: '"v1"' })
+      .get('/repos/etag/changed')
+      .reply(200, { default_branch: 'main' });
+
+    await callTool('get_branches', { repo: 'etag/changed' });
+
+    nock(GITHUB_API)
+      .get('/repos/etag/changed/branches').query({ per_page: 100 })
+      .matchHeader('If-None-Match', '"v1"')
+      .reply(200, [{ name: 'main', protected: false }, { name: 'dev', protected: false }], { ETag: '"v2"' })
+      .get('/repos/etag/changed')
+      .reply(200, { default_branch: 'main' });
+
+    const data = parseResult(await callTool('get_branches', { repo: 'etag/changed' }));
+    expect(data.branches.map(b => b.name)).toEqual(['main', 'dev']);
+  });
+
+  test('should cache raw and JSON representations separately', async () => {
+    nock(GITHUB_API)
+      .get('/repos/etag/raw/contents/README.md').query({ ref: 'main' })
+      .matchHeader('Accept', 'application/vnd.github.raw')
+      .reply(200, '# Raw', { ETag: '"raw-v1"', 'Content-Type': 'text/plain' });
+
+    await request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'resources/read', params: { uri: 'github://etag/raw/blob/main/README.md' } })
+      .expect(200);
+
+    // A JSON contents request for the same path must not send the raw ETag
+    const jsonScope = nock(GITHUB_API, { badheaders: ['If-None-Match'] })
+      .get('/repos/etag/raw/contents/README.md').query({ ref: 'main' })
+      .reply(200, { name: 'README.md', type: 'file', path: 'README.md', size: 5, html_url: 'x' });
+
+    await callTool('list_directory', { repo: 'etag/raw', path: 'README.md', branch: 'main' });
+    expect(jsonScope.isDone()).toBe(true);
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Integration tests for the get_blame tool
+ * Tests GraphQL blame ranges, line-range clipping, PR association and errors
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('get_blame tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const HEAD = 'f'.repeat(40);
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_blame', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const commit = (sha, pr) => ({
+    oid: sha,
+    messageHeadline: `Commit ${sha.slice(0, 3)}`,
+    committedDate: '2025-02-01T00:00:00Z',
+    url: `https://github.com/octo/repo/commit/${sha}`,
+    author: { name: 'Octo Cat', email: 'octo@example.com', date: '2025-01-31T00:00:00Z', user: { login: 'octocat' } },
+    associatedPullRequests: { nodes: pr ? [{ number: pr, title: `PR ${pr}`, url: `https://github.com/octo/repo/pull/${pr}` }] : [] }
+  });
+
+  const blame = (ranges) => ({
+    data: { repository: { object: { oid: HEAD, blame: { ranges } } } }
+  });
+
+  const RANGES = [
+    { startingLine: 1, endingLine: 4, age: 10, commit: commit('a'.repeat(40), 12) },
+    { startingLine: 5, endingLine: 9, age: 3, commit: commit('b'.repeat(40), null) },
+    { startingLine: 10, endingLine: 20, age: 1, commit: commit('a'.repeat(40), 12) }
+  ];
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should return blame ranges with commit, author, date and PR', async () => {
+    nock(GITHUB_API)
+      .post('/graphql', body => body.variables.ref === 'main' && body.variables.path === 'src/app.js' && /blame\(path: \$path\)/.test(body.query))
+      .reply(200, blame(RANGES));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main' }));
+
+    expect(data).toMatchObject({ repo: 'octo/repo', path: 'src/app.js', ref: 'main', sha: HEAD, commits: 2 });
+    expect(data.ranges).toHaveLength(3);
+    expect(data.ranges[0]).toEqual({
+      start_line: 1,
+      end_line: 4,
+      sha: 'a'.repeat(40),
+      summary: 'Commit aaa',
+      author: { name: 'Octo Cat', email: 'octo@example.com', login: 'octocat' },
+      date: '2025-01-31T00:00:00Z',
+      age: 10,
+      pull_request: { number: 12, title: 'PR 12', url: 'https://github.com/octo/repo/pull/12' },
+      url: `https://github.com/octo/repo/commit/${'a'.repeat(40)}`
+    });
+    expect(data.ranges[1].pull_request).toBeNull();
+    expect(data.url).toBe(`https://github.com/octo/repo/blame/${HEAD}/src/app.js`);
+  });
+
+  test('should clip ranges to the requested lines', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo')
+      .reply(200, { default_branch: 'develop' })
+      .post('/graphql', body => body.variables.ref === 'develop')
+      .reply(200, blame(RANGES));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', start_line: 3, end_line: 6 }));
+
+    expect(data.ranges.map(r => [r.start_line, r.end_line, r.sha[0]])).toEqual([[3, 4, 'a'], [5, 6, 'b']]);
+    expect(data.commits).toBe(2);
+  });
+
+  test('should reject a start_line past the end of the file', async () => {
+    nock(GITHUB_API)
+      .post('/graphql')
+      .reply(200, blame(RANGES));
+
+    const response = await callTool({ repo: 'octo/repo', path: 'src/app.js', ref: 'v1.0.0', start_line: 50 });
+
+    expect(response.body.error.code).toBe(-32003);
+    expect(response.body.error.message).toContain('(20 lines)');
+  });
+
+  test('should peel annotated tags to the tagged commit', async () => {
+    nock(GITHUB_API)
+      .post('/graphql', body => body.variables.ref === 'v1.0.0' && /\.\.\. on Tag/.test(body.query))
+      .reply(200, { data: { repository: { object: { target: { oid: HEAD, blame: { ranges: RANGES } } } } } });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', ref: 'v1.0.0' }));
+
+    expect(data).toMatchObject({ ref: 'v1.0.0', sha: HEAD, commits: 2 });
+    expect(data.ranges).toHaveLength(3);
+  });
+
+  test('should reject refs that do not point to a commit', async () => {
+    nock(GITHUB_API)
+      .post('/graphql')
+      .reply(200, { data: { repository: { object: {} } } });
+
+    const response = await callTool({ repo: 'octo/repo', path: 'src/app.js', ref: 'tree-tag' });
+
+    expect(response.body.error.code).toBe(-32003);
+    expect(response.body.error.message).toContain('ref tree-tag does not point to a commit');
+  });
+
+  test('should map unknown refs to not found', async () => {
+    nock(GITHUB_API)
+      .post('/graphql')
+      .reply(200, { data: { repository: { object: null } } });
+
+    const response = await callTool({ repo: 'octo/repo', path: 'src/app.js', ref: 'nope' });
+
+    expect(response.body.error.code).toBe(-32002);
+    expect(response.body.error.message).toContain('Ref nope not found');
+  });
+
+  test('should map GraphQL NOT_FOUND errors to not found', async () => {
+    nock(GITHUB_API)
+      .post('/graphql')
+      .reply(200, { data: { repository: null }, errors: [{ type: 'NOT_FOUND', message: "Could not resolve to a Repository with the name 'octo/missing'." }] });
+
+    const response = await callTool({ repo: 'octo/missing', path: 'a.js', ref: 'main' });
+
+    expect(response.body.error.code).toBe(-32002);
+    expect(response.body.error.message).toContain('Could not resolve to a Repository');
+  });
+});
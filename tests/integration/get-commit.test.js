@@ -0,0 +1,115 @@
+/**
+ * Integration tests for the get_commit tool
+ * Tests commit details, verification, file pagination and patches
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('get_commit tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const SHA = '0123456789abcdef0123456789abcdef01234567';
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_commit', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const commitPayload = (files) => ({
+    sha: SHA,
+    html_url: `https://github.com/octo/repo/commit/${SHA}`,
+    commit: {
+      message: 'Add feature\n\nLonger explanation\nwith several lines',
+      author: { name: 'Octo Cat', email: 'octo@example.com', date: '2025-01-01T00:00:00Z' },
+      committer: { name: 'GitHub', email: 'noreply@github.com', date: '2025-01-01T00:05:00Z' },
+      verification: { verified: true, reason: 'valid' }
+    },
+    author: { login: 'octocat' },
+    committer: { login: 'web-flow' },
+    parents: [{ sha: 'a'.repeat(40) }, { sha: 'b'.repeat(40) }],
+    stats: { additions: 5, deletions: 2, total: 7 },
+    files
+  });
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should return the full message, people, parents, verification and stats', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/commits/abc1234')
+      .query({ page: 1, per_page: 100 })
+      .reply(200, commitPayload([
+        { filename: 'src/a.js', status: 'modified', additions: 5, deletions: 2, changes: 7, patch: '@@ -1 +1 @@\n-a\n+b' }
+      ]));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', ref: 'abc1234' }));
+
+    expect(data).toMatchObject({
+      sha: SHA,
+      message: 'Add feature\n\nLonger explanation\nwith several lines',
+      author: { name: 'Octo Cat', email: 'octo@example.com', date: '2025-01-01T00:00:00Z', login: 'octocat' },
+      committer: { name: 'GitHub', login: 'web-flow' },
+      parents: ['a'.repeat(40), 'b'.repeat(40)],
+      verification: { verified: true, reason: 'valid' },
+      stats: { additions: 5, deletions: 2, total: 7 },
+      page: 1,
+      per_page: 100,
+      next_page: null
+    });
+    expect(data.files).toEqual([
+      { filename: 'src/a.js', status: 'modified', additions: 5, deletions: 2, changes: 7 }
+    ]);
+  });
+
+  test('should include patches on request and report the next page of files', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/commits/main')
+      .query({ page: 2, per_page: 2 })
+      .reply(200, commitPayload([
+        { filename: 'one.js', status: 'added', additions: 1, deletions: 0, changes: 1, patch: '@@ -0,0 +1 @@\n+1' },
+        { filename: 'logo.png', status: 'added', additions: 0, deletions: 0, changes: 0 }
+      ]));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', ref: 'main', include_patches: true, page: 2, per_page: 2 }));
+
+    expect(data.files[0].patch).toBe('@@ -0,0 +1 @@\n+1');
+    expect(data.files[1].patch_omitted).toBe('unavailable');
+    expect(data.next_page).toBe(3);
+  });
+
+  test('should report unsigned commits', async () => {
+    const payload = commitPayload([]);
+    delete payload.commit.verification;
+    payload.author = null;
+
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/commits/${SHA}`)
+      .query({ page: 1, per_page: 100 })
+      .reply(200, payload);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', ref: SHA }));
+
+    expect(data.verification).toEqual({ verified: false, reason: 'unsigned' });
+    expect(data.author.login).toBeNull();
+  });
+
+  test('should surface the 422 for an unknown SHA as a validation error', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/commits/deadbeef')
+      .query({ page: 1, per_page: 100 })
+      .reply(422, { message: 'No commit found for SHA: deadbeef' });
+
+    const response = await callTool({ repo: 'octo/repo', ref: 'deadbeef' });
+
+    expect(response.body.error.code).toBe(-32003);
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Integration tests for the get_file_history tool
+ * Tests per-file change stats, rename following, patches, PR association and paging
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('get_file_history tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const sha = (c) => c.repeat(40);
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_file_history', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const listed = (c, message) => ({
+    sha: sha(c),
+    html_url: `https://github.com/octo/repo/commit/${sha(c)}`,
+    author: { login: 'octocat' },
+    commit: { message: `${message}\n\nBody`, author: { name: 'Octo Cat', date: '2025-01-01T00:00:00Z' } }
+  });
+
+  const detail = (c, parent, files) => ({ sha: sha(c), parents: [{ sha: sha(parent) }], files });
+
+  // History of src/app.js: a (edit), b (renamed from lib/app.js); then lib/app.js: c (edit), d (added)
+  const mockHistory = () =>
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/commits').query({ path: 'src/app.js', per_page: 100, page: 1, sha: 'main' })
+      .reply(200, [listed('a', 'Tweak app'), listed('b', 'Move app to src')])
+      .get(`/repos/octo/repo/commits/${sha('a')}`).query({ page: 1, per_page: 100 })
+      .reply(200, detail('a', 'b', [
+        { filename: 'README.md', status: 'modified', additions: 1, deletions: 0, changes: 1, patch: '@@ -1 +1 @@' },
+        { filename: 'src/app.js', status: 'modified', additions: 3, deletions: 1, changes: 4, patch: '@@ -1,2 +1,4 @@\n-a\n+b\n+c\n+d' }
+      ]))
+      .get(`/repos/octo/repo/commits/${sha('b')}`).query({ page: 1, per_page: 100 })
+      .reply(200, detail('b', 'c', [
+        { filename: 'src/app.js', previous_filename: 'lib/app.js', status: 'renamed', additions: 0, deletions: 0, changes: 0 }
+      ]))
+      .get('/repos/octo/repo/commits').query({ path: 'lib/app.js', per_page: 100, page: 1, sha: sha('c') })
+      .reply(200, [listed('c', 'Fix bug'), listed('d', 'Add app')])
+      .get(`/repos/octo/repo/commits/${sha('c')}`).query({ page: 1, per_page: 100 })
+      .reply(200, detail('c', 'd', [{ filename: 'lib/app.js', status: 'modified', additions: 1, deletions: 1, changes: 2, patch: '@@ -5 +5 @@\n-x\n+y' }]))
+      .get(`/repos/octo/repo/commits/${sha('d')}`).query({ page: 1, per_page: 100 })
+      .reply(200, detail('d', 'e', [{ filename: 'lib/app.js', status: 'added', additions: 10, deletions: 0, changes: 10, patch: `@@ -0,0 +1,10 @@${'\n+line'.repeat(10)}` }]));
+
+  const mockPullRequests = (prs) =>
+    nock(GITHUB_API)
+      .post('/graphql', body => /associatedPullRequests/.test(body.query) && body.variables.owner === 'octo')
+      .reply(200, { data: { repository: prs } });
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should follow renames and report per-file changes and PRs', async () => {
+    mockHistory();
+    mockPullRequests({
+      c0: { associatedPullRequests: { nodes: [{ number: 7, title: 'Open PR', url: 'u7', mergedAt: null }, { number: 5, title: 'Tweak', url: 'u5', mergedAt: '2025-01-02T00:00:00Z' }] } },
+      c1: { associatedPullRequests: { nodes: [] } },
+      c2: { associatedPullRequests: { nodes: [{ number: 3, title: 'Fix', url: 'u3', mergedAt: '2024-12-01T00:00:00Z' }] } },
+      c3: null
+    });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main' }));
+
+    expect(data.history.map(e => [e.sha[0], e.path, e.status, e.additions, e.deletions, e.pull_request?.number ?? null])).toEqual([
+      ['a', 'src/app.js', 'modified', 3, 1, 5],
+      ['b', 'src/app.js', 'renamed', 0, 0, null],
+      ['c', 'lib/app.js', 'modified', 1, 1, 3],
+      ['d', 'lib/app.js', 'added', 10, 0, null]
+    ]);
+    expect(data.history[0]).toMatchObject({ message: 'Tweak app', author: { name: 'Octo Cat', login: 'octocat' }, date: '2025-01-01T00:00:00Z' });
+    expect(data.history[0]).not.toHaveProperty('patch');
+    expect(data.history[1].previous_path).toBe('lib/app.js');
+    expect(data.renames).toEqual([{ sha: sha('b'), from: 'lib/app.js', to: 'src/app.js' }]);
+    expect(data.next).toBeNull();
+  });
+
+  test('should return the history without PRs when the PR lookup fails', async () => {
+    mockHistory();
+    nock(GITHUB_API)
+      .post('/graphql')
+      .reply(502, { message: 'Bad Gateway' });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main' }));
+
+    expect(data.history).toHaveLength(4);
+    expect(data.history.every(entry => entry.pull_request === null)).toBe(true);
+    expect(data.pull_requests_unavailable).toBeTruthy();
+  });
+
+  test('should include patches within the total budget', async () => {
+    mockHistory();
+    mockPullRequests({});
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main', include_patches: true, max_total_patch_bytes: 100 }));
+
+    expect(data.history[0].patch).toBe('@@ -1,2 +1,4 @@\n-a\n+b\n+c\n+d');
+    expect(data.history[1].patch_omitted).toBe('unavailable');
+    expect(data.history[2].patch).toBe('@@ -5 +5 @@\n-x\n+y');
+    // 44 of the 100 bytes are used by then, so the 76-byte patch is left out
+    expect(data.history[3].patch_omitted).toBe('budget');
+  });
+
+  test('should stop at the limit and return where to continue', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/commits').query({ path: 'src/app.js', per_page: 100, page: 1 })
+      .reply(200, [listed('a', 'Tweak app'), listed('b', 'Move app to src')])
+      .get(`/repos/octo/repo/commits/${sha('a')}`).query({ page: 1, per_page: 100 })
+      .reply(200, detail('a', 'b', [{ filename: 'src/app.js', status: 'modified', additions: 1, deletions: 0, changes: 1 }]));
+    mockPullRequests({ c0: null });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', limit: 1 }));
+
+    expect(data.history).toHaveLength(1);
+    expect(data).toMatchObject({ ref: null, next: { path: 'src/app.js', ref: sha('b') } });
+  });
+
+  test('should not follow renames when disabled', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/commits').query({ path: 'src/app.js', per_page: 100, page: 1, sha: 'main' })
+      .reply(200, [listed('b', 'Move app to src')])
+      .get(`/repos/octo/repo/commits/${sha('b')}`).query({ page: 1, per_page: 100 })
+      .reply(200, detail('b', 'c', [{ filename: 'src/app.js', previous_filename: 'lib/app.js', status: 'renamed', additions: 0, deletions: 0, changes: 0 }]));
+    mockPullRequests({ c0: null });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main', follow_renames: false }));
+
+    expect(data.history).toHaveLength(1);
+    expect(data.renames).toEqual([]);
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Integration tests for the get_tree tool
+ * Tests prefix/glob/exclude/depth/type filters, size rollups, entry limits
+ * and the subtree walk used when GitHub truncates the recursive listing
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('get_tree tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_tree', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+  const paths = (data) => data.tree.map(item => item.path);
+
+  const TREE = [
+    { path: 'README.md', type: 'blob', size: 100 },
+    { path: 'src', type: 'tree' },
+    { path: 'src/index.js', type: 'blob', size: 10 },
+    { path: 'src/lib', type: 'tree' },
+    { path: 'src/lib/util.js', type: 'blob', size: 20 },
+    { path: 'src/lib/util.test.js', type: 'blob', size: 30 },
+    { path: 'node_modules', type: 'tree' },
+    { path: 'node_modules/dep/index.js', type: 'blob', size: 500 },
+    { path: 'vendor', type: 'commit' }
+  ];
+
+  const mockTree = (tree, extra = {}) =>
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/branches/main')
+      .reply(200, { commit: { commit: { tree: { sha: 'root' } } } })
+      .get('/repos/octo/repo/git/trees/root')
+      .query({ recursive: 1 })
+      .reply(200, { sha: 'root', tree, truncated: false, ...extra });
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should list everything with truncated false when no filters are given', async () => {
+    mockTree(TREE);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main' }));
+
+    expect(data.tree).toHaveLength(TREE.length);
+    expect(data).toMatchObject({ branch: 'main', total_entries: TREE.length, truncated: false, truncated_reason: null });
+    expect(data).not.toHaveProperty('fallback');
+  });
+
+  test('should filter by path prefix, max depth and type', async () => {
+    mockTree(TREE);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main', path_prefix: 'src/', max_depth: 1 }));
+    expect(paths(data)).toEqual(['src/index.js', 'src/lib']);
+
+    mockTree(TREE);
+    const trees = parseResult(await callTool({ repo: 'octo/repo', branch: 'main', type: 'tree' }));
+    expect(paths(trees)).toEqual(['src', 'src/lib', 'node_modules']);
+  });
+
+  test('should apply globs and drop the contents of excluded directories', async () => {
+    mockTree(TREE);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main', glob: '*.js', exclude: ['node_modules', '*.test.js'] }));
+
+    expect(paths(data)).toEqual(['src/index.js', 'src/lib/util.js']);
+  });
+
+  test('should roll up file counts and sizes per directory', async () => {
+    mockTree(TREE);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main', max_depth: 1, include_sizes: true, exclude: ['node_modules'] }));
+
+    expect(paths(data)).toEqual(['README.md', 'src', 'vendor']);
+    expect(data.directories).toEqual([{ path: 'src', files: 3, bytes: 60 }]);
+  });
+
+  test('should cap entries and report the total', async () => {
+    mockTree(TREE);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main', max_entries: 2 }));
+
+    expect(data.tree).toHaveLength(2);
+    expect(data).toMatchObject({ total_entries: TREE.length, truncated: true, truncated_reason: 'max_entries' });
+  });
+
+  test('should walk subtrees when GitHub truncates the recursive listing', async () => {
+    mockTree(TREE.slice(0, 3), { truncated: true });
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/git/trees/root')
+      .reply(200, { tree: [
+        { path: 'README.md', type: 'blob', size: 100, sha: 'r1' },
+        { path: 'src', type: 'tree', sha: 'src-sha' },
+        { path: 'docs', type: 'tree', sha: 'docs-sha' }
+      ] })
+      .get('/repos/octo/repo/git/trees/src-sha')
+      .reply(200, { tree: [
+        { path: 'index.js', type: 'blob', size: 10, sha: 'i1' },
+        { path: 'lib', type: 'tree', sha: 'lib-sha' }
+      ] })
+      .get('/repos/octo/repo/git/trees/lib-sha')
+      .reply(200, { tree: [{ path: 'util.js', type: 'blob', size: 20, sha: 'u1' }] });
+
+    // docs is outside the prefix, so it is never listed
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main', path_prefix: 'src' }));
+
+    expect(paths(data)).toEqual(['src/index.js', 'src/lib', 'src/lib/util.js']);
+    expect(data).toMatchObject({ truncated: false, fallback: { strategy: 'subtree_walk', requests: 3 } });
+  });
+
+  test('should report github_limit when the subtree walk is incomplete', async () => {
+    mockTree([], { truncated: true });
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/git/trees/root')
+      .reply(200, { tree: [{ path: 'huge', type: 'tree', sha: 'huge-sha' }], truncated: true })
+      .get('/repos/octo/repo/git/trees/huge-sha')
+      .reply(200, { tree: [{ path: 'a.txt', type: 'blob', size: 1, sha: 'a1' }] });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main' }));
+
+    expect(paths(data)).toEqual(['huge', 'huge/a.txt']);
+    expect(data).toMatchObject({ truncated: true, truncated_reason: 'github_limit' });
+  });
+
+  test('should fall back to master when main does not exist', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/branches/main')
+      .reply(404, { message: 'Branch not found' })
+      .get('/repos/octo/repo/branches/master')
+      .reply(200, { commit: { commit: { tree: { sha: 'm' } } } })
+      .get('/repos/octo/repo/git/trees/m')
+      .query({ recursive: 1 })
+      .reply(200, { tree: [{ path: 'a', type: 'blob', size: 1 }] });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'main' }));
+
+    expect(data).toMatchObject({ branch: 'master', tree: [{ path: 'a', type: 'blob', size: 1 }] });
+  });
+});
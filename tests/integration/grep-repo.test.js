@@ -0,0 +1,208 @@
+/**
+ * Integration tests for the grep_repo tool
+ * Tests ref resolution, tarball download and caching, matches and limits
+ * (archive size, wall-clock time, runaway patterns and concurrent searches)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const request = require('supertest');
+const nock = require('nock');
+
+function tarEntry(name, content) {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+  header.write('0', 156);
+  header.write('ustar\0', 257);
+  return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+function tarball(files) {
+  const entries = Object.entries(files).map(([name, content]) => tarEntry(`octo-repo-abc/${name}`, content));
+  return zlib.gzipSync(Buffer.concat([...entries, Buffer.alloc(1024)]));
+}
+
+describe('grep_repo tool', () => {
+  let app;
+  let cacheDir;
+  const GITHUB_API = 'https://api.github.com';
+  const SHA = 'a'.repeat(40);
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'grep_repo', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const resolvesTo = (ref, sha) =>
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/commits/${encodeURIComponent(ref)}`)
+      .matchHeader('Accept', 'application/vnd.github.sha')
+      .reply(200, sha, { 'Content-Type': 'text/plain' });
+
+  beforeAll(() => {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'grep-repo-'));
+    process.env.GREP_CACHE_DIR = cacheDir;
+    process.env.GREP_MAX_ARCHIVE_BYTES = '20000';
+    process.env.GREP_TIMEOUT = '1500';
+    process.env.GREP_MAX_CONCURRENT = '1';
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterAll(() => {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    delete process.env.GREP_CACHE_DIR;
+    delete process.env.GREP_MAX_ARCHIVE_BYTES;
+    delete process.env.GREP_TIMEOUT;
+    delete process.env.GREP_MAX_CONCURRENT;
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should grep a branch snapshot and cache the archive by SHA', async () => {
+    resolvesTo('feature/login', SHA);
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/tarball/${SHA}`)
+      .reply(302, '', { Location: `https://codeload.github.com/octo/repo/legacy.tar.gz/${SHA}` });
+    nock('https://codeload.github.com')
+      .get(`/octo/repo/legacy.tar.gz/${SHA}`)
+      .reply(200, tarball({
+        'src/login.js': 'function login() {\n  // TODO: rate limit\n  return true;\n}\n',
+        'src/logout.js': 'function logout() {}\n',
+        'README.md': 'TODO: docs\n'
+      }));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', branch: 'feature/login', pattern: 'todo', case_insensitive: true, include: '*.js', context_lines: 1 }));
+
+    expect(data).toMatchObject({
+      repo: 'octo/repo',
+      ref: 'feature/login',
+      sha: SHA,
+      cached: false,
+      files_searched: 2,
+      truncated: false,
+      stopped_reason: null
+    });
+    expect(data.matches).toEqual([{
+      path: 'src/login.js',
+      line_number: 2,
+      line: '  // TODO: rate limit',
+      before: ['function login() {'],
+      after: ['  return true;']
+    }]);
+
+    // Same SHA: served from the archive cache without downloading again
+    resolvesTo('feature/login', SHA);
+    const second = parseResult(await callTool({ repo: 'octo/repo', branch: 'feature/login', pattern: 'TODO', path: 'src' }));
+    expect(second.cached).toBe(true);
+    expect(second.matches).toHaveLength(1);
+  });
+
+  test('should resolve the default branch when no ref is given', async () => {
+    const sha = 'b'.repeat(40);
+    nock(GITHUB_API)
+      .get('/repos/octo/repo')
+      .reply(200, { default_branch: 'develop' });
+    resolvesTo('develop', sha);
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/tarball/${sha}`)
+      .reply(200, tarball({ 'a.txt': 'hello\n' }));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', pattern: '^hel+o$' }));
+
+    expect(data).toMatchObject({ ref: 'develop', sha, matches: [{ path: 'a.txt', line_number: 1, line: 'hello' }] });
+  });
+
+  test('should fall back from main to master', async () => {
+    const sha = 'c'.repeat(40);
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/commits/main')
+      .reply(404, { message: 'No commit found for SHA: main' });
+    resolvesTo('master', sha);
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/tarball/${sha}`)
+      .reply(200, tarball({ 'a.txt': 'x\n' }));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', ref: 'main', pattern: 'x' }));
+
+    expect(data).toMatchObject({ ref: 'master', sha });
+  });
+
+  test('should refuse archives over the size limit', async () => {
+    const sha = 'd'.repeat(40);
+    resolvesTo('v1.0.0', sha);
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/tarball/${sha}`)
+      .reply(200, tarball({ 'random.bin': crypto.randomBytes(30000).toString('hex') }));
+
+    const response = await callTool({ repo: 'octo/repo', ref: 'v1.0.0', pattern: 'x' });
+
+    expect(response.body.error.message).toContain('exceeds 20000 bytes');
+  });
+
+  test('should abort downloads that outlast the time limit', async () => {
+    const sha = 'e'.repeat(40);
+    resolvesTo('slow', sha);
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/tarball/${sha}`)
+      .delayBody(5000)
+      .reply(200, tarball({ 'a.txt': 'x\n' }));
+
+    const started = Date.now();
+    const response = await callTool({ repo: 'octo/repo', ref: 'slow', pattern: 'x' });
+
+    expect(response.body.error.message).toContain('timed out after 1500ms');
+    expect(Date.now() - started).toBeLessThan(4000);
+  });
+
+  test('should stop runaway patterns without blocking the server', async () => {
+    const sha = 'f'.repeat(40);
+    resolvesTo('redos', sha);
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/tarball/${sha}`)
+      .reply(200, tarball({ 'a.txt': `${'a'.repeat(40)}b\n` }));
+
+    const pending = callTool({ repo: 'octo/repo', ref: 'redos', pattern: '(a+)+$' }).then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 500));
+    const started = Date.now();
+    await request(app).get('/health').expect(200);
+    expect(Date.now() - started).toBeLessThan(500);
+
+    const response = await pending;
+    expect(response.body.error.message).toContain('did not finish within the time limit');
+  });
+
+  test('should reject searches beyond the concurrency limit', async () => {
+    const sha = '0123456789'.repeat(4);
+    resolvesTo('busy', sha);
+    resolvesTo('busy', sha);
+    nock(GITHUB_API)
+      .get(`/repos/octo/repo/tarball/${sha}`)
+      .delay(300)
+      .reply(200, tarball({ 'a.txt': 'x\n' }));
+
+    const first = callTool({ repo: 'octo/repo', ref: 'busy', pattern: 'x' }).then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 100));
+    const second = await callTool({ repo: 'octo/repo', ref: 'busy', pattern: 'x' });
+
+    expect(second.body.error.code).toBe(-32004);
+    expect(second.body.error.message).toContain('1 searches already running');
+    expect(parseResult(await first).matches).toHaveLength(1);
+  });
+
+  test('should reject invalid regular expressions', async () => {
+    const response = await callTool({ repo: 'octo/repo', ref: 'main', pattern: '(unclosed' });
+
+    expect(response.body.error.code).toBe(-32003);
+    expect(response.body.error.message).toContain('invalid regular expression');
+  });
+});
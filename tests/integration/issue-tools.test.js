@@ -0,0 +1,300 @@
+/**
+ * Integration tests for issue read and write tools
+ * Tests gating (write secret, whitelist, rate limit), GitHub API calls and response shape
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Issue Tools Integration', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const MCP_WRITE_SECRET = 'test_secret_123';
+
+  const callTool = (name, args, path = `/mcp/${MCP_WRITE_SECRET}`) =>
+    request(app)
+      .post(path)
+      .send({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name, arguments: args }
+      })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  beforeAll(() => {
+    process.env.MCP_WRITE_SECRET = MCP_WRITE_SECRET;
+    process.env.ISSUES_ENABLED = 'true';
+    process.env.ISSUE_RATE_LIMIT_MAX = '10';
+    process.env.PR_WHITELIST = 'owner/repo,owner/limited';
+
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+    delete process.env.ISSUES_ENABLED;
+    delete process.env.ISSUE_RATE_LIMIT_MAX;
+    delete process.env.PR_WHITELIST;
+  });
+
+  describe('read tools', () => {
+    test('should list issues with filters and drop pull requests', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/issues')
+        .query({ per_page: 2, page: 1, state: 'open', labels: 'bug,p1', milestone: 'none' })
+        .reply(200, [
+          { number: 1, title: 'Crash', state: 'open', labels: [{ name: 'bug' }], assignees: [], user: { login: 'a' }, comments: 0 },
+          { number: 2, title: 'A PR', state: 'open', labels: [], assignees: [], user: { login: 'b' }, pull_request: {} }
+        ]);
+
+      const response = await callTool('list_issues', {
+        repo: 'owner/repo',
+        state: 'open',
+        labels: ['bug', 'p1'],
+        milestone: 'none',
+        limit: 2
+      }, '/mcp');
+
+      const data = parseResult(response);
+      expect(data.issues.map(i => i.number)).toEqual([1]);
+      expect(data.has_more).toBe(true);
+    });
+
+    test('should return issue with comments and timeline', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/issues/42')
+        .reply(200, {
+          number: 42, title: 'Crash', body: 'Boom', state: 'closed', state_reason: 'completed',
+          user: { login: 'reporter' }, labels: [], assignees: [], comments: 1, closed_by: { login: 'maintainer' }
+        })
+        .get('/repos/owner/repo/issues/42/comments')
+        .query({ per_page: 50, page: 1 })
+        .reply(200, [{ id: 5, user: { login: 'maintainer' }, body: 'Fixed', created_at: '2025-01-02T00:00:00Z' }])
+        .get('/repos/owner/repo/issues/42/timeline')
+        .query({ per_page: 100, page: 1 })
+        .reply(200, [
+          { event: 'labeled', actor: { login: 'maintainer' }, label: { name: 'bug' }, created_at: '2025-01-01T00:00:00Z' },
+          { event: 'commented', actor: { login: 'maintainer' } },
+          { event: 'cross-referenced', actor: { login: 'dev' }, source: { issue: { number: 43, title: 'Fix crash', pull_request: {} } } },
+          { event: 'closed', actor: { login: 'maintainer' }, state_reason: 'completed', commit_id: 'abc1234' }
+        ]);
+
+      const response = await callTool('get_issue', { repo: 'owner/repo', issueNumber: 42 }, '/mcp');
+
+      const data = parseResult(response);
+      expect(data.closed_by).toBe('maintainer');
+      expect(data.comment_details).toHaveLength(1);
+      expect(data.timeline.map(e => e.event)).toEqual(['labeled', 'cross-referenced', 'closed']);
+      expect(data.timeline[1].source).toMatchObject({ number: 43, is_pull_request: true });
+    });
+
+    test('should return the most recent timeline events of long issues', async () => {
+      const labeled = (i) => ({ event: 'labeled', actor: { login: 'bot' }, label: { name: `l${i}` } });
+      const page = (from, to) => Array.from({ length: to - from }, (_, i) => labeled(from + i));
+      const link = (n) => `<${GITHUB_API}/repositories/1/issues/44/timeline?per_page=100&page=${n}>`;
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/issues/44')
+        .reply(200, { number: 44, title: 'Busy', state: 'open', labels: [], assignees: [], comments: 0 })
+        .get('/repos/owner/repo/issues/44/timeline')
+        .query({ per_page: 100, page: 1 })
+        .reply(200, page(0, 100), { Link: `${link(2)}; rel="next", ${link(3)}; rel="last"` })
+        .get('/repos/owner/repo/issues/44/timeline')
+        .query({ per_page: 100, page: 3 })
+        .reply(200, [...page(200, 240), { event: 'commented', actor: { login: 'a' } }, ...page(240, 250)])
+        .get('/repos/owner/repo/issues/44/timeline')
+        .query({ per_page: 100, page: 2 })
+        .reply(200, page(100, 200));
+
+      const response = await callTool('get_issue', { repo: 'owner/repo', issueNumber: 44, timeline_limit: 80 }, '/mcp');
+
+      const labels = parseResult(response).timeline.map(e => e.label);
+      expect(labels).toHaveLength(80);
+      expect(labels[0]).toBe('l170');
+      expect(labels[79]).toBe('l249');
+    });
+
+    test('should keep range qualifiers in issue search queries', async () => {
+      nock(GITHUB_API)
+        .get('/search/issues')
+        .query({ q: 'is:issue created:>2025-01-01 comments:>=10 updated:<2025-06-01', per_page: 30, page: 1 })
+        .reply(200, { total_count: 0, incomplete_results: false, items: [] });
+
+      const response = await callTool('search_issues', {
+        query: 'created:>2025-01-01 comments:>=10\tupdated:<2025-06-01'
+      }, '/mcp');
+
+      expect(parseResult(response).total_count).toBe(0);
+      expect(nock.isDone()).toBe(true);
+    });
+
+    test('should scope issue search to repo and prepend is:issue', async () => {
+      nock(GITHUB_API)
+        .get('/search/issues')
+        .query({ q: 'is:issue label:bug timeout repo:owner/repo', per_page: 30, page: 1 })
+        .reply(200, {
+          total_count: 1,
+          incomplete_results: false,
+          items: [{
+            number: 7, title: 'Timeout', state: 'open', labels: [{ name: 'bug' }],
+            repository_url: 'https://api.github.com/repos/owner/repo', user: { login: 'a' }
+          }]
+        });
+
+      const response = await callTool('search_issues', {
+        query: 'label:bug timeout',
+        repo: 'owner/repo'
+      }, '/mcp');
+
+      const data = parseResult(response);
+      expect(data.total_count).toBe(1);
+      expect(data.issues[0]).toMatchObject({ number: 7, repository: 'owner/repo', is_pull_request: false });
+    });
+  });
+
+  test('should create an issue with labels and assignees', async () => {
+    nock(GITHUB_API)
+      .post('/repos/owner/repo/issues', {
+        title: 'Login times out',
+        body: 'Steps to reproduce',
+        labels: ['bug'],
+        assignees: ['octocat']
+      })
+      .reply(201, {
+        number: 42,
+        title: 'Login times out',
+        state: 'open',
+        locked: false,
+        html_url: 'https://github.com/owner/repo/issues/42',
+        labels: [{ name: 'bug' }],
+        assignees: [{ login: 'octocat' }],
+        milestone: null
+      });
+
+    const response = await callTool('create_issue', {
+      repo: 'owner/repo',
+      title: 'Login times out',
+      body: 'Steps to reproduce',
+      labels: ['bug'],
+      assignees: ['octocat']
+    });
+
+    const data = parseResult(response);
+    expect(data.success).toBe(true);
+    expect(data.issue).toMatchObject({ number: 42, labels: ['bug'], assignees: ['octocat'] });
+  });
+
+  test('should post closing comment before closing issue', async () => {
+    const scope = nock(GITHUB_API)
+      .post('/repos/owner/repo/issues/42/comments', { body: 'Fixed in #43' })
+      .reply(201, { id: 99, html_url: 'https://github.com/owner/repo/issues/42#issuecomment-99' })
+      .patch('/repos/owner/repo/issues/42', { state: 'closed', state_reason: 'completed' })
+      .reply(200, { number: 42, state: 'closed', state_reason: 'completed', labels: [], assignees: [] });
+
+    const response = await callTool('close_issue', {
+      repo: 'owner/repo',
+      issueNumber: 42,
+      comment: 'Fixed in #43'
+    });
+
+    const data = parseResult(response);
+    expect(data.comment_id).toBe(99);
+    expect(data.issue.state).toBe('closed');
+    expect(scope.isDone()).toBe(true);
+  });
+
+  test('should report labels that were not on the issue', async () => {
+    nock(GITHUB_API)
+      .delete('/repos/owner/repo/issues/42/labels/bug')
+      .reply(200, [])
+      .delete('/repos/owner/repo/issues/42/labels/needs%20triage')
+      .reply(404, { message: 'Label does not exist' });
+
+    const response = await callTool('remove_issue_labels', {
+      repo: 'owner/repo',
+      issueNumber: 42,
+      labels: ['bug', 'needs triage']
+    });
+
+    const data = parseResult(response);
+    expect(data.removed).toEqual(['bug']);
+    expect(data.missing).toEqual(['needs triage']);
+  });
+
+  test('should reject repositories outside the whitelist', async () => {
+    const response = await callTool('add_issue_comment', {
+      repo: 'other/repo',
+      issueNumber: 1,
+      body: 'Hello'
+    });
+
+    expect(response.body.error.message).toContain('not whitelisted');
+  });
+
+  test('should rate limit writes per repository after validating arguments', async () => {
+    nock(GITHUB_API)
+      .post('/repos/owner/limited/issues/1/comments')
+      .times(10)
+      .reply(201, { id: 1, html_url: 'https://github.com/owner/limited/issues/1#issuecomment-1' });
+
+    // Rejected before the rate limit, so they don't use up the budget
+    for (let i = 0; i < 3; i++) {
+      const invalid = await callTool('update_issue', { repo: 'owner/limited', issueNumber: 1 });
+      expect(invalid.body.error.message).toContain('No fields to update');
+    }
+
+    for (let i = 0; i < 10; i++) {
+      const response = await callTool('add_issue_comment', { repo: 'owner/limited', issueNumber: 1, body: 'ok' });
+      expect(response.body.result).toBeDefined();
+    }
+
+    const limited = await callTool('add_issue_comment', { repo: 'owner/limited', issueNumber: 1, body: 'ok' });
+
+    expect(limited.body.error.code).toBe(-32004);
+    expect(limited.body.error.message).toContain('Issue rate limit exceeded for owner/limited');
+  });
+
+  test('should map missing issues to not found', async () => {
+    nock(GITHUB_API)
+      .put('/repos/owner/repo/issues/404/lock')
+      .reply(404, { message: 'Not Found' });
+
+    const response = await callTool('lock_issue', {
+      repo: 'owner/repo',
+      issueNumber: 404
+    });
+
+    expect(response.body.error.code).toBe(-32002);
+    expect(response.body.error.message).toContain('Issue #404 not found');
+  });
+
+  test('should require write secret path', async () => {
+    const response = await callTool('create_issue', {
+      repo: 'owner/repo',
+      title: 'No secret'
+    }, '/mcp');
+
+    expect(response.body.error.code).toBe(-32000);
+    expect(response.body.error.message).toContain('requires secret path');
+  });
+
+  test('should list issue tools only on the write path', async () => {
+    const listTools = (path) => request(app)
+      .post(path)
+      .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+      .expect(200);
+
+    const writeNames = (await listTools(`/mcp/${MCP_WRITE_SECRET}`)).body.result.tools.map(t => t.name);
+    const readNames = (await listTools('/mcp')).body.result.tools.map(t => t.name);
+
+    expect(writeNames).toContain('create_issue');
+    expect(writeNames).toContain('remove_issue_assignees');
+    expect(readNames).not.toContain('create_issue');
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Integration tests for structured logging
+ * Tests request ID correlation, the jsonrpc_error line and redaction of MCP requests
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Structured Logging', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  // JSON records written through the (mocked) console
+  const logRecords = () =>
+    [...console.log.mock.calls, ...console.error.mock.calls]
+      .map(([line]) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  beforeEach(() => {
+    console.log.mockClear();
+    console.error.mockClear();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should return a generated X-Request-Id and tag records with it', async () => {
+    nock(GITHUB_API)
+      .get('/repos/logs/repo/branches').query({ per_page: 100 })
+      .reply(404, { message: 'Not Found' })
+      .get('/repos/logs/repo')
+      .reply(404, { message: 'Not Found' });
+
+    const response = await request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_branches', arguments: { repo: 'logs/repo' } } })
+      .expect(200);
+
+    const requestId = response.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+
+    const records = logRecords().filter(record => record.request_id === requestId);
+    expect(records.map(record => record.msg)).toEqual(expect.arrayContaining(['MCP request']));
+    expect(records.some(record => record.msg === 'GitHub API error')).toBe(true);
+  });
+
+  test('should keep a client-supplied X-Request-Id', async () => {
+    const response = await request(app)
+      .post('/mcp')
+      .set('X-Request-Id', 'client-abc.1')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/list' })
+      .expect(200);
+
+    expect(response.headers['x-request-id']).toBe('client-abc.1');
+    expect(logRecords().some(record => record.request_id === 'client-abc.1')).toBe(true);
+  });
+
+  test('should log the jsonrpc_error line for tool errors', async () => {
+    nock(GITHUB_API)
+      .get('/repos/logs/missing/branches').query({ per_page: 100 })
+      .reply(404, { message: 'Not Found' })
+      .get('/repos/logs/missing')
+      .reply(404, { message: 'Not Found' });
+
+    await request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_branches', arguments: { repo: 'logs/missing' } } })
+      .expect(200);
+
+    const errorRecord = logRecords().find(record => record.event === 'jsonrpc_error');
+    expect(errorRecord.level).toBe('error');
+    expect(errorRecord.code).toBe(-32002);
+    expect(errorRecord.msg).toMatch(/^jsonrpc_error tool=get_branches code=-32002 repo=logs\/missing pr=- sha=- state=- msg="/);
+  });
+
+  test('should not log tool arguments or request bodies at info level', async () => {
+    await request(app)
+      .post('/mcp')
+      .send({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'tools/call',
+        params: { name: 'get_branches', arguments: { repo: 'not a repo', secret_note: 'do-not-log-me' } }
+      })
+      .expect(200);
+
+    const output = [...console.log.mock.calls, ...console.error.mock.calls].map(([line]) => line).join('\n');
+    expect(output).not.toContain('do-not-log-me');
+    expect(output).not.toContain('test_token_123');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Integration tests for the Prometheus /metrics endpoint
+ * Tests tool call, GitHub request, retry and cache metrics recorded by real requests
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Metrics Endpoint', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const callTool = (name, args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+      .expect(200);
+
+  const scrape = async () => (await request(app).get('/metrics').expect(200)).text;
+
+  // Read a single sample value from the exposition text
+  const sample = (text, series) => {
+    const line = text.split('\n').find(l => l.startsWith(`${series} `));
+    return line ? Number(line.slice(series.length + 1)) : 0;
+  };
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should serve Prometheus text format', async () => {
+    const response = await request(app).get('/metrics').expect(200);
+
+    expect(response.headers['content-type']).toContain('text/plain');
+    expect(response.text).toContain('# TYPE mcp_tool_calls_total counter');
+    expect(response.text).toContain('# TYPE github_cache_hit_ratio gauge');
+  });
+
+  test('should count tool calls, latency and GitHub requests by endpoint template', async () => {
+    const before = await scrape();
+
+    nock(GITHUB_API)
+      .get('/repos/metrics/repo/branches').query({ per_page: 100 })
+      .reply(200, [{ name: 'main', protected: false }])
+      .get('/repos/metrics/repo')
+      .reply(200, { default_branch: 'main' });
+
+    await callTool('get_branches', { repo: 'metrics/repo' });
+    const after = await scrape();
+
+    const calls = 'mcp_tool_calls_total{tool="get_branches"}';
+    const duration = 'mcp_tool_call_duration_seconds_count{tool="get_branches"}';
+    const requests = 'github_api_requests_total{method="GET",endpoint="/repos/{owner}/{repo}/branches",status="200"}';
+
+    expect(sample(after, calls) - sample(before, calls)).toBe(1);
+    expect(sample(after, duration) - sample(before, duration)).toBe(1);
+    expect(sample(after, requests) - sample(before, requests)).toBe(1);
+  });
+
+  test('should count tool errors by JSON-RPC code', async () => {
+    const before = await scrape();
+
+    nock(GITHUB_API)
+      .get('/repos/metrics/missing/branches').query({ per_page: 100 })
+      .reply(404, { message: 'Not Found' })
+      .get('/repos/metrics/missing')
+      .reply(404, { message: 'Not Found' });
+
+    await callTool('get_branches', { repo: 'metrics/missing' });
+    await callTool('get_branches', {});
+    const after = await scrape();
+
+    const notFound = 'mcp_tool_errors_total{tool="get_branches",code="-32002"}';
+    const invalid = 'mcp_tool_errors_total{tool="get_branches",code="-32602"}';
+
+    expect(sample(after, notFound) - sample(before, notFound)).toBe(1);
+    expect(sample(after, invalid) - sample(before, invalid)).toBe(1);
+  });
+
+  test('should label unknown tool names as unknown', async () => {
+    const before = await scrape();
+
+    await callTool('made-up-tool-1', {});
+    await callTool('made-up-tool-2', {});
+    const after = await scrape();
+
+    const unknown = 'mcp_tool_calls_total{tool="unknown"}';
+    expect(sample(after, unknown) - sample(before, unknown)).toBe(2);
+    expect(after).not.toContain('made-up-tool');
+  });
+
+  test('should count retries and every attempt', async () => {
+    const before = await scrape();
+
+    nock(GITHUB_API)
+      .get('/repos/metrics/flaky')
+      .reply(502, { message: 'Bad Gateway' })
+      .get('/repos/metrics/flaky')
+      .reply(200, { full_name: 'metrics/flaky', default_branch: 'main' })
+      .get('/repos/metrics/flaky/readme')
+      .reply(404, { message: 'Not Found' });
+
+    await callTool('fetch', { repo: 'metrics/flaky' });
+    const after = await scrape();
+
+    const retries = 'github_api_retries_total{endpoint="/repos/{owner}/{repo}"}';
+    const failed = 'github_api_requests_total{method="GET",endpoint="/repos/{owner}/{repo}",status="502"}';
+
+    expect(sample(after, retries) - sample(before, retries)).toBe(1);
+    expect(sample(after, failed) - sample(before, failed)).toBe(1);
+  });
+
+  test('should track ETag cache hits and misses', async () => {
+    nock(GITHUB_API)
+      .get('/repos/metrics/cached/branches').query({ per_page: 100 })
+      .reply(200, [], { ETag: '"b1"' })
+      .get('/repos/metrics/cached')
+      .reply(200, { default_branch: 'main' }, { ETag: '"r1"' });
+
+    await callTool('get_branches', { repo: 'metrics/cached' });
+    const before = await scrape();
+
+    nock(GITHUB_API)
+      .get('/repos/metrics/cached/branches').query({ per_page: 100 })
+      .reply(304)
+      .get('/repos/metrics/cached')
+      .reply(304);
+
+    await callTool('get_branches', { repo: 'metrics/cached' });
+    const after = await scrape();
+
+    const hits = 'github_cache_lookups_total{result="hit"}';
+    expect(sample(after, hits) - sample(before, hits)).toBe(2);
+    expect(sample(after, 'github_cache_hit_ratio')).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Integration tests for the get_pull_request_diff tool
+ * Tests hunk numbering, glob filtering across file pages, pagination,
+ * omitted patches and the patch budget
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('get_pull_request_diff tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const BASE_SHA = 'a'.repeat(40);
+  const HEAD_SHA = 'b'.repeat(40);
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_pull_request_diff', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const prPayload = {
+    number: 7,
+    html_url: 'https://github.com/octo/repo/pull/7',
+    base: { sha: BASE_SHA },
+    head: { sha: HEAD_SHA },
+    changed_files: 3
+  };
+
+  const TWO_HUNK_PATCH = [
+    '@@ -1,3 +1,4 @@',
+    ' const a = 1;',
+    '+const b = 2;',
+    ' const c = 3;',
+    ' ',
+    '@@ -20 +21,2 @@ function main() {',
+    '-  run();',
+    '+  run(a);',
+    '+  run(b);'
+  ].join('\n');
+
+  const file = (filename, extra = {}) => ({
+    filename,
+    status: 'modified',
+    additions: 1,
+    deletions: 0,
+    changes: 1,
+    patch: '@@ -1 +1 @@\n-old\n+new',
+    ...extra
+  });
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should split patches into numbered hunks with line ranges', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/pulls/7')
+      .reply(200, prPayload)
+      .get('/repos/octo/repo/pulls/7/files')
+      .query({ per_page: 100, page: 1 })
+      .reply(200, [file('src/app.js', { additions: 3, deletions: 1, changes: 4, patch: TWO_HUNK_PATCH })]);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', prNumber: 7 }));
+
+    expect(data).toMatchObject({ number: 7, base_sha: BASE_SHA, head_sha: HEAD_SHA, changed_files: 3, has_more: false });
+    const hunks = data.files[0].hunks;
+    expect(hunks).toHaveLength(2);
+    expect(hunks[0]).toEqual({
+      index: 1,
+      header: '@@ -1,3 +1,4 @@',
+      section: null,
+      old_start: 1,
+      old_lines: 3,
+      new_start: 1,
+      new_lines: 4,
+      patch: '@@ -1,3 +1,4 @@\n const a = 1;\n+const b = 2;\n const c = 3;\n '
+    });
+    expect(hunks[1]).toMatchObject({
+      index: 2,
+      section: 'function main() {',
+      old_start: 20,
+      old_lines: 1,
+      new_start: 21,
+      new_lines: 2
+    });
+    expect(hunks.map(h => h.patch).join('\n')).toBe(TWO_HUNK_PATCH);
+  });
+
+  test('should filter by glob across GitHub pages and page the matches', async () => {
+    const firstPage = Array.from({ length: 100 }, (_, i) => file(i % 2 === 0 ? `src/file${i}.js` : `docs/file${i}.md`));
+    const secondPage = [
+      file('src/last.js'),
+      file('lib/renamed.ts', { status: 'renamed', previous_filename: 'src/old.js' })
+    ];
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/pulls/7')
+      .reply(200, prPayload)
+      .get('/repos/octo/repo/pulls/7/files')
+      .query({ per_page: 100, page: 1 })
+      .reply(200, firstPage)
+      .get('/repos/octo/repo/pulls/7/files')
+      .query({ per_page: 100, page: 2 })
+      .reply(200, secondPage);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', prNumber: 7, glob: 'src/**/*.js', page: 2, per_page: 40 }));
+
+    expect(data.files.map(f => f.filename)).toEqual([
+      'src/file80.js', 'src/file82.js', 'src/file84.js', 'src/file86.js', 'src/file88.js',
+      'src/file90.js', 'src/file92.js', 'src/file94.js', 'src/file96.js', 'src/file98.js',
+      'src/last.js', 'lib/renamed.ts'
+    ]);
+    expect(data.files[11].previous_filename).toBe('src/old.js');
+    expect(data.has_more).toBe(false);
+  });
+
+  test('should stop fetching files once the page is full', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/pulls/7')
+      .reply(200, prPayload)
+      .get('/repos/octo/repo/pulls/7/files')
+      .query({ per_page: 100, page: 1 })
+      .reply(200, Array.from({ length: 100 }, (_, i) => file(`src/file${i}.js`)));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', prNumber: 7, per_page: 10 }));
+
+    expect(data.files).toHaveLength(10);
+    expect(data.has_more).toBe(true);
+    expect(nock.isDone()).toBe(true);
+  });
+
+  test('should mark files whose patch GitHub omitted', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/pulls/7')
+      .reply(200, prPayload)
+      .get('/repos/octo/repo/pulls/7/files')
+      .query({ per_page: 100, page: 1 })
+      .reply(200, [
+        file('dist/bundle.js', { additions: 50000, changes: 50000, patch: undefined }),
+        file('assets/logo.png', { status: 'added', additions: 0, changes: 0, patch: undefined }),
+        file('src/moved.js', { status: 'renamed', previous_filename: 'src/old.js', additions: 0, changes: 0, patch: undefined })
+      ]);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', prNumber: 7 }));
+
+    expect(data.files[0]).toMatchObject({ patch_omitted: 'too_large', url: 'https://github.com/octo/repo/pull/7/files', hunks: [] });
+    expect(data.files[1]).toMatchObject({ patch_omitted: 'unavailable', hunks: [] });
+    expect(data.files[2].patch_omitted).toBeUndefined();
+  });
+
+  test('should keep only hunk headers once the patch budget is spent', async () => {
+    const bigPatch = `@@ -1,2 +1,2 @@\n-${'x'.repeat(1500)}\n+${'y'.repeat(1500)}`;
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/pulls/7')
+      .reply(200, prPayload)
+      .get('/repos/octo/repo/pulls/7/files')
+      .query({ per_page: 100, page: 1 })
+      .reply(200, [file('a.js', { patch: bigPatch }), file('b.js', { patch: bigPatch })]);
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', prNumber: 7, max_total_patch_bytes: 4000 }));
+
+    expect(data.files[0].hunks[0].patch).toBe(bigPatch);
+    expect(data.files[1].patch_omitted).toBe('budget');
+    expect(data.files[1].hunks).toEqual([
+      { index: 1, header: '@@ -1,2 +1,2 @@', section: null, old_start: 1, old_lines: 2, new_start: 1, new_lines: 2 }
+    ]);
+  });
+
+  test('should map missing pull requests to not found errors', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/pulls/404')
+      .reply(404, { message: 'Not Found' });
+
+    const response = await callTool({ repo: 'octo/repo', prNumber: 404 });
+
+    expect(response.body.error.code).toBe(-32002);
+    expect(response.body.error.message).toContain('Pull request #404 not found in octo/repo');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Integration tests for MCP prompts
+ * Tests prompts/list and prompts/get with live data from the GitHub API
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Prompts Integration', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const rpc = (method, params) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method, params })
+      .expect(200);
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+  });
+
+  test('should advertise the prompts capability', async () => {
+    const response = await rpc('initialize', {});
+
+    expect(response.body.result.capabilities.prompts).toEqual({});
+  });
+
+  test('should list prompts with their arguments', async () => {
+    const response = await rpc('prompts/list', {});
+
+    const reviewPrompt = response.body.result.prompts.find(p => p.name === 'review_pr');
+    expect(reviewPrompt.arguments).toEqual([
+      { name: 'repo', description: 'Repository in owner/repo format', required: true },
+      { name: 'number', description: 'Pull request number', required: true }
+    ]);
+  });
+
+  test('should render onboarding prompt with repository data', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo')
+      .reply(200, {
+        full_name: 'owner/repo', name: 'repo', description: 'A demo project', stargazers_count: 3,
+        language: 'JavaScript', created_at: '2024-01-01T00:00:00Z', html_url: 'https://github.com/owner/repo',
+        owner: { login: 'owner' }
+      })
+      .get('/repos/owner/repo/readme')
+      .reply(200, 'Demo README');
+
+    const response = await rpc('prompts/get', { name: 'onboard_repo', arguments: { repo: 'owner/repo' } });
+
+    const [message] = response.body.result.messages;
+    expect(message.role).toBe('user');
+    expect(message.content.text).toContain('Onboard me to owner/repo.');
+    expect(message.content.text).toContain('A demo project');
+    expect(message.content.text).not.toContain('${');
+  });
+
+  test('should render safe merge prompt with PR and mergeability data', async () => {
+    const pr = {
+      number: 7, title: 'Add feature', body: 'Details', state: 'open', draft: false,
+      head: { ref: 'feature', sha: 'abc1234def', repo: { full_name: 'owner/repo' } },
+      base: { ref: 'main', sha: 'base123', repo: { full_name: 'owner/repo' } },
+      user: { login: 'dev' }, assignees: [], requested_reviewers: [], labels: [], milestone: null,
+      mergeable: true, mergeable_state: 'clean',
+      html_url: 'https://github.com/owner/repo/pull/7'
+    };
+
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/pulls/7').times(2)
+      .reply(200, pr)
+      .get('/repos/owner/repo/pulls/7/commits').query(true)
+      .reply(200, [])
+      .get('/repos/owner/repo/pulls/7/files').query(true)
+      .reply(200, [])
+      .get('/repos/owner/repo/pulls/7/reviews').query(true)
+      .reply(200, [])
+      .get('/repos/owner/repo/commits/abc1234def/status')
+      .reply(200, { state: 'success', statuses: [] })
+      .get('/repos/owner/repo/commits/abc1234def/check-runs')
+      .reply(200, { check_runs: [] });
+
+    const response = await rpc('prompts/get', { name: 'safe_merge', arguments: { repo: 'owner/repo', number: '#7' } });
+
+    const text = response.body.result.messages[0].content.text;
+    expect(text).toContain('Prepare a safe merge of owner/repo#7.');
+    expect(text).toContain('"head_sha": "abc1234def"');
+    expect(text).toContain('"title": "Add feature"');
+  });
+
+  test('should reject unknown prompts', async () => {
+    const response = await rpc('prompts/get', { name: 'nope', arguments: {} });
+
+    expect(response.body.error.code).toBe(-32602);
+    expect(response.body.error.message).toContain('Unknown prompt: nope');
+  });
+
+  test('should reject missing required arguments', async () => {
+    const response = await rpc('prompts/get', { name: 'review_pr', arguments: { repo: 'owner/repo' } });
+
+    expect(response.body.error.code).toBe(-32602);
+    expect(response.body.error.message).toContain("'number' is required");
+  });
+
+  test('should reject non-numeric PR numbers', async () => {
+    const response = await rpc('prompts/get', { name: 'review_pr', arguments: { repo: 'owner/repo', number: 'abc' } });
+
+    expect(response.body.error.code).toBe(-32602);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * Integration tests for the GitHub rate limit governor
+ * Tests -32004 errors with reset info, the get_rate_limit tool and /health quota reporting
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('GitHub Rate Limits', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const callTool = (name, args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+      .expect(200);
+
+  // Reset times in the past keep the shared governor from blocking later tests
+  const epoch = (offsetSeconds) => Math.floor(Date.now() / 1000) + offsetSeconds;
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should map an exhausted quota 403 to -32004 with the reset time', async () => {
+    const reset = epoch(-1);
+
+    nock(GITHUB_API)
+      .get('/repos/limit/repo/branches').query({ per_page: 100 })
+      .reply(403, { message: 'API rate limit exceeded' }, {
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': '0',
+        'x-ratelimit-used': '5000',
+        'x-ratelimit-reset': String(reset),
+        'x-ratelimit-resource': 'core'
+      })
+      .get('/repos/limit/repo')
+      .reply(200, { default_branch: 'main' });
+
+    const response = await callTool('get_branches', { repo: 'limit/repo' });
+
+    expect(response.body.error.code).toBe(-32004);
+    expect(response.body.error.message).toContain('GitHub rate limit exceeded (core)');
+    expect(response.body.error.data.rate_limit).toMatchObject({
+      resource: 'core',
+      reset_at: new Date(reset * 1000).toISOString()
+    });
+  });
+
+  test('should not report ordinary 403s as rate limits', async () => {
+    nock(GITHUB_API)
+      .get('/repos/limit/private/branches').query({ per_page: 100 })
+      .reply(403, { message: 'Resource not accessible by integration' }, {
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': '4000',
+        'x-ratelimit-reset': String(epoch(3600))
+      })
+      .get('/repos/limit/private')
+      .reply(200, { default_branch: 'main' });
+
+    const response = await callTool('get_branches', { repo: 'limit/private' });
+
+    expect(response.body.error.code).not.toBe(-32004);
+    expect(response.body.error.data.rate_limit).toBeUndefined();
+  });
+
+  test('should return quota per resource from get_rate_limit', async () => {
+    nock(GITHUB_API)
+      .get('/rate_limit')
+      .reply(200, {
+        resources: {
+          core: { limit: 5000, remaining: 4321, used: 679, reset: epoch(1800) },
+          search: { limit: 30, remaining: 30, used: 0, reset: epoch(60) },
+          graphql: { limit: 5000, remaining: 4999, used: 1, reset: epoch(1800) }
+        }
+      });
+
+    const response = await callTool('get_rate_limit', {});
+    const data = JSON.parse(response.body.result.content[0].text);
+
+    expect(data.resources.core).toMatchObject({ limit: 5000, remaining: 4321, throttled: false });
+    expect(data.resources.search).toMatchObject({ limit: 30, remaining: 30 });
+    expect(data.resources.graphql.reset_at).toBeDefined();
+    expect(data.low_watermark).toBe(100);
+  });
+
+  test('should report GitHub quota in /health', async () => {
+    const response = await request(app).get('/health').expect(200);
+
+    expect(response.body.capabilities.github_rate_limit).toHaveProperty('resources');
+    expect(response.body.capabilities.github_rate_limit).toHaveProperty('low_watermark');
+  });
+});
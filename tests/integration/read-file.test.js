@@ -0,0 +1,153 @@
+/**
+ * Integration tests for the read_file tool
+ * Tests whole-file reads, numbered line ranges, the git blob fallback for
+ * large files and binary detection
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('read_file tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'read_file', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const fileEntry = (text, extra = {}) => ({
+    type: 'file',
+    path: 'src/app.js',
+    sha: 'f'.repeat(40),
+    size: Buffer.byteLength(text),
+    encoding: 'base64',
+    content: Buffer.from(text).toString('base64').replace(/(.{60})/g, '$1\n'),
+    ...extra
+  });
+
+  const lines = (count) => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should return small files whole with size, SHA and line count', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/src/app.js').query({ ref: 'main' })
+      .reply(200, fileEntry('const a = 1;\r\nconst b = 2;\n'));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main' }));
+
+    expect(data).toMatchObject({
+      path: 'src/app.js',
+      branch: 'main',
+      sha: 'f'.repeat(40),
+      size: 27,
+      binary: false,
+      total_lines: 2,
+      content: 'const a = 1;\r\nconst b = 2;\n',
+      numbered: false,
+      url: 'https://github.com/octo/repo/blob/main/src/app.js'
+    });
+  });
+
+  test('should return a numbered line range with paging info', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/src/app.js').query({ ref: 'main' })
+      .reply(200, fileEntry(lines(10)));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main', start_line: 3, end_line: 5 }));
+
+    expect(data.content).toBe('3\tline 3\n4\tline 4\n5\tline 5');
+    expect(data).toMatchObject({ numbered: true, start_line: 3, end_line: 5, total_lines: 10, truncated: false, next_start_line: 6 });
+  });
+
+  test('should cap a read at 2000 lines', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/src/app.js').query({ ref: 'main' })
+      .reply(200, fileEntry(lines(2500)));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main', start_line: 1 }));
+
+    expect(data).toMatchObject({ start_line: 1, end_line: 2000, total_lines: 2500, truncated: true, next_start_line: 2001 });
+    expect(data.content.split('\n')).toHaveLength(2000);
+  });
+
+  test('should fall back to the git blob API for files over 1MB and number their lines', async () => {
+    const text = lines(3);
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/src/app.js').query({ ref: 'v2.0.0' })
+      .reply(200, { type: 'file', path: 'src/app.js', sha: 'b'.repeat(40), size: 2 * 1024 * 1024, encoding: 'none', content: '' })
+      .get(`/repos/octo/repo/git/blobs/${'b'.repeat(40)}`)
+      .reply(200, { encoding: 'base64', content: Buffer.from(text).toString('base64') });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'src/app.js', ref: 'v2.0.0' }));
+
+    expect(data).toMatchObject({ size: 2 * 1024 * 1024, numbered: true, start_line: 1, end_line: 3, total_lines: 3, next_start_line: null });
+    expect(data.content).toBe('1\tline 1\n2\tline 2\n3\tline 3');
+  });
+
+  test('should describe binary files instead of returning them', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/assets/logo.png').query({ ref: 'main' })
+      .reply(200, {
+        type: 'file',
+        path: 'assets/logo.png',
+        sha: 'c'.repeat(40),
+        size: 8,
+        encoding: 'base64',
+        content: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x00]).toString('base64')
+      });
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'assets/logo.png', branch: 'main' }));
+
+    expect(data).toMatchObject({ binary: true, content: null, size: 8, sha: 'c'.repeat(40), message: 'Binary file (8 bytes) not shown' });
+  });
+
+  test('should fall back to master when main does not exist', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/README.md').query({ ref: 'main' })
+      .reply(404, { message: 'Not Found' })
+      .get('/repos/octo/repo/contents/README.md').query({ ref: 'master' })
+      .reply(200, fileEntry('# Repo\n', { path: 'README.md' }));
+
+    const data = parseResult(await callTool({ repo: 'octo/repo', path: 'README.md', branch: 'main' }));
+
+    expect(data).toMatchObject({ branch: 'master', content: '# Repo\n', url: 'https://github.com/octo/repo/blob/master/README.md' });
+  });
+
+  test('should reject a start_line past the end of the file', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/src/app.js').query({ ref: 'main' })
+      .reply(200, fileEntry(lines(3)));
+
+    const response = await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main', start_line: 10 });
+
+    expect(response.body.error.code).toBe(-32003);
+    expect(response.body.error.message).toContain('past the end of the file (3 lines)');
+  });
+
+  test('should reject an end_line before start_line', async () => {
+    const response = await callTool({ repo: 'octo/repo', path: 'src/app.js', branch: 'main', start_line: 5, end_line: 2 });
+
+    expect(response.body.error.code).toBe(-32003);
+  });
+
+  test('should reject directories', async () => {
+    nock(GITHUB_API)
+      .get('/repos/octo/repo/contents/src').query({ ref: 'main' })
+      .reply(200, [{ type: 'file', name: 'app.js', path: 'src/app.js' }]);
+
+    const response = await callTool({ repo: 'octo/repo', path: 'src', branch: 'main' });
+
+    expect(response.body.error.message).toContain('src is not a file');
+  });
+});
@@ -0,0 +1,231 @@
+/**
+ * Integration tests for release and tag tools
+ * Tests release/tag reads, draft-by-default releases, annotated tags,
+ * write gating (write secret, whitelist, rate limit) and audit logging
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Release Tools Integration', () => {
+  let app;
+  let auditDir;
+  let auditLogPath;
+  const GITHUB_API = 'https://api.github.com';
+  const MCP_WRITE_SECRET = 'test_secret_123';
+  const SHA = 'c'.repeat(40);
+
+  const callTool = (name, args, urlPath = `/mcp/${MCP_WRITE_SECRET}`) =>
+    request(app)
+      .post(urlPath)
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const auditActions = () => fs.existsSync(auditLogPath)
+    ? fs.readFileSync(auditLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line).action)
+    : [];
+
+  const release = (extra = {}) => ({
+    id: 7,
+    tag_name: 'v2.3.0',
+    name: 'v2.3.0',
+    draft: false,
+    prerelease: false,
+    target_commitish: 'main',
+    author: { login: 'releaser' },
+    created_at: '2025-03-01T00:00:00Z',
+    published_at: '2025-03-02T00:00:00Z',
+    html_url: 'https://github.com/owner/repo/releases/tag/v2.3.0',
+    body: '## What changed\n- Faster builds',
+    assets: [{ id: 1, name: 'app.zip', content_type: 'application/zip', size: 1024, download_count: 3, updated_at: '2025-03-02T00:00:00Z', browser_download_url: 'https://github.com/owner/repo/releases/download/v2.3.0/app.zip' }],
+    ...extra
+  });
+
+  beforeAll(() => {
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'release-audit-'));
+    auditLogPath = path.join(auditDir, 'audit.log');
+    process.env.MCP_WRITE_SECRET = MCP_WRITE_SECRET;
+    process.env.RELEASES_ENABLED = 'true';
+    process.env.PR_WHITELIST = 'owner/repo,owner/limited';
+    process.env.PR_AUDIT_LOG = auditLogPath;
+
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    fs.rmSync(auditLogPath, { force: true });
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+    fs.rmSync(auditDir, { recursive: true, force: true });
+    delete process.env.RELEASES_ENABLED;
+    delete process.env.PR_WHITELIST;
+    delete process.env.PR_AUDIT_LOG;
+  });
+
+  describe('read tools', () => {
+    test('should list releases', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/releases').query({ per_page: 2, page: 1 })
+        .reply(200, [release(), release({ id: 6, tag_name: 'v2.2.0', draft: true, published_at: null, assets: [] })]);
+
+      const data = parseResult(await callTool('list_releases', { repo: 'owner/repo', per_page: 2 }, '/mcp'));
+
+      expect(data.releases.map(r => [r.tag_name, r.draft, r.assets])).toEqual([['v2.3.0', false, 1], ['v2.2.0', true, 0]]);
+      expect(data.has_more).toBe(true);
+    });
+
+    test('should get a release by tag with notes and assets', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/releases/tags/v2.3.0')
+        .reply(200, release());
+
+      const data = parseResult(await callTool('get_release', { repo: 'owner/repo', tag: 'v2.3.0' }, '/mcp'));
+
+      expect(data).toMatchObject({ id: 7, tag_name: 'v2.3.0', author: 'releaser', body: '## What changed\n- Faster builds' });
+      expect(data.assets).toEqual([{
+        id: 1,
+        name: 'app.zip',
+        label: null,
+        content_type: 'application/zip',
+        size: 1024,
+        download_count: 3,
+        updated_at: '2025-03-02T00:00:00Z',
+        url: 'https://github.com/owner/repo/releases/download/v2.3.0/app.zip'
+      }]);
+    });
+
+    test('should get the latest release when no tag or ID is given', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/releases/latest')
+        .reply(200, release());
+
+      const data = parseResult(await callTool('get_release', { repo: 'owner/repo' }, '/mcp'));
+
+      expect(data.tag_name).toBe('v2.3.0');
+    });
+
+    test('should map missing releases to not found', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/releases/tags/v9.9.9')
+        .reply(404, { message: 'Not Found' });
+
+      const response = await callTool('get_release', { repo: 'owner/repo', tag: 'v9.9.9' }, '/mcp');
+
+      expect(response.body.error.code).toBe(-32002);
+      expect(response.body.error.message).toContain('Release for tag v9.9.9 not found');
+    });
+
+    test('should list tags with their commits', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/tags').query({ per_page: 30, page: 1 })
+        .reply(200, [{ name: 'v2.3.0', commit: { sha: SHA } }]);
+
+      const data = parseResult(await callTool('list_tags', { repo: 'owner/repo' }, '/mcp'));
+
+      expect(data.tags).toEqual([{ name: 'v2.3.0', sha: SHA, url: 'https://github.com/owner/repo/releases/tag/v2.3.0' }]);
+      expect(data.has_more).toBe(false);
+    });
+  });
+
+  describe('write tools', () => {
+    test('should create releases as drafts by default and audit them', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/releases', {
+          tag_name: 'v2.4.0',
+          draft: true,
+          prerelease: false,
+          generate_release_notes: true,
+          target_commitish: 'main',
+          name: 'Version 2.4'
+        })
+        .reply(201, release({ id: 8, tag_name: 'v2.4.0', name: 'Version 2.4', draft: true, published_at: null, assets: [] }));
+
+      const data = parseResult(await callTool('create_release', {
+        repo: 'owner/repo',
+        tag_name: 'v2.4.0',
+        target_commitish: 'main',
+        name: 'Version 2.4',
+        generate_release_notes: true
+      }));
+
+      expect(data).toMatchObject({ success: true, release: { id: 8, draft: true } });
+      expect(data.message).toContain('Draft release');
+      expect(auditActions()).toEqual(['RELEASE_CREATE_ATTEMPT', 'RELEASE_CREATED']);
+    });
+
+    test('should audit failed releases and map validation errors', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/releases')
+        .reply(422, { message: 'Validation Failed', errors: [{ resource: 'Release', code: 'already_exists', field: 'tag_name' }] });
+
+      const response = await callTool('create_release', { repo: 'owner/repo', tag_name: 'v2.3.0', draft: false });
+
+      expect(response.body.error.code).toBe(-32003);
+      expect(response.body.error.message).toContain('already_exists');
+      expect(auditActions()).toEqual(['RELEASE_CREATE_ATTEMPT', 'RELEASE_CREATE_FAILED']);
+    });
+
+    test('should create an annotated tag at a resolved branch', async () => {
+      nock(GITHUB_API)
+        .get('/repos/owner/repo/commits/release%2F2.4')
+        .matchHeader('Accept', 'application/vnd.github.sha')
+        .reply(200, SHA, { 'Content-Type': 'text/plain' })
+        .post('/repos/owner/repo/git/tags', { tag: 'v2.4.0', message: 'Release 2.4', object: SHA, type: 'commit' })
+        .reply(201, { sha: 't'.repeat(40) })
+        .post('/repos/owner/repo/git/refs', { ref: 'refs/tags/v2.4.0', sha: 't'.repeat(40) })
+        .reply(201, { ref: 'refs/tags/v2.4.0' });
+
+      const data = parseResult(await callTool('create_tag', { repo: 'owner/repo', tag: 'v2.4.0', ref: 'release/2.4', message: 'Release 2.4' }));
+
+      expect(data).toMatchObject({ success: true, tag: 'v2.4.0', sha: SHA, annotated: true, tag_object_sha: 't'.repeat(40) });
+      expect(auditActions()).toEqual(['TAG_CREATE_ATTEMPT', 'TAG_CREATED']);
+    });
+
+    test('should create a lightweight tag at a SHA', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/git/refs', { ref: 'refs/tags/v2.4.1', sha: SHA })
+        .reply(201, { ref: 'refs/tags/v2.4.1' });
+
+      const data = parseResult(await callTool('create_tag', { repo: 'owner/repo', tag: 'v2.4.1', sha: SHA }));
+
+      expect(data).toMatchObject({ annotated: false, tag_object_sha: null });
+    });
+
+    test('should reject repositories outside the whitelist', async () => {
+      const response = await callTool('create_tag', { repo: 'other/repo', tag: 'v1', sha: SHA });
+
+      expect(response.body.error.message).toContain('not whitelisted');
+    });
+
+    test('should rate limit writes per repository', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/limited/git/refs')
+        .times(5)
+        .reply(201, { ref: 'refs/tags/v1' });
+
+      for (let i = 0; i < 5; i++) {
+        const response = await callTool('create_tag', { repo: 'owner/limited', tag: `v1.0.${i}`, sha: SHA });
+        expect(response.body.result).toBeDefined();
+      }
+
+      const limited = await callTool('create_tag', { repo: 'owner/limited', tag: 'v1.0.5', sha: SHA });
+
+      expect(limited.body.error.code).toBe(-32004);
+      expect(limited.body.error.message).toContain('Release rate limit exceeded for owner/limited');
+    });
+
+    test('should require write secret path', async () => {
+      const response = await callTool('create_release', { repo: 'owner/repo', tag_name: 'v2.4.0' }, '/mcp');
+
+      expect(response.body.error.code).toBe(-32000);
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Integration tests for MCP resources
+ * Tests resources/list, resources/templates/list and resources/read over /mcp and /sse
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Resources Integration', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const encode = (text) => Buffer.from(text).toString('base64');
+
+  const rpc = (method, params, path = '/mcp') =>
+    request(app)
+      .post(path)
+      .send({ jsonrpc: '2.0', id: 1, method, params })
+      .expect(200);
+
+  beforeAll(() => {
+    process.env.RESOURCE_REPOS = 'owner/repo';
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+    delete process.env.RESOURCE_REPOS;
+  });
+
+  test('should list resource templates', async () => {
+    const response = await rpc('resources/templates/list', {});
+
+    const templates = response.body.result.resourceTemplates.map(t => t.uriTemplate);
+    expect(templates).toEqual([
+      'github://{owner}/{repo}/blob/{ref}/{path}',
+      'github://{owner}/{repo}/tree/{ref}'
+    ]);
+  });
+
+  test('should list the default-branch tree of configured repositories', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo')
+      .reply(200, { full_name: 'owner/repo', default_branch: 'develop', description: 'Demo' });
+
+    const response = await rpc('resources/list', {});
+
+    expect(response.body.result.resources).toEqual([{
+      uri: 'github://owner/repo/tree/develop',
+      name: 'owner/repo (develop)',
+      description: 'Demo',
+      mimeType: 'application/json'
+    }]);
+  });
+
+  test('should read a text file with its MIME type', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/contents/docs/guide.md')
+      .query({ ref: 'main' })
+      .reply(200, { type: 'file', encoding: 'base64', content: encode('# Guide\n'), sha: 'abc' });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/blob/main/docs/guide.md' });
+
+    expect(response.body.result.contents).toEqual([{
+      uri: 'github://owner/repo/blob/main/docs/guide.md',
+      mimeType: 'text/markdown',
+      text: '# Guide\n'
+    }]);
+  });
+
+  test('should return JSON files byte for byte', async () => {
+    const json = '{"b":1,  "a":[1,2]}\n';
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/contents/package.json')
+      .query({ ref: 'main' })
+      .reply(200, { type: 'file', encoding: 'base64', content: encode(json), sha: 'abc' });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/blob/main/package.json' });
+
+    expect(response.body.result.contents[0]).toEqual({
+      uri: 'github://owner/repo/blob/main/package.json',
+      mimeType: 'application/json',
+      text: json
+    });
+  });
+
+  test('should detect binary content regardless of extension', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/contents/data.txt')
+      .query({ ref: 'main' })
+      .reply(200, { type: 'file', encoding: 'base64', content: Buffer.from([0x00, 0xff, 0x10]).toString('base64'), sha: 'abc' });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/blob/main/data.txt' });
+
+    expect(response.body.result.contents[0]).toEqual({
+      uri: 'github://owner/repo/blob/main/data.txt',
+      mimeType: 'application/octet-stream',
+      blob: 'AP8Q'
+    });
+  });
+
+  test('should read a binary file as a base64 blob', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/contents/logo.png')
+      .query({ ref: 'v1.0.0' })
+      .reply(200, { type: 'file', encoding: 'base64', content: 'iVBO\nRw0K', sha: 'abc' });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/blob/v1.0.0/logo.png' }, '/sse');
+
+    expect(response.body.result.contents[0]).toEqual({
+      uri: 'github://owner/repo/blob/v1.0.0/logo.png',
+      mimeType: 'image/png',
+      blob: 'iVBORw0K'
+    });
+  });
+
+  test('should fall back to the blob API for large binary files', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/contents/big.zip')
+      .query({ ref: 'main' })
+      .reply(200, { type: 'file', encoding: 'none', content: '', sha: 'deadbeef' })
+      .get('/repos/owner/repo/git/blobs/deadbeef')
+      .reply(200, { encoding: 'base64', content: 'UEsD\nBBQ=' });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/blob/main/big.zip' });
+
+    expect(response.body.result.contents[0].blob).toBe('UEsDBBQ=');
+  });
+
+  test('should read a tree as JSON', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/commits/main')
+      .reply(200, { sha: 'c0ffee', commit: { tree: { sha: 'tree123' } } })
+      .get('/repos/owner/repo/git/trees/tree123')
+      .query({ recursive: 1 })
+      .reply(200, { tree: [{ path: 'README.md', type: 'blob', size: 8 }] });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/tree/main' });
+
+    const [content] = response.body.result.contents;
+    expect(content.mimeType).toBe('application/json');
+    expect(JSON.parse(content.text)).toMatchObject({
+      ref: 'main',
+      sha: 'c0ffee',
+      tree: [{ path: 'README.md', type: 'blob', size: 8 }]
+    });
+  });
+
+  test('should read the tree of a tag', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/commits/v1.2.0')
+      .reply(200, { sha: 'beef01', commit: { tree: { sha: 'tree456' } } })
+      .get('/repos/owner/repo/git/trees/tree456')
+      .query({ recursive: 1 })
+      .reply(200, { tree: [{ path: 'CHANGELOG.md', type: 'blob', size: 12 }] });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/tree/v1.2.0' });
+
+    expect(JSON.parse(response.body.result.contents[0].text)).toMatchObject({
+      ref: 'v1.2.0',
+      sha: 'beef01',
+      tree: [{ path: 'CHANGELOG.md', type: 'blob', size: 12 }]
+    });
+  });
+
+  test('should not fall back from main to master for trees', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/commits/main')
+      .reply(404, { message: 'No commit found for SHA: main' });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/tree/main' });
+
+    expect(response.body.error.code).toBe(-32002);
+  });
+
+  test('should reject invalid URIs with invalid params', async () => {
+    const response = await rpc('resources/read', { uri: 'https://example.com/file' });
+
+    expect(response.body.error.code).toBe(-32602);
+    expect(response.body.error.message).toContain('Invalid resource URI');
+  });
+
+  test('should map missing files to not found', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/contents/missing.txt')
+      .query({ ref: 'dev' })
+      .reply(404, { message: 'Not Found' });
+
+    const response = await rpc('resources/read', { uri: 'github://owner/repo/blob/dev/missing.txt' });
+
+    expect(response.body.error.code).toBe(-32002);
+  });
+});
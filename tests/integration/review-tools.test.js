@@ -0,0 +1,381 @@
+/**
+ * Integration tests for PR review write tools
+ * Tests reviews with inline and suggestion comments, replies, thread
+ * resolution over GraphQL, gating (write secret, flag, whitelist, rate limit) and audit logging
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const nock = require('nock');
+
+describe('PR Review Tools Integration', () => {
+  let app;
+  let auditDir;
+  let auditLogPath;
+  const GITHUB_API = 'https://api.github.com';
+  const MCP_WRITE_SECRET = 'test_secret_123';
+  const HEAD_SHA = 'a'.repeat(40);
+
+  const callTool = (name, args, urlPath = `/mcp/${MCP_WRITE_SECRET}`) =>
+    request(app)
+      .post(urlPath)
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  const auditEntries = () => fs.existsSync(auditLogPath)
+    ? fs.readFileSync(auditLogPath, 'utf8').trim().split('\n').map(line => JSON.parse(line))
+    : [];
+
+  beforeAll(() => {
+    auditDir = fs.mkdtempSync(path.join(os.tmpdir(), 'review-audit-'));
+    auditLogPath = path.join(auditDir, 'audit.log');
+    process.env.MCP_WRITE_SECRET = MCP_WRITE_SECRET;
+    process.env.PR_REVIEW_ENABLED = 'true';
+    process.env.PR_REVIEW_RATE_LIMIT_MAX = '25';
+    process.env.PR_WHITELIST = 'owner/repo,owner/limited';
+    process.env.PR_AUDIT_LOG = auditLogPath;
+
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  beforeEach(() => {
+    nock.cleanAll();
+    fs.rmSync(auditLogPath, { force: true });
+  });
+
+  afterAll(() => {
+    nock.cleanAll();
+    fs.rmSync(auditDir, { recursive: true, force: true });
+    delete process.env.PR_REVIEW_ENABLED;
+    delete process.env.PR_REVIEW_RATE_LIMIT_MAX;
+    delete process.env.PR_WHITELIST;
+    delete process.env.PR_AUDIT_LOG;
+  });
+
+  describe('submit_review', () => {
+    test('should request changes with inline and multi-line suggestion comments', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/reviews', {
+          event: 'REQUEST_CHANGES',
+          body: 'A couple of issues',
+          commit_id: HEAD_SHA,
+          comments: [
+            { path: 'src/app.js', line: 7, side: 'LEFT', body: 'Why was this removed?' },
+            {
+              path: 'src/app.js',
+              line: 42,
+              side: 'RIGHT',
+              body: 'Use const here:\n\n```suggestion\nconst a = 1;\nconst b = 2;\n```',
+              start_line: 41,
+              start_side: 'RIGHT'
+            }
+          ]
+        })
+        .reply(200, {
+          id: 900,
+          state: 'CHANGES_REQUESTED',
+          commit_id: HEAD_SHA,
+          submitted_at: '2024-01-01T00:00:00Z',
+          html_url: 'https://github.com/owner/repo/pull/12#pullrequestreview-900'
+        });
+
+      const data = parseResult(await callTool('submit_review', {
+        repo: 'owner/repo',
+        prNumber: 12,
+        event: 'REQUEST_CHANGES',
+        body: 'A couple of issues',
+        commit_id: HEAD_SHA,
+        comments: [
+          { path: 'src/app.js', line: 7, side: 'LEFT', body: 'Why was this removed?' },
+          { path: 'src/app.js', start_line: 41, line: 42, body: 'Use const here:', suggestion: 'const a = 1;\nconst b = 2;' }
+        ]
+      }));
+
+      expect(data).toMatchObject({
+        success: true,
+        review: { id: 900, state: 'CHANGES_REQUESTED', commit_id: HEAD_SHA },
+        comments: 2
+      });
+      expect(auditEntries().map(e => e.action)).toEqual(['REVIEW_SUBMIT_ATTEMPT', 'REVIEW_SUBMITTED']);
+    });
+
+    test('should pass suggested code through without stripping characters', async () => {
+      const suggestion = 'const pick = (a, b) => (a > b ? a : b);\nconst items: List<T> = [];';
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/reviews', {
+          event: 'COMMENT',
+          comments: [
+            { path: 'src/app.ts', line: 3, side: 'RIGHT', body: `\`\`\`suggestion\n${suggestion}\n\`\`\`` }
+          ]
+        })
+        .reply(200, { id: 902, state: 'COMMENTED', commit_id: HEAD_SHA });
+
+      const data = parseResult(await callTool('submit_review', {
+        repo: 'owner/repo', prNumber: 12, event: 'COMMENT',
+        comments: [{ path: 'src/app.ts', line: 3, suggestion }]
+      }));
+
+      expect(data.review.state).toBe('COMMENTED');
+    });
+
+    test('should suggest deleting lines with an empty suggestion', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/reviews', {
+          event: 'COMMENT',
+          comments: [
+            { path: 'src/app.js', start_line: 4, line: 5, side: 'RIGHT', start_side: 'RIGHT', body: 'Dead code\n\n```suggestion\n```' }
+          ]
+        })
+        .reply(200, { id: 903, state: 'COMMENTED', commit_id: HEAD_SHA });
+
+      const data = parseResult(await callTool('submit_review', {
+        repo: 'owner/repo', prNumber: 12, event: 'COMMENT',
+        comments: [{ path: 'src/app.js', start_line: 4, line: 5, body: 'Dead code', suggestion: '' }]
+      }));
+
+      expect(data.review.state).toBe('COMMENTED');
+    });
+
+    test('should fence suggestions containing backticks with a longer fence', async () => {
+      const suggestion = 'const doc = `\n```js\nrun();\n```\n`;';
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/reviews', {
+          event: 'COMMENT',
+          comments: [
+            { path: 'src/docs.js', line: 8, side: 'RIGHT', body: `\`\`\`\`suggestion\n${suggestion}\n\`\`\`\`` }
+          ]
+        })
+        .reply(200, { id: 904, state: 'COMMENTED', commit_id: HEAD_SHA });
+
+      const data = parseResult(await callTool('submit_review', {
+        repo: 'owner/repo', prNumber: 12, event: 'COMMENT',
+        comments: [{ path: 'src/docs.js', line: 8, suggestion }]
+      }));
+
+      expect(data.review.state).toBe('COMMENTED');
+    });
+
+    test('should approve without a body', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/reviews', { event: 'APPROVE' })
+        .reply(200, { id: 901, state: 'APPROVED', commit_id: HEAD_SHA });
+
+      const data = parseResult(await callTool('submit_review', { repo: 'owner/repo', prNumber: 12, event: 'APPROVE' }));
+
+      expect(data.review.state).toBe('APPROVED');
+    });
+
+    test('should require a body for REQUEST_CHANGES', async () => {
+      const response = await callTool('submit_review', { repo: 'owner/repo', prNumber: 12, event: 'REQUEST_CHANGES' });
+
+      expect(response.body.error.message).toContain('A review body is required for REQUEST_CHANGES');
+      expect(auditEntries()).toEqual([]);
+    });
+
+    test('should reject suggestions on the LEFT side and ranges ending before they start', async () => {
+      const left = await callTool('submit_review', {
+        repo: 'owner/repo', prNumber: 12, event: 'COMMENT',
+        comments: [{ path: 'a.js', line: 3, side: 'LEFT', suggestion: 'x' }]
+      });
+      const range = await callTool('submit_review', {
+        repo: 'owner/repo', prNumber: 12, event: 'COMMENT',
+        comments: [{ path: 'a.js', start_line: 5, line: 3, body: 'range' }]
+      });
+
+      expect(left.body.error.message).toContain('suggestions apply to the RIGHT side only');
+      expect(range.body.error.message).toContain('start_line (5) must be before line (3)');
+    });
+
+    test('should map comments outside the diff to validation errors', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/reviews')
+        .reply(422, { message: 'Unprocessable Entity', errors: ['Line could not be resolved'] });
+
+      const response = await callTool('submit_review', {
+        repo: 'owner/repo', prNumber: 12, event: 'COMMENT',
+        comments: [{ path: 'a.js', line: 999, body: 'Out of range' }]
+      });
+
+      expect(response.body.error.code).toBe(-32003);
+      expect(response.body.error.message).toContain('Line could not be resolved');
+      expect(auditEntries().map(e => e.action)).toEqual(['REVIEW_SUBMIT_ATTEMPT', 'REVIEW_SUBMIT_FAILED']);
+    });
+  });
+
+  describe('reply_to_review_comment', () => {
+    test('should reply in the comment thread', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/comments/555/replies', { body: 'Fixed in the latest push' })
+        .reply(201, {
+          id: 556,
+          in_reply_to_id: 555,
+          path: 'src/app.js',
+          line: 42,
+          html_url: 'https://github.com/owner/repo/pull/12#discussion_r556'
+        });
+
+      const data = parseResult(await callTool('reply_to_review_comment', {
+        repo: 'owner/repo', prNumber: 12, comment_id: 555, body: 'Fixed in the latest push'
+      }));
+
+      expect(data.comment).toMatchObject({ id: 556, in_reply_to_id: 555, path: 'src/app.js', line: 42 });
+      expect(auditEntries().map(e => e.action)).toEqual(['REVIEW_REPLY_ATTEMPT', 'REVIEW_REPLIED']);
+    });
+
+    test('should map missing comments to not found errors', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/repo/pulls/12/comments/404/replies')
+        .reply(404, { message: 'Not Found' });
+
+      const response = await callTool('reply_to_review_comment', {
+        repo: 'owner/repo', prNumber: 12, comment_id: 404, body: 'Hello'
+      });
+
+      expect(response.body.error.code).toBe(-32002);
+      expect(response.body.error.message).toContain('Review comment 404 on pull request #12 not found');
+    });
+  });
+
+  describe('resolve_review_thread', () => {
+    test('should find the thread for a comment and resolve it', async () => {
+      nock(GITHUB_API)
+        .post('/graphql', body => body.query.includes('reviewThreads') && body.variables.number === 12)
+        .reply(200, {
+          data: {
+            repository: {
+              pullRequest: {
+                reviewThreads: {
+                  pageInfo: { hasNextPage: false, endCursor: null },
+                  nodes: [
+                    { id: 'PRRT_other', comments: { nodes: [{ databaseId: 111 }] } },
+                    { id: 'PRRT_target', comments: { nodes: [{ databaseId: 555 }, { databaseId: 556 }] } }
+                  ]
+                }
+              }
+            }
+          }
+        })
+        .post('/graphql', body => body.query.includes('resolveReviewThread') && body.variables.threadId === 'PRRT_target')
+        .reply(200, {
+          data: {
+            resolveReviewThread: {
+              thread: { id: 'PRRT_target', isResolved: true, path: 'src/app.js', line: 42, resolvedBy: { login: 'octocat' } }
+            }
+          }
+        });
+
+      const data = parseResult(await callTool('resolve_review_thread', { repo: 'owner/repo', prNumber: 12, comment_id: 556 }));
+
+      expect(data.thread).toEqual({ id: 'PRRT_target', resolved: true, resolved_by: 'octocat', path: 'src/app.js', line: 42 });
+      expect(auditEntries().map(e => e.action)).toEqual(['REVIEW_THREAD_ATTEMPT', 'REVIEW_THREAD_UPDATED']);
+    });
+
+    test('should unresolve a thread by ID', async () => {
+      nock(GITHUB_API)
+        .post('/graphql', body => body.query.includes('PullRequestReviewThread') && body.variables.threadId === 'PRRT_target')
+        .reply(200, {
+          data: { node: { repository: { nameWithOwner: 'Owner/Repo' }, pullRequest: { number: 12 } } }
+        })
+        .post('/graphql', body => body.query.includes('unresolveReviewThread') && body.variables.threadId === 'PRRT_target')
+        .reply(200, {
+          data: {
+            unresolveReviewThread: {
+              thread: { id: 'PRRT_target', isResolved: false, path: 'src/app.js', line: 42, resolvedBy: null }
+            }
+          }
+        });
+
+      const data = parseResult(await callTool('resolve_review_thread', { repo: 'owner/repo', thread_id: 'PRRT_target', unresolve: true }));
+
+      expect(data.thread).toMatchObject({ id: 'PRRT_target', resolved: false, resolved_by: null });
+    });
+
+    test('should refuse thread IDs from other repositories or pull requests', async () => {
+      nock(GITHUB_API)
+        .post('/graphql', body => body.query.includes('PullRequestReviewThread'))
+                .reply(200, {
+          data: { node: { repository: { nameWithOwner: 'elsewhere/secret' }, pullRequest: { number: 12 } } }
+        });
+
+      const otherRepo = await callTool('resolve_review_thread', { repo: 'owner/repo', thread_id: 'PRRT_foreign' });
+
+      expect(otherRepo.body.error.message).toContain('Review thread PRRT_foreign does not belong to owner/repo');
+      expect(auditEntries().map(e => e.action)).toEqual(['REVIEW_THREAD_ATTEMPT', 'REVIEW_THREAD_FAILED']);
+
+      nock.cleanAll();
+      nock(GITHUB_API)
+        .post('/graphql', body => body.query.includes('PullRequestReviewThread'))
+        .reply(200, {
+          data: { node: { repository: { nameWithOwner: 'owner/repo' }, pullRequest: { number: 99 } } }
+        });
+
+      const otherPr = await callTool('resolve_review_thread', { repo: 'owner/repo', prNumber: 12, thread_id: 'PRRT_other_pr' });
+
+      expect(otherPr.body.error.message).toContain('does not belong to pull request #12 in owner/repo');
+    });
+
+    test('should report comments that are not in any thread', async () => {
+      nock(GITHUB_API)
+        .post('/graphql')
+        .reply(200, {
+          data: {
+            repository: {
+              pullRequest: {
+                reviewThreads: { pageInfo: { hasNextPage: false, endCursor: null }, nodes: [] }
+              }
+            }
+          }
+        });
+
+      const response = await callTool('resolve_review_thread', { repo: 'owner/repo', prNumber: 12, comment_id: 777 });
+
+      expect(response.body.error.code).toBe(-32002);
+      expect(response.body.error.message).toContain('Review thread for comment 777 not found');
+    });
+
+    test('should require exactly one of thread_id or comment_id', async () => {
+      const response = await callTool('resolve_review_thread', { repo: 'owner/repo' });
+
+      expect(response.body.error.message).toContain('Exactly one of thread_id or comment_id is required');
+    });
+  });
+
+  describe('gating', () => {
+    test('should require write secret path', async () => {
+      const response = await callTool('submit_review', { repo: 'owner/repo', prNumber: 12, event: 'APPROVE' }, '/mcp');
+
+      expect(response.body.error.code).toBe(-32000);
+    });
+
+    test('should reject repositories outside the whitelist', async () => {
+      const response = await callTool('submit_review', { repo: 'other/repo', prNumber: 12, event: 'APPROVE' });
+
+      expect(response.body.error.message).toContain('not whitelisted for PR review operations');
+    });
+
+    test('should rate limit writes per repository after validating arguments', async () => {
+      nock(GITHUB_API)
+        .post('/repos/owner/limited/pulls/1/comments/5/replies')
+        .times(25)
+        .reply(201, { id: 6, in_reply_to_id: 5 });
+
+      // Rejected before the rate limit, so it doesn't use up the budget
+      const invalid = await callTool('submit_review', { repo: 'owner/limited', prNumber: 1, event: 'REQUEST_CHANGES' });
+      expect(invalid.body.error.message).toContain('A review body is required');
+
+      for (let i = 0; i < 25; i++) {
+        const response = await callTool('reply_to_review_comment', { repo: 'owner/limited', prNumber: 1, comment_id: 5, body: 'ok' });
+        expect(response.body.result).toBeDefined();
+      }
+
+      const limited = await callTool('reply_to_review_comment', { repo: 'owner/limited', prNumber: 1, comment_id: 5, body: 'ok' });
+
+      expect(limited.body.error.code).toBe(-32004);
+      expect(limited.body.error.message).toContain('PR review rate limit exceeded for owner/limited');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Integration tests for the search_code tool
+ * Tests query scoping, text-match fragments, pagination and degraded responses
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('search_code tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'search_code', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should scope the query and return paths with matched fragments', async () => {
+    nock(GITHUB_API)
+      .get('/search/code')
+      .query({ q: 'handleSearch repo:octo/repo path:lib/tools language:javascript', page: 1, per_page: 30 })
+      .matchHeader('Accept', 'application/vnd.github.text-match+json')
+      .reply(200, {
+        total_count: 1,
+        incomplete_results: false,
+        items: [{
+          path: 'lib/tools/read-tools.js',
+          sha: 'a'.repeat(40),
+          html_url: 'https://github.com/octo/repo/blob/main/lib/tools/read-tools.js',
+          repository: { full_name: 'octo/repo' },
+          text_matches: [
+            { property: 'content', fragment: 'async function handleSearch(args) {', matches: [{ text: 'handleSearch', indices: [15, 27] }] },
+            { property: 'path', fragment: 'lib/tools/read-tools.js', matches: [] }
+          ]
+        }]
+      });
+
+    const data = parseResult(await callTool({ query: 'handleSearch', repo: 'octo/repo', path: 'lib/tools', language: 'javascript' }));
+
+    expect(data).toMatchObject({ available: true, total_count: 1, incomplete_results: false, page: 1, per_page: 30, next_page: null });
+    expect(data.results).toEqual([{
+      path: 'lib/tools/read-tools.js',
+      repository: 'octo/repo',
+      sha: 'a'.repeat(40),
+      url: 'https://github.com/octo/repo/blob/main/lib/tools/read-tools.js',
+      matches: [{ fragment: 'async function handleSearch(args) {', highlights: ['handleSearch'] }]
+    }]);
+  });
+
+  test('should quote multi-word languages and strip the extension dot', async () => {
+    nock(GITHUB_API)
+      .get('/search/code')
+      .query({ q: 'import language:"Jupyter Notebook" extension:ipynb', page: 1, per_page: 30 })
+      .reply(200, { total_count: 0, incomplete_results: false, items: [] });
+
+    const data = parseResult(await callTool({ query: 'import', language: 'Jupyter Notebook', extension: '.ipynb' }));
+
+    expect(data.results).toEqual([]);
+  });
+
+  test('should report the next page until the 1000-result limit', async () => {
+    nock(GITHUB_API)
+      .get('/search/code')
+      .query({ q: 'TODO repo:octo/repo', page: 2, per_page: 100 })
+      .reply(200, { total_count: 5000, incomplete_results: true, items: [] })
+      .get('/search/code')
+      .query({ q: 'TODO repo:octo/repo', page: 10, per_page: 100 })
+      .reply(200, { total_count: 5000, incomplete_results: false, items: [] });
+
+    const second = parseResult(await callTool({ query: 'TODO', repo: 'octo/repo', page: 2, per_page: 100 }));
+    expect(second).toMatchObject({ next_page: 3, incomplete_results: true });
+
+    const last = parseResult(await callTool({ query: 'TODO', repo: 'octo/repo', page: 10, per_page: 100 }));
+    expect(last.next_page).toBeNull();
+  });
+
+  test('should degrade gracefully when the repository cannot be searched', async () => {
+    nock(GITHUB_API)
+      .get('/search/code')
+      .query(true)
+      .reply(422, {
+        message: 'Validation Failed',
+        errors: [{ message: 'The listed users and repositories cannot be searched either because the resources do not exist or you do not have permission to view them.', resource: 'Search', field: 'q', code: 'invalid' }]
+      });
+
+    const data = parseResult(await callTool({ query: 'handleSearch', repo: 'octo/private' }));
+
+    expect(data).toMatchObject({ available: false, total_count: 0, results: [], next_page: null });
+    expect(data.reason).toContain('cannot search this repository');
+    expect(data.suggestion).toContain('get_tree');
+  });
+
+  test('should degrade gracefully when code search is down', async () => {
+    nock(GITHUB_API)
+      .get('/search/code')
+      .query(true)
+      .times(4)
+      .reply(503, { message: 'Service Unavailable' });
+
+    const data = parseResult(await callTool({ query: 'handleSearch', repo: 'octo/repo' }));
+
+    expect(data).toMatchObject({ available: false, reason: 'GitHub code search is temporarily unavailable' });
+  });
+
+  test('should map other validation failures to invalid params', async () => {
+    nock(GITHUB_API)
+      .get('/search/code')
+      .query(true)
+      .reply(422, { message: 'Validation Failed', errors: [{ message: 'Query is too long' }] });
+
+    const response = await callTool({ query: 'a AND', repo: 'octo/repo' });
+
+    expect(response.body.error.code).toBe(-32003);
+    expect(response.body.error.message).toContain('Query is too long');
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Integration test for --stdio mode
+ * Spawns the server as a subprocess and checks that stdout carries only JSON-RPC
+ */
+
+const { spawn } = require('child_process');
+const path = require('path');
+
+describe('Stdio Mode', () => {
+  test('should serve JSON-RPC on stdout and log to stderr', async () => {
+    const child = spawn(process.execPath, [path.join(__dirname, '../../github-mcp-enhanced.js'), '--stdio'], {
+      env: { ...process.env, GITHUB_PAT: 'test_token_123', ISSUES_ENABLED: 'true', PR_WHITELIST: 'owner/repo' }
+    });
+
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+
+    child.stdin.end([
+      { jsonrpc: '2.0', id: 1, method: 'initialize', params: {} },
+      { jsonrpc: '2.0', method: 'notifications/initialized' },
+      { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      { jsonrpc: '2.0', id: 3, method: 'tools/call', params: { name: 'read_file', arguments: {} } }
+    ].map(message => JSON.stringify(message)).join('\n') + '\n');
+
+    const exitCode = await new Promise(resolve => child.on('close', resolve));
+
+    expect(exitCode).toBe(0);
+    expect(stderr).toContain('Server Configuration');
+
+    const replies = stdout.trim().split('\n').map(line => JSON.parse(line));
+    const byId = Object.fromEntries(replies.map(reply => [reply.id, reply]));
+    expect(replies).toHaveLength(3);
+    expect(byId[1].result.serverInfo.name).toBe('github-mcp-enhanced');
+    // Local subprocess: enabled write tools are listed without the path secret
+    expect(byId[2].result.tools.map(t => t.name)).toContain('create_issue');
+    // Same schema validation as HTTP
+    expect(byId[3].error.code).toBe(-32602);
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Integration tests for the Streamable HTTP transport on /mcp
+ * Tests session IDs, SSE responses, Last-Event-ID resumption and session termination
+ */
+
+const request = require('supertest');
+const nock = require('nock');
+
+describe('Streamable HTTP Transport', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const SSE_ACCEPT = 'application/json, text/event-stream';
+
+  // Parse an SSE body into [{ id, event, data }]
+  const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(block => block.includes('data: '))
+    .map(block => {
+      const fields = {};
+      for (const line of block.split('\n')) {
+        const separator = line.indexOf(': ');
+        if (separator > 0) fields[line.slice(0, separator)] = line.slice(separator + 2);
+      }
+      return { id: fields.id, event: fields.event, data: JSON.parse(fields.data) };
+    });
+
+  const initialize = async () => {
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', SSE_ACCEPT)
+      .send({ jsonrpc: '2.0', id: 0, method: 'initialize', params: {} })
+      .expect(200);
+    return response.headers['mcp-session-id'];
+  };
+
+  beforeAll(() => {
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should issue a session ID on initialize', async () => {
+    const response = await request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} })
+      .expect(200);
+
+    expect(response.headers['mcp-session-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.body.result.protocolVersion).toBe('2025-06-18');
+  });
+
+  test('should stream the response over SSE when accepted', async () => {
+    const sessionId = await initialize();
+
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', SSE_ACCEPT)
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+    const events = parseEvents(response.text);
+    expect(events).toHaveLength(1);
+    expect(events[0].id).toBe('2-1'); // stream 1 carried the initialize response
+    expect(events[0].event).toBe('message');
+    expect(events[0].data.id).toBe(2);
+    expect(events[0].data.result.tools.length).toBeGreaterThan(0);
+  });
+
+  test('should keep answering plain JSON clients without a session', async () => {
+    const response = await request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 3, method: 'tools/list' })
+      .expect(200);
+
+    expect(response.headers['content-type']).toContain('application/json');
+    expect(response.body.result.tools.length).toBeGreaterThan(0);
+  });
+
+  test('should accept notifications with 202 in session mode', async () => {
+    const sessionId = await initialize();
+
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', SSE_ACCEPT)
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    expect(response.status).toBe(202);
+    expect(response.text).toBe('');
+  });
+
+  test('should return 404 for unknown sessions', async () => {
+    const response = await request(app)
+      .post('/mcp')
+      .set('Mcp-Session-Id', 'not-a-session')
+      .send({ jsonrpc: '2.0', id: 4, method: 'tools/list' });
+
+    expect(response.status).toBe(404);
+    expect(response.body.error.message).toContain('Session not found');
+  });
+
+  test('should reject unsupported protocol versions', async () => {
+    const response = await request(app)
+      .post('/mcp')
+      .set('MCP-Protocol-Version', '1999-01-01')
+      .send({ jsonrpc: '2.0', id: 5, method: 'tools/list' });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('should require a session and SSE Accept for GET', async () => {
+    await request(app).get('/mcp').set('Accept', 'text/event-stream').expect(400);
+    await request(app).get('/mcp').set('Accept', 'application/json').expect(406);
+  });
+
+  test('should replay missed events after Last-Event-ID', async () => {
+    const sessionId = await initialize();
+
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/branches')
+      .query({ per_page: 100 })
+      .reply(200, [{ name: 'main', protected: true }])
+      .get('/repos/owner/repo')
+      .reply(200, { default_branch: 'main' });
+
+    const first = await request(app)
+      .post('/mcp')
+      .set('Accept', SSE_ACCEPT)
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', id: 6, method: 'tools/call', params: { name: 'get_branches', arguments: { repo: 'owner/repo' } } })
+      .expect(200);
+    const [original] = parseEvents(first.text);
+
+    const resumed = await request(app)
+      .get('/mcp')
+      .set('Accept', 'text/event-stream')
+      .set('Mcp-Session-Id', sessionId)
+      .set('Last-Event-ID', '2-0')
+      .expect(200);
+
+    const replayed = parseEvents(resumed.text);
+    expect(replayed).toEqual([original]);
+    expect(JSON.parse(replayed[0].data.result.content[0].text).default).toBe('main');
+  });
+
+  test('should reject unknown Last-Event-ID values', async () => {
+    const sessionId = await initialize();
+
+    await request(app)
+      .get('/mcp')
+      .set('Accept', 'text/event-stream')
+      .set('Mcp-Session-Id', sessionId)
+      .set('Last-Event-ID', '99-1')
+      .expect(400);
+  });
+
+  test('should close open streams and forget the session on DELETE', async () => {
+    const sessionId = await initialize();
+
+    const standalone = request(app)
+      .get('/mcp')
+      .set('Accept', 'text/event-stream')
+      .set('Mcp-Session-Id', sessionId)
+      .then(response => response);
+
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    await request(app)
+      .delete('/mcp')
+      .set('Mcp-Session-Id', sessionId)
+      .expect(204);
+
+    const streamResponse = await standalone;
+    expect(streamResponse.status).toBe(200);
+    expect(streamResponse.headers['content-type']).toContain('text/event-stream');
+
+    await request(app)
+      .post('/mcp')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', id: 7, method: 'tools/list' })
+      .expect(404);
+  });
+});
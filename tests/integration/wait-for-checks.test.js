@@ -0,0 +1,202 @@
+/**
+ * Integration tests for the wait_for_checks tool
+ * Tests required checks from branch protection, polling until checks settle,
+ * fail-fast, timeouts, check run pagination, client disconnects and progress
+ * notifications over SSE
+ */
+
+const net = require('net');
+const request = require('supertest');
+const nock = require('nock');
+
+describe('wait_for_checks tool', () => {
+  let app;
+  const GITHUB_API = 'https://api.github.com';
+  const SHA = 'e'.repeat(40);
+
+  const callTool = (args) =>
+    request(app)
+      .post('/mcp')
+      .send({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'wait_for_checks', arguments: args } })
+      .expect(200);
+
+  const parseResult = (response) => JSON.parse(response.body.result.content[0].text);
+
+  // Parse an SSE body into JSON-RPC messages
+  const parseEvents = (text) => text
+    .split('\n\n')
+    .filter(block => block.includes('data: '))
+    .map(block => JSON.parse(block.split('\n').find(line => line.startsWith('data: ')).slice(6)));
+
+  const checkRun = (id, name, status, conclusion = null) => ({ id, name, status, conclusion, html_url: `https://github.com/owner/repo/runs/${id}` });
+
+  const pollReturns = (statuses, checkRuns) =>
+    nock(GITHUB_API)
+      .get(`/repos/owner/repo/commits/${SHA}/status`)
+      .reply(200, { state: 'pending', statuses })
+      .get(`/repos/owner/repo/commits/${SHA}/check-runs`).query({ per_page: 100, page: 1 })
+      .reply(200, { total_count: checkRuns.length, check_runs: checkRuns });
+
+  beforeAll(() => {
+    process.env.CHECKS_POLL_INTERVAL = '10';
+    process.env.CHECKS_POLL_MAX_INTERVAL = '20';
+    app = require('../../github-mcp-enhanced.js');
+  });
+
+  afterAll(() => {
+    delete process.env.CHECKS_POLL_INTERVAL;
+    delete process.env.CHECKS_POLL_MAX_INTERVAL;
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  test('should wait for checks required by branch protection and stream progress', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo')
+      .reply(200, { default_branch: 'main' })
+      .get('/repos/owner/repo/branches/main')
+      .reply(200, { name: 'main', protection: { enabled: true, required_status_checks: { contexts: ['ci/lint'], checks: [{ context: 'ci/lint', app_id: null }] } } })
+      .get('/repos/owner/repo/rules/branches/main')
+      .reply(200, [{ type: 'required_status_checks', parameters: { required_status_checks: [{ context: 'test' }] } }, { type: 'deletion' }]);
+    pollReturns([{ context: 'ci/lint', state: 'pending' }], [checkRun(1, 'test', 'in_progress'), checkRun(2, 'docs', 'queued')]);
+    pollReturns([{ context: 'ci/lint', state: 'success' }], [checkRun(1, 'test', 'completed', 'success'), checkRun(2, 'docs', 'queued')]);
+
+    const response = await request(app)
+      .post('/mcp')
+      .set('Accept', 'application/json, text/event-stream')
+      .send({
+        jsonrpc: '2.0',
+        id: 7,
+        method: 'tools/call',
+        params: { name: 'wait_for_checks', arguments: { repo: 'owner/repo', sha: SHA }, _meta: { progressToken: 'wait-1' } }
+      })
+      .expect(200);
+
+    const messages = parseEvents(response.text);
+    const progress = messages.filter(message => message.method === 'notifications/progress');
+    expect(progress).toHaveLength(2);
+    expect(progress.map(p => p.params.message)).toEqual(['0 passed, 0 failed, 2 pending', '2 passed, 0 failed, 0 pending']);
+    expect(progress.every(p => p.params.progressToken === 'wait-1' && p.params.total === 300000)).toBe(true);
+    expect(progress[1].params.progress).toBeGreaterThan(progress[0].params.progress);
+
+    const final = messages[messages.length - 1];
+    expect(final.id).toBe(7);
+    const data = JSON.parse(final.result.content[0].text);
+    expect(data).toMatchObject({
+      conclusion: 'success',
+      timed_out: false,
+      polls: 2,
+      required_checks: ['ci/lint', 'test'],
+      required_source: 'branch_protection',
+      branch: 'main',
+      passed: ['ci/lint', 'test'],
+      failed: [],
+      pending: []
+    });
+  });
+
+  test('should return as soon as a named check fails', async () => {
+    pollReturns([], [checkRun(11, 'build', 'completed', 'failure'), checkRun(12, 'test', 'in_progress')]);
+
+    const data = parseResult(await callTool({ repo: 'owner/repo', sha: SHA, check_names: ['build', 'test'] }));
+
+    expect(data).toMatchObject({ conclusion: 'failure', timed_out: false, polls: 1, required_source: 'argument', branch: null, pending: ['test'] });
+    expect(data.failed).toEqual([{ name: 'build', conclusion: 'failure', id: 11, url: 'https://github.com/owner/repo/runs/11' }]);
+  });
+
+  test('should wait for every reported check when nothing is required', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/branches/release%2F1.0')
+      .reply(200, { name: 'release/1.0', protected: false })
+      .get('/repos/owner/repo/rules/branches/release%2F1.0')
+      .reply(404, { message: 'Not Found' });
+    pollReturns([{ context: 'ci/legacy', state: 'failure', target_url: 'https://ci.example.com/1' }], [checkRun(21, 'test', 'completed', 'skipped')]);
+
+    const data = parseResult(await callTool({ repo: 'owner/repo', sha: SHA, branch: 'release/1.0', fail_fast: false }));
+
+    expect(data).toMatchObject({ conclusion: 'failure', required_source: 'none', passed: ['test'] });
+    expect(data.failed).toEqual([{ name: 'ci/legacy', conclusion: 'failure', id: null, url: 'https://ci.example.com/1' }]);
+  });
+
+  test('should return right away when nothing is required and no checks reported', async () => {
+    nock(GITHUB_API)
+      .get('/repos/owner/repo/branches/feature')
+      .reply(200, { name: 'feature', protected: false })
+      .get('/repos/owner/repo/rules/branches/feature')
+      .reply(200, []);
+    pollReturns([], []);
+
+    const data = parseResult(await callTool({ repo: 'owner/repo', sha: SHA, branch: 'feature' }));
+
+    expect(data).toMatchObject({ conclusion: 'no_checks', timed_out: false, polls: 1, required_source: 'none', passed: [], pending: [] });
+  });
+
+  test('should read check runs beyond the first page', async () => {
+    const firstPage = Array.from({ length: 100 }, (_, i) => checkRun(100 + i, `lint-${i}`, 'completed', 'success'));
+    nock(GITHUB_API)
+      .get(`/repos/owner/repo/commits/${SHA}/status`)
+      .reply(200, { state: 'pending', statuses: [] })
+      .get(`/repos/owner/repo/commits/${SHA}/check-runs`).query({ per_page: 100, page: 1 })
+      .reply(200, { total_count: 101, check_runs: firstPage })
+      .get(`/repos/owner/repo/commits/${SHA}/check-runs`).query({ per_page: 100, page: 2 })
+      .reply(200, { total_count: 101, check_runs: [checkRun(300, 'integration', 'completed', 'success')] });
+
+    const data = parseResult(await callTool({ repo: 'owner/repo', sha: SHA, check_names: ['integration'] }));
+
+    expect(data).toMatchObject({ conclusion: 'success', polls: 1, passed: ['integration'], missing: [] });
+  });
+
+  test('should stop polling when the client disconnects', async () => {
+    let polls = 0;
+    nock(GITHUB_API)
+      .persist()
+      .get(`/repos/owner/repo/commits/${SHA}/status`)
+      .reply(200, () => {
+        polls++;
+        return { state: 'pending', statuses: [] };
+      })
+      .get(`/repos/owner/repo/commits/${SHA}/check-runs`).query(true)
+      .reply(200, { total_count: 1, check_runs: [checkRun(41, 'build', 'in_progress')] });
+
+    const server = app.listen(0);
+    try {
+      const body = JSON.stringify({
+        jsonrpc: '2.0', id: 1, method: 'tools/call',
+        params: { name: 'wait_for_checks', arguments: { repo: 'owner/repo', sha: SHA, check_names: ['build'], timeout_seconds: 30 } }
+      });
+      // A raw socket: nock intercepts http.request, so destroying one would not close the connection
+      const socket = net.connect(server.address().port, '127.0.0.1', () => {
+        socket.write(`POST /mcp HTTP/1.1\r\nHost: localhost\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`);
+      });
+      socket.on('error', () => {});
+
+      while (polls < 2) await new Promise(resolve => setTimeout(resolve, 10));
+      socket.destroy();
+
+      // Let any in-flight poll finish, then make sure no new polls start
+      await new Promise(resolve => setTimeout(resolve, 100));
+      const pollsAfterDisconnect = polls;
+      await new Promise(resolve => setTimeout(resolve, 200));
+      expect(polls).toBe(pollsAfterDisconnect);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  test('should report pending and missing checks after the timeout', async () => {
+    nock(GITHUB_API)
+      .persist()
+      .get(`/repos/owner/repo/commits/${SHA}/status`)
+      .reply(200, { state: 'pending', statuses: [] })
+      .get(`/repos/owner/repo/commits/${SHA}/check-runs`).query(true)
+      .reply(200, { total_count: 1, check_runs: [checkRun(31, 'build', 'in_progress')] });
+
+    const data = parseResult(await callTool({ repo: 'owner/repo', sha: SHA, check_names: ['build', 'deploy'], timeout_seconds: 1 }));
+
+    expect(data).toMatchObject({ conclusion: 'pending', timed_out: true, pending: ['build'], missing: ['deploy'] });
+    expect(data.polls).toBeGreaterThan(1);
+    expect(data.elapsed_ms).toBeGreaterThanOrEqual(1000);
+  });
+});
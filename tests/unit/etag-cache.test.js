@@ -0,0 +1,92 @@
+/**
+ * Unit Tests for the ETag Cache
+ * Tests cache keys, validator storage and LRU eviction
+ */
+
+const { getCacheKey, createEtagCache } = require('../../lib/etag-cache');
+
+describe('ETag Cache', () => {
+  describe('getCacheKey', () => {
+    test('should ignore query parameter order', () => {
+      expect(getCacheKey('GET', '/repos/o/r/issues', { state: 'open', page: 1 }, 'json'))
+        .toBe(getCacheKey('GET', '/repos/o/r/issues', { page: 1, state: 'open' }, 'json'));
+    });
+
+    test('should distinguish method, URL, params and Accept header', () => {
+      const base = getCacheKey('GET', '/repos/o/r/contents/a.md', { ref: 'main' }, 'application/vnd.github.raw');
+
+      expect(getCacheKey('GET', '/repos/o/r/contents/a.md', { ref: 'main' }, 'application/vnd.github.v3+json')).not.toBe(base);
+      expect(getCacheKey('GET', '/repos/o/r/contents/a.md', { ref: 'dev' }, 'application/vnd.github.raw')).not.toBe(base);
+      expect(getCacheKey('GET', '/repos/o/r/contents/b.md', { ref: 'main' }, 'application/vnd.github.raw')).not.toBe(base);
+      expect(getCacheKey('HEAD', '/repos/o/r/contents/a.md', { ref: 'main' }, 'application/vnd.github.raw')).not.toBe(base);
+    });
+
+    test('should skip undefined params', () => {
+      expect(getCacheKey('GET', '/x', { a: 1, b: undefined })).toBe(getCacheKey('GET', '/x', { a: 1 }));
+    });
+  });
+
+  describe('createEtagCache', () => {
+    test('should only store responses with a validator', () => {
+      const cache = createEtagCache({ maxSize: 10 });
+
+      expect(cache.set('a', { data: 1 })).toBe(false);
+      expect(cache.set('b', { data: 2, etag: '"abc"' })).toBe(true);
+      expect(cache.set('c', { data: 3, lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' })).toBe(true);
+      expect(cache.size).toBe(2);
+    });
+
+    test('should build conditional headers from validators', () => {
+      const cache = createEtagCache({ maxSize: 10 });
+      cache.set('a', { data: 1, etag: '"abc"', lastModified: 'Wed, 01 Jan 2025 00:00:00 GMT' });
+
+      expect(cache.conditionalHeaders(cache.get('a'))).toEqual({
+        'If-None-Match': '"abc"',
+        'If-Modified-Since': 'Wed, 01 Jan 2025 00:00:00 GMT'
+      });
+    });
+
+    test('should evict the least recently used entry', () => {
+      const cache = createEtagCache({ maxSize: 2 });
+      cache.set('a', { data: 1, etag: '"a"' });
+      cache.set('b', { data: 2, etag: '"b"' });
+      cache.get('a');
+      cache.set('c', { data: 3, etag: '"c"' });
+
+      expect(cache.get('a')).toBeDefined();
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('c')).toBeDefined();
+    });
+
+    test('should evict least recently used entries to stay within the byte budget', () => {
+      const cache = createEtagCache({ maxSize: 10, maxBytes: 25 });
+      cache.set('a', { data: 'x'.repeat(10), etag: '"a"' });
+      cache.set('b', { data: 'y'.repeat(10), etag: '"b"' });
+      cache.get('a');
+      cache.set('c', { data: 'z'.repeat(10), etag: '"c"' });
+
+      expect(cache.get('a')).toBeDefined();
+      expect(cache.get('b')).toBeUndefined();
+      expect(cache.get('c')).toBeDefined();
+      expect(cache.bytes).toBe(20);
+    });
+
+    test('should not cache responses larger than maxEntryBytes', () => {
+      const cache = createEtagCache({ maxSize: 10, maxBytes: 1000, maxEntryBytes: 50 });
+
+      expect(cache.set('json', { data: { content: 'x'.repeat(100) }, etag: '"j"' })).toBe(false);
+      expect(cache.set('sized', { data: 'small', etag: '"s"', size: 5000 })).toBe(false);
+      expect(cache.set('ok', { data: { content: 'x' }, etag: '"o"' })).toBe(true);
+      expect(cache.size).toBe(1);
+    });
+
+    test('should release the bytes of replaced entries', () => {
+      const cache = createEtagCache({ maxSize: 10, maxBytes: 100 });
+      cache.set('a', { data: 'x'.repeat(40), etag: '"1"' });
+      cache.set('a', { data: 'x'.repeat(10), etag: '"2"' });
+
+      expect(cache.bytes).toBe(10);
+      expect(cache.get('a').etag).toBe('"2"');
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit Tests for the Metrics Module
+ * Tests the Prometheus registry, text rendering and endpoint templates
+ */
+
+const { createMetricsRegistry, createServerMetrics, endpointTemplate } = require('../../lib/metrics');
+
+describe('Metrics', () => {
+  describe('createMetricsRegistry', () => {
+    let registry;
+
+    beforeEach(() => {
+      registry = createMetricsRegistry();
+    });
+
+    test('should render counters with HELP, TYPE and labelled series', () => {
+      const counter = registry.counter({ name: 'jobs_total', help: 'Jobs run', labelNames: ['kind'] });
+      counter.inc({ kind: 'a' });
+      counter.inc({ kind: 'a' }, 2);
+      counter.inc({ kind: 'b' });
+
+      const text = registry.render();
+
+      expect(text).toContain('# HELP jobs_total Jobs run\n# TYPE jobs_total counter\n');
+      expect(text).toContain('jobs_total{kind="a"} 3\n');
+      expect(text).toContain('jobs_total{kind="b"} 1\n');
+      expect(counter.get({ kind: 'a' })).toBe(3);
+      expect(counter.get({ kind: 'missing' })).toBe(0);
+    });
+
+    test('should escape label values', () => {
+      const counter = registry.counter({ name: 'x_total', help: 'x', labelNames: ['v'] });
+      counter.inc({ v: 'a"b\\c\nd' });
+
+      expect(registry.render()).toContain('x_total{v="a\\"b\\\\c\\nd"} 1');
+    });
+
+    test('should render cumulative histogram buckets, sum and count', () => {
+      const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency', labelNames: ['op'], buckets: [0.1, 1] });
+      histogram.observe({ op: 'read' }, 0.05);
+      histogram.observe({ op: 'read' }, 0.5);
+      histogram.observe({ op: 'read' }, 5);
+
+      const text = registry.render();
+
+      expect(text).toContain('# TYPE latency_seconds histogram');
+      expect(text).toContain('latency_seconds_bucket{op="read",le="0.1"} 1');
+      expect(text).toContain('latency_seconds_bucket{op="read",le="1"} 2');
+      expect(text).toContain('latency_seconds_bucket{op="read",le="+Inf"} 3');
+      expect(text).toContain('latency_seconds_sum{op="read"} 5.55');
+      expect(text).toContain('latency_seconds_count{op="read"} 3');
+    });
+
+    test('should compute gauges at render time', () => {
+      let value = 1;
+      registry.gauge({ name: 'level', help: 'Level', collect: () => value });
+      value = 7;
+
+      expect(registry.render()).toContain('# TYPE level gauge\nlevel 7\n');
+    });
+  });
+
+  describe('createServerMetrics', () => {
+    test('should record tool calls, latency and errors by code', () => {
+      const metrics = createServerMetrics();
+      metrics.recordToolCall('read_file', process.hrtime.bigint());
+      metrics.recordToolCall('read_file', process.hrtime.bigint(), -32002);
+
+      const text = metrics.registry.render();
+
+      expect(text).toContain('mcp_tool_calls_total{tool="read_file"} 2');
+      expect(text).toContain('mcp_tool_call_duration_seconds_count{tool="read_file"} 2');
+      expect(text).toContain('mcp_tool_errors_total{tool="read_file",code="-32002"} 1');
+    });
+
+    test('should compute the cache hit ratio', () => {
+      const metrics = createServerMetrics();
+      expect(metrics.registry.render()).toContain('github_cache_hit_ratio 0\n');
+
+      metrics.cacheLookups.inc({ result: 'hit' }, 3);
+      metrics.cacheLookups.inc({ result: 'miss' });
+
+      expect(metrics.registry.render()).toContain('github_cache_hit_ratio 0.75\n');
+    });
+  });
+
+  describe('endpointTemplate', () => {
+    test.each([
+      ['/repos/octo/hello', '/repos/{owner}/{repo}'],
+      ['/repos/octo/hello/pulls/12/files', '/repos/{owner}/{repo}/pulls/{number}/files'],
+      ['/repos/octo/hello/pulls/comments/99/replies', '/repos/{owner}/{repo}/pulls/comments/{comment_id}/replies'],
+      ['/repos/octo/hello/contents/src/lib/index.js', '/repos/{owner}/{repo}/contents/{path}'],
+      ['/repos/octo/hello/git/trees/main', '/repos/{owner}/{repo}/git/trees/{sha}'],
+      ['/repos/octo/hello/git/ref/heads/feature/x', '/repos/{owner}/{repo}/git/ref/{ref}'],
+      ['/repos/octo/hello/commits/0123456789abcdef0123456789abcdef01234567/check-runs', '/repos/{owner}/{repo}/commits/{ref}/check-runs'],
+      ['/repos/octo/hello/branches', '/repos/{owner}/{repo}/branches'],
+      ['/search/code', '/search/code'],
+      ['https://api.github.com/graphql', '/graphql']
+    ])('should template %s', (url, expected) => {
+      expect(endpointTemplate(url)).toBe(expected);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * Unit Tests for Prompt Template Parsing
+ * Tests header parsing, placeholder checks and the bundled templates
+ */
+
+const path = require('path');
+const { parsePromptTemplate, loadPromptTemplates } = require('../../lib/prompts');
+
+describe('Prompt Templates', () => {
+  const template = (header, body = 'Body') => `<!--\n${header}\n-->\n${body}`;
+
+  describe('parsePromptTemplate', () => {
+    test('should parse name, description, arguments and data sources', () => {
+      const prompt = parsePromptTemplate(template(
+        'name: review_pr\n' +
+        'description: Review a PR\n' +
+        'argument: repo | Repository | required\n' +
+        'argument: number | PR number | required\n' +
+        'argument: focus | Area to focus on\n' +
+        'data: pull_request, mergeability',
+        'Review ${repo}#${number}\n${pull_request}'
+      ), 'review.md.tpl');
+
+      expect(prompt.name).toBe('review_pr');
+      expect(prompt.description).toBe('Review a PR');
+      expect(prompt.arguments).toEqual([
+        { name: 'repo', description: 'Repository', required: true },
+        { name: 'number', description: 'PR number', required: true },
+        { name: 'focus', description: 'Area to focus on', required: false }
+      ]);
+      expect(prompt.data).toEqual(['pull_request', 'mergeability']);
+      expect(prompt.body).toBe('Review ${repo}#${number}\n${pull_request}');
+    });
+
+    test('should require a header', () => {
+      expect(() => parsePromptTemplate('No header', 'x.md.tpl')).toThrow('missing its <!-- ... --> header');
+    });
+
+    test('should reject invalid names', () => {
+      expect(() => parsePromptTemplate(template('name: Review PR'), 'x.md.tpl')).toThrow('invalid name');
+    });
+
+    test('should reject unknown data sources', () => {
+      expect(() => parsePromptTemplate(
+        template('name: x\nargument: repo | Repo | required\ndata: secrets'),
+        'x.md.tpl'
+      )).toThrow("unknown data source 'secrets'");
+    });
+
+    test('should require the arguments a data source needs', () => {
+      expect(() => parsePromptTemplate(
+        template('name: x\nargument: repo | Repo | required\ndata: pull_request'),
+        'x.md.tpl'
+      )).toThrow('needs argument(s) number');
+    });
+
+    test('should reject undeclared placeholders', () => {
+      expect(() => parsePromptTemplate(
+        template('name: x\nargument: repo | Repo | required', 'Look at ${repo} on ${branch}'),
+        'x.md.tpl'
+      )).toThrow("undeclared placeholder '${branch}'");
+    });
+  });
+
+  describe('loadPromptTemplates', () => {
+    test('should load the bundled templates', () => {
+      const prompts = loadPromptTemplates(path.join(__dirname, '../../templates/prompts'));
+      expect(Array.from(prompts.keys())).toEqual(['onboard_repo', 'review_pr', 'safe_merge']);
+    });
+
+    test('should return no prompts for a missing directory', () => {
+      expect(loadPromptTemplates(path.join(__dirname, 'does-not-exist')).size).toBe(0);
+    });
+  });
+});
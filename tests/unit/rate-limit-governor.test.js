@@ -0,0 +1,153 @@
+/**
+ * Unit Tests for the Rate Limit Governor
+ * Tests quota tracking, throttling, exhaustion and secondary limits
+ */
+
+const {
+  resourceForUrl,
+  parseRetryAfter,
+  createRateLimitGovernor
+} = require('../../lib/rate-limit-governor');
+
+describe('Rate Limit Governor', () => {
+  const KEY = 'token-a';
+  let sleeps;
+  let governor;
+
+  const resetIn = (seconds) => String(Math.floor(Date.now() / 1000) + seconds);
+
+  const quotaHeaders = (remaining, { limit = 5000, reset = resetIn(3600), resource = 'core' } = {}) => ({
+    'x-ratelimit-limit': String(limit),
+    'x-ratelimit-remaining': String(remaining),
+    'x-ratelimit-used': String(limit - remaining),
+    'x-ratelimit-reset': reset,
+    'x-ratelimit-resource': resource
+  });
+
+  const axiosError = (status, headers, message = '') => ({
+    message: `Request failed with status code ${status}`,
+    response: { status, headers, data: { message } }
+  });
+
+  beforeEach(() => {
+    sleeps = [];
+    governor = createRateLimitGovernor({
+      lowWatermark: 100,
+      maxDelayMs: 10000,
+      maxWaitMs: 60000,
+      sleep: async (ms) => { sleeps.push(ms); }
+    });
+  });
+
+  describe('resourceForUrl', () => {
+    test('should map endpoints to quota buckets', () => {
+      expect(resourceForUrl('/repos/o/r')).toBe('core');
+      expect(resourceForUrl('/search/issues')).toBe('search');
+      expect(resourceForUrl('/search/code')).toBe('code_search');
+      expect(resourceForUrl('https://api.github.com/graphql')).toBe('graphql');
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    test('should parse seconds and HTTP dates', () => {
+      expect(parseRetryAfter('30')).toBe(30000);
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter(new Date(Date.now() + 5000).toUTCString())).toBeGreaterThan(3000);
+    });
+  });
+
+  test('should not delay while quota is healthy', async () => {
+    governor.recordHeaders(KEY, 'core', quotaHeaders(4000));
+
+    await governor.beforeRequest(KEY, 'core');
+
+    expect(sleeps).toEqual([]);
+    expect(governor.snapshot(KEY).resources.core).toMatchObject({ limit: 5000, remaining: 3999, throttled: false });
+  });
+
+  test('should space out requests when quota runs low', async () => {
+    governor.recordHeaders(KEY, 'core', quotaHeaders(50, { reset: resetIn(100) }));
+
+    await governor.beforeRequest(KEY, 'core');
+
+    // ~100s left for 50 requests => about 2s apart
+    expect(sleeps).toHaveLength(1);
+    expect(sleeps[0]).toBeGreaterThan(1500);
+    expect(sleeps[0]).toBeLessThanOrEqual(2100);
+    expect(governor.snapshot(KEY).resources.core.throttled).toBe(true);
+  });
+
+  test('should cap the throttle delay', async () => {
+    governor.recordHeaders(KEY, 'core', quotaHeaders(1, { reset: resetIn(3600) }));
+
+    await governor.beforeRequest(KEY, 'core');
+
+    expect(sleeps).toEqual([10000]);
+  });
+
+  test('should fail fast with the reset time when quota is exhausted', async () => {
+    const reset = resetIn(600);
+    governor.recordHeaders(KEY, 'core', quotaHeaders(0, { reset }));
+
+    const error = await governor.beforeRequest(KEY, 'core').catch(e => e);
+
+    expect(error.message).toContain('GitHub rate limit exceeded (core)');
+    expect(error.rateLimit.reset_at).toBe(new Date(parseInt(reset, 10) * 1000).toISOString());
+    expect(error.rateLimit.retry_after_seconds).toBeGreaterThan(590);
+  });
+
+  test('should track resources separately', async () => {
+    governor.recordHeaders(KEY, 'search', quotaHeaders(0, { limit: 30, resource: 'search' }));
+
+    await expect(governor.beforeRequest(KEY, 'core')).resolves.toBeUndefined();
+    await expect(governor.beforeRequest(KEY, 'search')).rejects.toThrow('rate limit exceeded (search)');
+  });
+
+  test('should track tokens separately', async () => {
+    governor.recordHeaders(KEY, 'core', quotaHeaders(0));
+
+    await expect(governor.beforeRequest('token-b', 'core')).resolves.toBeUndefined();
+  });
+
+  test('should resume after the reset time passes', async () => {
+    governor.recordHeaders(KEY, 'core', quotaHeaders(0, { reset: resetIn(-1) }));
+
+    await expect(governor.beforeRequest(KEY, 'core')).resolves.toBeUndefined();
+  });
+
+  describe('recordError', () => {
+    test('should rewrite primary limit 403s as rate limit errors', () => {
+      const error = axiosError(403, quotaHeaders(0), 'API rate limit exceeded');
+
+      const info = governor.recordError(KEY, 'core', error);
+
+      expect(info.secondary).toBe(false);
+      expect(error.message).toContain('GitHub rate limit exceeded (core)');
+      expect(error.message).not.toContain('403');
+    });
+
+    test('should honour Retry-After on secondary limits', async () => {
+      const error = axiosError(403, { 'retry-after': '30' }, 'You have exceeded a secondary rate limit');
+
+      const info = governor.recordError(KEY, 'core', error);
+      expect(info).toEqual({ secondary: true, retryAfterMs: 30000 });
+
+      await governor.beforeRequest(KEY, 'core');
+      expect(sleeps).toHaveLength(1);
+      expect(sleeps[0]).toBeGreaterThan(29000);
+    });
+
+    test('should fail fast when Retry-After exceeds the maximum wait', async () => {
+      governor.recordError(KEY, 'core', axiosError(429, { 'retry-after': '600' }));
+
+      await expect(governor.beforeRequest(KEY, 'core')).rejects.toThrow('secondary rate limit');
+    });
+
+    test('should ignore ordinary permission errors', () => {
+      const error = axiosError(403, quotaHeaders(4000), 'Resource not accessible by integration');
+
+      expect(governor.recordError(KEY, 'core', error)).toBeNull();
+      expect(error.message).toBe('Request failed with status code 403');
+    });
+  });
+});
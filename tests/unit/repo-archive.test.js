@@ -0,0 +1,228 @@
+/**
+ * Unit tests for lib/repo-archive.js
+ * Tests tarball unpacking, the bounded archive cache, globs, line search,
+ * worker-thread search and the concurrency limiter
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const {
+  readTarEntries,
+  createArchiveCache,
+  globToRegExp,
+  grepEntries,
+  grepArchive,
+  createGrepLimiter
+} = require('../../lib/repo-archive');
+
+/**
+ * Build a tar header + padded data block
+ */
+function tarEntry(name, content, type = '0') {
+  const data = Buffer.from(content);
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+  header.write(type, 156);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+  return Buffer.concat([header, data, Buffer.alloc((512 - (data.length % 512)) % 512)]);
+}
+
+function tarball(entries) {
+  return zlib.gzipSync(Buffer.concat([...entries, Buffer.alloc(1024)]));
+}
+
+const entry = (p, text) => ({ path: p, data: Buffer.from(text) });
+
+describe('Repository archives', () => {
+  describe('readTarEntries', () => {
+    test('should return regular files without the top-level directory', async () => {
+      const archive = tarball([
+        tarEntry('pax_global_header', '52 comment=abc\n', 'g'),
+        tarEntry('octo-repo-abc123/', '', '5'),
+        tarEntry('octo-repo-abc123/README.md', '# Repo\n'),
+        tarEntry('octo-repo-abc123/src/index.js', 'const a = 1;\n')
+      ]);
+
+      const entries = await readTarEntries(archive);
+
+      expect(entries.map(e => [e.path, e.data.toString()])).toEqual([
+        ['README.md', '# Repo\n'],
+        ['src/index.js', 'const a = 1;\n']
+      ]);
+    });
+
+    test('should use pax paths for long file names', async () => {
+      const longPath = `octo-repo-abc123/${'deep/'.repeat(30)}file.txt`;
+      const record = ` path=${longPath}\n`;
+      const length = String(record.length + String(record.length).length);
+      const archive = tarball([
+        tarEntry('PaxHeader', `${length}${record}`, 'x'),
+        tarEntry('truncated-name', 'found\n')
+      ]);
+
+      const [file] = await readTarEntries(archive);
+
+      expect(file.path).toBe(`${'deep/'.repeat(30)}file.txt`);
+    });
+
+    test('should enforce the extracted size limit', async () => {
+      const archive = tarball([tarEntry('octo-repo-abc/big.txt', 'x'.repeat(10000))]);
+
+      await expect(readTarEntries(archive, { maxExtractedBytes: 2048 })).rejects.toThrow('more than 2048 bytes');
+    });
+
+    test('should reject data that is not a gzipped tarball', async () => {
+      await expect(readTarEntries(Buffer.from('not gzip'))).rejects.toThrow('not a valid gzipped tarball');
+    });
+  });
+
+  describe('createArchiveCache', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'archive-cache-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('should store and return archives by key', async () => {
+      const cache = createArchiveCache({ dir, maxBytes: 1000 });
+
+      expect(await cache.get('octo/repo/abc')).toBeNull();
+      await cache.set('octo/repo/abc', Buffer.from('archive'));
+
+      expect((await cache.get('octo/repo/abc')).toString()).toBe('archive');
+    });
+
+    test('should evict least recently used archives beyond the size budget', async () => {
+      const cache = createArchiveCache({ dir, maxBytes: 250 });
+      await cache.set('a', Buffer.alloc(100));
+      fs.utimesSync(path.join(dir, 'a.tar.gz'), new Date(1000), new Date(1000));
+      await cache.set('b', Buffer.alloc(100));
+      fs.utimesSync(path.join(dir, 'b.tar.gz'), new Date(2000), new Date(2000));
+
+      // Reading a marks it recently used, so b is evicted next
+      await cache.get('a');
+      await cache.set('c', Buffer.alloc(100));
+
+      expect(await cache.get('a')).not.toBeNull();
+      expect(await cache.get('b')).toBeNull();
+      expect(await cache.get('c')).not.toBeNull();
+    });
+
+    test('should not cache archives larger than the whole budget', async () => {
+      const cache = createArchiveCache({ dir, maxBytes: 10 });
+      await cache.set('big', Buffer.alloc(100));
+
+      expect(await cache.get('big')).toBeNull();
+    });
+  });
+
+  describe('globToRegExp', () => {
+    test('should match file names for globs without a slash', () => {
+      expect(globToRegExp('*.js').test('src/app.js')).toBe(true);
+      expect(globToRegExp('*.js').test('src/app.json')).toBe(false);
+    });
+
+    test('should match full paths with ** segments', () => {
+      const pattern = globToRegExp('src/**/*.ts');
+      expect(pattern.test('src/a.ts')).toBe(true);
+      expect(pattern.test('src/lib/deep/a.ts')).toBe(true);
+      expect(pattern.test('test/a.ts')).toBe(false);
+    });
+  });
+
+  describe('grepEntries', () => {
+    const entries = [
+      entry('src/app.js', 'one\ntwo\nconst TODO = 1;\nfour\nfive\n'),
+      entry('src/util.ts', 'TODO: refactor\n'),
+      entry('docs/readme.md', 'TODO in docs\n'),
+      { path: 'logo.png', data: Buffer.from([0x89, 0x50, 0x00, 0x47]) }
+    ];
+
+    test('should return matches with line numbers and context', () => {
+      const result = grepEntries(entries, /TODO/, { pathPrefix: 'src', include: '*.js', contextLines: 1 });
+
+      expect(result).toEqual({
+        matches: [{ path: 'src/app.js', line_number: 3, line: 'const TODO = 1;', before: ['two'], after: ['four'] }],
+        files_searched: 1,
+        files_skipped: 0,
+        truncated: false,
+        stopped_reason: null
+      });
+    });
+
+    test('should skip binary files', () => {
+      const result = grepEntries(entries, /P/);
+
+      expect(result.files_skipped).toBe(1);
+      expect(result.matches).toEqual([]);
+    });
+
+    test('should stop at max matches', () => {
+      const result = grepEntries(entries, /TODO/, { maxMatches: 2, contextLines: 0 });
+
+      expect(result.matches.map(m => m.path)).toEqual(['src/app.js', 'src/util.ts']);
+      expect(result).toMatchObject({ truncated: true, stopped_reason: 'max_matches' });
+    });
+
+    test('should stop at the deadline', () => {
+      const result = grepEntries(entries, /TODO/, { deadline: Date.now() - 1 });
+
+      expect(result).toMatchObject({ matches: [], truncated: true, stopped_reason: 'time_limit' });
+    });
+  });
+
+  describe('grepArchive', () => {
+    const archive = tarball([
+      tarEntry('octo-repo-abc123/src/app.js', 'const todo = 1;\n'),
+      tarEntry('octo-repo-abc123/slow.txt', `${'a'.repeat(40)}b\n`)
+    ]);
+
+    test('should unpack and search in a worker thread', async () => {
+      const result = await grepArchive(archive, 'TODO', {
+        flags: 'i',
+        include: '*.js',
+        contextLines: 0,
+        hardDeadline: Date.now() + 10000
+      });
+
+      expect(result.matches).toEqual([{ path: 'src/app.js', line_number: 1, line: 'const todo = 1;', before: [], after: [] }]);
+    });
+
+    test('should terminate the worker at the hard deadline', async () => {
+      const started = Date.now();
+
+      await expect(grepArchive(archive, '(a+)+$', { hardDeadline: Date.now() + 300 }))
+        .rejects.toThrow('did not finish within the time limit');
+      expect(Date.now() - started).toBeLessThan(2000);
+    });
+
+    test('should report unpacking errors', async () => {
+      await expect(grepArchive(Buffer.from('not a tarball'), 'x', { hardDeadline: Date.now() + 10000 }))
+        .rejects.toThrow('not a valid gzipped tarball');
+    });
+  });
+
+  describe('createGrepLimiter', () => {
+    test('should hand out at most maxConcurrent slots', () => {
+      const limiter = createGrepLimiter({ maxConcurrent: 2 });
+      const first = limiter.acquire();
+      const second = limiter.acquire();
+
+      expect(limiter.acquire()).toBeNull();
+      first();
+      first();
+      expect(limiter.active).toBe(1);
+      expect(limiter.acquire()).toEqual(expect.any(Function));
+      second();
+    });
+  });
+});
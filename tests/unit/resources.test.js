@@ -0,0 +1,66 @@
+/**
+ * Unit Tests for Resource URI Parsing and MIME Detection
+ */
+
+const { parseResourceUri, getMimeType } = require('../../lib/resources');
+
+describe('Resources', () => {
+  describe('parseResourceUri', () => {
+    test('should parse blob URIs with nested paths', () => {
+      expect(parseResourceUri('github://owner/repo/blob/main/src/lib/app.js')).toEqual({
+        owner: 'owner',
+        repo: 'repo',
+        kind: 'blob',
+        ref: 'main',
+        path: 'src/lib/app.js'
+      });
+    });
+
+    test('should parse tree URIs', () => {
+      expect(parseResourceUri('github://owner/repo/tree/v1.2.0')).toMatchObject({
+        kind: 'tree',
+        ref: 'v1.2.0',
+        path: ''
+      });
+    });
+
+    test('should decode percent-encoded refs and paths', () => {
+      const parsed = parseResourceUri('github://owner/repo/blob/feature%2Flogin/docs/My%20Notes.md');
+      expect(parsed.ref).toBe('feature/login');
+      expect(parsed.path).toBe('docs/My Notes.md');
+    });
+
+    test('should reject other schemes and shapes', () => {
+      expect(() => parseResourceUri('https://github.com/owner/repo')).toThrow('Invalid resource URI');
+      expect(() => parseResourceUri('github://owner/repo/commits/main')).toThrow('Invalid resource URI');
+      expect(() => parseResourceUri(undefined)).toThrow('Invalid resource URI');
+    });
+
+    test('should require a path for blobs and forbid one for trees', () => {
+      expect(() => parseResourceUri('github://owner/repo/blob/main')).toThrow('file path required');
+      expect(() => parseResourceUri('github://owner/repo/tree/main/src')).toThrow('whole repository');
+    });
+
+    test('should reject malformed percent-encoding', () => {
+      expect(() => parseResourceUri('github://owner/repo/blob/main/%E0%A4%A')).toThrow('malformed');
+    });
+  });
+
+  describe('getMimeType', () => {
+    test('should map text extensions', () => {
+      expect(getMimeType('README.md')).toEqual({ mimeType: 'text/markdown', binary: false });
+      expect(getMimeType('package.json')).toEqual({ mimeType: 'application/json', binary: false });
+      expect(getMimeType('src/index.TS').mimeType).toBe('text/x-typescript');
+    });
+
+    test('should map binary extensions', () => {
+      expect(getMimeType('assets/logo.png')).toEqual({ mimeType: 'image/png', binary: true });
+      expect(getMimeType('dist/app.wasm').binary).toBe(true);
+    });
+
+    test('should fall back to text/plain', () => {
+      expect(getMimeType('Makefile')).toEqual({ mimeType: 'text/plain', binary: false });
+      expect(getMimeType('.env.example').mimeType).toBe('text/plain');
+    });
+  });
+});
@@ -661,6 +661,241 @@ describe('JSON Schema Validation', () => {
     });
   });
 
+  describe('list_issues schema', () => {
+    test('should accept repo only', () => {
+      const result = validateToolParams('list_issues', { repo: 'owner/repo' });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept filters', () => {
+      const result = validateToolParams('list_issues', {
+        repo: 'owner/repo',
+        state: 'all',
+        labels: ['bug', 'p1'],
+        assignee: 'octocat',
+        since: '2025-01-01T00:00:00Z',
+        sort: 'updated'
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept milestone number, none and wildcard', () => {
+      for (const milestone of [3, 'none', '*']) {
+        const result = validateToolParams('list_issues', { repo: 'owner/repo', milestone });
+        expect(result.valid).toBe(true);
+      }
+    });
+
+    test('should reject unknown milestone keyword', () => {
+      const result = validateToolParams('list_issues', { repo: 'owner/repo', milestone: 'latest' });
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject invalid since timestamp', () => {
+      const result = validateToolParams('list_issues', { repo: 'owner/repo', since: 'yesterday' });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('get_issue schema', () => {
+    test('should accept issue number', () => {
+      const result = validateToolParams('get_issue', { repo: 'owner/repo', issueNumber: 12 });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept comment pagination and timeline toggle', () => {
+      const result = validateToolParams('get_issue', {
+        repo: 'owner/repo',
+        issueNumber: 12,
+        include_timeline: false,
+        comments_limit: 20,
+        comments_page: 2
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject missing issueNumber', () => {
+      const result = validateToolParams('get_issue', { repo: 'owner/repo' });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('search_issues schema', () => {
+    test('should accept query with qualifiers', () => {
+      const result = validateToolParams('search_issues', {
+        query: 'label:bug no:assignee timeout',
+        repo: 'owner/repo',
+        sort: 'created',
+        order: 'desc'
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject empty query', () => {
+      const result = validateToolParams('search_issues', { query: '' });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  // ============================================================================
+  // ISSUE WRITE TOOLS SCHEMAS
+  // ============================================================================
+
+  describe('create_issue schema', () => {
+    test('should accept title only', () => {
+      const result = validateToolParams('create_issue', {
+        repo: 'owner/repo',
+        title: 'Bug report'
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept labels, assignees and milestone', () => {
+      const result = validateToolParams('create_issue', {
+        repo: 'owner/repo',
+        title: 'Bug report',
+        body: 'Steps to reproduce',
+        labels: ['bug', 'needs triage'],
+        assignees: ['octocat'],
+        milestone: 3
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject missing title', () => {
+      const result = validateToolParams('create_issue', { repo: 'owner/repo' });
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject invalid assignee login', () => {
+      const result = validateToolParams('create_issue', {
+        repo: 'owner/repo',
+        title: 'Bug report',
+        assignees: ['not a login']
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('update_issue schema', () => {
+    test('should accept state change with reason', () => {
+      const result = validateToolParams('update_issue', {
+        repo: 'owner/repo',
+        issueNumber: 42,
+        state: 'closed',
+        state_reason: 'not_planned'
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should accept empty arrays and null milestone to clear fields', () => {
+      const result = validateToolParams('update_issue', {
+        repo: 'owner/repo',
+        issueNumber: 42,
+        labels: [],
+        assignees: [],
+        milestone: null
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject prNumber in place of issueNumber', () => {
+      const result = validateToolParams('update_issue', {
+        repo: 'owner/repo',
+        prNumber: 42
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('add_issue_comment schema', () => {
+    test('should accept valid comment', () => {
+      const result = validateToolParams('add_issue_comment', {
+        repo: 'owner/repo',
+        issueNumber: 1,
+        body: 'Thanks for the report'
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject empty body', () => {
+      const result = validateToolParams('add_issue_comment', {
+        repo: 'owner/repo',
+        issueNumber: 1,
+        body: ''
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('close_issue and lock_issue schemas', () => {
+    test('should accept close with reason and comment', () => {
+      const result = validateToolParams('close_issue', {
+        repo: 'owner/repo',
+        issueNumber: 7,
+        state_reason: 'completed',
+        comment: 'Fixed in #8'
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject reopened as a close reason', () => {
+      const result = validateToolParams('close_issue', {
+        repo: 'owner/repo',
+        issueNumber: 7,
+        state_reason: 'reopened'
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    test('should accept valid lock reason', () => {
+      const result = validateToolParams('lock_issue', {
+        repo: 'owner/repo',
+        issueNumber: 7,
+        lock_reason: 'too heated'
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject unknown lock reason', () => {
+      const result = validateToolParams('lock_issue', {
+        repo: 'owner/repo',
+        issueNumber: 7,
+        lock_reason: 'boring'
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('issue label and assignee schemas', () => {
+    test('should accept labels to add', () => {
+      const result = validateToolParams('add_issue_labels', {
+        repo: 'owner/repo',
+        issueNumber: 7,
+        labels: ['bug']
+      });
+      expect(result.valid).toBe(true);
+    });
+
+    test('should reject empty label list', () => {
+      const result = validateToolParams('remove_issue_labels', {
+        repo: 'owner/repo',
+        issueNumber: 7,
+        labels: []
+      });
+      expect(result.valid).toBe(false);
+    });
+
+    test('should reject more than 10 assignees', () => {
+      const result = validateToolParams('add_issue_assignees', {
+        repo: 'owner/repo',
+        issueNumber: 7,
+        assignees: Array(11).fill('octocat')
+      });
+      expect(result.valid).toBe(false);
+    });
+  });
+
   // ============================================================================
   // EDGE CASES
   // ============================================================================
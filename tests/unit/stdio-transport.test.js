@@ -0,0 +1,79 @@
+/**
+ * Unit Tests for the Stdio Transport
+ * Tests newline-delimited framing, notifications and error replies
+ */
+
+const { PassThrough } = require('stream');
+const { runStdioTransport } = require('../../lib/stdio-transport');
+
+describe('Stdio Transport', () => {
+  // Feed lines through the transport and collect the parsed replies
+  const run = async (lines, processMessage) => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let written = '';
+    output.on('data', chunk => { written += chunk; });
+
+    const done = runStdioTransport({ processMessage, input, output });
+    input.end(lines.join('\n') + '\n');
+    await done;
+
+    return written.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  };
+
+  const echo = async (message) => ({ jsonrpc: '2.0', id: message.id, result: { method: message.method } });
+
+  test('should answer each request on its own line', async () => {
+    const replies = await run([
+      JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'initialize' }),
+      JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+    ], echo);
+
+    expect(replies).toEqual([
+      { jsonrpc: '2.0', id: 1, result: { method: 'initialize' } },
+      { jsonrpc: '2.0', id: 2, result: { method: 'tools/list' } }
+    ]);
+  });
+
+  test('should process notifications without replying', async () => {
+    const processMessage = jest.fn(echo);
+
+    const replies = await run([JSON.stringify({ jsonrpc: '2.0', method: 'notifications/initialized' })], processMessage);
+
+    expect(processMessage).toHaveBeenCalledTimes(1);
+    expect(replies).toEqual([]);
+  });
+
+  test('should write notifications sent during a request before its response', async () => {
+    const processMessage = async (message, { notify }) => {
+      notify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progressToken: 't', progress: 1 } });
+      return echo(message);
+    };
+
+    const replies = await run([JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'tools/call' })], processMessage);
+
+    expect(replies.map(r => r.method || r.id)).toEqual(['notifications/progress', 4]);
+  });
+
+  test('should reply with parse errors for malformed lines', async () => {
+    const replies = await run(['{not json', ''], echo);
+
+    expect(replies).toHaveLength(1);
+    expect(replies[0].error.code).toBe(-32700);
+  });
+
+  test('should reject messages without a method', async () => {
+    const replies = await run([JSON.stringify({ jsonrpc: '2.0', id: 3 }), JSON.stringify([1, 2])], echo);
+
+    expect(replies.map(r => r.error.code)).toEqual([-32600, -32600]);
+    expect(replies[0].id).toBe(3);
+  });
+
+  test('should wait for pending requests before resolving', async () => {
+    const slow = (message) => new Promise(resolve => setTimeout(() => resolve({ jsonrpc: '2.0', id: message.id, result: {} }), 20));
+
+    const replies = await run([JSON.stringify({ jsonrpc: '2.0', id: 4, method: 'tools/call' })], slow);
+
+    expect(replies).toEqual([{ jsonrpc: '2.0', id: 4, result: {} }]);
+  });
+});
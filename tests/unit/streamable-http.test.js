@@ -0,0 +1,117 @@
+/**
+ * Unit Tests for the Streamable HTTP Session Store
+ * Tests session expiry, the session limit and event buffering limits
+ */
+
+const { EventEmitter } = require('events');
+const { createSessionStore, acceptsEventStream } = require('../../lib/streamable-http');
+
+describe('Streamable HTTP Sessions', () => {
+  // Minimal writable response stand-in
+  const createResponse = () => {
+    const res = new EventEmitter();
+    res.headersSent = false;
+    res.writableEnded = false;
+    res.chunks = [];
+    res.writeHead = () => { res.headersSent = true; };
+    res.write = (chunk) => res.chunks.push(chunk);
+    res.end = () => { res.writableEnded = true; };
+    return res;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should expire idle sessions', () => {
+    const store = createSessionStore({ ttlMs: 1000 });
+    const session = store.create();
+
+    jest.advanceTimersByTime(500);
+    expect(store.get(session.id)).toBe(session);
+
+    jest.advanceTimersByTime(1001);
+    expect(store.get(session.id)).toBeUndefined();
+    expect(store.size).toBe(0);
+  });
+
+  test('should sweep expired sessions', () => {
+    const store = createSessionStore({ ttlMs: 1000 });
+    store.create();
+    jest.advanceTimersByTime(1001);
+    store.create();
+
+    store.sweep();
+    expect(store.size).toBe(1);
+  });
+
+  test('should evict the least recently used session at the session limit', () => {
+    const store = createSessionStore({ ttlMs: 10000, maxSessions: 2 });
+    const first = store.create();
+    jest.advanceTimersByTime(10);
+    const second = store.create();
+    jest.advanceTimersByTime(10);
+    store.get(first.id);
+
+    const third = store.create();
+
+    expect(store.size).toBe(2);
+    expect(store.get(second.id)).toBeUndefined();
+    expect(store.get(first.id)).toBe(first);
+    expect(store.get(third.id)).toBe(third);
+  });
+
+  test('should sweep expired sessions before evicting live ones', () => {
+    const store = createSessionStore({ ttlMs: 1000, maxSessions: 2 });
+    const expired = store.create();
+    jest.advanceTimersByTime(900);
+    const live = store.create();
+    jest.advanceTimersByTime(200);
+
+    store.create();
+
+    expect(store.size).toBe(2);
+    expect(store.get(expired.id)).toBeUndefined();
+    expect(store.get(live.id)).toBe(live);
+  });
+
+  test('should keep only the most recent events per stream', () => {
+    const store = createSessionStore({ ttlMs: 1000, maxEventsPerStream: 2 });
+    const session = store.create();
+    const stream = store.openStream(createResponse(), session);
+
+    store.sendEvent(stream, { n: 1 });
+    store.sendEvent(stream, { n: 2 });
+    store.sendEvent(stream, { n: 3 });
+    store.closeStream(stream);
+
+    const res = createResponse();
+    expect(store.resumeStream(session, `${stream.id}-0`, res)).toBe(true);
+    expect(res.chunks).toEqual([
+      `id: ${stream.id}-2\nevent: message\ndata: {"n":2}\n\n`,
+      `id: ${stream.id}-3\nevent: message\ndata: {"n":3}\n\n`
+    ]);
+    expect(res.writableEnded).toBe(true);
+  });
+
+  test('should replace the previous standalone stream', () => {
+    const store = createSessionStore({ ttlMs: 1000 });
+    const session = store.create();
+    const first = createResponse();
+
+    store.openStream(first, session, { standalone: true });
+    store.openStream(createResponse(), session, { standalone: true });
+
+    expect(first.writableEnded).toBe(true);
+    expect(store.notify(session, { jsonrpc: '2.0', method: 'notifications/message' })).toBe(true);
+  });
+
+  test('should detect SSE Accept headers', () => {
+    expect(acceptsEventStream({ headers: { accept: 'application/json, text/event-stream' } })).toBe(true);
+    expect(acceptsEventStream({ headers: {} })).toBe(false);
+  });
+});
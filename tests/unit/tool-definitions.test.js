@@ -0,0 +1,116 @@
+/**
+ * Unit Tests for the Tool Definitions Registry
+ * Tests schema coverage, write classification and tools/list generation
+ */
+
+const {
+  toolDefinitions,
+  getToolDefinition,
+  isWriteTool,
+  isToolEnabled,
+  listTools
+} = require('../../lib/tool-definitions');
+const { schemas } = require('../../mcp-tool-schemas');
+
+describe('Tool Definitions', () => {
+  const baseConfig = {
+    prEnabled: false,
+    prWhitelist: [],
+    prUpdateEnabled: false,
+    prMergeEnabled: false,
+    issuesEnabled: false,
+    actionsEnabled: false,
+    prReviewEnabled: false,
+    releasesEnabled: false
+  };
+
+  const allEnabledConfig = {
+    prEnabled: true,
+    prWhitelist: ['owner/repo'],
+    prUpdateEnabled: true,
+    prMergeEnabled: true,
+    issuesEnabled: true,
+    actionsEnabled: true,
+    prReviewEnabled: true,
+    releasesEnabled: true
+  };
+
+  describe('Registry', () => {
+    test('should have a schema and handler for every tool', () => {
+      for (const definition of toolDefinitions) {
+        expect(definition.schema).toBe(schemas[definition.name]);
+        expect(typeof definition.handler).toBe('function');
+        expect(['read', 'write']).toContain(definition.access);
+      }
+    });
+
+    test('should define a tool for every schema', () => {
+      const names = toolDefinitions.map(d => d.name);
+      expect(names.sort()).toEqual(Object.keys(schemas).sort());
+    });
+
+    test('should look up definitions by name', () => {
+      expect(getToolDefinition('read_file').access).toBe('read');
+      expect(getToolDefinition('nonexistent_tool')).toBeUndefined();
+    });
+  });
+
+  describe('isWriteTool', () => {
+    test('should classify write tools', () => {
+      expect(isWriteTool('create_pull_request')).toBe(true);
+      expect(isWriteTool('merge_pull_request')).toBe(true);
+      expect(isWriteTool('create_issue')).toBe(true);
+      expect(isWriteTool('rerun_workflow')).toBe(true);
+    });
+
+    test('should classify read and unknown tools as non-write', () => {
+      expect(isWriteTool('read_file')).toBe(false);
+      expect(isWriteTool('get_issue')).toBe(false);
+      expect(isWriteTool('nonexistent_tool')).toBe(false);
+    });
+  });
+
+  describe('isToolEnabled', () => {
+    test('should always enable read tools', () => {
+      expect(isToolEnabled('search', baseConfig)).toBe(true);
+    });
+
+    test('should require whitelist for PR creation tools', () => {
+      expect(isToolEnabled('create_pull_request', { ...baseConfig, prEnabled: true })).toBe(false);
+      expect(isToolEnabled('create_pull_request', allEnabledConfig)).toBe(true);
+    });
+
+    test('should follow feature flags for update, merge, issue and Actions tools', () => {
+      expect(isToolEnabled('update_pull_request', baseConfig)).toBe(false);
+      expect(isToolEnabled('merge_pull_request', { ...baseConfig, prMergeEnabled: true })).toBe(true);
+      expect(isToolEnabled('close_issue', { ...baseConfig, issuesEnabled: true })).toBe(true);
+      expect(isToolEnabled('dispatch_workflow', { ...baseConfig, prEnabled: true, prWhitelist: ['owner/repo'] })).toBe(false);
+      expect(isToolEnabled('dispatch_workflow', { ...baseConfig, actionsEnabled: true })).toBe(true);
+      expect(isToolEnabled('submit_review', { ...baseConfig, prMergeEnabled: true })).toBe(false);
+      expect(isToolEnabled('resolve_review_thread', { ...baseConfig, prReviewEnabled: true })).toBe(true);
+      expect(isToolEnabled('create_release', { ...baseConfig, prEnabled: true, prWhitelist: ['owner/repo'] })).toBe(false);
+      expect(isToolEnabled('create_tag', { ...baseConfig, releasesEnabled: true })).toBe(true);
+    });
+  });
+
+  describe('listTools', () => {
+    test('should omit write tools without write access', () => {
+      const names = listTools(allEnabledConfig).map(t => t.name);
+      expect(names).toContain('read_file');
+      expect(names).not.toContain('create_pull_request');
+    });
+
+    test('should include only enabled write tools with write access', () => {
+      const names = listTools({ ...baseConfig, issuesEnabled: true }, { includeWrite: true }).map(t => t.name);
+      expect(names).toContain('create_issue');
+      expect(names).not.toContain('merge_pull_request');
+    });
+
+    test('should serve the validation schema as inputSchema without $id', () => {
+      const tool = listTools(baseConfig).find(t => t.name === 'read_file');
+      expect(tool.inputSchema.$id).toBeUndefined();
+      expect(tool.inputSchema.required).toEqual(schemas.read_file.required);
+      expect(tool.inputSchema.properties).toBe(schemas.read_file.properties);
+    });
+  });
+});